@@ -0,0 +1,122 @@
+// Computer-controlled paddle.
+// Reads the simulation state and returns a paddle input, the same shape a
+// human input takes, so the simulation does not know who is playing.
+
+import { SeededRandom } from "./random.js";
+
+export class AIController {
+  // Difficulty presets:
+  // reactionDelay - seconds between decisions (how late the AI notices changes)
+  // predictionError - maximum aim error in pixels
+  // maxSpeed - fastest the paddle can move (pixels per second)
+  static DIFFICULTIES = {
+    easy: { reactionDelay: 0.35, predictionError: 90, maxSpeed: 450 },
+    normal: { reactionDelay: 0.2, predictionError: 40, maxSpeed: 700 },
+    hard: { reactionDelay: 0.08, predictionError: 10, maxSpeed: 1100 },
+  };
+
+  /**
+   * Creates an AI for one paddle.
+   * @param {string} side - Paddle the AI controls: left or right.
+   * @param {string} [difficulty="normal"] - easy, normal or hard.
+   * @param {SeededRandom} [random] - Random source for aim errors.
+   */
+  constructor(side, difficulty = "normal", random = new SeededRandom()) {
+    this.side = side;
+    this.settings = AIController.DIFFICULTIES[difficulty] || AIController.DIFFICULTIES.normal;
+    this.random = random;
+    this.decisionTimer = 0;     // Seconds until the next decision
+    this.targetY = null;        // Where the AI is currently heading
+    this.trackedBallId = null;  // Ball the AI is currently defending against
+    this.aimOffset = 0;         // Aim error for the tracked ball
+  }
+
+  /**
+   * Predicts where a ball will cross a vertical line, following its bounces
+   * off the top and bottom walls.
+   * @param {object} ball - Simulation ball.
+   * @param {number} targetX - X position of the line.
+   * @param {number} top - Y position of the top wall.
+   * @param {number} bottom - Y position of the bottom wall.
+   * @returns {{y: number, time: number}|null} - Crossing point and seconds until it, or null if the ball is moving away.
+   */
+  static predictBallY(ball, targetX, top, bottom) {
+    const velX = ball.vx * ball.speed;
+    const time = (targetX - ball.x) / velX;
+    if (!Number.isFinite(time) || time < 0) {
+      return null;
+    }
+
+    // Unfold the wall bounces: travel in a straight line, then fold back into the play area
+    const span = bottom - top;
+    const rawY = ball.y + ball.vy * ball.speed * time - top;
+    const folded = ((rawY % (2 * span)) + 2 * span) % (2 * span);
+    const y = top + (folded > span ? 2 * span - folded : folded);
+    return { y, time };
+  }
+
+  /**
+   * Picks the incoming ball that will reach the AI's paddle first.
+   * @param {object} state - Simulation state.
+   * @param {object} config - Simulation config.
+   * @returns {{ball: object, y: number}|null} - Ball to defend and where it will arrive.
+   */
+  chooseIncomingBall(state, config) {
+    const paddle = state.paddles.find((p) => p.side === this.side);
+    let best = null;
+
+    state.balls.forEach((ball) => {
+      // Line the ball's centre must reach to touch the paddle face
+      const faceX = this.side === "left"
+        ? paddle.x + paddle.width / 2 + ball.radius
+        : paddle.x - paddle.width / 2 - ball.radius;
+      // The ball's edge bounces off the walls, so its centre turns a radius away from them
+      const prediction = AIController.predictBallY(
+        ball,
+        faceX,
+        config.headerHeight + ball.radius,
+        config.height - ball.radius
+      );
+      if (prediction && (!best || prediction.time < best.time)) {
+        best = { ball, y: prediction.y, time: prediction.time };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Advances the AI by one frame.
+   * @param {number} dt - Frame duration in seconds.
+   * @param {object} state - Simulation state.
+   * @param {object} config - Simulation config.
+   * @returns {{y: number}} - Paddle input for this frame.
+   */
+  update(dt, state, config) {
+    const paddle = state.paddles.find((p) => p.side === this.side);
+    const { reactionDelay, predictionError, maxSpeed } = this.settings;
+
+    this.decisionTimer -= dt;
+    if (this.decisionTimer <= 0 || this.targetY === null) {
+      this.decisionTimer = reactionDelay;
+      const incoming = this.chooseIncomingBall(state, config);
+
+      if (incoming) {
+        // Keep the same aim error while tracking the same ball so the paddle doesn't jitter
+        if (incoming.ball.id !== this.trackedBallId) {
+          this.trackedBallId = incoming.ball.id;
+          this.aimOffset = this.random.range(-predictionError, predictionError);
+        }
+        this.targetY = incoming.y + this.aimOffset;
+      } else {
+        // Nothing incoming: drift back towards the middle of the play area
+        this.trackedBallId = null;
+        this.targetY = config.headerHeight + (config.height - config.headerHeight) / 2;
+      }
+    }
+
+    const maxStep = maxSpeed * dt;
+    const delta = Math.max(-maxStep, Math.min(maxStep, this.targetY - paddle.y));
+    return { y: paddle.y + delta };
+  }
+}
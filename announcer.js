@@ -0,0 +1,42 @@
+// Screen reader announcements.
+// The game is drawn on a canvas, which assistive technology cannot read, so
+// menu focus and match events are also written as text into an off-screen
+// ARIA live region. The document is injectable so tests can pass a fake (or
+// null to announce nothing).
+
+export class LiveAnnouncer {
+  // Keeps the region out of sight while leaving it in the accessibility tree
+  static HIDDEN_STYLE = "position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;";
+
+  /**
+   * Creates the live region and adds it to the page.
+   * @param {Document|null} [doc] - Document to add the region to; defaults to the page's.
+   */
+  constructor(doc = globalThis.document || null) {
+    this.element = null;    // The live region, or null without a document
+    this.lastMessage = "";  // Last text written, to repeat a message audibly
+    if (doc && doc.body) {
+      this.element = doc.createElement("div");
+      this.element.setAttribute("role", "status");
+      this.element.setAttribute("aria-live", "polite");
+      this.element.setAttribute("aria-atomic", "true");
+      this.element.setAttribute("style", LiveAnnouncer.HIDDEN_STYLE);
+      doc.body.appendChild(this.element);
+    }
+  }
+
+  /**
+   * Reads a message out. A message that replaces one still being read
+   * interrupts it; the same message twice in a row is read again.
+   * @param {string} message - Text to announce.
+   */
+  announce(message) {
+    if (!this.element || !message) {
+      return;
+    }
+    // Screen readers skip unchanged text, so alternate a trailing no-break space
+    const text = message === this.lastMessage ? `${message}\u00a0` : message;
+    this.element.textContent = text;
+    this.lastMessage = text;
+  }
+}
@@ -0,0 +1,263 @@
+// Procedural sound effects.
+// Every sound is synthesized with the Web Audio API from simulation events,
+// so the game needs no audio files. Volume and mute settings are kept in
+// localStorage. Without Web Audio (or an audio device) every call is a no-op.
+
+import { SavedData } from "./storage.js";
+
+export class SoundEffects {
+  static STORAGE_KEY = "pong.audio"; // localStorage key
+  static VERSION = 1;                // Bumped when the saved format changes
+  static VOLUME_STEP = 0.1;          // Change per click on the volume controls
+  static DEFAULTS = { masterVolume: 0.8, sfxVolume: 0.8, muted: false };
+
+  // Base pitch of each paddle, wall or bumper hit at the mode's starting speed (Hz);
+  // balls at the mode's top speed sound PITCH_RANGE octaves higher
+  static PADDLE_PITCH = 440;
+  static WALL_PITCH = 220;
+  static BUMPER_PITCH = 330;
+  static PITCH_RANGE = 1.5;
+
+  /**
+   * Creates the sound system and loads the saved settings. The audio context
+   * itself is only created by unlock(), since browsers refuse to start audio
+   * before the first user gesture.
+   * @param {Storage|null} [storage] - Storage backend; defaults to localStorage when available.
+   * @param {Function|null} [AudioContextClass] - Web Audio context constructor; defaults to the browser's.
+   */
+  constructor(storage = SavedData.getDefaultStorage(), AudioContextClass = SoundEffects.getAudioContextClass()) {
+    this.storage = storage;
+    this.AudioContextClass = AudioContextClass;
+    this.settings = this.load();
+    this.context = null;    // Web Audio context, once unlocked
+    this.masterGain = null; // Master volume node
+    this.sfxGain = null;    // Sound effect volume node, feeds the master
+  }
+
+  /**
+   * Returns the browser's audio context constructor, or null without Web Audio.
+   * @returns {Function|null} - AudioContext constructor.
+   */
+  static getAudioContextClass() {
+    return globalThis.AudioContext || globalThis.webkitAudioContext || null;
+  }
+
+  /**
+   * Clamps a volume between 0 and 1, rounded to whole percent.
+   * @param {number} volume - Requested volume.
+   * @returns {number} - Usable volume.
+   */
+  static clampVolume(volume) {
+    return Math.round(Math.max(0, Math.min(1, volume)) * 100) / 100;
+  }
+
+  /**
+   * Maps a ball speed to a pitch: the base pitch at the mode's starting speed,
+   * rising to PITCH_RANGE octaves above it at the mode's top speed.
+   * @param {number} basePitch - Pitch at the starting speed (Hz).
+   * @param {number} speed - Ball speed (pixels per second).
+   * @param {object} mode - Game mode definition (startSpeed, maxSpeed).
+   * @returns {number} - Pitch in Hz.
+   */
+  static pitchForSpeed(basePitch, speed, mode) {
+    const range = mode.maxSpeed - mode.startSpeed;
+    const progress = range > 0 ? Math.max(0, Math.min(1, (speed - mode.startSpeed) / range)) : 0;
+    return basePitch * Math.pow(2, progress * SoundEffects.PITCH_RANGE);
+  }
+
+  /**
+   * Loads the saved settings, falling back to the defaults for anything
+   * missing or invalid.
+   * @returns {object} - Settings ({ masterVolume, sfxVolume, muted }).
+   */
+  load() {
+    const saved = SavedData.read(this.storage, SoundEffects.STORAGE_KEY);
+
+    const settings = { ...SoundEffects.DEFAULTS };
+    if (!saved || saved.version !== SoundEffects.VERSION) {
+      return settings;
+    }
+    ["masterVolume", "sfxVolume"].forEach((key) => {
+      if (Number.isFinite(saved[key])) {
+        settings[key] = SoundEffects.clampVolume(saved[key]);
+      }
+    });
+    if (typeof saved.muted === "boolean") {
+      settings.muted = saved.muted;
+    }
+    return settings;
+  }
+
+  /**
+   * Writes the settings to storage. Storage errors are ignored; the settings
+   * still apply for the rest of the session.
+   */
+  save() {
+    SavedData.write(this.storage, SoundEffects.STORAGE_KEY, { version: SoundEffects.VERSION, ...this.settings });
+  }
+
+  /**
+   * Creates (or resumes) the audio context. Call from a user gesture such as
+   * a click or key press. Fails quietly when audio is unavailable.
+   */
+  unlock() {
+    try {
+      if (!this.context && this.AudioContextClass) {
+        this.context = new this.AudioContextClass();
+        this.sfxGain = this.context.createGain();
+        this.masterGain = this.context.createGain();
+        this.sfxGain.connect(this.masterGain);
+        this.masterGain.connect(this.context.destination);
+        this.applyVolumes();
+      }
+      if (this.context && this.context.state === "suspended") {
+        this.context.resume().catch(() => {});
+      }
+    } catch (error) {
+      // No audio device or Web Audio blocked: stay silent
+      this.context = null;
+      this.AudioContextClass = null;
+    }
+  }
+
+  /**
+   * Copies the volume settings onto the gain nodes.
+   */
+  applyVolumes() {
+    if (!this.context) {
+      return;
+    }
+    this.masterGain.gain.value = this.settings.muted ? 0 : this.settings.masterVolume;
+    this.sfxGain.gain.value = this.settings.sfxVolume;
+  }
+
+  /**
+   * Changes the master volume and saves it.
+   * @param {number} volume - New volume from 0 to 1.
+   */
+  setMasterVolume(volume) {
+    this.settings.masterVolume = SoundEffects.clampVolume(volume);
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * Changes the sound effect volume and saves it.
+   * @param {number} volume - New volume from 0 to 1.
+   */
+  setSfxVolume(volume) {
+    this.settings.sfxVolume = SoundEffects.clampVolume(volume);
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * Mutes or unmutes all sound and saves the choice.
+   */
+  toggleMute() {
+    this.settings.muted = !this.settings.muted;
+    this.applyVolumes();
+    this.save();
+  }
+
+  /**
+   * Returns whether sounds can be played right now.
+   * @returns {boolean} - True when unlocked, unmuted and audible.
+   */
+  isAudible() {
+    return this.context !== null && !this.settings.muted && this.settings.masterVolume > 0 && this.settings.sfxVolume > 0;
+  }
+
+  /**
+   * Plays one synthesized tone that may slide in pitch.
+   * @param {object} tone - Tone description.
+   * @param {number} tone.frequency - Start pitch (Hz).
+   * @param {number} [tone.endFrequency] - Pitch reached at the end; defaults to the start pitch.
+   * @param {number} tone.duration - Length in seconds.
+   * @param {string} [tone.wave="square"] - Oscillator type: sine, square, sawtooth or triangle.
+   * @param {number} [tone.volume=0.3] - Peak loudness from 0 to 1.
+   * @param {number} [tone.delay=0] - Seconds to wait before starting.
+   */
+  playTone({ frequency, endFrequency = frequency, duration, wave = "square", volume = 0.3, delay = 0 }) {
+    if (!this.isAudible()) {
+      return;
+    }
+    try {
+      const start = this.context.currentTime + delay;
+      const oscillator = this.context.createOscillator();
+      const envelope = this.context.createGain();
+
+      oscillator.type = wave;
+      oscillator.frequency.setValueAtTime(frequency, start);
+      oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+      // Short attack, then fade out (exponential ramps cannot reach 0)
+      envelope.gain.setValueAtTime(0.0001, start);
+      envelope.gain.exponentialRampToValueAtTime(volume, start + 0.005);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+      oscillator.connect(envelope);
+      envelope.connect(this.sfxGain);
+      oscillator.start(start);
+      oscillator.stop(start + duration + 0.02);
+    } catch (error) {
+      // Ignore playback errors (e.g. the context was closed)
+    }
+  }
+
+  /**
+   * Plays the sounds for one frame of simulation events.
+   * @param {Array<object>} events - Events returned by PongSimulation.step.
+   * @param {object} mode - Game mode definition of the match (for speed-based pitch).
+   */
+  playEvents(events, mode) {
+    if (!this.isAudible()) {
+      return;
+    }
+    events.forEach((event) => {
+      switch (event.type) {
+        case "paddleHit":
+          this.playTone({ frequency: SoundEffects.pitchForSpeed(SoundEffects.PADDLE_PITCH, event.speed, mode), duration: 0.08 });
+          break;
+        case "wallBounce":
+        case "shieldBlock":
+          this.playTone({
+            frequency: SoundEffects.pitchForSpeed(SoundEffects.WALL_PITCH, event.speed, mode),
+            duration: 0.06,
+            wave: "triangle",
+            volume: 0.4,
+          });
+          break;
+        case "obstacleHit":
+          this.playTone({
+            frequency: SoundEffects.pitchForSpeed(event.obstacle === "bumper" ? SoundEffects.BUMPER_PITCH : SoundEffects.WALL_PITCH, event.speed, mode),
+            duration: 0.07,
+            wave: event.obstacle === "bumper" ? "square" : "triangle",
+            volume: 0.4,
+          });
+          break;
+        case "obstacleBroken":
+          this.playTone({ frequency: 600, endFrequency: 150, duration: 0.2, wave: "square", volume: 0.3 });
+          break;
+        case "ballSpawned":
+        case "ballServed":
+          this.playTone({ frequency: 330, endFrequency: 660, duration: 0.15, wave: "sine" });
+          break;
+        case "powerUpCollected":
+          [523, 659, 784].forEach((frequency, index) => {
+            this.playTone({ frequency, duration: 0.08, wave: "sine", delay: index * 0.06 });
+          });
+          break;
+        case "ballOut":
+          this.playTone({ frequency: 300, endFrequency: 80, duration: 0.35, wave: "sawtooth", volume: 0.2 });
+          break;
+        case "gameOver":
+          [392, 330, 262].forEach((frequency, index) => {
+            this.playTone({ frequency, duration: 0.25, wave: "triangle", volume: 0.4, delay: 0.2 + index * 0.22 });
+          });
+          break;
+        default:
+          break;
+      }
+    });
+  }
+}
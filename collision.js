@@ -0,0 +1,221 @@
+// Swept collision tests for the simulation.
+// Instead of checking for overlaps after a whole frame of movement, these
+// find the exact time within the frame at which a moving ball first touches
+// something, so fast balls cannot skip through paddles or sink into walls.
+// Times are in seconds from the start of the sweep.
+
+export class Collision {
+  static EPSILON = 1e-9; // Time slack for a ball resting exactly on a surface
+
+  /**
+   * Returns when a point moving along one axis reaches a plane on that axis.
+   * A point already past the plane (and still moving into it) touches at once.
+   * @param {number} position - Current position on the axis.
+   * @param {number} velocity - Velocity on the axis; must be towards the plane.
+   * @param {number} plane - Position of the plane.
+   * @returns {number} - Time of contact (0 if already touching), Infinity when not moving.
+   */
+  static timeToPlane(position, velocity, plane) {
+    if (velocity === 0) {
+      return Infinity;
+    }
+    return Math.max(0, (plane - position) / velocity);
+  }
+
+  /**
+   * Sweeps a ball against the front face of a paddle (the face looking into
+   * the play area). Only a ball moving towards the paddle can touch it, so a
+   * ball that has just bounced off can never register a second hit. A ball
+   * the paddle has moved onto this frame touches at once.
+   * @param {object} ball - Ball with centre and radius.
+   * @param {number} vx - Ball X velocity (pixels per second).
+   * @param {number} vy - Ball Y velocity (pixels per second).
+   * @param {object} paddle - Paddle with side, centre and size.
+   * @param {number} maxTime - Length of the sweep in seconds.
+   * @returns {{time: number, x: number}|null} - Contact time and the ball centre's X at contact, or null.
+   */
+  static sweepPaddle(ball, vx, vy, paddle, maxTime) {
+    const isLeft = paddle.side === "left";
+    const direction = isLeft ? -1 : 1; // Direction of travel that approaches this paddle
+    if (Math.sign(vx) !== direction) {
+      return null;
+    }
+
+    // Planes the ball centre touches: the front face and the back face, grown by the radius
+    const reach = paddle.width / 2 + ball.radius;
+    const faceX = paddle.x - direction * reach;
+    const backX = paddle.x + direction * reach;
+
+    // Already behind the paddle: it has been missed
+    if ((backX - ball.x) * direction <= 0) {
+      return null;
+    }
+
+    const time = Collision.timeToPlane(ball.x, vx, faceX);
+    if (time > maxTime) {
+      return null;
+    }
+
+    const yAtContact = ball.y + vy * time;
+    if (Math.abs(yAtContact - paddle.y) > paddle.height / 2 + ball.radius) {
+      return null;
+    }
+
+    return { time, x: faceX };
+  }
+
+  /**
+   * Tests whether a moving circle passes through a stationary circle.
+   * @param {number} x - Start X of the moving circle's centre.
+   * @param {number} y - Start Y of the moving circle's centre.
+   * @param {number} dx - X distance travelled.
+   * @param {number} dy - Y distance travelled.
+   * @param {number} cx - X of the stationary circle's centre.
+   * @param {number} cy - Y of the stationary circle's centre.
+   * @param {number} radius - Sum of both radii.
+   * @returns {boolean} - True when they touch at any point along the path.
+   */
+  static sweepCircle(x, y, dx, dy, cx, cy, radius) {
+    const lengthSquared = dx * dx + dy * dy;
+    // Closest point on the path to the stationary centre
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((cx - x) * dx + (cy - y) * dy) / lengthSquared));
+    return Math.hypot(x + dx * t - cx, y + dy * t - cy) < radius;
+  }
+
+  /**
+   * Returns when a moving point first comes within a distance of a fixed
+   * point, i.e. when a ball touches a circle. A ball already touching and
+   * still moving inwards touches at once; one moving away never does.
+   * @param {number} x - Start X of the moving point.
+   * @param {number} y - Start Y of the moving point.
+   * @param {number} vx - X velocity (pixels per second).
+   * @param {number} vy - Y velocity (pixels per second).
+   * @param {number} cx - X of the fixed point.
+   * @param {number} cy - Y of the fixed point.
+   * @param {number} radius - Distance at which they touch (sum of both radii).
+   * @returns {number} - Time of contact, Infinity when they never touch.
+   */
+  static timeToCircle(x, y, vx, vy, cx, cy, radius) {
+    const ox = x - cx;
+    const oy = y - cy;
+    const a = vx * vx + vy * vy;
+    const b = 2 * (ox * vx + oy * vy);
+    const c = ox * ox + oy * oy - radius * radius;
+    if (a === 0 || b >= 0) {
+      return Infinity; // Not moving, or moving away from the centre
+    }
+    if (c <= 0) {
+      return 0;
+    }
+    const discriminant = b * b - 4 * a * c;
+    return discriminant < 0 ? Infinity : (-b - Math.sqrt(discriminant)) / (2 * a);
+  }
+
+  /**
+   * Sweeps a ball against a box (an obstacle). The ball touches the box
+   * where its edge meets a face or a corner, so the surface the centre
+   * touches is the box grown by the radius with rounded corners. Only
+   * surfaces the ball moves towards count, so a ball that has just bounced
+   * off cannot touch again.
+   * @param {object} ball - Ball with centre and radius.
+   * @param {number} vx - Ball X velocity (pixels per second).
+   * @param {number} vy - Ball Y velocity (pixels per second).
+   * @param {{x: number, y: number, width: number, height: number}} box - Box centre and size.
+   * @param {number} maxTime - Length of the sweep in seconds.
+   * @returns {{time: number, normal: {x: number, y: number}}|null} - Contact time and the surface's
+   *   outward unit normal, or null.
+   */
+  static sweepBox(ball, vx, vy, box, maxTime) {
+    const left = box.x - box.width / 2;
+    const right = box.x + box.width / 2;
+    const top = box.y - box.height / 2;
+    const bottom = box.y + box.height / 2;
+    const r = ball.radius;
+    const contacts = [];
+
+    // Faces: the ball centre reaches a face plane pushed out by the radius, within the face's length
+    const face = (position, velocity, plane, normal) => {
+      const time = (plane - position) / velocity;
+      if (time < -Collision.EPSILON || time > maxTime) {
+        return;
+      }
+      const x = ball.x + vx * time;
+      const y = ball.y + vy * time;
+      if (normal.x !== 0 ? y >= top && y <= bottom : x >= left && x <= right) {
+        contacts.push({ time: Math.max(0, time), normal });
+      }
+    };
+    if (vx > 0) face(ball.x, vx, left - r, { x: -1, y: 0 });
+    if (vx < 0) face(ball.x, vx, right + r, { x: 1, y: 0 });
+    if (vy > 0) face(ball.y, vy, top - r, { x: 0, y: -1 });
+    if (vy < 0) face(ball.y, vy, bottom + r, { x: 0, y: 1 });
+
+    // Corners: the ball edge touches the corner point
+    [[left, top], [right, top], [left, bottom], [right, bottom]].forEach(([cx, cy]) => {
+      const time = Collision.timeToCircle(ball.x, ball.y, vx, vy, cx, cy, r);
+      if (time <= maxTime) {
+        const x = ball.x + vx * time;
+        const y = ball.y + vy * time;
+        const length = Math.hypot(x - cx, y - cy) || 1;
+        contacts.push({ time, normal: { x: (x - cx) / length, y: (y - cy) / length } });
+      }
+    });
+
+    return contacts.reduce((first, contact) => (!first || contact.time < first.time ? contact : first), null);
+  }
+
+  /**
+   * Finds how to push a ball out of a circle it overlaps.
+   * @param {object} ball - Ball with centre and radius.
+   * @param {number} cx - X of the circle's centre.
+   * @param {number} cy - Y of the circle's centre.
+   * @param {number} radius - Radius of the circle.
+   * @returns {{x: number, y: number, normal: {x: number, y: number}}|null} - Ball centre just touching
+   *   the circle and the outward unit normal, or null when they do not overlap.
+   */
+  static separateCircle(ball, cx, cy, radius) {
+    const reach = radius + ball.radius;
+    const distance = Math.hypot(ball.x - cx, ball.y - cy);
+    if (distance >= reach) {
+      return null;
+    }
+    const normal = distance === 0 ? { x: 0, y: -1 } : { x: (ball.x - cx) / distance, y: (ball.y - cy) / distance };
+    return { x: cx + normal.x * reach, y: cy + normal.y * reach, normal };
+  }
+
+  /**
+   * Finds how to push a ball out of a box it overlaps. A ball whose centre
+   * is inside the box leaves through the nearest face.
+   * @param {object} ball - Ball with centre and radius.
+   * @param {{x: number, y: number, width: number, height: number}} box - Box centre and size.
+   * @returns {{x: number, y: number, normal: {x: number, y: number}}|null} - Ball centre just touching
+   *   the box and the outward unit normal, or null when they do not overlap.
+   */
+  static separateBox(ball, box) {
+    const left = box.x - box.width / 2;
+    const right = box.x + box.width / 2;
+    const top = box.y - box.height / 2;
+    const bottom = box.y + box.height / 2;
+    const closestX = Math.max(left, Math.min(right, ball.x));
+    const closestY = Math.max(top, Math.min(bottom, ball.y));
+    const distance = Math.hypot(ball.x - closestX, ball.y - closestY);
+    if (distance >= ball.radius) {
+      return null;
+    }
+
+    if (distance > 0) {
+      const normal = { x: (ball.x - closestX) / distance, y: (ball.y - closestY) / distance };
+      return { x: closestX + normal.x * ball.radius, y: closestY + normal.y * ball.radius, normal };
+    }
+
+    // Centre inside the box: out through the nearest face
+    const exits = [
+      { depth: ball.x - left, x: left - ball.radius, y: ball.y, normal: { x: -1, y: 0 } },
+      { depth: right - ball.x, x: right + ball.radius, y: ball.y, normal: { x: 1, y: 0 } },
+      { depth: ball.y - top, x: ball.x, y: top - ball.radius, normal: { x: 0, y: -1 } },
+      { depth: bottom - ball.y, x: ball.x, y: bottom + ball.radius, normal: { x: 0, y: 1 } },
+    ];
+    const exit = exits.reduce((nearest, option) => (option.depth < nearest.depth ? option : nearest));
+    return { x: exit.x, y: exit.y, normal: exit.normal };
+  }
+}
@@ -0,0 +1,232 @@
+// Visual effects.
+// Ball trails, contact particles, paddle flashes, score pop-ups and screen
+// shake, all driven by simulation events. Unlike the simulation modules this
+// one draws with Kaboom globals. Effects never touch the match state, so live
+// matches, replays and online guests show the same effects for the same
+// events.
+
+export class VisualEffects {
+  // Caps per device class: live particles and trail length (positions per ball)
+  static LIMITS = {
+    full: { particles: 150, trail: 12 },
+    mobile: { particles: 40, trail: 5 },
+  };
+
+  // Particles per contact on the full layout (halved on mobile)
+  static BURSTS = { paddleHit: 12, wallBounce: 6, shieldBlock: 8, obstacleHit: 8, obstacleBroken: 16 };
+
+  static PARTICLE_LIFE = 0.35;  // Seconds a particle lives, fading out
+  static FLASH_DURATION = 0.12; // Seconds a paddle stays lit after a hit
+  static POPUP_LIFE = 0.8;      // Seconds a score pop-up stays up
+  static SHAKE_STRENGTH = 6;    // Screen shake on game over (Kaboom shake units)
+
+  constructor() {
+    this.palette = null;        // Play field colours of the current theme
+    this.mode = null;           // Game mode definition of the match (speed range for trails)
+    this.mobile = false;        // Mobile breakpoint: fewer particles and shorter trails
+    this.reducedMotion = false; // No trails, particles or shake; pop-ups stay put
+    this.trails = new Map();    // Recent positions per ball id: Array<{ x, y, radius }>
+  }
+
+  /**
+   * Returns whether the browser asks for reduced motion.
+   * @returns {boolean} - True when prefers-reduced-motion is set.
+   */
+  static prefersReducedMotion() {
+    return Boolean(globalThis.matchMedia && matchMedia("(prefers-reduced-motion: reduce)").matches);
+  }
+
+  /**
+   * Returns how many trail positions a ball keeps: none at the mode's
+   * starting speed, growing to the full trail at its top speed.
+   * @param {number} speed - Ball speed (pixels per second).
+   * @param {object} mode - Game mode definition (startSpeed, maxSpeed).
+   * @param {number} limit - Longest trail allowed.
+   * @returns {number} - Trail length.
+   */
+  static trailLength(speed, mode, limit) {
+    const range = mode.maxSpeed - mode.startSpeed;
+    const progress = range > 0 ? Math.max(0, Math.min(1, (speed - mode.startSpeed) / range)) : 1;
+    return Math.round(limit * progress);
+  }
+
+  /**
+   * Returns the caps for the current device class.
+   * @returns {{particles: number, trail: number}} - Effect limits.
+   */
+  get limits() {
+    return this.mobile ? VisualEffects.LIMITS.mobile : VisualEffects.LIMITS.full;
+  }
+
+  /**
+   * Starts effects for a freshly built play field: forgets old trails and
+   * adds the layer that draws them (tagged "game", so it goes with the field).
+   * @param {object} palette - Play field colours.
+   * @param {object} mode - Game mode definition of the match.
+   * @param {boolean} mobile - Whether the mobile breakpoint is active.
+   */
+  createLayer(palette, mode, mobile) {
+    this.palette = palette;
+    this.mode = mode;
+    this.mobile = mobile;
+    this.trails.clear();
+
+    const effects = this;
+    add([
+      z(-1), // Under the balls
+      "game",
+      {
+        draw() {
+          effects.drawTrails();
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Records this frame's ball positions for the trails.
+   * @param {Array<object>} ballStates - Balls from the rendered state.
+   */
+  updateTrails(ballStates) {
+    if (this.reducedMotion || !this.mode) {
+      this.trails.clear();
+      return;
+    }
+
+    const ids = new Set(ballStates.map((ball) => ball.id));
+    this.trails.forEach((trail, id) => {
+      if (!ids.has(id)) this.trails.delete(id); // Ball left play
+    });
+
+    ballStates.forEach((ball) => {
+      const trail = this.trails.get(ball.id) || [];
+      trail.push({ x: ball.x, y: ball.y, radius: ball.radius });
+      const length = VisualEffects.trailLength(ball.speed, this.mode, this.limits.trail);
+      trail.splice(0, Math.max(0, trail.length - length - 1)); // Keep the ball's own position plus the trail
+      this.trails.set(ball.id, trail);
+    });
+  }
+
+  /**
+   * Draws the trails as shrinking, fading circles behind each ball.
+   */
+  drawTrails() {
+    this.trails.forEach((trail) => {
+      const count = trail.length - 1; // The newest position is under the ball itself
+      for (let i = 0; i < count; i++) {
+        const age = (i + 1) / (count + 1); // 0 (oldest) to 1 (newest)
+        drawCircle({
+          pos: vec2(trail[i].x, trail[i].y),
+          radius: trail[i].radius * age,
+          color: rgb(...this.palette.ball),
+          opacity: 0.4 * age,
+        });
+      }
+    });
+  }
+
+  /**
+   * Shows the effects for one frame of simulation events.
+   * @param {Array<object>} events - Events returned by PongSimulation.step.
+   * @param {object} state - State the events happened in (for ball positions), laid out for this screen.
+   * @param {Array<KaboomGameObj>} paddles - Rendered paddles (left, right).
+   * @param {string} players - Match rules (config.players): solo scores paddle hits, versus points.
+   */
+  playEvents(events, state, paddles, players) {
+    events.forEach((event) => {
+      const ball = state.balls.find((b) => b.id === event.ballId);
+      switch (event.type) {
+        case "paddleHit": {
+          const paddle = paddles[event.side === "left" ? 0 : 1];
+          this.flashPaddle(paddle);
+          if (ball) {
+            this.burst(ball, VisualEffects.BURSTS.paddleHit, this.palette.ball);
+            if (players === "solo") this.popup(`+${event.points}`, ball.x, ball.y - ball.radius * 2);
+          }
+          break;
+        }
+        case "wallBounce":
+        case "shieldBlock":
+          if (ball) this.burst(ball, VisualEffects.BURSTS[event.type], this.palette.outline);
+          break;
+        case "obstacleHit":
+          if (ball) this.burst(ball, VisualEffects.BURSTS.obstacleHit, this.palette[event.obstacle === "bumper" ? "bumper" : "outline"]);
+          break;
+        case "obstacleBroken":
+          if (ball) this.burst(ball, VisualEffects.BURSTS.obstacleBroken, this.palette.breakable);
+          break;
+        case "pointScored":
+          this.popup("+1", width() * (event.side === "left" ? 0.25 : 0.75), center().y); // Over the scorer's half
+          break;
+        case "gameOver":
+          if (!this.reducedMotion) shake(VisualEffects.SHAKE_STRENGTH);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Lights a paddle in the ball colour for a moment.
+   * @param {KaboomGameObj} paddle - Paddle that was hit.
+   */
+  flashPaddle(paddle) {
+    if (!paddle || !paddle.exists()) {
+      return;
+    }
+    const palette = this.palette;
+    paddle.color = rgb(...palette.ball);
+    wait(VisualEffects.FLASH_DURATION, () => {
+      if (paddle.exists()) paddle.color = rgb(...palette.paddle);
+    });
+  }
+
+  /**
+   * Sprays particles from a ball, within the particle cap.
+   * @param {object} ball - Ball state (position and radius).
+   * @param {number} count - Particles on the full layout.
+   * @param {Array<number>} rgbColor - Particle colour.
+   */
+  burst(ball, count, rgbColor) {
+    if (this.reducedMotion) {
+      return;
+    }
+    const wanted = this.mobile ? Math.ceil(count / 2) : count;
+    const available = this.limits.particles - get("particle").length;
+    for (let i = 0; i < Math.min(wanted, available); i++) {
+      add([
+        pos(ball.x, ball.y),
+        circle(rand(1.5, 3.5)),
+        color(...rgbColor),
+        opacity(1),
+        move(rand(0, 360), rand(80, 260)),
+        lifespan(VisualEffects.PARTICLE_LIFE, { fade: VisualEffects.PARTICLE_LIFE }),
+        z(6),
+        "particle",
+        "game",
+      ]);
+    }
+  }
+
+  /**
+   * Shows a short score text that floats up and fades (or just fades with
+   * reduced motion).
+   * @param {string} label - Text to show.
+   * @param {number} x - X position.
+   * @param {number} y - Y position.
+   */
+  popup(label, x, y) {
+    add([
+      text(label, { size: 24 }),
+      pos(x, y),
+      anchor("center"),
+      color(...this.palette.outline),
+      opacity(1),
+      ...(this.reducedMotion ? [] : [move(UP, 60)]),
+      lifespan(VisualEffects.POPUP_LIFE, { fade: VisualEffects.POPUP_LIFE / 2 }),
+      z(20),
+      "game",
+    ]);
+  }
+}
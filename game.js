@@ -1,66 +1,172 @@
 // Import Kaboom.js library from CDN
 import kaboom from "https://unpkg.com/kaboom@3000.0.1/dist/kaboom.mjs";
-
-// Initialize Kaboom context with canvas dimensions and properties
+// Import the engine-independent simulation core
+import { PongSimulation } from "./simulation.js";
+// Import match recording and replay playback
+import { ReplayRecorder, ReplayPlayer } from "./replay.js";
+// Import the computer-controlled paddle
+import { AIController } from "./ai.js";
+// Import the local high score table
+import { HighScoreStore } from "./highscores.js";
+// Import power-up definitions
+import { PowerUps } from "./powerups.js";
+// Import the game mode registry
+import { GameModeRegistry } from "./modes.js";
+// Import the procedural sound effects
+import { SoundEffects } from "./audio.js";
+// Import the saved player settings
+import { SettingsStore } from "./settings.js";
+// Import gamepad polling
+import { GamepadInput } from "./gamepad.js";
+// Import online play networking
+import { RelayConnection, FieldMapping } from "./net.js";
+// Import the visual effects layer
+import { VisualEffects } from "./effects.js";
+// Import the colour themes
+import { Themes } from "./themes.js";
+// Import screen reader announcements
+import { LiveAnnouncer } from "./announcer.js";
+// Import the string tables and locale formatting
+import { I18n } from "./i18n.js";
+// Import per-match statistics and the session history
+import { MatchStats } from "./stats.js";
+import { SessionHistory } from "./history.js";
+// Import the level format and the bundled levels loader
+import { Levels } from "./levels.js";
+// Import the scoring rules
+import { ScoringRules } from "./scoring.js";
+// Import the screen state machine
+import { StateMachine } from "./states.js";
+
+// Initialize Kaboom context with canvas properties
+// No fixed width/height: the canvas fills the window and follows resizes and
+// orientation changes (PongGame.checkViewport relays the game out)
 kaboom({
-  background: [255, 255, 255], // Set background color to white
-  width: window.innerWidth,    // Canvas width: full window width
-  height: window.innerHeight,  // Canvas height: full window height
+  background: Themes.get("auto").background, // Browser's preferred theme until the settings apply
   fullscreen: true,            // Enable fullscreen mode
 });
 
 // Utility class for game-related helper functions
 class GameUtils {
+  static TOUCH_TARGET = 44; // Smallest comfortable button size for a finger (pixels)
+  static palette = Themes.get("auto"); // Colour tokens of the active theme (see Themes.THEMES)
+
   /**
-   * Converts seconds to "minutes:seconds" format.
+   * Converts seconds to "minutes:seconds" format, with the digits of the
+   * active language.
    * @param {number} seconds - Total seconds to format.
    * @returns {string} - Formatted time string.
    */
   static formatTime(seconds) {
     const minutes = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
-    return `${minutes}:${secs.toString().padStart(2, "0")}`;
+    return `${I18n.formatNumber(minutes)}:${I18n.formatNumber(secs, { minimumIntegerDigits: 2 })}`;
   }
 
   /**
-   * Returns a random spawn position and velocity for game objects.
-   * Spawns on left or right side of the screen.
-   * @param {number} headerHeight - Height of the header UI.
-   * @param {number} gameHeight - Height of the game area.
-   * @returns {{x: number, y: number, velocity: vec2}} - Position and velocity.
-   */
-  static getRandomSpawnPosition(headerHeight, gameHeight) {
-    const spawnSide = choose([0, 1]); // 0: left, 1: right
-    const spawnX = spawnSide === 0 ? 100 : width() - 100;
-    const spawnY = headerHeight + 100 + rand(0, gameHeight - headerHeight - 200);
-    const direction = spawnSide === 0 ? 1 : -1;
+   * Component that shrinks a text's font until it fits a width, so longer
+   * translations stay inside the fixed modal width. Text that already fits
+   * keeps its size.
+   * @param {number} maxWidth - Widest the text may be (pixels).
+   * @returns {object} - Kaboom component.
+   */
+  static fitWidth(maxWidth) {
+    return {
+      id: "fitWidth",
+      require: ["text"],
+      add() {
+        if (this.width > maxWidth) {
+          this.textSize = Math.floor(this.textSize * (maxWidth / this.width));
+          this.text = this.text; // Setting the text re-measures width and height
+        }
+      },
+    };
+  }
+
+  /**
+   * Component that grows a button's clickable area to a comfortable finger
+   * size on touchscreens. Add it after area(). The area only grows, and never
+   * beyond maxHeight, so closely stacked buttons do not overlap.
+   * @param {number} [maxHeight=GameUtils.TOUCH_TARGET] - Tallest the clickable area may get (the row spacing).
+   * @returns {object} - Kaboom component.
+   */
+  static touchTarget(maxHeight = GameUtils.TOUCH_TARGET) {
     return {
-      x: spawnX,
-      y: spawnY,
-      velocity: vec2(direction * 1, rand(-0.5, 0.5)).unit()
+      id: "touchTarget",
+      require: ["area"],
+      add() {
+        if (!isTouchscreen()) {
+          return;
+        }
+        const targetHeight = Math.min(GameUtils.TOUCH_TARGET, maxHeight);
+        this.area.scale = vec2(
+          Math.max(1, GameUtils.TOUCH_TARGET / this.width),
+          Math.max(1, targetHeight / this.height)
+        );
+      },
     };
   }
 
   /**
-   * Restricts paddle movement within vertical bounds.
-   * @param {number} mouseY - Mouse Y position.
-   * @param {number} headerHeight - Height of header UI.
-   * @param {number} screenHeight - Height of the screen.
-   * @returns {number} - Constrained Y position.
+   * Makes a theme active for everything drawn from now on and applies its
+   * background.
+   * @param {string} theme - Theme setting: "auto" or a theme name (see Themes.THEMES).
+   * @returns {object} - Colour tokens of the theme.
    */
-  static constrainPaddlePosition(mouseY, headerHeight, screenHeight) {
+  static applyTheme(theme) {
+    GameUtils.palette = Themes.get(theme);
+    setBackground(GameUtils.themeRgb("background"));
+    return GameUtils.palette;
+  }
+
+  /**
+   * Returns a color() component for a token of the active theme.
+   * @param {string} token - Colour token (see Themes.THEMES).
+   * @returns {object} - Kaboom color component.
+   */
+  static themeColor(token) {
+    return color(...GameUtils.palette[token]);
+  }
+
+  /**
+   * Returns a token of the active theme as a Kaboom colour value.
+   * @param {string} token - Colour token (see Themes.THEMES).
+   * @returns {Color} - Kaboom colour.
+   */
+  static themeRgb(token) {
+    return rgb(...GameUtils.palette[token]);
+  }
+
+  /**
+   * Returns paddle dimensions for the current device breakpoint.
+   * @param {number|null} [heightOverride=null] - Paddle height from the settings, or null for the breakpoint's.
+   * @returns {{width: number, height: number, offset: number}} - Paddle size and distance from the screen edge.
+   */
+  static getPaddleConfig(heightOverride = null) {
     const responsive = GameUtils.getResponsiveDimensions();
-    // Paddle height based on device breakpoint
     const paddleConfigs = {
-      mobile: { height: 100 },
-      tablet: { height: 120 },
-      laptop: { height: 140 },
-      desktop: { height: 160 }
+      mobile: { width: 15, height: 100, offset: 25 },
+      tablet: { width: 18, height: 120, offset: 30 },
+      laptop: { width: 20, height: 140, offset: 35 },
+      desktop: { width: 22, height: 160, offset: 40 }
     };
-    const paddleHeight = paddleConfigs[responsive.breakpoint].height;
-    const minY = headerHeight + paddleHeight / 2;
-    const maxY = screenHeight - paddleHeight / 2;
-    return Math.max(minY, Math.min(maxY, mouseY));
+    const config = paddleConfigs[responsive.breakpoint];
+    return heightOverride === null ? config : { ...config, height: heightOverride };
+  }
+
+  /**
+   * Returns the ball radius for the current device breakpoint.
+   * @returns {number} - Ball radius.
+   */
+  static getBallRadius() {
+    const responsive = GameUtils.getResponsiveDimensions();
+    const ballConfigs = {
+      mobile: { radius: 10 },
+      tablet: { radius: 12 },
+      laptop: { radius: 14 },
+      desktop: { radius: 16 }
+    };
+    return ballConfigs[responsive.breakpoint].radius;
   }
 
   /**
@@ -90,7 +196,7 @@ class GameUtils {
     const configs = {
       mobile: {
         modalWidth: 300,
-        modalHeight: 280,
+        modalHeight: 340,
         titleSize: 18,
         subtitleSize: 14,
         buttonSize: 12,
@@ -99,7 +205,7 @@ class GameUtils {
       },
       tablet: {
         modalWidth: 400,
-        modalHeight: 320,
+        modalHeight: 380,
         titleSize: 22,
         subtitleSize: 16,
         buttonSize: 14,
@@ -108,7 +214,7 @@ class GameUtils {
       },
       laptop: {
         modalWidth: 450,
-        modalHeight: 350,
+        modalHeight: 420,
         titleSize: 24,
         subtitleSize: 18,
         buttonSize: 16,
@@ -117,7 +223,7 @@ class GameUtils {
       },
       desktop: {
         modalWidth: 500,
-        modalHeight: 400,
+        modalHeight: 480,
         titleSize: 32,
         subtitleSize: 20,
         buttonSize: 18,
@@ -132,672 +238,3770 @@ class GameUtils {
   }
 }
 
-// UI Manager class for handling UI elements
-class UIManager {
-  static headerHeight = 60; // Height of the top header bar
+// Reusable UI widgets: modal, bar, label, button, toggle, stepper, slider,
+// track and text input.
+// A screen creates one Widgets for its tag, so everything it adds goes away
+// with destroyAll(tag), and builds its controls through it instead of raw
+// add() calls. Buttons grow under the pointer, shrink while pressed and
+// fade out when disabled (FocusManager skips disabled buttons).
+class Widgets {
+  static HOVER_SCALE = 1.06;     // Button size under the pointer
+  static PRESSED_SCALE = 0.94;   // Button size while held down
+  static DISABLED_OPACITY = 0.4; // Opacity of a button that cannot be pressed
+  static CARET_BLINK = 0.5;      // Seconds the text input caret stays on (and off)
 
   /**
-   * Creates the top header UI with title, mode, and timer.
-   * @param {string} gameMode - Current game mode.
-   * @param {object} gameInstance - Game state object.
+   * Creates a widget factory for one screen.
+   * @param {string} tag - Screen tag given to every object, e.g. "menu".
+   * @param {number} [baseZ=30] - Layer of the modal; its content goes 10 above.
    */
-  
-  static createHeader(gameMode, gameInstance) {
-    const responsive = GameUtils.getResponsiveDimensions();
-
-    // Header background bar
-    add([
-      pos(0, 0),
-      rect(width(), this.headerHeight),
-      color(50, 50, 50),
-      z(10),
-      "header",
-    ]);
-
-    // Game title text
-    add([
-      text("PONG GAME", { size: responsive.headerSize }),
-      pos(20, this.headerHeight / 2),
-      anchor("left"),
-      color(255, 255, 255),
-      z(20),
-      "header",
-    ]);
-
-    // Game mode display
-    add([
-      text(`Mode: ${gameMode.toUpperCase()}`, { size: responsive.headerSize * 0.7 }),
-      pos(center().x, this.headerHeight / 2),
-      anchor("center"),
-      color(255, 255, 0),
-      z(20),
-      "header",
-    ]);
+  constructor(tag, baseZ = 30) {
+    this.tag = tag;
+    this.baseZ = baseZ;
+    this.responsive = GameUtils.getResponsiveDimensions();
+  }
 
-    // Timer display (updates in real-time)
-    add([
-      text("Time: 0:00", { size: responsive.headerSize * 0.8 }),
-      pos(width() - 20, this.headerHeight / 2),
-      anchor("right"),
-      color(255, 255, 255),
-      z(20),
-      "header",
-      {
-        update() {
-          if (gameInstance && gameInstance.gameState === "playing") {
-            this.text = `Time: ${GameUtils.formatTime(gameInstance.gameTime)}`;
-          }
-        },
+  /**
+   * Component that scales a button for hover and press feedback.
+   * @returns {object} - Kaboom component.
+   */
+  static interactive() {
+    return {
+      id: "interactive",
+      require: ["area", "scale"],
+      update() {
+        let size = 1;
+        if (!this.disabled && this.isHovering()) {
+          size = isMouseDown() ? Widgets.PRESSED_SCALE : Widgets.HOVER_SCALE;
+        }
+        this.scale = vec2(size);
       },
-    ]);
-
-    // Separator line below header
-    add([
-      pos(0, this.headerHeight),
-      rect(width(), 2),
-      color(100, 100, 100),
-      z(15),
-      "header",
-    ]);
+    };
   }
+
   /**
-   * Creates the main menu UI, including mode selection and instructions.
-   * @param {string} gameMode - Current game mode.
+   * Adds a modal panel centred on the screen.
+   * @param {number} panelWidth - Panel width.
+   * @param {number} panelHeight - Panel height.
+   * @returns {KaboomGameObj} - The panel.
    */
-  static createMenu(gameMode) {
-    const responsive = GameUtils.getResponsiveDimensions();
-    const isSmallScreen = height() <= 800 || width() <= 1400;
-    
-    // Menu background (responsive)
-    add([
+  modal(panelWidth, panelHeight) {
+    return add([
       pos(center().x, center().y),
-      rect(responsive.modalWidth, responsive.modalHeight),
-      color(240, 240, 240),
-      outline(4),
-      anchor("center"),
-      z(30),
-      "menu",
-    ]);
-
-    // Title (responsive positioning)
-    add([
-      text("WELCOME TO PONG!", { size: responsive.titleSize }),
-      pos(center().x, center().y - responsive.modalHeight * 0.35),
+      rect(panelWidth, panelHeight),
+      GameUtils.themeColor("panel"),
+      outline(4, GameUtils.themeRgb("panelOutline")),
       anchor("center"),
-      color(50, 50, 50),
-      z(40),
-      "menu",
+      z(this.baseZ),
+      this.tag,
     ]);
+  }
 
-    // Mode selection title (responsive positioning)
-    add([
-      text("SELECT GAME MODE:", { size: responsive.subtitleSize }),
-      pos(center().x, center().y - responsive.modalHeight * 0.2),
-      anchor("center"),
-      color(50, 50, 50),
-      z(40),
-      "menu",
+  /**
+   * Adds a full-width bar along the bottom of the screen, e.g. for playback
+   * controls.
+   * @param {number} barHeight - Bar height.
+   * @returns {KaboomGameObj} - The bar.
+   */
+  bar(barHeight) {
+    return add([
+      pos(0, height() - barHeight),
+      rect(width(), barHeight),
+      GameUtils.themeColor("headerBackground"),
+      opacity(0.9),
+      z(this.baseZ),
+      this.tag,
     ]);
-
-    this.createModeButtons(gameMode, responsive);
-    this.createModeDescriptions(responsive);
-    this.createInstructions(responsive);
-    this.createStartButton(responsive);
   }
 
-  static createModeButtons(gameMode, responsive) {
-    const buttonSpacing = responsive.modalWidth * 0.25;
-    
-    // Speed Mode button
-    add([
-      text("SPEED MODE", { size: responsive.buttonSize }),
-      pos(center().x - buttonSpacing, center().y - responsive.modalHeight * 0.05),
-      anchor("center"),
-      color(
-        gameMode === "speed" ? 0 : 0,
-        gameMode === "speed" ? 150 : 0,
-        gameMode === "speed" ? 0 : 0
-      ),
-      area(),
-      z(40),
-      "menu",
-      "speedModeButton",
+  /**
+   * Adds a line of text.
+   * @param {string|Function} value - Text, or a function returning it (read every frame).
+   * @param {object} options - Placement and style.
+   * @param {number} [options.x=center().x] - X position.
+   * @param {number} options.y - Y position.
+   * @param {number} [options.size] - Font size; defaults to the breakpoint's button size.
+   * @param {string} [options.color="text"] - Colour token.
+   * @param {string} [options.align="center"] - Kaboom anchor, e.g. "left".
+   * @param {number|null} [options.maxWidth=null] - Widest the text may be before its font shrinks.
+   * @param {number|null} [options.wrapWidth=null] - Width to wrap at (centred lines) instead of shrinking.
+   * @returns {KaboomGameObj} - The label.
+   */
+  label(value, { x = center().x, y, size = this.responsive.buttonSize, color = "text", align = "center", maxWidth = null, wrapWidth = null }) {
+    const isLive = typeof value === "function";
+    return add([
+      text(isLive ? value() : value, wrapWidth ? { size, width: wrapWidth, align: "center" } : { size }),
+      ...(maxWidth ? [GameUtils.fitWidth(maxWidth)] : []),
+      pos(x, y),
+      anchor(align),
+      GameUtils.themeColor(color),
+      z(this.baseZ + 10),
+      this.tag,
+      isLive ? { update() { this.text = value(); } } : {},
     ]);
+  }
 
-    // Agility Mode button
-    add([
-      text("AGILITY MODE", { size: responsive.buttonSize }),
-      pos(center().x + buttonSpacing, center().y - responsive.modalHeight * 0.05),
-      anchor("center"),
-      color(
-        gameMode === "agility" ? 0 : 0,
-        gameMode === "agility" ? 150 : 0,
-        gameMode === "agility" ? 0 : 0
-      ),
+  /**
+   * Adds a text button. The selected option is highlighted and underlined,
+   * so the selection does not rely on colour alone.
+   * @param {string} buttonTag - Tag the click handler is registered for (see FocusManager.addButton).
+   * @param {string} value - Button text.
+   * @param {object} options - Placement, style and state.
+   * @param {number} [options.x=center().x] - X position.
+   * @param {number} options.y - Y position.
+   * @param {number} [options.size] - Font size; defaults to the breakpoint's button size.
+   * @param {string} [options.color="textStrong"] - Colour token (the selected option is always "positive").
+   * @param {string} [options.align="center"] - Kaboom anchor.
+   * @param {number|null} [options.maxWidth=null] - Widest the text may be before its font shrinks.
+   * @param {number} [options.touchHeight=GameUtils.TOUCH_TARGET] - Tallest the touch area may get (the row pitch).
+   * @param {boolean} [options.selected=false] - Whether this is the selected option.
+   * @param {boolean} [options.disabled=false] - Whether the button is shown but cannot be pressed.
+   * @param {object} [options.props={}] - Extra fields for the click handler, e.g. { modeId }.
+   * @returns {KaboomGameObj} - The button.
+   */
+  button(buttonTag, value, {
+    x = center().x,
+    y,
+    size = this.responsive.buttonSize,
+    color = "textStrong",
+    align = "center",
+    maxWidth = null,
+    touchHeight = GameUtils.TOUCH_TARGET,
+    selected = false,
+    disabled = false,
+    props = {},
+  }) {
+    const button = add([
+      text(value, { size }),
+      ...(maxWidth ? [GameUtils.fitWidth(maxWidth)] : []),
+      pos(x, y),
+      anchor(align),
+      GameUtils.themeColor(selected ? "positive" : color),
+      opacity(disabled ? Widgets.DISABLED_OPACITY : 1),
       area(),
-      z(40),
-      "menu",
-      "agilityModeButton",
+      GameUtils.touchTarget(touchHeight),
+      scale(1),
+      Widgets.interactive(),
+      z(this.baseZ + 10),
+      this.tag,
+      buttonTag,
+      { selected, disabled, ...props },
     ]);
+    if (selected) {
+      // Child objects follow the button's hover scale
+      button.add([
+        pos(0, button.height / 2 + 3),
+        rect(button.width, 3),
+        anchor("center"),
+        GameUtils.themeColor("positive"),
+      ]);
+    }
+    return button;
   }
 
-  static createModeDescriptions(responsive) {
-    const buttonSpacing = responsive.modalWidth * 0.25;
-    
-    add([
-      text("Ball gets faster", { size: responsive.buttonSize * 0.7 }),
-      pos(center().x - buttonSpacing, center().y + responsive.modalHeight * 0.05),
+  /**
+   * Adds an on/off toggle: a button with a switch drawn to its right.
+   * @param {string} buttonTag - Click handler tag.
+   * @param {string} value - Button text.
+   * @param {boolean} on - Whether the toggle is on.
+   * @param {object} options - Button options (see button); `y` is required.
+   * @returns {KaboomGameObj} - The button.
+   */
+  toggle(buttonTag, value, on, options) {
+    const size = options.size || this.responsive.buttonSize;
+    const switchWidth = size * 2;
+    const gap = this.responsive.spacing.small;
+    const x = (options.x === undefined ? center().x : options.x) - (gap + switchWidth) / 2; // Centre text and switch together
+    const button = this.button(buttonTag, value, { ...options, x, size, props: { ...options.props, checked: on } });
+
+    // Switch: a pill with its knob on the right when on
+    const track = button.add([
+      pos(button.width / 2 + gap + switchWidth / 2, 0),
+      rect(switchWidth, size, { radius: size / 2 }),
       anchor("center"),
-      color(100, 100, 100),
-      z(40),
-      "menu",
+      GameUtils.themeColor(on ? "positive" : "track"),
     ]);
-
-    add([
-      text("New ball every 10s", { size: responsive.buttonSize * 0.7 }),
-      pos(center().x + buttonSpacing, center().y + responsive.modalHeight * 0.05),
+    track.add([
+      pos((on ? 1 : -1) * size / 2, 0),
+      circle(size * 0.35),
       anchor("center"),
-      color(100, 100, 100),
-      z(40),
-      "menu",
+      GameUtils.themeColor("panel"),
     ]);
+    return button;
   }
+
   /**
-   * Displays instructions for controlling the game.
-   * @param {object} responsive - Responsive UI config.
+   * Adds a stepper row: label on the left, then "<", the value and ">". The
+   * < and > buttons carry a `direction` of -1 or 1.
+   * @param {string} buttonTag - Click handler tag of the < and > buttons.
+   * @param {string} value - Label text.
+   * @param {string} valueText - Current value as shown.
+   * @param {object} options - Placement and style.
+   * @param {number} options.y - Y position.
+   * @param {number} [options.size] - Font size; defaults to the breakpoint's button size.
+   * @param {number} [options.touchHeight] - Tallest the touch areas may get (the row pitch).
+   * @param {object} [options.props={}] - Extra fields for the click handlers, e.g. { key }.
    */
-  static createInstructions(responsive) {
-    add([
-      text("Move your mouse to control the paddles", { size: responsive.buttonSize * 0.8 }),
-      pos(center().x, center().y + responsive.modalHeight * 0.15),
-      anchor("center"),
-      color(100, 100, 100),
-      z(40),
-      "menu",
-    ]);
+  stepper(buttonTag, value, valueText, { y, size = this.responsive.buttonSize, touchHeight = GameUtils.TOUCH_TARGET, props = {} }) {
+    const rowWidth = this.responsive.modalWidth * 0.9;
+    const arrowWidth = size * 2;
+    const gap = this.responsive.spacing.small;
+    const arrow = (direction) => (x, rowY) => {
+      this.button(buttonTag, direction < 0 ? "<" : ">", {
+        x,
+        y: rowY,
+        size,
+        color: "control",
+        touchHeight,
+        props: { ...props, direction, ariaLabel: I18n.t(direction < 0 ? "setting.down" : "setting.up", { label: value }) },
+      });
+    };
+
+    new Layout("horizontal", { y, gap })
+      .add(rowWidth * 0.5, (x, rowY, cellWidth) => {
+        this.label(value, { x: x - cellWidth / 2, y: rowY, size, align: "left", maxWidth: cellWidth });
+      })
+      .add(arrowWidth, arrow(-1))
+      .add(rowWidth * 0.5 - arrowWidth * 2 - gap * 3, (x, rowY, cellWidth) => {
+        this.label(valueText, { x, y: rowY, size, color: "textStrong", maxWidth: cellWidth });
+      })
+      .add(arrowWidth, arrow(1))
+      .arrange();
   }
 
   /**
-   * Creates the "START GAME" button.
-   * @param {object} responsive - Responsive UI config.
+   * Adds a slider row: label on the left, then "-", a track filled up to the
+   * value, "+" and the formatted value. The - and + buttons carry a
+   * `direction` of -1 or 1; the track, when given a tag, carries
+   * `valueAt(x)` for the pointer position and is left out of keyboard focus
+   * (the buttons cover it).
+   * @param {string} buttonTag - Click handler tag of the - and + buttons.
+   * @param {string} value - Label text.
+   * @param {number} amount - Current value.
+   * @param {object} options - Placement and range.
+   * @param {number} options.y - Y position.
+   * @param {number} [options.min=0] - Lowest value.
+   * @param {number} [options.max=1] - Highest value.
+   * @param {Function} [options.format=String] - Turns the value into its display text.
+   * @param {string|null} [options.trackTag=null] - Click handler tag of the track, or null for a display-only track.
+   * @param {number} [options.touchHeight] - Tallest the touch areas may get (the row pitch).
+   * @param {object} [options.props={}] - Extra fields for the click handlers, e.g. { channel }.
    */
-  static createStartButton(responsive) {
-    add([
-      text("START GAME", { size: responsive.subtitleSize }),
-      pos(center().x, center().y + responsive.modalHeight * 0.28),
-      anchor("center"),
-      color(0, 150, 0),
-      area(),
-      z(40),
-      "menu",
-      "startButton",
-    ]);
+  slider(buttonTag, value, amount, { y, min = 0, max = 1, format = String, trackTag = null, touchHeight = GameUtils.TOUCH_TARGET, props = {} }) {
+    const size = this.responsive.buttonSize;
+    const rowWidth = this.responsive.modalWidth * 0.9;
+    const left = center().x - rowWidth / 2;
+    const trackLeft = left + rowWidth * 0.5;
+    const trackWidth = rowWidth * 0.3;
+
+    this.label(value, { x: left, y, size, align: "left", maxWidth: rowWidth * 0.38 });
+    this.label(format(amount), { x: left + rowWidth, y, size, align: "right", maxWidth: rowWidth * 0.1 });
+    [-1, 1].forEach((direction) => {
+      this.button(buttonTag, direction < 0 ? "-" : "+", {
+        x: trackLeft + (direction < 0 ? -rowWidth * 0.05 : trackWidth + rowWidth * 0.05),
+        y,
+        size,
+        touchHeight,
+        props: { ...props, direction, ariaLabel: I18n.t(direction < 0 ? "setting.down" : "setting.up", { label: value }) },
+      });
+    });
+
+    this.track(amount, { x: trackLeft, y, width: trackWidth, min, max, trackTag, touchHeight, props });
   }
 
   /**
-   * Displays the game over screen with score and time.
-   * @param {number} score - Final score.
-   * @param {string} finalTime - Final time played.
+   * Adds a track filled up to an amount. When given a tag it takes clicks
+   * and carries `valueAt(x)`, the amount under the pointer; it is left out
+   * of keyboard focus (its screen offers buttons or keys for the same).
+   * @param {number|Function} amount - Current amount, or a function returning it (read every frame).
+   * @param {object} options - Placement and range.
+   * @param {number} options.x - Left end.
+   * @param {number} options.y - Centre line.
+   * @param {number} options.width - Track length.
+   * @param {number} [options.min=0] - Amount of an empty track.
+   * @param {number} [options.max=1] - Amount of a full track.
+   * @param {string|null} [options.trackTag=null] - Click handler tag, or null for a display-only track.
+   * @param {number} [options.touchHeight=GameUtils.TOUCH_TARGET] - Tallest the touch area may get (the row pitch).
+   * @param {object} [options.props={}] - Extra fields for the click handler.
+   * @returns {KaboomGameObj} - The track.
    */
-  static createGameOverScreen(score, finalTime) {
-    const responsive = GameUtils.getResponsiveDimensions();
-
-    // Modal background for game over
-    add([
-      pos(center().x, center().y),
-      rect(responsive.modalWidth, responsive.modalHeight),
-      color(240, 240, 240),
-      outline(4),
-      anchor("center"),
-      z(30),
-      "gameOver",
-    ]);
-
-    // "GAME OVER!" title
-    add([
-      text("GAME OVER!", { size: responsive.titleSize }),
-      pos(center().x, center().y - responsive.modalHeight * 0.35),
-      anchor("center"),
-      color(200, 50, 50),
-      z(40),
-      "gameOver",
-    ]);
+  track(amount, { x, y, width: trackWidth, min = 0, max = 1, trackTag = null, touchHeight = GameUtils.TOUCH_TARGET, props = {} }) {
+    const trackHeight = this.responsive.buttonSize * 0.5;
+    const read = typeof amount === "function" ? amount : () => amount;
+    const fillWidth = () => {
+      const progress = max > min ? Math.max(0, Math.min(1, (read() - min) / (max - min))) : 0;
+      return Math.max(trackHeight, trackWidth * progress);
+    };
 
-    // Final score display
-    add([
-      text(`Final Score: ${score}`, { size: responsive.subtitleSize }),
-      pos(center().x, center().y - responsive.modalHeight * 0.15),
-      anchor("center"),
-      color(50, 50, 50),
-      z(40),
-      "gameOver",
+    const track = add([
+      pos(x, y),
+      rect(trackWidth, trackHeight, { radius: trackHeight / 2 }),
+      anchor("left"),
+      GameUtils.themeColor("track"),
+      z(this.baseZ + 10),
+      this.tag,
+      ...(trackTag ? [area(), GameUtils.touchTarget(touchHeight), trackTag] : []),
+      {
+        ...props,
+        focusable: false,
+        valueAt(pointerX) {
+          return min + Math.max(0, Math.min(1, (pointerX - x) / trackWidth)) * (max - min);
+        },
+      },
     ]);
-
-    // Final time display
     add([
-      text(`Time Played: ${GameUtils.formatTime(finalTime)}`, { size: responsive.subtitleSize }),
-      pos(center().x, center().y - responsive.modalHeight * 0.05),
-      anchor("center"),
-      color(50, 50, 50),
-      z(40),
-      "gameOver",
+      pos(x, y),
+      rect(fillWidth(), trackHeight, { radius: trackHeight / 2 }),
+      anchor("left"),
+      GameUtils.themeColor("accent"),
+      z(this.baseZ + 11),
+      this.tag,
+      typeof amount === "function" ? { update() { this.width = fillWidth(); } } : {},
     ]);
-
-    // Add game over buttons
-    this.createGameOverButtons(responsive);
+    return track;
   }
 
   /**
-   * Adds "PLAY AGAIN" and "MAIN MENU" buttons to the game over screen.
-   * @param {object} responsive - Responsive UI config.
+   * Adds a text input box showing what is typed, with a blinking caret while
+   * it takes input. Typing itself is handled by the screen's key handlers.
+   * @param {Function} read - Returns the current text (read every frame).
+   * @param {object} options - Placement and state.
+   * @param {number} [options.x=center().x] - Centre of the box.
+   * @param {number} options.y - Centre of the box.
+   * @param {number} options.width - Box width.
+   * @param {number} [options.size] - Font size; defaults to the breakpoint's subtitle size.
+   * @param {Function} [options.active] - Returns whether the box takes input (shows the caret); always by default.
+   * @returns {KaboomGameObj} - The box.
    */
-  static createGameOverButtons(responsive) {
-    // "PLAY AGAIN" button
-    add([
-      text("PLAY AGAIN", { size: responsive.buttonSize }),
-      pos(center().x, center().y + responsive.modalHeight * 0.12),
+  textInput(read, { x = center().x, y, width: boxWidth, size = this.responsive.subtitleSize, active = () => true }) {
+    const padding = this.responsive.spacing.small;
+    const box = add([
+      pos(x, y),
+      rect(boxWidth, size + padding * 2, { radius: 4 }),
+      GameUtils.themeColor("background"),
+      outline(2, GameUtils.themeRgb("accent")),
       anchor("center"),
-      color(0, 150, 0),
-      area(),
-      z(40),
-      "gameOver",
-      "playAgainButton",
+      z(this.baseZ + 10),
+      this.tag,
     ]);
-
-    // "MAIN MENU" button
     add([
-      text("MAIN MENU", { size: responsive.buttonSize }),
-      pos(center().x, center().y + responsive.modalHeight * 0.25),
-      anchor("center"),
-      color(100, 100, 100),
-      area(),
-      z(40),
-      "gameOver",
-      "menuButton",
+      text(read(), { size }),
+      pos(x - boxWidth / 2 + padding, y),
+      anchor("left"),
+      GameUtils.themeColor("accent"),
+      z(this.baseZ + 11),
+      this.tag,
+      {
+        update() {
+          const caretOn = active() && Math.floor(time() / Widgets.CARET_BLINK) % 2 === 0;
+          this.text = read() + (caretOn ? "_" : "");
+        },
+      },
     ]);
+    return box;
   }
 }
 
-// Ball Manager Class
-class BallManager {
-  constructor() {
-    this.balls = []; // Array to keep track of all balls in play
+// Layout helper. Stacks rows top to bottom (vertical) or cells left to right
+// (horizontal) with the breakpoint's spacing between them, centred on a
+// point, so screens place widgets by their size instead of by fractions of
+// the modal. Each item's build callback gets the centre of its slot.
+class Layout {
+  /**
+   * Creates an empty layout.
+   * @param {string} direction - "vertical" or "horizontal".
+   * @param {object} [options] - Placement.
+   * @param {number} [options.x=center().x] - Centre of the block.
+   * @param {number} [options.y=center().y] - Centre of the block.
+   * @param {string|number} [options.gap="medium"] - Default space between items: a spacing name (small, medium,
+   *   large) or pixels.
+   * @param {number|null} [options.maxSize=null] - Longest the block may be; the gaps shrink to fit.
+   */
+  constructor(direction, { x = center().x, y = center().y, gap = "medium", maxSize = null } = {}) {
+    this.direction = direction;
+    this.x = x;
+    this.y = y;
+    this.gap = gap;
+    this.maxSize = maxSize;
+    this.spacing = GameUtils.getResponsiveDimensions().spacing;
+    this.items = [];
   }
 
   /**
-   * Creates a new ball entity and adds it to the game.
-   * @param {number} x - X position.
-   * @param {number} y - Y position.
-   * @param {vec2} velocity - Initial velocity vector.
-   * @param {number} speed - Initial speed.
-   * @returns {KaboomGameObj} - The created ball object.
+   * Returns a gap in pixels.
+   * @param {string|number} gap - Spacing name or pixels.
+   * @returns {number} - Pixels.
    */
-  createBall(x, y, velocity, speed) {
-    // Breakpoint-based ball size
-    const responsive = GameUtils.getResponsiveDimensions();
-    const ballConfigs = {
-      mobile: { radius: 10 },
-      tablet: { radius: 12 },
-      laptop: { radius: 14 },
-      desktop: { radius: 16 }
-    };
-    
-    const ballRadius = ballConfigs[responsive.breakpoint].radius;
-    
-    const ball = add([
-      pos(x, y),
-      circle(ballRadius),
-      color(255, 100, 100),
-      outline(4),
-      area({ shape: new Rect(vec2(-ballRadius), ballRadius * 2, ballRadius * 2) }),
-      { vel: velocity, speed: speed },
-      "ball",
-      "game",
-    ]);
-
-    this.balls.push(ball);
-    return ball;
+  getGap(gap) {
+    return typeof gap === "string" ? this.spacing[gap] : gap;
   }
 
   /**
-   * Creates the first ball at the center of the play area.
-   * @param {number} headerHeight - Height of the header UI.
-   * @returns {KaboomGameObj} - The created ball object.
+   * Adds an item.
+   * @param {number} size - Height (vertical) or width (horizontal) of the item.
+   * @param {Function|null} [build=null] - Called with (x, y, size) at the centre of its slot; null keeps the space empty.
+   * @param {string|number} [gap=this.gap] - Space before the item (ignored for the first).
+   * @returns {Layout} - This layout, for chaining.
    */
-  createInitialBall(headerHeight) {
-    // Create ball with more predictable starting angle
-    const startDirection = choose([-1, 1]); // Random left or right
-    const startAngle = rand(-30, 30); // Angle between -30 and 30 degrees
-    const initialVelocity = Vec2.fromAngle(startAngle).scale(vec2(startDirection, 1)).unit();
-    
-    return this.createBall(
-      center().x,
-      headerHeight + (height() - headerHeight) / 2,
-      initialVelocity,
-      600
-    );
+  add(size, build = null, gap = this.gap) {
+    this.items.push({ size, build, gap });
+    return this;
   }
 
   /**
-   * Spawns a new ball at a random position (used in agility mode).
-   * @param {number} headerHeight - Height of the header UI.
-   * @param {number} gameHeight - Height of the game area.
-   * @returns {KaboomGameObj} - The created ball object.
+   * Adds equal items that together span a length.
+   * @param {number} count - Number of items.
+   * @param {number} span - Length of all items and the gaps between them.
+   * @param {Function} build - Called with (x, y, size, index) at the centre of each slot.
+   * @param {string|number} [gap=this.gap] - Space between the items.
+   * @returns {Layout} - This layout, for chaining.
    */
-  spawnNewBall(headerHeight, gameHeight) {
-    const spawnInfo = GameUtils.getRandomSpawnPosition(headerHeight, gameHeight);
-    return this.createBall(spawnInfo.x, spawnInfo.y, spawnInfo.velocity, 600);
+  fill(count, span, build, gap = this.gap) {
+    const size = (span - this.getGap(gap) * (count - 1)) / count;
+    for (let index = 0; index < count; index++) {
+      this.add(size, (x, y) => build(x, y, size, index), gap);
+    }
+    return this;
   }
 
   /**
-   * Updates all balls: moves them, checks for wall bounces and game over.
-   * @param {number} headerHeight - Height of the header UI.
-   * @param {number} gameHeight - Height of the game area.
-   * @param {Function} onGameOver - Callback for when a ball goes off screen.
+   * Places the items, centring the block on the layout's point, and builds them.
+   * @returns {number} - Length of the block.
    */
-  updateBalls(headerHeight, gameHeight, onGameOver) {
-    const ballsCopy = [...this.balls];
-
-    ballsCopy.forEach((ball) => {
-      if (ball && ball.exists()) {
-        ball.move(ball.vel.scale(ball.speed));
-
-        // Ball goes off screen horizontally - game over
-        if (ball.pos.x < 0 || ball.pos.x > width()) {
-          onGameOver();
-          return;
-        }
-
-        // Ball bounces off top/bottom walls with proper physics
-        if (ball.pos.y <= headerHeight || ball.pos.y >= gameHeight) {
-          // Reflect the Y velocity but keep X velocity the same
-          ball.vel.y = -ball.vel.y;
-          
-          // Ensure ball doesn't get stuck in walls
-          if (ball.pos.y <= headerHeight) {
-            ball.pos.y = headerHeight + 1;
-          } else if (ball.pos.y >= gameHeight) {
-            ball.pos.y = gameHeight - 1;
-          }
+  arrange() {
+    const gaps = this.items.map((item, index) => (index === 0 ? 0 : this.getGap(item.gap)));
+    const itemsLength = this.items.reduce((sum, item) => sum + item.size, 0);
+    const gapsLength = gaps.reduce((sum, gap) => sum + gap, 0);
+    const squeeze = this.maxSize !== null && itemsLength + gapsLength > this.maxSize && gapsLength > 0
+      ? Math.max(0, (this.maxSize - itemsLength) / gapsLength)
+      : 1;
+    const length = itemsLength + gapsLength * squeeze;
+
+    let offset = -length / 2;
+    this.items.forEach((item, index) => {
+      offset += gaps[index] * squeeze;
+      const middle = offset + item.size / 2;
+      if (item.build) {
+        if (this.direction === "vertical") {
+          item.build(this.x, this.y + middle, item.size);
+        } else {
+          item.build(this.x + middle, this.y, item.size);
         }
       }
+      offset += item.size;
     });
+    return length;
   }
+}
+
+// Screen transitions. A fade covers the screen in the background colour and
+// clears to reveal the new screen; a slide moves the new screen's objects in
+// from the side. Transitions only move and cover objects, so buttons work
+// while they play.
+class ScreenTransition {
+  static DURATION = 0.3;        // Seconds a transition lasts
+  static SLIDE_DISTANCE = 0.25; // How far a screen slides in (fraction of the screen width)
 
   /**
-   * Removes all balls from the manager (used when restarting).
+   * Fades the whole screen in from the background colour.
    */
-  reset() {
-    this.balls = [];
+  static fade() {
+    destroyAll("transition"); // A new transition replaces one still playing
+    add([
+      pos(0, 0),
+      rect(width(), height()),
+      GameUtils.themeColor("background"),
+      opacity(1),
+      lifespan(0, { fade: ScreenTransition.DURATION }),
+      z(95), // Above screens and modals, below the focus ring and notices
+      "transition",
+    ]);
   }
 
   /**
-   * Returns the current number of balls in play.
+   * Slides a screen's objects in from the side, easing into place.
+   * @param {Array<string>} tags - Tags of the screen's objects.
+   * @param {number} direction - 1 to come in from the right, -1 from the left.
    */
-  get count() {
-    return this.balls.length;
+  static slide(tags, direction) {
+    const objects = tags.flatMap((tag) => get(tag));
+    const homes = objects.map((obj) => obj.pos.x);
+    const place = (offset) => {
+      objects.forEach((obj, index) => {
+        obj.pos.x = homes[index] + offset;
+      });
+    };
+    const distance = width() * ScreenTransition.SLIDE_DISTANCE * direction;
+    place(distance);
+    tween(distance, 0, ScreenTransition.DURATION, place, easings.easeOutCubic);
   }
 }
 
-// Game Object Manager Class
-class GameObjectManager {
+// UI Manager class for handling UI elements
+class UIManager {
+  static headerHeight = 60; // Height of the top header bar
+  static HISTORY_ROWS = 6;  // Sessions listed on the history screen
+
   /**
-   * Creates two paddles for the game (left and right).
-   * @param {number} headerHeight - Height of the header UI.
-   * @returns {Array<KaboomGameObj>} - Array of paddle objects.
+   * Creates the top header UI with title, mode, lives (solo) or per-player
+   * scores (versus and cpu), and timer.
+   * @param {string} gameMode - Current game mode.
+   * @param {object} gameInstance - Game state object.
    */
-  static createPaddles(headerHeight) {
-    // Breakpoint-based paddle dimensions
+  
+  static createHeader(gameMode, gameInstance) {
     const responsive = GameUtils.getResponsiveDimensions();
-    const paddleConfigs = {
-      mobile: { width: 15, height: 100, offset: 25 },
-      tablet: { width: 18, height: 120, offset: 30 },
-      laptop: { width: 20, height: 140, offset: 35 },
-      desktop: { width: 22, height: 160, offset: 40 }
-    };
-    
-    const config = paddleConfigs[responsive.breakpoint];
-    
-    const paddle1 = add([
-      pos(config.offset, headerHeight + config.height / 2 + 20),
-      rect(config.width, config.height),
-      outline(4),
+
+    // Header background bar
+    add([
+      pos(0, 0),
+      rect(width(), this.headerHeight),
+      GameUtils.themeColor("headerBackground"),
+      z(10),
+      "header",
+    ]);
+
+    // Game title text
+    const title = add([
+      text(I18n.t("header.title"), { size: responsive.headerSize }),
+      pos(20, this.headerHeight / 2),
+      anchor("left"),
+      GameUtils.themeColor("headerText"),
+      z(20),
+      "header",
+    ]);
+
+    // Pause button next to the title (live matches only, not replays)
+    if (gameInstance && gameInstance.states.is("playing", "paused")) {
+      add([
+        text("II", { size: responsive.headerSize }),
+        pos(20 + title.width + responsive.spacing.large, this.headerHeight / 2),
+        anchor("left"),
+        GameUtils.themeColor("headerText"),
+        area(),
+        GameUtils.touchTarget(),
+        z(20),
+        "header",
+        "pauseButton",
+        { ariaLabel: I18n.t("header.pause") },
+      ]);
+    }
+
+    // Game mode display
+    add([
+      text(I18n.t("header.mode", { mode: UIManager.modeName(GameModeRegistry.get(gameMode)) }), { size: responsive.headerSize * 0.7 }),
+      pos(center().x, this.headerHeight * 0.35),
       anchor("center"),
-      area(),
-      "paddle",
-      "game",
+      GameUtils.themeColor("headerHighlight"),
+      z(20),
+      "header",
+    ]);
+
+    // Active power-up effects below the mode (updates in real-time)
+    add([
+      text("", { size: responsive.headerSize * 0.6 }),
+      pos(center().x, this.headerHeight * 0.72),
+      anchor("center"),
+      GameUtils.themeColor("headerInfo"),
+      z(20),
+      "header",
+      {
+        update() {
+          if (gameInstance) {
+            this.text = UIManager.formatEffects(gameInstance.activeEffects, gameInstance.getPlayerLabels());
+          }
+        },
+      },
+    ]);
+
+    // Combo and score multiplier (solo only, updates in real-time)
+    if (gameInstance && gameInstance.players === "solo") {
+      add([
+        text("", { size: responsive.headerSize * 0.8 }),
+        pos(width() * 0.3, this.headerHeight / 2),
+        anchor("center"),
+        GameUtils.themeColor("headerHighlight"),
+        z(20),
+        "header",
+        {
+          update() {
+            if (gameInstance.scoring) {
+              this.text = UIManager.formatMultiplier(gameInstance.scoring);
+            }
+          },
+        },
+      ]);
+    }
+
+    // Lives left (solo only, updates in real-time)
+    if (gameInstance && gameInstance.players === "solo") {
+      add([
+        text(I18n.t("header.lives", { lives: I18n.formatNumber(gameInstance.lives) }), { size: responsive.headerSize * 0.8 }),
+        pos(width() * 0.7, this.headerHeight / 2),
+        anchor("center"),
+        GameUtils.themeColor("headerText"),
+        z(20),
+        "header",
+        {
+          update() {
+            this.text = I18n.t("header.lives", { lives: I18n.formatNumber(gameInstance.livesLeft) });
+          },
+        },
+      ]);
+    }
+
+    // Per-player scores (versus and cpu, updates in real-time)
+    if (gameInstance && gameInstance.players !== "solo") {
+      gameInstance.getPlayerLabels().forEach((label, index) => {
+        add([
+          text(I18n.t("header.score", { label, score: I18n.formatNumber(0) }), { size: responsive.headerSize * 0.8 }),
+          pos(width() * (index === 0 ? 0.3 : 0.7), this.headerHeight / 2),
+          anchor("center"),
+          GameUtils.themeColor("headerText"),
+          z(20),
+          "header",
+          {
+            update() {
+              this.text = I18n.t("header.score", { label, score: I18n.formatNumber(gameInstance.scores[index]) });
+            },
+          },
+        ]);
+      });
+    }
+
+    // Timer display (updates in real-time)
+    add([
+      text(I18n.t("header.time", { time: GameUtils.formatTime(0) }), { size: responsive.headerSize * 0.8 }),
+      pos(width() - 20, this.headerHeight / 2),
+      anchor("right"),
+      GameUtils.themeColor("headerText"),
+      z(20),
+      "header",
+      {
+        update() {
+          if (gameInstance && gameInstance.states.is("playing", "replay")) {
+            this.text = I18n.t("header.time", { time: GameUtils.formatTime(gameInstance.gameTime) });
+          }
+        },
+      },
+    ]);
+
+    // Separator line below header
+    add([
+      pos(0, this.headerHeight),
+      rect(width(), 2),
+      GameUtils.themeColor("textMuted"),
+      z(15),
+      "header",
+    ]);
+  }
+  /**
+   * Formats active power-up effects for the header, e.g. "BIG PADDLE x2 (P1) 8s | SLOW 3s".
+   * @param {Array<object>} effects - Active effects from the simulation state.
+   * @param {Array<string>} playerLabels - Labels for the left and right side.
+   * @returns {string} - Header text ("" when nothing is active).
+   */
+  static formatEffects(effects, playerLabels) {
+    return effects
+      .map((effect) => {
+        const stacks = effect.stacks > 1 ? ` x${I18n.formatNumber(effect.stacks)}` : "";
+        const side = effect.side ? ` (${playerLabels[effect.side === "left" ? 0 : 1]})` : "";
+        const label = I18n.t(`powerUp.${effect.type}`, {}, PowerUps.TYPES[effect.type].label);
+        return `${label}${stacks}${side} ${I18n.formatNumber(Math.ceil(effect.remaining))}s`;
+      })
+      .join(" | ");
+  }
+
+  /**
+   * Formats the combo and multiplier for the header, e.g. "Combo 7  x1.5".
+   * @param {object} scoring - Score tally from the simulation state (see ScoringRules.createTally).
+   * @returns {string} - Header text.
+   */
+  static formatMultiplier(scoring) {
+    return I18n.t("header.combo", {
+      combo: I18n.formatNumber(scoring.combo),
+      multiplier: I18n.formatNumber(scoring.multiplier, { minimumFractionDigits: 1, maximumFractionDigits: 2 }),
+    });
+  }
+
+  /**
+   * Returns a game mode's name in the active language (modes without a
+   * translation keep their own name).
+   * @param {object} mode - Game mode definition.
+   * @returns {string} - Mode name.
+   */
+  static modeName(mode) {
+    return I18n.t(`mode.${mode.id}.name`, {}, mode.name);
+  }
+
+  /**
+   * Returns a game mode's one-line description in the active language.
+   * @param {object} mode - Game mode definition.
+   * @returns {string} - Mode description.
+   */
+  static modeDescription(mode) {
+    const interval = mode.spawn ? I18n.formatNumber(mode.spawn.interval) : "";
+    return I18n.t(`mode.${mode.id}.description`, { interval }, mode.description);
+  }
+
+  /**
+   * Creates the main menu UI, including mode selection and instructions.
+   * @param {string} gameMode - Current game mode.
+   * @param {string} players - Current player mode: solo, versus or cpu.
+   * @param {object} options - Current player options ({ lives, mouseSide, difficulty }) and the selected level.
+   */
+  static createMenu(gameMode, players, options) {
+    const ui = new Widgets("menu");
+    const responsive = ui.responsive;
+    const contentWidth = responsive.modalWidth * 0.9;
+    const optionSize = responsive.buttonSize * 0.8;
+    const descriptionSize = responsive.buttonSize * 0.7;
+    const panel = ui.modal(responsive.modalWidth, responsive.modalHeight);
+
+    this.createLanguageButton(ui, panel);
+    this.createLevelButton(ui, panel, options.level);
+
+    // Rows top to bottom, clear of the corner buttons
+    new Layout("vertical", { maxSize: responsive.modalHeight - (descriptionSize + responsive.spacing.small * 2) * 2 })
+      .add(responsive.titleSize, (x, y) => {
+        ui.label(I18n.t("menu.title"), { y, size: responsive.titleSize, maxWidth: contentWidth });
+      })
+      .add(responsive.subtitleSize, (x, y) => {
+        ui.label(I18n.t("menu.selectMode"), { y, size: responsive.subtitleSize, maxWidth: contentWidth });
+      })
+      .add(responsive.buttonSize + responsive.spacing.small + descriptionSize, (x, y) => {
+        this.createModeButtons(ui, gameMode, y);
+      }, "small")
+      .add(responsive.buttonSize, (x, y, size) => {
+        this.createPlayerButtons(ui, players, y, size + responsive.spacing.medium);
+      })
+      .add(optionSize, (x, y, size) => {
+        this.createPlayerOption(ui, players, options, y, size + responsive.spacing.small);
+      }, "small")
+      .add(optionSize, (x, y) => {
+        this.createInstructions(ui, players, y);
+      }, "small")
+      .add(responsive.subtitleSize, (x, y, size) => {
+        ui.button("startButton", I18n.t("menu.start"), {
+          y,
+          size,
+          color: "positive",
+          maxWidth: contentWidth,
+          touchHeight: size + responsive.spacing.large,
+        });
+      }, "large")
+      .add(optionSize, (x, y, size) => {
+        this.createMenuFooter(ui, y, size + responsive.spacing.large);
+      }, "large")
+      .arrange();
+  }
+
+  /**
+   * Creates one button per registered game mode, spread evenly across the
+   * modal, with the mode's description underneath.
+   * @param {Widgets} ui - Menu widgets.
+   * @param {string} gameMode - Current game mode id.
+   * @param {number} y - Centre of the row (buttons and descriptions).
+   */
+  static createModeButtons(ui, gameMode, y) {
+    const responsive = ui.responsive;
+    const modes = GameModeRegistry.list();
+
+    new Layout("horizontal", { y, gap: "small" })
+      .fill(modes.length, responsive.modalWidth * 0.9, (x, rowY, cellWidth, index) => {
+        const mode = modes[index];
+        new Layout("vertical", { x, y: rowY, gap: "small" })
+          .add(responsive.buttonSize, (cellX, cellY) => {
+            // Mode button (selected mode highlighted and underlined)
+            ui.button("modeButton", I18n.t("menu.modeButton", { mode: UIManager.modeName(mode) }), {
+              x: cellX,
+              y: cellY,
+              maxWidth: cellWidth,
+              selected: gameMode === mode.id,
+              props: { modeId: mode.id },
+            });
+          })
+          .add(responsive.buttonSize * 0.7, (cellX, cellY, size) => {
+            ui.label(UIManager.modeDescription(mode), { x: cellX, y: cellY, size, color: "textMuted", maxWidth: cellWidth });
+          })
+          .arrange();
+      })
+      .arrange();
+  }
+
+  /**
+   * Creates the player mode buttons (selected mode highlighted and underlined).
+   * @param {Widgets} ui - Menu widgets.
+   * @param {string} players - Current player mode: solo, versus, cpu or online.
+   * @param {number} y - Centre of the row.
+   * @param {number} touchHeight - Row pitch (tallest touch area).
+   */
+  static createPlayerButtons(ui, players, y, touchHeight) {
+    new Layout("horizontal", { y, gap: "small" })
+      .fill(PongGame.PLAYER_MODES.length, ui.responsive.modalWidth * 0.95, (x, rowY, cellWidth, index) => {
+        const mode = PongGame.PLAYER_MODES[index];
+        ui.button("playersButton", I18n.t(`players.${mode}`), {
+          x,
+          y: rowY,
+          maxWidth: cellWidth,
+          touchHeight,
+          selected: players === mode,
+          props: { players: mode },
+        });
+      })
+      .arrange();
+  }
+
+  /**
+   * Creates the option for the selected player mode: the lives count in
+   * solo, the mouse binding in versus and the CPU difficulty against the
+   * CPU. Each press cycles to the next value. Online matches have no option.
+   * @param {Widgets} ui - Menu widgets.
+   * @param {string} players - Current player mode: solo, versus, cpu or online.
+   * @param {object} options - Current options ({ lives, mouseSide, difficulty }).
+   * @param {number} y - Centre of the row.
+   * @param {number} touchHeight - Row pitch (tallest touch area).
+   */
+  static createPlayerOption(ui, players, options, y, touchHeight) {
+    const buttons = {
+      solo: ["livesButton", I18n.t("menu.lives", { lives: I18n.formatNumber(options.lives) })],
+      versus: ["mouseSideButton", I18n.t("menu.mouse", { side: I18n.t(`side.${options.mouseSide}`) })],
+      cpu: ["difficultyButton", I18n.t("menu.cpu", { difficulty: I18n.t(`difficulty.${options.difficulty}`) })],
+    };
+    if (!buttons[players]) {
+      return;
+    }
+    const [buttonTag, label] = buttons[players];
+    ui.button(buttonTag, label, { y, size: ui.responsive.buttonSize * 0.8, touchHeight });
+  }
+
+  /**
+   * Displays instructions for controlling the game.
+   * @param {Widgets} ui - Menu widgets.
+   * @param {string} players - Current player mode: solo, versus, cpu or online.
+   * @param {number} y - Centre of the row.
+   */
+  static createInstructions(ui, players, y) {
+    const key = players === "solo" && isTouchscreen() ? "soloTouch" : players;
+    ui.label(I18n.t(`instructions.${key}`), {
+      y,
+      size: ui.responsive.buttonSize * 0.8,
+      color: "textMuted",
+      maxWidth: ui.responsive.modalWidth * 0.95,
+    });
+  }
+
+  /**
+   * Creates the bottom row of menu buttons: high scores, history, settings
+   * and sound.
+   * @param {Widgets} ui - Menu widgets.
+   * @param {number} y - Centre of the row.
+   * @param {number} touchHeight - Row pitch (tallest touch area).
+   */
+  static createMenuFooter(ui, y, touchHeight) {
+    const buttons = [
+      ["highScoresButton", I18n.t("menu.highScores")],
+      ["historyButton", I18n.t("menu.history")],
+      ["settingsButton", I18n.t("menu.settings")],
+      ["soundButton", I18n.t("menu.sound")],
+    ];
+    new Layout("horizontal", { y, gap: "small" })
+      .fill(buttons.length, ui.responsive.modalWidth * 0.95, (x, rowY, cellWidth, index) => {
+        const [buttonTag, label] = buttons[index];
+        ui.button(buttonTag, label, {
+          x,
+          y: rowY,
+          size: ui.responsive.buttonSize * 0.8,
+          color: "textMuted",
+          maxWidth: cellWidth,
+          touchHeight,
+        });
+      })
+      .arrange();
+  }
+
+  /**
+   * Creates the language picker in the menu's top-right corner, showing the
+   * active language by its own name. Each press moves to the next language.
+   * @param {Widgets} ui - Menu widgets.
+   * @param {KaboomGameObj} panel - Menu modal.
+   */
+  static createLanguageButton(ui, panel) {
+    const spacing = ui.responsive.spacing;
+    ui.button("languageButton", I18n.LANGUAGES[I18n.language].toUpperCase(), {
+      x: panel.pos.x + panel.width / 2 - spacing.small,
+      y: panel.pos.y - panel.height / 2 + spacing.small,
+      size: ui.responsive.buttonSize * 0.7,
+      color: "accent",
+      align: "topright",
+      props: { ariaLabel: I18n.t("menu.language", { language: I18n.LANGUAGES[I18n.language] }) },
+    });
+  }
+
+  /**
+   * Creates the level button in the menu's top-left corner, showing the
+   * selected level. It opens the level select screen.
+   * @param {Widgets} ui - Menu widgets.
+   * @param {KaboomGameObj} panel - Menu modal.
+   * @param {object} level - Selected level definition.
+   */
+  static createLevelButton(ui, panel, level) {
+    const spacing = ui.responsive.spacing;
+    ui.button("levelsButton", I18n.t("menu.level", { level: UIManager.levelName(level) }), {
+      x: panel.pos.x - panel.width / 2 + spacing.small,
+      y: panel.pos.y - panel.height / 2 + spacing.small,
+      size: ui.responsive.buttonSize * 0.7,
+      color: "accent",
+      align: "topleft",
+      maxWidth: panel.width * 0.45,
+    });
+  }
+
+  /**
+   * Returns a level's name in the active language. Levels without a
+   * translation (e.g. new level files) show the name from their JSON.
+   * @param {object} level - Level definition.
+   * @returns {string} - Display name.
+   */
+  static levelName(level) {
+    return I18n.t(`level.${level.id}.name`, {}, level.name);
+  }
+
+  /**
+   * Returns a level's one-line description in the active language.
+   * @param {object} level - Level definition.
+   * @returns {string} - Display description.
+   */
+  static levelDescription(level) {
+    return I18n.t(`level.${level.id}.description`, {}, level.description);
+  }
+
+  /**
+   * Displays the level select screen: one button per level with its
+   * description underneath, the selected one underlined, then Back.
+   * @param {Array<object>} levels - Available levels (see Levels).
+   * @param {string} selectedId - Id of the selected level.
+   */
+  static createLevelSelect(levels, selectedId) {
+    const ui = new Widgets("levels");
+    const responsive = ui.responsive;
+    const contentWidth = responsive.modalWidth * 0.9;
+    const descriptionSize = responsive.buttonSize * 0.7;
+    const rowGap = responsive.spacing.small / 2; // Between a level and its description
+    ui.modal(responsive.modalWidth, responsive.modalHeight);
+
+    const layout = new Layout("vertical", { gap: "small", maxSize: responsive.modalHeight - responsive.spacing.medium * 2 });
+    layout.add(responsive.titleSize, (x, y, size) => {
+      ui.label(I18n.t("levels.title"), { y, size, maxWidth: contentWidth });
+    });
+    levels.forEach((level, index) => {
+      layout.add(responsive.buttonSize + rowGap + descriptionSize, (x, y, size) => {
+        new Layout("vertical", { y, gap: rowGap })
+          .add(responsive.buttonSize, (rowX, rowY) => {
+            ui.button("levelButton", UIManager.levelName(level), {
+              y: rowY,
+              maxWidth: contentWidth,
+              touchHeight: size,
+              selected: level.id === selectedId,
+              props: { levelId: level.id },
+            });
+          })
+          .add(descriptionSize, (rowX, rowY) => {
+            ui.label(UIManager.levelDescription(level), { y: rowY, size: descriptionSize, color: "textMuted", maxWidth: contentWidth });
+          })
+          .arrange();
+      }, index === 0 ? "large" : "small");
+    });
+    layout
+      .add(responsive.buttonSize, (x, y) => {
+        ui.button("levelsBackButton", I18n.t("button.back"), { y, color: "textMuted" });
+      }, "large")
+      .arrange();
+  }
+
+  /**
+   * Displays the settings modal: one row per setting with "<" and ">"
+   * buttons around its value, then Reset and Back.
+   * @param {SettingsStore} settings - Current settings.
+   */
+  static createSettings(settings) {
+    const ui = new Widgets("settings");
+    const responsive = ui.responsive;
+    const rowSize = responsive.buttonSize * 0.8;
+    const keys = Object.keys(SettingsStore.FIELDS);
+    ui.modal(responsive.modalWidth, responsive.modalHeight);
+
+    const layout = new Layout("vertical", { gap: "small", maxSize: responsive.modalHeight - responsive.spacing.medium * 2 })
+      .add(responsive.titleSize, (x, y, size) => {
+        ui.label(I18n.t("settings.title"), { y, size, maxWidth: responsive.modalWidth * 0.9 });
+      });
+
+    // Setting rows: label on the left, "<" value ">" on the right
+    keys.forEach((key, index) => {
+      layout.add(rowSize, (x, y, size) => {
+        const label = I18n.t(`setting.${key}`, {}, SettingsStore.FIELDS[key].label);
+        ui.stepper("settingButton", label, UIManager.formatSetting(settings, key), {
+          y,
+          size,
+          touchHeight: size + responsive.spacing.small,
+          props: { key },
+        });
+      }, index === 0 ? "large" : "small");
+    });
+
+    layout
+      .add(responsive.buttonSize, (x, y, size) => {
+        this.createButtonRow(ui, [
+          { label: I18n.t("button.reset"), tag: "settingsResetButton", color: "textMuted" },
+          { label: I18n.t("button.back"), tag: "settingsBackButton", color: "textMuted" },
+        ], y, size + responsive.spacing.small);
+      }, "large")
+      .arrange();
+  }
+
+  /**
+   * Returns a setting as shown on the settings screen, in the active
+   * language. Choices without a translation (language names) keep the
+   * store's own label.
+   * @param {SettingsStore} settings - Current settings.
+   * @param {string} key - Field name.
+   * @returns {string} - Display text.
+   */
+  static formatSetting(settings, key) {
+    const field = SettingsStore.FIELDS[key];
+    const value = settings.get(key);
+    if (value === null) {
+      return I18n.t(`option.${field.nullLabel.toLowerCase()}`, {}, field.nullLabel);
+    }
+    if (field.type === "number") {
+      return I18n.formatNumber(value);
+    }
+    return I18n.t(`option.${value}`, {}, settings.formatValue(key));
+  }
+
+  /**
+   * Displays the sound settings: master and effect volume sliders, and a
+   * mute toggle.
+   * @param {object} settings - Current audio settings ({ masterVolume, sfxVolume, muted }).
+   * @param {boolean} available - Whether this browser can play audio at all.
+   */
+  static createAudioSettings(settings, available) {
+    const ui = new Widgets("audioSettings");
+    const responsive = ui.responsive;
+    const rowPitch = responsive.buttonSize + responsive.spacing.medium;
+    const percent = (volume) => I18n.formatNumber(Math.round(volume * 100) / 100, { style: "percent" });
+    ui.modal(responsive.modalWidth, responsive.modalHeight * 0.8);
+
+    const layout = new Layout("vertical")
+      .add(responsive.titleSize, (x, y, size) => {
+        ui.label(I18n.t("sound.title"), { y, size, maxWidth: responsive.modalWidth * 0.9 });
+      });
+
+    // Volume sliders (- and + step by SoundEffects.VOLUME_STEP, the track sets the volume under the pointer)
+    const rows = [
+      { label: I18n.t("sound.master"), channel: "master", volume: settings.masterVolume },
+      { label: I18n.t("sound.effects"), channel: "sfx", volume: settings.sfxVolume },
+    ];
+    rows.forEach((row, index) => {
+      layout.add(responsive.buttonSize, (x, y) => {
+        ui.slider("volumeButton", row.label, row.volume, {
+          y,
+          format: percent,
+          trackTag: "volumeTrack",
+          touchHeight: rowPitch,
+          props: { channel: row.channel },
+        });
+      }, index === 0 ? "large" : "medium");
+    });
+
+    // Mute toggle (M also toggles it anywhere)
+    layout.add(responsive.buttonSize, (x, y) => {
+      ui.toggle("muteButton", I18n.t("sound.mute", { state: I18n.t(settings.muted ? "option.on" : "option.off") }), settings.muted, {
+        y,
+        color: settings.muted ? "danger" : "textStrong",
+        maxWidth: responsive.modalWidth * 0.7,
+        touchHeight: rowPitch,
+      });
+    });
+
+    if (!available) {
+      layout.add(responsive.buttonSize * 0.7, (x, y, size) => {
+        ui.label(I18n.t("sound.unsupported"), { y, size, color: "danger", maxWidth: responsive.modalWidth * 0.95 });
+      }, "small");
+    }
+
+    layout
+      .add(responsive.buttonSize, (x, y) => {
+        ui.button("audioBackButton", I18n.t("button.back"), { y, color: "textMuted" });
+      }, "large")
+      .arrange();
+  }
+
+  /**
+   * Displays the high score table for one game mode.
+   * @param {string} gameMode - Id of the game mode whose table is shown.
+   * @param {Array<object>} gameModes - All game mode definitions (one tab each).
+   * @param {Array<object>} entries - Table entries, best first ({ name, score, time, date }).
+   * @param {Array<object>} legacyEntries - Entries from before combo scoring (paddle hits), best first; the best is
+   *   shown under the table.
+   */
+  static createHighScores(gameMode, gameModes, entries, legacyEntries) {
+    const ui = new Widgets("highScores");
+    const responsive = ui.responsive;
+    const contentWidth = responsive.modalWidth * 0.9;
+    const rowSize = responsive.buttonSize * 0.8;
+    ui.modal(responsive.modalWidth, responsive.modalHeight);
+
+    // Table rows, starting with the column headings
+    const headings = ["name", "score", "time", "date"].map((column) => I18n.t(`highScores.${column}`));
+    const rows = [headings].concat(
+      entries.map((entry, index) => [
+        `${I18n.formatNumber(index + 1)}. ${entry.name}`,
+        I18n.formatNumber(entry.score),
+        GameUtils.formatTime(entry.time),
+        I18n.formatDate(entry.date),
+      ])
+    );
+
+    const layout = new Layout("vertical", { gap: "small", maxSize: responsive.modalHeight - responsive.spacing.medium * 2 })
+      .add(responsive.titleSize, (x, y, size) => {
+        ui.label(I18n.t("highScores.title"), { y, size, maxWidth: contentWidth });
+      })
+      .add(responsive.buttonSize, (x, y, size) => {
+        // One tab per game mode (the selected one underlined)
+        new Layout("horizontal", { y, gap: "small" })
+          .fill(gameModes.length, contentWidth, (cellX, cellY, cellWidth, index) => {
+            const mode = gameModes[index];
+            ui.button("highScoreModeButton", UIManager.modeName(mode), {
+              x: cellX,
+              y: cellY,
+              maxWidth: cellWidth,
+              touchHeight: size + responsive.spacing.small,
+              selected: mode.id === gameMode,
+              props: { mode: mode.id },
+            });
+          })
+          .arrange();
+      }, "medium")
+      .add(this.getTableHeight(rows.length, rowSize, responsive), (x, y) => {
+        this.createTable(ui, rows, [5, 2, 2, 2], y, rowSize);
+      }, "large");
+
+    if (entries.length === 0) {
+      layout.add(rowSize, (x, y, size) => {
+        ui.label(I18n.t("highScores.empty"), { y, size, color: "textMuted", maxWidth: contentWidth });
+      }, "large");
+    }
+
+    if (legacyEntries.length > 0) {
+      const best = legacyEntries[0];
+      layout.add(rowSize, (x, y, size) => {
+        ui.label(I18n.t("highScores.legacy", { name: best.name, hits: I18n.formatNumber(best.score) }), {
+          y,
+          size,
+          color: "textMuted",
+          maxWidth: contentWidth,
+        });
+      }, "medium");
+    }
+
+    layout
+      .add(responsive.buttonSize, (x, y) => {
+        ui.button("highScoresBackButton", I18n.t("button.back"), { y, color: "textMuted" });
+      }, "large")
+      .arrange();
+  }
+
+  /**
+   * Displays the session history: the most recent matches, then trends that
+   * compare the latest sessions with the ones before, and an export button.
+   * @param {Array<object>} sessions - Recent sessions, newest first (see SessionHistory).
+   * @param {Array<object>} trends - Trend rows ({ label, trend, format }; trend may be null).
+   */
+  static createHistory(sessions, trends) {
+    const ui = new Widgets("history");
+    const responsive = ui.responsive;
+    const contentWidth = responsive.modalWidth * 0.9;
+    const rowSize = responsive.buttonSize * 0.7;
+    const trendRows = Math.ceil(trends.length / 2);
+    ui.modal(responsive.modalWidth, responsive.modalHeight);
+
+    // Session rows, starting with the column headings
+    const headings = ["date", "mode", "result", "time", "rally"].map((column) => I18n.t(`history.${column}`));
+    const rows = [headings].concat(
+      sessions.map((session) => {
+        const mode = GameModeRegistry.modes.get(session.mode);
+        return [
+          I18n.formatDate(session.date),
+          mode ? UIManager.modeName(mode) : session.mode,
+          session.players === "solo"
+            ? I18n.formatNumber(session.score)
+            : session.scores.map((points) => I18n.formatNumber(points)).join(" - "),
+          GameUtils.formatTime(session.time),
+          I18n.formatNumber(session.stats.longestRally),
+        ];
+      })
+    );
+
+    const layout = new Layout("vertical", { gap: "small", maxSize: responsive.modalHeight - responsive.spacing.medium * 2 })
+      .add(responsive.titleSize, (x, y, size) => {
+        ui.label(I18n.t("history.title"), { y, size, maxWidth: contentWidth });
+      })
+      .add(this.getTableHeight(rows.length, rowSize, responsive), (x, y) => {
+        this.createTable(ui, rows, [5, 5, 3, 3, 3], y, rowSize);
+      }, "large");
+
+    if (sessions.length === 0) {
+      layout.add(rowSize, (x, y, size) => {
+        ui.label(I18n.t("history.empty"), { y, size, color: "textMuted", maxWidth: contentWidth });
+      }, "medium");
+    }
+
+    // Trends: average of the latest sessions, and its change from the ones before
+    layout
+      .add(rowSize, (x, y, size) => {
+        ui.label(I18n.t("history.trends", { count: I18n.formatNumber(SessionHistory.TREND_WINDOW) }), {
+          y,
+          size,
+          color: "textMuted",
+          maxWidth: contentWidth,
+        });
+      }, "large")
+      .add(trendRows * rowSize + (trendRows - 1) * responsive.spacing.small, (x, y) => {
+        this.createStatGrid(ui, trends.map((row) => [row.label, UIManager.formatTrend(row.trend, row.format)]), y);
+      })
+      .add(responsive.buttonSize, (x, y, size) => {
+        this.createButtonRow(ui, [
+          { label: I18n.t("history.export"), tag: "exportHistoryButton", color: "accent" },
+          { label: I18n.t("button.back"), tag: "historyBackButton", color: "textMuted" },
+        ], y, size + responsive.spacing.small);
+      }, "large")
+      .arrange();
+  }
+
+  /**
+   * Returns the height of a table built by createTable.
+   * @param {number} rowCount - Rows, including the headings.
+   * @param {number} size - Font size (and row height).
+   * @param {object} responsive - Responsive UI config.
+   * @returns {number} - Table height.
+   */
+  static getTableHeight(rowCount, size, responsive) {
+    return rowCount * size + (rowCount - 1) * responsive.spacing.small / 2;
+  }
+
+  /**
+   * Adds a table of left-aligned cells, the first row being the muted
+   * column headings. Each column gets its weight's share of the row.
+   * @param {Widgets} ui - Screen widgets.
+   * @param {Array<Array<string>>} rows - Cell texts, headings first.
+   * @param {Array<number>} weights - Relative column widths.
+   * @param {number} y - Centre of the table.
+   * @param {number} size - Font size (and row height).
+   */
+  static createTable(ui, rows, weights, y, size) {
+    const gap = ui.responsive.spacing.small;
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const cellsWidth = ui.responsive.modalWidth * 0.9 - gap * (weights.length - 1);
+    const layout = new Layout("vertical", { y, gap: gap / 2 });
+    rows.forEach((row, rowIndex) => {
+      layout.add(size, (x, rowY) => {
+        const cells = new Layout("horizontal", { y: rowY, gap });
+        row.forEach((cell, column) => {
+          cells.add(cellsWidth * weights[column] / totalWeight, (cellX, cellY, cellWidth) => {
+            ui.label(cell, {
+              x: cellX - cellWidth / 2,
+              y: cellY,
+              size,
+              color: rowIndex === 0 ? "textMuted" : "text",
+              align: "left",
+              maxWidth: cellWidth,
+            });
+          });
+        });
+        cells.arrange();
+      });
+    });
+    layout.arrange();
+  }
+
+  /**
+   * Adds a row of buttons sharing the modal's width, e.g. Reset and Back.
+   * @param {Widgets} ui - Screen widgets.
+   * @param {Array<object>} buttons - Buttons ({ label, tag, color }), left to right.
+   * @param {number} y - Centre of the row.
+   * @param {number} touchHeight - Row pitch (tallest touch area).
+   */
+  static createButtonRow(ui, buttons, y, touchHeight) {
+    new Layout("horizontal", { y, gap: "large" })
+      .fill(buttons.length, ui.responsive.modalWidth * 0.8, (x, rowY, cellWidth, index) => {
+        const button = buttons[index];
+        ui.button(button.tag, button.label, { x, y: rowY, color: button.color, maxWidth: cellWidth, touchHeight });
+      })
+      .arrange();
+  }
+
+  /**
+   * Formats a trend as its average and signed change, e.g. "8.2 (+1.5)".
+   * @param {{average: number, change: number|null}|null} trend - Trend from SessionHistory.getTrend.
+   * @param {Function} format - Formats a (positive) value of the measure.
+   * @returns {string} - Display text ("-" without sessions).
+   */
+  static formatTrend(trend, format) {
+    if (!trend) {
+      return "-";
+    }
+    if (trend.change === null) {
+      return format(trend.average);
+    }
+    return `${format(trend.average)} (${trend.change < 0 ? "-" : "+"}${format(Math.abs(trend.change))})`;
+  }
+
+  /**
+   * Shows a short message at the bottom of the screen that fades out by
+   * itself, replacing any message still showing.
+   * @param {string} message - Text to show.
+   */
+  static showNotice(message) {
+    const responsive = GameUtils.getResponsiveDimensions();
+    destroyAll("notice");
+    add([
+      text(message, { size: responsive.buttonSize }),
+      GameUtils.fitWidth(width() - responsive.spacing.large * 2),
+      pos(center().x, height() - responsive.spacing.large),
+      anchor("center"),
+      GameUtils.themeColor("text"),
+      opacity(1),
+      lifespan(2, { fade: 0.5 }),
+      z(100),
+      "notice",
     ]);
+  }
+
+  /**
+   * Displays the online lobby: host a new room, or type a room code and join.
+   * @param {object} gameInstance - The main game instance (the typed code is read live).
+   */
+  static createLobby(gameInstance) {
+    const ui = new Widgets("lobby");
+    const responsive = ui.responsive;
+    const contentWidth = responsive.modalWidth * 0.9;
+    ui.modal(responsive.modalWidth, responsive.modalHeight * 0.8);
+
+    new Layout("vertical")
+      .add(responsive.titleSize, (x, y, size) => {
+        ui.label(I18n.t("lobby.title"), { y, size, maxWidth: contentWidth });
+      })
+      .add(responsive.buttonSize, (x, y) => {
+        ui.button("hostRoomButton", I18n.t("lobby.host"), { y, color: "positive", maxWidth: contentWidth });
+      }, "large")
+      .add(responsive.buttonSize * 0.8, (x, y, size) => {
+        ui.label(I18n.t("lobby.code"), { y, size, color: "textMuted", maxWidth: contentWidth });
+      }, "large")
+      .add(responsive.subtitleSize + responsive.spacing.small * 2, (x, y) => {
+        // Room code being typed
+        ui.textInput(() => gameInstance.joinCode, { y, width: responsive.modalWidth * 0.5 });
+      }, "small")
+      .add(responsive.buttonSize, (x, y) => {
+        ui.button("joinRoomButton", I18n.t("lobby.join"), { y, maxWidth: contentWidth });
+      })
+      .add(responsive.buttonSize, (x, y) => {
+        ui.button("lobbyBackButton", I18n.t("button.back"), { y, color: "textMuted" });
+      }, "large")
+      .arrange();
+  }
+
+  /**
+   * Displays the online waiting modal: a status message, the room code to
+   * share (if any) and a Leave button.
+   * @param {string} message - Status message.
+   * @param {string|null} room - Room code, or null to hide it.
+   */
+  static createWaiting(message, room) {
+    const ui = new Widgets("waiting", 80); // Above the play field when a match is on hold
+    const responsive = ui.responsive;
+    ui.modal(responsive.modalWidth, responsive.modalHeight * 0.6);
+
+    const layout = new Layout("vertical", { gap: "large" });
+    if (room) {
+      layout.add(responsive.titleSize, (x, y, size) => {
+        ui.label(I18n.t("waiting.room", { room }), { y, size, color: "accent", maxWidth: responsive.modalWidth * 0.9 });
+      });
+    }
+    layout
+      .add(responsive.buttonSize * 2, (x, y) => {
+        ui.label(message, { y, wrapWidth: responsive.modalWidth * 0.9 }); // Status message, up to two lines
+      })
+      .add(responsive.buttonSize, (x, y) => {
+        ui.button("leaveOnlineButton", I18n.t("button.leave"), { y, color: "textMuted" });
+      })
+      .arrange();
+  }
+
+  /**
+   * Displays the pause modal with Resume, Restart and Main Menu buttons.
+   */
+  static createPauseMenu() {
+    const ui = new Widgets("pause", 80);
+    const responsive = ui.responsive;
+    const contentWidth = responsive.modalWidth * 0.9;
+    ui.modal(responsive.modalWidth, responsive.modalHeight * 0.8);
+
+    const buttons = [
+      { label: I18n.t("pause.resume"), tag: "resumeButton", color: "positive" },
+      { label: I18n.t("pause.restart"), tag: "restartButton", color: "textStrong" },
+      { label: I18n.t("button.mainMenu"), tag: "quitButton", color: "textMuted" },
+    ];
+    const layout = new Layout("vertical")
+      .add(responsive.titleSize, (x, y, size) => {
+        ui.label(I18n.t("pause.title"), { y, size, maxWidth: contentWidth });
+      });
+    buttons.forEach((button, index) => {
+      layout.add(responsive.buttonSize, (x, y, size) => {
+        ui.button(button.tag, button.label, {
+          y,
+          color: button.color,
+          maxWidth: contentWidth,
+          touchHeight: size + responsive.spacing.medium,
+        });
+      }, index === 0 ? "large" : "medium");
+    });
+    layout.arrange();
+  }
+
+  /**
+   * Returns the height of the game over panel: taller than the other
+   * modals to fit the match statistics, but never taller than the screen.
+   * @param {object} responsive - Responsive UI config.
+   * @returns {number} - Panel height.
+   */
+  static getGameOverHeight(responsive) {
+    return Math.min(responsive.modalHeight * 1.3, height() - responsive.spacing.small * 2);
+  }
+
+  /**
+   * Displays the game over screen: title, final score and time, the score
+   * breakdown (solo), match statistics, high score name entry (when earned)
+   * and the Play Again, Watch Replay and Main Menu buttons.
+   * @param {object} result - The finished match.
+   * @param {string} result.title - Screen title, e.g. the winner of a versus match.
+   * @param {number|string} result.score - Final score (versus and cpu: "left - right" points).
+   * @param {number} result.time - Time played in seconds.
+   * @param {boolean} result.canReplay - Whether the match was recorded (online guests have no recording); the replay
+   *   button is disabled otherwise.
+   * @param {object|null} result.scoring - Final score tally (see ScoringRules.createTally), or null to leave out
+   *   the breakdown.
+   * @param {object} result.stats - Match statistics ({ summary, sideLabels, spawns }, see getMatchStatItems).
+   * @param {object|null} result.nameEntry - High score entry state ({ name, rank }), or null when not earned.
+   */
+  static createGameOverScreen({ title, score, time, canReplay, scoring, stats, nameEntry }) {
+    const ui = new Widgets("gameOver");
+    const responsive = ui.responsive;
+    const panelHeight = this.getGameOverHeight(responsive);
+    const contentWidth = responsive.modalWidth * 0.9;
+    const smallSize = responsive.buttonSize * 0.7;
+    const statItems = this.getMatchStatItems(stats.summary, stats.sideLabels, stats.spawns);
+    const statRows = Math.ceil(statItems.length / 2);
+    ui.modal(responsive.modalWidth, panelHeight);
+
+    const layout = new Layout("vertical", { gap: "small", maxSize: panelHeight - responsive.spacing.medium * 2 })
+      .add(responsive.titleSize, (x, y, size) => {
+        ui.label(title, { y, size, color: "danger", maxWidth: contentWidth });
+      })
+      .add(responsive.subtitleSize, (x, y, size) => {
+        const value = typeof score === "number" ? I18n.formatNumber(score) : score;
+        ui.label(I18n.t("gameOver.score", { score: value }), { y, size, maxWidth: contentWidth });
+      })
+      .add(responsive.subtitleSize, (x, y, size) => {
+        ui.label(I18n.t("gameOver.time", { time: GameUtils.formatTime(time) }), { y, size, maxWidth: contentWidth });
+      });
+    if (scoring) {
+      layout.add(smallSize, (x, y) => {
+        this.createScoreBreakdown(ui, scoring, y); // Where the points came from
+      });
+    }
+    layout.add(statRows * smallSize + (statRows - 1) * responsive.spacing.small, (x, y) => {
+      this.createStatGrid(ui, statItems, y);
+    }, "medium");
+    if (nameEntry) {
+      layout.add(responsive.buttonSize + responsive.spacing.small * 2, (x, y) => {
+        this.createNameEntry(ui, nameEntry, y); // Let a new high score be named
+      }, "medium");
+    }
+
+    // Buttons
+    const buttons = [
+      { label: I18n.t("gameOver.playAgain"), tag: "playAgainButton", color: "positive" },
+      { label: I18n.t("gameOver.replay"), tag: "replayButton", color: "accent", disabled: !canReplay },
+      { label: I18n.t("button.mainMenu"), tag: "menuButton", color: "textMuted" },
+    ];
+    buttons.forEach((button, index) => {
+      layout.add(responsive.buttonSize, (x, y, size) => {
+        ui.button(button.tag, button.label, {
+          y,
+          color: button.color,
+          maxWidth: contentWidth,
+          touchHeight: size + responsive.spacing.small,
+          disabled: Boolean(button.disabled),
+        });
+      }, index === 0 ? "large" : "small");
+    });
+    layout.arrange();
+  }
+
+  /**
+   * Adds the score breakdown under the final score on the game over screen:
+   * the points from each part of the scoring rules that scored any, and the
+   * best combo.
+   * @param {Widgets} ui - Game over widgets.
+   * @param {object} scoring - Final score tally (see ScoringRules.createTally).
+   * @param {number} y - Centre of the row.
+   */
+  static createScoreBreakdown(ui, scoring, y) {
+    const parts = ScoringRules.PARTS
+      .filter((part) => part === "hit" || scoring.breakdown[part] > 0)
+      .map((part) => I18n.t(`scoring.${part}`, { points: I18n.formatNumber(scoring.breakdown[part]) }));
+    const bestCombo = I18n.t("scoring.bestCombo", { combo: I18n.formatNumber(scoring.bestCombo) });
+
+    ui.label(`${parts.join(" + ")}   ${bestCombo}`, {
+      y,
+      size: ui.responsive.buttonSize * 0.7,
+      color: "accent",
+      maxWidth: ui.responsive.modalWidth * 0.9,
+    });
+  }
+
+  /**
+   * Returns the match statistics shown on the game over screen: rally
+   * lengths, peak ball speed, hits per paddle, wall bounces and how long
+   * balls stayed in play. Modes that spawn balls also show spawned and lost
+   * balls.
+   * @param {object} summary - Match statistics (see MatchStats.getSummary).
+   * @param {Array<string>} sideLabels - Labels for the left and right paddle.
+   * @param {boolean} spawns - Whether the mode spawns balls.
+   * @returns {Array<Array<string>>} - [label, value] pairs.
+   */
+  static getMatchStatItems(summary, sideLabels, spawns) {
+    const number = (value) => I18n.formatNumber(value, { maximumFractionDigits: 1 });
+    const items = [
+      [I18n.t("stats.longestRally"), number(summary.longestRally)],
+      [I18n.t("stats.averageRally"), number(summary.averageRally)],
+      [I18n.t("stats.peakSpeed"), number(summary.peakSpeed)],
+      [I18n.t("stats.wallBounces"), number(summary.wallBounces)],
+      [I18n.t("stats.hits"), `${sideLabels[0]} ${number(summary.hits[0])} / ${sideLabels[1]} ${number(summary.hits[1])}`],
+      [I18n.t("stats.longestBallLife"), GameUtils.formatTime(summary.longestBallLife)],
+      [I18n.t("stats.averageBallLife"), GameUtils.formatTime(summary.averageBallLife)],
+    ];
+    if (spawns) {
+      items.push([I18n.t("stats.balls"), `${number(summary.ballsSpawned)} / ${number(summary.ballsLost)}`]);
+    }
+    return items;
+  }
+
+  /**
+   * Adds statistics two to a row, each with its label on the left of its
+   * half and its value on the right (match statistics, history trends).
+   * @param {Widgets} ui - Screen widgets.
+   * @param {Array<Array<string>>} items - [label, value] pairs, e.g. from getMatchStatItems.
+   * @param {number} y - Centre of the block.
+   */
+  static createStatGrid(ui, items, y) {
+    const size = ui.responsive.buttonSize * 0.7;
+    const layout = new Layout("vertical", { y, gap: "small" });
+    for (let index = 0; index < items.length; index += 2) {
+      const pair = items.slice(index, index + 2);
+      layout.add(size, (x, rowY) => {
+        new Layout("horizontal", { y: rowY, gap: "medium" })
+          .fill(2, ui.responsive.modalWidth * 0.9, (cellX, cellY, cellWidth, column) => {
+            if (!pair[column]) {
+              return;
+            }
+            const [label, value] = pair[column];
+            ui.label(label, { x: cellX - cellWidth / 2, y: cellY, size, color: "textMuted", align: "left", maxWidth: cellWidth * 0.62 });
+            ui.label(value, { x: cellX + cellWidth / 2, y: cellY, size, color: "textStrong", align: "right", maxWidth: cellWidth * 0.36 });
+          })
+          .arrange();
+      });
+    }
+    layout.arrange();
+  }
+
+  /**
+   * Adds the high score name entry to the game over screen: a prompt, a text
+   * input showing the name as it is typed on the keyboard, and Save. After
+   * saving, the row shows the rank instead.
+   * @param {Widgets} ui - Game over widgets.
+   * @param {object} nameEntry - Entry state ({ name, rank }) owned by the game.
+   * @param {number} y - Centre of the row.
+   */
+  static createNameEntry(ui, nameEntry, y) {
+    const responsive = ui.responsive;
+    const size = responsive.buttonSize;
+    if (nameEntry.rank) {
+      ui.label(I18n.t("gameOver.saved", { rank: I18n.formatNumber(nameEntry.rank) }), {
+        y,
+        size,
+        color: "accent",
+        maxWidth: responsive.modalWidth * 0.9,
+      });
+      return;
+    }
+
+    const rowWidth = responsive.modalWidth * 0.9;
+    new Layout("horizontal", { y, gap: "small" })
+      .add(rowWidth * 0.38, (x, rowY, cellWidth) => {
+        ui.label(I18n.t("gameOver.newHighScore"), { x, y: rowY, size, color: "accent", maxWidth: cellWidth });
+      })
+      .add(rowWidth * 0.32, (x, rowY, cellWidth) => {
+        ui.textInput(() => nameEntry.name, { x, y: rowY, width: cellWidth, size });
+      })
+      .add(rowWidth * 0.2, (x, rowY, cellWidth) => {
+        ui.button("saveScoreButton", I18n.t("button.save"), { x, y: rowY, color: "positive", maxWidth: cellWidth });
+      })
+      .arrange();
+  }
+
+  /**
+   * Creates the replay control bar: play/pause, speed buttons, a scrub bar and exit.
+   * @param {ReplayPlayer} player - The replay being played.
+   */
+  static createReplayControls(player) {
+    const ui = new Widgets("replay", 60);
+    const responsive = ui.responsive;
+    const size = responsive.buttonSize;
+    const gap = responsive.spacing.medium;
+    const barHeight = Math.max(GameUtils.TOUCH_TARGET, size + gap * 2);
+    const buttonWidth = size * 4;
+    const speedWidth = size * 2.5;
+    const itemCount = ReplayPlayer.SPEEDS.length + 3;
+    const fixedWidth = buttonWidth * 2 + speedWidth * ReplayPlayer.SPEEDS.length + gap * (itemCount - 1);
+    const scrubWidth = Math.max(size * 4, width() - gap * 2 - fixedWidth); // The scrub bar takes what is left
+    ui.bar(barHeight);
+
+    const layout = new Layout("horizontal", { y: height() - barHeight / 2, gap })
+      .add(buttonWidth, (x, y, cellWidth) => {
+        // Label follows the player state (keys pause too)
+        ui.button("replayPauseButton", I18n.t(player.paused ? "replay.play" : "replay.pause"), {
+          x,
+          y,
+          color: "headerText",
+          maxWidth: cellWidth,
+          touchHeight: barHeight,
+          props: {
+            update() {
+              this.text = I18n.t(player.paused ? "replay.play" : "replay.pause");
+            },
+          },
+        });
+      });
+    ReplayPlayer.SPEEDS.forEach((speed) => {
+      layout.add(speedWidth, (x, y, cellWidth) => {
+        ui.button("replaySpeedButton", `${I18n.formatNumber(speed)}x`, {
+          x,
+          y,
+          color: "headerText",
+          maxWidth: cellWidth,
+          touchHeight: barHeight,
+          selected: player.speed === speed,
+          props: { speed },
+        });
+      });
+    });
+    layout
+      .add(scrubWidth, (x, y, cellWidth) => {
+        // Seeks to the pointer; keys seek with the arrows
+        ui.track(() => (player.duration > 0 ? player.clock / player.duration : 0), {
+          x: x - cellWidth / 2,
+          y,
+          width: cellWidth,
+          trackTag: "replayScrubBar",
+          touchHeight: barHeight,
+        });
+      })
+      .add(buttonWidth, (x, y, cellWidth) => {
+        ui.button("replayExitButton", I18n.t("replay.exit"), { x, y, color: "headerText", maxWidth: cellWidth, touchHeight: barHeight });
+      })
+      .arrange();
+  }
+}
+
+// Ball Manager Class
+class BallManager {
+  constructor() {
+    this.balls = [];   // Array to keep track of all rendered balls
+    this.palette = GameUtils.palette; // Theme colours for new balls
+  }
+
+  /**
+   * Creates a new ball entity and adds it to the game.
+   * @param {object} ballState - Simulation ball (id, position and radius).
+   * @returns {KaboomGameObj} - The created ball object.
+   */
+  createBall(ballState) {
+    const ballRadius = ballState.radius;
+
+    const ball = add([
+      pos(ballState.x, ballState.y),
+      circle(ballRadius),
+      color(...this.palette.ball),
+      outline(4, rgb(...this.palette.outline)),
+      { ballId: ballState.id, speed: ballState.speed },
+      "ball",
+      "game",
+    ]);
+
+    this.balls.push(ball);
+    return ball;
+  }
+
+  /**
+   * Matches the rendered balls to the simulation: creates balls that appeared,
+   * moves existing ones and destroys balls that are gone.
+   * @param {Array<object>} ballStates - Balls from the simulation state.
+   */
+  syncBalls(ballStates) {
+    const ids = new Set(ballStates.map((b) => b.id));
+
+    this.balls = this.balls.filter((ball) => {
+      if (!ids.has(ball.ballId)) {
+        destroy(ball);
+        return false;
+      }
+      return true;
+    });
+
+    ballStates.forEach((ballState) => {
+      const ball =
+        this.balls.find((b) => b.ballId === ballState.id) || this.createBall(ballState);
+      ball.pos.x = ballState.x;
+      ball.pos.y = ballState.y;
+      ball.speed = ballState.speed;
+      ball.radius = ballState.radius; // Follows the small ball power-up
+    });
+  }
+
+  /**
+   * Removes all balls from the manager (used when restarting).
+   */
+  reset() {
+    this.balls = [];
+  }
+
+  /**
+   * Returns the current number of balls in play.
+   */
+  get count() {
+    return this.balls.length;
+  }
+}
+
+// Power-Up Manager Class
+class PowerUpManager {
+  constructor() {
+    this.pickups = []; // Rendered pickups in the play area
+    this.shields = {}; // Rendered shield walls by side
+  }
+
+  /**
+   * Creates a pickup: a circle showing the power-up's symbol.
+   * @param {object} powerUpState - Simulation pickup (id, type, position and radius).
+   * @returns {KaboomGameObj} - The created pickup object.
+   */
+  createPickup(powerUpState) {
+    const pickup = add([
+      pos(powerUpState.x, powerUpState.y),
+      circle(powerUpState.radius),
+      GameUtils.themeColor("powerUp"),
+      outline(3, GameUtils.themeRgb("outline")),
+      z(5),
+      { powerUpId: powerUpState.id },
+      "powerUp",
+      "game",
+    ]);
+
+    pickup.add([
+      text(PowerUps.TYPES[powerUpState.type].symbol, { size: powerUpState.radius }),
+      anchor("center"),
+      GameUtils.themeColor("powerUpSymbol"),
+    ]);
+
+    this.pickups.push(pickup);
+    return pickup;
+  }
+
+  /**
+   * Matches the rendered pickups to the simulation.
+   * @param {Array<object>} powerUpStates - Pickups from the simulation state.
+   */
+  syncPowerUps(powerUpStates) {
+    const ids = new Set(powerUpStates.map((p) => p.id));
+
+    this.pickups = this.pickups.filter((pickup) => {
+      if (!ids.has(pickup.powerUpId)) {
+        destroy(pickup);
+        return false;
+      }
+      return true;
+    });
+
+    powerUpStates.forEach((powerUpState) => {
+      if (!this.pickups.some((p) => p.powerUpId === powerUpState.id)) {
+        this.createPickup(powerUpState);
+      }
+    });
+  }
+
+  /**
+   * Shows a shield wall at the screen edge for each side with an active shield.
+   * @param {Array<object>} effects - Active effects from the simulation state.
+   * @param {number} headerHeight - Height of the header UI.
+   */
+  syncShields(effects, headerHeight) {
+    ["left", "right"].forEach((side) => {
+      const active = Boolean(PowerUps.findEffect(effects, "shield", side));
+      if (active && !this.shields[side]) {
+        this.shields[side] = add([
+          pos(side === "left" ? 0 : width() - PowerUps.SHIELD_WIDTH, headerHeight),
+          rect(PowerUps.SHIELD_WIDTH, height() - headerHeight),
+          GameUtils.themeColor("shield"),
+          z(5),
+          "shield",
+          "game",
+        ]);
+      } else if (!active && this.shields[side]) {
+        destroy(this.shields[side]);
+        delete this.shields[side];
+      }
+    });
+  }
+
+  /**
+   * Forgets all rendered pickups and shields (used when restarting).
+   */
+  reset() {
+    this.pickups = [];
+    this.shields = {};
+  }
+}
+
+// Obstacle Manager Class
+class ObstacleManager {
+  static COLORS = { block: "obstacle", mover: "obstacle", bumper: "bumper", breakable: "breakable" }; // Theme token per type
+
+  constructor() {
+    this.obstacles = []; // Rendered obstacles in the play area
+  }
+
+  /**
+   * Creates an obstacle: a circle for bumpers, a box for everything else.
+   * @param {object} obstacleState - Simulation obstacle (id, type, position and size).
+   * @returns {KaboomGameObj} - The created obstacle object.
+   */
+  createObstacle(obstacleState) {
+    const isBumper = obstacleState.type === "bumper";
+    const obstacle = add([
+      pos(obstacleState.x, obstacleState.y),
+      isBumper ? circle(obstacleState.radius) : rect(obstacleState.width, obstacleState.height),
+      anchor("center"),
+      GameUtils.themeColor(ObstacleManager.COLORS[obstacleState.type]),
+      outline(3, GameUtils.themeRgb("outline")),
+      opacity(1),
+      z(4),
+      { obstacleId: obstacleState.id },
+      "obstacle",
+      "game",
+    ]);
+
+    this.obstacles.push(obstacle);
+    return obstacle;
+  }
+
+  /**
+   * Matches the rendered obstacles to the simulation: moving bars follow
+   * their path, broken blocks disappear and damaged ones fade.
+   * @param {Array<object>} obstacleStates - Obstacles from the simulation state.
+   */
+  syncObstacles(obstacleStates) {
+    const ids = new Set(obstacleStates.map((o) => o.id));
+
+    this.obstacles = this.obstacles.filter((obstacle) => {
+      if (!ids.has(obstacle.obstacleId)) {
+        destroy(obstacle);
+        return false;
+      }
+      return true;
+    });
+
+    obstacleStates.forEach((obstacleState) => {
+      const obstacle =
+        this.obstacles.find((o) => o.obstacleId === obstacleState.id) || this.createObstacle(obstacleState);
+      obstacle.pos.x = obstacleState.x;
+      obstacle.pos.y = obstacleState.y;
+      if (obstacleState.hitsLeft !== null) {
+        // Fade with each hit, from full strength down to 40%
+        obstacle.opacity = 0.4 + 0.6 * (obstacleState.hitsLeft / obstacleState.hits);
+      }
+    });
+  }
+
+  /**
+   * Forgets all rendered obstacles (used when restarting).
+   */
+  reset() {
+    this.obstacles = [];
+  }
+}
+
+// Game Object Manager Class
+class GameObjectManager {
+  /**
+   * Creates the paddles for the game (left and right).
+   * @param {Array<object>} paddleStates - Paddles from the simulation state.
+   * @param {object} palette - Theme colours (see Themes.THEMES).
+   * @returns {Array<KaboomGameObj>} - Array of paddle objects.
+   */
+  static createPaddles(paddleStates, palette) {
+    return paddleStates.map((paddleState) =>
+      add([
+        pos(paddleState.x, paddleState.y),
+        rect(paddleState.width, paddleState.height),
+        color(...palette.paddle),
+        outline(4, rgb(...palette.outline)),
+        anchor("center"),
+        "paddle",
+        "game",
+      ])
+    );
+  }
+
+  /**
+   * Creates the countdown shown above the score before the first serve and
+   * while a ball waits to respawn (solo) or to be served (versus and cpu):
+   * each second's number pops in large and fades as the second runs out.
+   * @param {object} gameInstance - The main game instance.
+   * @param {number} headerHeight - Height of the header UI.
+   * @returns {KaboomGameObj} - The countdown object.
+   */
+  static createServeCountdown(gameInstance, headerHeight) {
+    const responsive = GameUtils.getResponsiveDimensions();
+
+    return add([
+      text("", { size: responsive.titleSize * 2.5 }),
+      pos(center().x, headerHeight + (height() - headerHeight) / 2 - responsive.spacing.large),
+      anchor("bot"),
+      GameUtils.themeColor("danger"),
+      opacity(0),
+      scale(1),
+      z(50),
+      "game",
+      {
+        update() {
+          const seconds = gameInstance.serveCountdown;
+          if (seconds <= 0) {
+            this.opacity = 0;
+            return;
+          }
+          const progress = Math.ceil(seconds) - seconds; // 0 as a number appears, towards 1 as its second runs out
+          this.text = I18n.formatNumber(Math.ceil(seconds));
+          this.opacity = 1 - progress * 0.7;
+          this.scale = vec2(gameInstance.effects.reducedMotion ? 1 : 1.4 - Math.min(1, progress * 4) * 0.4);
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Creates the score display in the center of the play area.
+   * @param {object} gameInstance - The main game instance.
+   * @param {number} headerHeight - Height of the header UI.
+   * @returns {KaboomGameObj} - The score display object.
+   */
+  static createScoreDisplay(gameInstance, headerHeight) {
+    // Versus and cpu show both sides' points, solo the points from hits
+    const getScoreText = () =>
+      gameInstance.players === "solo" ? gameInstance.score : gameInstance.scores.join("   ");
+
+    return add([
+      text(getScoreText()),
+      pos(center().x, headerHeight + (height() - headerHeight) / 2),
+      anchor("center"),
+      z(50),
+      "game",
+      {
+        update() {
+          this.text = getScoreText();
+        },
+      },
+    ]);
+  }
+}
+
+// Input Manager Class
+class InputManager {
+  static touches = new Map(); // Active touches by identifier: { x, y }
+  static touchActive = false; // True while touch is the last pointer used (mousePos() is then stale)
+
+  /**
+   * Starts tracking touches for paddle control. Kaboom also turns touches
+   * into mouse events (that keeps buttons tappable), so paddles ignore the
+   * mouse from the first touch until a real mouse moves again.
+   */
+  static setupTouch() {
+    const track = (position, touch) => {
+      this.touchActive = true;
+      this.touches.set(touch.identifier, { x: position.x, y: position.y });
+    };
+    onTouchStart(track);
+    onTouchMove(track);
+    onTouchEnd((position, touch) => {
+      this.touches.delete(touch.identifier);
+    });
+
+    window.addEventListener("pointermove", (event) => {
+      if (event.pointerType === "mouse") this.touchActive = false;
+    });
+  }
+
+  /**
+   * Builds paddle inputs from the active touches. A touch on either half of
+   * the screen drives that side's paddle, so two thumbs control both paddles
+   * independently; the newest touch on a side wins. In solo a single thumb
+   * drives both paddles, and against the CPU any touch drives the player's
+   * paddle. Paddles without a touch hold still.
+   * @param {string} players - Player mode: solo, versus or cpu.
+   * @returns {{paddles: Array<object>}} - Simulation inputs (left, right).
+   */
+  static getTouchInputs(players) {
+    const sides = [null, null];
+    this.touches.forEach((touch) => {
+      sides[touch.x < width() / 2 ? 0 : 1] = { y: touch.y };
+    });
+
+    if (players === "cpu") {
+      return { paddles: [sides[0] || sides[1], null] };
+    }
+    if (players === "solo" && (!sides[0] || !sides[1])) {
+      const single = sides[0] || sides[1];
+      return { paddles: [single, single] };
+    }
+    return { paddles: sides };
+  }
+
+  /**
+   * Builds this frame's human paddle inputs for the simulation.
+   * Solo: both paddles follow the mouse. Versus: the left paddle uses W/S and
+   * the right paddle the arrow keys; the mouse can drive one side while that
+   * side's keys are not held. Cpu: the player's left paddle takes any of the
+   * three, and the right paddle is left for the AI (null).
+   * The input scheme narrows this down: "mouse" lets the mouse win over keys,
+   * "keyboard" ignores the mouse (solo then moves both paddles with W/S or the
+   * arrows), and "mixed" accepts both as described. Once the screen has been
+   * touched, touch input (see getTouchInputs) replaces the mouse.
+   * @param {string} players - Player mode: solo, versus or cpu.
+   * @param {string} mouseSide - Paddle the mouse controls in versus: none, left or right.
+   * @param {string} [scheme="mixed"] - Input scheme: mixed, mouse or keyboard.
+   * @returns {{paddles: Array<object>}} - Simulation inputs (left, right).
+   */
+  static getPaddleInputs(players, mouseSide, scheme = "mixed") {
+    if (this.touchActive) {
+      return this.getTouchInputs(players);
+    }
+
+    const useMouse = (move) =>
+      scheme === "mouse" || (scheme === "mixed" && move === 0 && isMouseMoved());
+
+    if (players === "solo") {
+      if (scheme === "keyboard") {
+        const move = this.getKeyMove("w", "s") || this.getKeyMove("up", "down");
+        return { paddles: [{ move }, { move }] };
+      }
+      const mouseY = mousePos().y;
+      return { paddles: [{ y: mouseY }, { y: mouseY }] };
+    }
+
+    if (players === "cpu") {
+      const move = this.getKeyMove("w", "s") || this.getKeyMove("up", "down");
+      const left = scheme !== "keyboard" && useMouse(move) ? { y: mousePos().y } : { move };
+      return { paddles: [left, null] };
+    }
+
+    const paddles = [
+      { move: this.getKeyMove("w", "s") },
+      { move: this.getKeyMove("up", "down") },
+    ];
+
+    const mouseIndex = ["left", "right"].indexOf(mouseSide);
+    if (mouseIndex !== -1 && scheme !== "keyboard" && useMouse(paddles[mouseIndex].move)) {
+      paddles[mouseIndex] = { y: mousePos().y };
+    }
+
+    return { paddles };
+  }
+
+  /**
+   * Lets gamepads override this frame's paddle inputs: a moving stick or
+   * d-pad wins over the mouse and keys. With two pads each player gets their
+   * own paddle in versus; in solo either pad drives both paddles, and against
+   * the CPU either pad drives the player's paddle.
+   * @param {{paddles: Array<object>}} inputs - Inputs from getPaddleInputs; modified in place.
+   * @param {string} players - Player mode: solo, versus or cpu.
+   * @param {GamepadInput} gamepads - Polled gamepads.
+   */
+  static applyGamepads(inputs, players, gamepads) {
+    if (players === "versus") {
+      [0, 1].forEach((index) => {
+        const move = gamepads.getMove(index);
+        if (move !== 0) inputs.paddles[index] = { move };
+      });
+      return;
+    }
+
+    const move = gamepads.getMove(0) || gamepads.getMove(1);
+    if (move !== 0) {
+      inputs.paddles[0] = { move };
+      if (players === "solo") inputs.paddles[1] = { move };
+    }
+  }
+
+  /**
+   * Returns the movement direction from a pair of keys.
+   * @param {string} upKey - Key that moves the paddle up.
+   * @param {string} downKey - Key that moves the paddle down.
+   * @returns {number} - -1 (up), 0 (none or both) or 1 (down).
+   */
+  static getKeyMove(upKey, downKey) {
+    return (isKeyDown(downKey) ? 1 : 0) - (isKeyDown(upKey) ? 1 : 0);
+  }
+}
+
+// Focus Manager Class
+// Lets the keyboard reach every on-screen button: Tab and the arrow keys move
+// a focus ring through the buttons in reading order, and Enter presses the
+// focused one by running the same action as a click.
+class FocusManager {
+  /**
+   * Creates the focus manager and its (hidden) focus ring.
+   * @param {LiveAnnouncer} announcer - Reads the focused button out.
+   */
+  constructor(announcer) {
+    this.announcer = announcer;
+    this.actions = {};      // Click action per button tag
+    this.focused = null;    // Focused button, or null when the keyboard has not moved focus
+    this.signature = null;  // Identifies the focused button across screen redraws
+    this.ring = add([
+      pos(0, 0),
+      rect(1, 1, { fill: false }),
+      outline(3, GameUtils.themeRgb("accent")),
+      anchor("center"),
+      opacity(0),
+      z(99),
+    ]);
+  }
+
+  /**
+   * Registers a button tag: clicking or pressing Enter on it runs the action.
+   * Disabled buttons (see Widgets.button) ignore both.
+   * @param {string} tag - Button tag.
+   * @param {Function} action - Called with the button object.
+   */
+  addButton(tag, action) {
+    this.actions[tag] = action;
+    onClick(tag, (obj) => {
+      if (!obj.disabled) action(obj);
+    });
+  }
+
+  /**
+   * Returns the button tag of an object.
+   * @param {KaboomGameObj} obj - Button.
+   * @returns {string|undefined} - Its registered tag.
+   */
+  getTag(obj) {
+    return Object.keys(this.actions).find((tag) => obj.is(tag));
+  }
+
+  /**
+   * Returns what a screen reader says for a button.
+   * @param {KaboomGameObj} obj - Button.
+   * @returns {string} - Its label.
+   */
+  static getLabel(obj) {
+    return obj.ariaLabel || obj.text || "";
+  }
+
+  /**
+   * Returns a key that finds the same button again after its screen is
+   * redrawn (settings and menus redraw on every change).
+   * @param {KaboomGameObj} obj - Button.
+   * @returns {string} - Signature.
+   */
+  getSignature(obj) {
+    return [this.getTag(obj), FocusManager.getLabel(obj), obj.key, obj.direction, obj.channel].join("|");
+  }
+
+  /**
+   * Returns the buttons on screen in reading order (rows top to bottom, then
+   * left to right), leaving out disabled ones.
+   * @returns {Array<KaboomGameObj>} - Focusable buttons.
+   */
+  getItems() {
+    const items = new Set();
+    Object.keys(this.actions).forEach((tag) => {
+      get(tag).forEach((obj) => {
+        if (obj.focusable !== false && !obj.disabled) items.add(obj);
+      });
+    });
+    const center = (obj) => obj.worldArea().bbox().center();
+    return [...items].sort((a, b) => {
+      const ca = center(a);
+      const cb = center(b);
+      return Math.abs(ca.y - cb.y) > 8 ? ca.y - cb.y : ca.x - cb.x;
+    });
+  }
+
+  /**
+   * Moves focus to the next or previous button, wrapping around, and
+   * announces it.
+   * @param {number} direction - 1 for next, -1 for previous.
+   */
+  move(direction) {
+    const items = this.getItems();
+    if (items.length === 0) {
+      return;
+    }
+    const index = items.indexOf(this.focused);
+    const next = index === -1
+      ? (direction > 0 ? 0 : items.length - 1)
+      : (index + direction + items.length) % items.length;
+    this.setFocus(items[next]);
+    this.announcer.announce(I18n.t(this.focused.selected ? "a11y.selected" : "a11y.button", { label: FocusManager.getLabel(this.focused) }));
+  }
+
+  /**
+   * Focuses a button.
+   * @param {KaboomGameObj|null} obj - Button, or null to clear focus.
+   */
+  setFocus(obj) {
+    this.focused = obj;
+    this.signature = obj ? this.getSignature(obj) : null;
+  }
+
+  /**
+   * Presses the focused button.
+   * @returns {boolean} - False when no button has focus (the key can do its usual job).
+   */
+  activate() {
+    if (!this.focused || !this.focused.exists() || this.focused.disabled) {
+      return false;
+    }
+    this.actions[this.getTag(this.focused)](this.focused);
+    return true;
+  }
+
+  /**
+   * Keeps focus on the same button when its screen is redrawn, drops it
+   * when the button is gone, and moves the ring onto it. Call every frame.
+   */
+  update() {
+    if (this.focused && !this.focused.exists()) {
+      this.focused = this.getItems().find((obj) => this.getSignature(obj) === this.signature) || null;
+      if (!this.focused) this.signature = null;
+    }
+
+    if (!this.focused) {
+      this.ring.opacity = 0;
+      return;
+    }
+    const box = this.focused.worldArea().bbox();
+    this.ring.pos = box.center();
+    this.ring.width = box.width + 10;
+    this.ring.height = box.height + 8;
+    this.ring.outline.color = GameUtils.themeRgb("accent");
+    this.ring.opacity = 1;
+  }
+}
+
+// Main Game Class
+class PongGame {
+  static RELAYOUT_DELAY = 0.3;      // Seconds the viewport must stay unchanged before relaying out
+  static LIVES_OPTIONS = [1, 3, 5]; // Lives counts offered on the menu (solo)
+  static PLAYER_MODES = ["solo", "versus", "cpu", "online"]; // Player modes in menu order
+  static ONLINE_INPUT_DELAY = 3;    // Frames the online host holds back its own input, evening out the guest's lag
+
+  constructor() {
+    // Game state variables
+    this.states = this.createStates(); // Current screen: menu, levels, highScores, history, settings, audio, lobby, waiting, playing, paused, gameOver, or replay
+    this.gameMode = "speed";      // Id of the selected game mode (see GameModeRegistry)
+    this.players = "solo";        // Player mode: solo, versus, cpu or online
+    this.levels = [Levels.OPEN];  // Levels on the level select screen (the bundled ones once loaded)
+    this.levelProblems = [];      // Bundled levels that could not be loaded ({ file, error }; file is null for all of them)
+    this.levelId = Levels.OPEN.id; // Id of the selected level
+    this.mouseSide = "none";      // Paddle the mouse controls in versus: none, left or right
+    this.difficulty = "normal";   // CPU difficulty: easy, normal or hard
+    this.lives = GameModeRegistry.get(this.gameMode).rules.lives; // Lives at the start of a solo match
+    this.livesLeft = 0;           // Lives left in the current solo match
+    this.serveCountdown = 0;      // Seconds until the kickoff or the next waiting ball is served
+    this.countdownSeconds = 0;    // Whole seconds of the countdown last shown (a tick plays on each change)
+    this.ai = null;               // Controls the right paddle against the CPU
+    this.gameTime = 0;            // Elapsed game time (seconds)
+    this.finalTime = 0;           // Time at game over
+    this.score = 0;               // Player score
+    this.scores = [0, 0];         // Per-player points in versus (left, right)
+    this.finalScore = 0;          // Score at game over
+    this.simulation = null;       // Engine-independent match simulation
+    this.recorder = null;         // Records the current match for replay
+    this.replayPlayer = null;     // Plays back the last match
+    this.highScores = new HighScoreStore(); // Saved top scores per game mode
+    this.history = new SessionHistory(); // Saved recent matches with their statistics
+    this.stats = null;            // Statistics of the current match
+    this.matchSummary = null;     // Statistics of the finished match (game over screen)
+    this.audio = new SoundEffects(); // Sound effects and saved volume settings
+    this.settings = new SettingsStore(); // Saved gameplay, control and theme settings
+    this.palette = GameUtils.palette; // Colour tokens of the current theme
+    this.gamepads = new GamepadInput(); // Connected gamepads (paddles and menu buttons)
+    this.viewport = { width: width(), height: height() }; // Screen size the current layout was built for
+    this.relayoutTimer = 0;       // Seconds until a pending relayout (the match holds meanwhile)
+    this.highScoreMode = null;    // Game mode of the high score table on screen
+    this.nameEntry = null;        // High score name entry for the last match: { name, rank }
+    this.online = null;           // Online session: { connection, role, hostField, inputQueue, guestInput, predictedY, resumeState, waiting }
+    this.joinCode = "";           // Room code typed in the lobby
+    this.ballManager = new BallManager(); // Renders the simulated balls
+    this.powerUpManager = new PowerUpManager(); // Renders pickups and shields
+    this.obstacleManager = new ObstacleManager(); // Renders the level's obstacles
+    this.effects = new VisualEffects(); // Trails, particles, flashes, pop-ups and shake
+    this.announcer = new LiveAnnouncer(); // Off-screen live region for screen readers
+    this.focus = new FocusManager(this.announcer); // Keyboard focus for on-screen buttons
+    this.activeEffects = [];      // Active power-up effects (shown in the header)
+    this.scoring = null;          // Combo, multiplier and score breakdown of the match (see ScoringRules)
+    this.paddles = [];            // Array of paddle objects
+
+    this.initializeGame();        // Set up initial game state
+    this.setupEventHandlers();    // Register all event handlers
+    this.loadLevels();            // Fetch the bundled levels in the background
+  }
+
+  /**
+   * Loads the bundled levels after the open field. Until they arrive, or if
+   * they cannot be loaded, only the open field is offered. Files that could
+   * not be loaded are kept for the level select screen to point out.
+   */
+  async loadLevels() {
+    try {
+      const bundled = await Levels.loadBundled();
+      this.levels = [Levels.OPEN, ...bundled.levels];
+      this.levelProblems = bundled.skipped;
+    } catch (error) {
+      this.levelProblems = [{ file: null, error: error.message }];
+    }
+    if (this.states.is("levels")) {
+      this.showLevels(); // Show the new levels (or what went wrong) on the open screen
+    }
+  }
+
+  /**
+   * Points out bundled levels that could not be loaded, if any.
+   */
+  showLevelProblems() {
+    if (this.levelProblems.length === 0) {
+      return;
+    }
+    const messages = this.levelProblems.map(({ file, error }) => (file
+      ? I18n.t("levels.skipped", { file, error })
+      : I18n.t("levels.unavailable", { error })));
+    UIManager.showNotice(messages.join("; "));
+  }
+
+  /**
+   * Returns the selected level, or the open field when it is not available.
+   * @returns {object} - Level definition (see Levels).
+   */
+  getLevel() {
+    return this.levels.find((level) => level.id === this.levelId) || Levels.OPEN;
+  }
+
+  /**
+   * Initializes the game and shows the main menu.
+   */
+  initializeGame() {
+    this.applySettings();
+    this.showMenu();
+    this.announcer.announce(I18n.t("a11y.intro"));
+  }
+
+  /**
+   * Applies the theme from the settings to the background and new balls, the
+   * motion setting to the effects and the language to all text ("auto"
+   * follows the browser). Screens built afterwards use the new language.
+   */
+  applySettings() {
+    I18n.setLanguage(this.settings.get("language"));
+    document.documentElement.lang = I18n.language;
+    const canvas = document.querySelector("canvas");
+    if (canvas) {
+      canvas.setAttribute("aria-label", I18n.t("a11y.canvas"));
+    }
+    this.palette = GameUtils.applyTheme(this.settings.get("theme"));
+    this.ballManager.palette = this.palette;
+    const reducedMotion = this.settings.get("reducedMotion");
+    this.effects.reducedMotion = reducedMotion === "auto" ? VisualEffects.prefersReducedMotion() : reducedMotion === "on";
+  }
+
+  /**
+   * Builds the screen state machine. Each state lists the tags of the
+   * objects it owns and the states it may move to; entering a state builds
+   * its screen and leaving it destroys those tags. The match's play field
+   * and header stay while a match is running behind a modal (playing, paused
+   * and waiting) and are cleared on the way to any other state. `transition`
+   * is how the state comes on screen (see changeState).
+   * @returns {StateMachine} - The machine, before its first state.
+   */
+  createStates() {
+    const matchStates = ["playing", "paused", "waiting"]; // States that keep a running match on screen
+    const state = (tags, transition, to, enter = null) => ({
+      tags,
+      transition,
+      to,
+      enter,
+      exit: (next) => {
+        tags.forEach((tag) => destroyAll(tag));
+        if (!matchStates.includes(next)) {
+          this.clearMatch();
+        }
+      },
+    });
+    const toMenu = ["menu"];
+
+    return new StateMachine({
+      menu: state(["menu"], "slide", ["levels", "highScores", "history", "settings", "audio", "lobby", "playing"], () => {
+        this.leaveOnline();
+        UIManager.createMenu(this.gameMode, this.players, {
+          lives: this.lives,
+          mouseSide: this.mouseSide,
+          difficulty: this.difficulty,
+          level: this.getLevel(),
+        });
+      }),
+      levels: state(["levels"], "slide", toMenu, () => {
+        UIManager.createLevelSelect(this.levels, this.getLevel().id);
+        this.showLevelProblems();
+      }),
+      highScores: state(["highScores"], "slide", toMenu, (from, mode) => {
+        this.highScoreMode = mode;
+        UIManager.createHighScores(mode, GameModeRegistry.list(), this.highScores.getScores(mode), this.highScores.getLegacyScores(mode));
+      }),
+      history: state(["history"], "slide", toMenu, () => {
+        const trend = (select) => this.history.getTrend(select);
+        const number = (value) => I18n.formatNumber(value, { maximumFractionDigits: 1 });
+        UIManager.createHistory(this.history.getRecent(UIManager.HISTORY_ROWS), [
+          { label: I18n.t("history.trendScore"), trend: trend((s) => (s.players === "solo" ? s.score : null)), format: number },
+          { label: I18n.t("history.trendRally"), trend: trend((s) => s.stats.longestRally), format: number },
+          { label: I18n.t("history.trendSpeed"), trend: trend((s) => s.stats.peakSpeed), format: number },
+          { label: I18n.t("history.trendTime"), trend: trend((s) => s.time), format: (value) => GameUtils.formatTime(value) },
+        ]);
+      }),
+      settings: state(["settings"], "slide", toMenu, () => {
+        UIManager.createSettings(this.settings);
+      }),
+      audio: state(["audioSettings"], "slide", toMenu, () => {
+        UIManager.createAudioSettings(this.audio.settings, this.audio.AudioContextClass !== null);
+      }),
+      lobby: state(["lobby"], "slide", ["menu", "waiting"], () => {
+        this.leaveOnline();
+        UIManager.createLobby(this);
+      }),
+      // Over the lobby, or over a match on hold while a player reconnects
+      waiting: state(["waiting"], null, ["lobby", "menu", "playing", "paused"], (from, message, room) => {
+        this.online.waiting = { message, room };
+        UIManager.createWaiting(message, room);
+      }),
+      // New matches fade in from startGame; coming back from a modal shows the match at once
+      playing: state([], null, ["paused", "waiting", "gameOver", "lobby"]),
+      paused: state(["pause"], null, ["playing", "waiting", "menu", "lobby"], () => {
+        UIManager.createPauseMenu();
+      }),
+      gameOver: state(["gameOver"], "fade", ["playing", "replay", "menu", "lobby"], () => {
+        const matchState = this.simulation.state;
+        this.finalTime = matchState.time;
+        // Versus and cpu show both sides' points, solo the points from hits
+        this.finalScore = this.players === "solo" ? matchState.score : matchState.scores.join(" - ");
+        const sideLabels = this.players === "solo" ? [I18n.t("stats.left"), I18n.t("stats.right")] : this.getPlayerLabels();
+        UIManager.createGameOverScreen({
+          title: this.getResultTitle(matchState.winner),
+          score: this.finalScore,
+          time: this.finalTime,
+          canReplay: this.recorder !== null,
+          scoring: this.players === "solo" ? matchState.scoring : null, // Solo shows where the points came from
+          stats: { summary: this.matchSummary, sideLabels, spawns: Boolean(this.simulation.config.mode.spawn) },
+          nameEntry: this.nameEntry,
+        });
+      }),
+      replay: state(["replay"], "fade", ["gameOver", "lobby"], () => {
+        this.replayPlayer = new ReplayPlayer(this.recorder.getReplay());
+        this.countdownSeconds = 0;
+        UIManager.createHeader(this.gameMode, this);
+        this.createGameObjects(this.replayPlayer.getView(this.getFieldSize()));
+        UIManager.createReplayControls(this.replayPlayer);
+      }),
+    });
+  }
+
+  /**
+   * Moves to a state (see createStates) and plays its transition: the menu's
+   * screens slide in (back to the menu slides the other way), results and
+   * replays fade in, and modals and redraws of the same screen appear at
+   * once. With reduced motion, and between screens that do not slide,
+   * slides become fades.
+   * @param {string} to - State name.
+   * @param {...*} args - Passed on to the state's enter hook.
+   */
+  changeState(to, ...args) {
+    const from = this.states.transition(to, ...args);
+    const definition = this.states.states[to];
+    let transition = from === to ? null : definition.transition;
+    if (transition === "slide" && (from === null || this.states.states[from].transition !== "slide" || this.effects.reducedMotion)) {
+      transition = "fade";
+    }
+
+    if (transition === "slide") {
+      ScreenTransition.slide(definition.tags, to === "menu" ? -1 : 1);
+    } else if (transition === "fade") {
+      ScreenTransition.fade();
+    }
+  }
+
+  /**
+   * Removes the play field and header of the match (or replay) on screen.
+   */
+  clearMatch() {
+    destroyAll("game");
+    destroyAll("header");
+    this.ballManager.reset();
+    this.powerUpManager.reset();
+    this.obstacleManager.reset();
+  }
+
+  /**
+   * Shows the main menu, ending any match or online session.
+   */
+  showMenu() {
+    this.changeState("menu");
+  }
+
+  /**
+   * Shows the level select screen.
+   */
+  showLevels() {
+    this.changeState("levels");
+  }
+
+  /**
+   * Shows the high score table for a game mode.
+   * @param {string} mode - Game mode whose table is shown.
+   */
+  showHighScores(mode) {
+    this.changeState("highScores", mode);
+  }
+
+  /**
+   * Shows the session history with trends over recent sessions.
+   */
+  showHistory() {
+    this.changeState("history");
+  }
+
+  /**
+   * Downloads every saved session as a JSON file.
+   */
+  exportHistory() {
+    const blob = new Blob([this.history.exportJSON()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `pong-sessions-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Shows the settings modal.
+   */
+  showSettings() {
+    this.changeState("settings");
+  }
+
+  /**
+   * Shows the sound settings.
+   */
+  showAudioSettings() {
+    this.changeState("audio");
+  }
+
+  /**
+   * Sets a volume, plays a short tone at the new level and redraws the sound
+   * settings.
+   * @param {string} channel - "master" or "sfx".
+   * @param {number} volume - New volume (0 to 1; clamped by SoundEffects).
+   */
+  setVolume(channel, volume) {
+    if (channel === "master") {
+      this.audio.setMasterVolume(volume);
+    } else {
+      this.audio.setSfxVolume(volume);
+    }
+    this.audio.playTone({ frequency: 440, duration: 0.1 }); // Preview the new volume
+    this.showAudioSettings();
+  }
+
+  /**
+   * Shows the online lobby, ending any online session.
+   */
+  showLobby() {
+    this.changeState("lobby");
+  }
+
+  /**
+   * Shows the online waiting modal over the current screen.
+   * @param {string} message - Status message.
+   * @param {string|null} room - Room code to share, or null to hide it.
+   */
+  showWaiting(message, room) {
+    this.changeState("waiting", message, room);
+  }
+
+  /**
+   * Connects to the relay server and hosts a new room or joins one. The host
+   * runs the match simulation and streams its state; the guest only sends
+   * its paddle position.
+   * @param {string|null} room - Room code to join, or null to host.
+   */
+  connectOnline(room) {
+    this.leaveOnline();
+    const connection = new RelayConnection(RelayConnection.getDefaultUrl());
+    this.online = {
+      connection,
+      role: null,          // host or guest
+      hostField: null,     // Play area size of the host's simulation (guest)
+      inputQueue: [],      // Host's own delayed inputs
+      guestInput: null,    // Latest guest paddle input (host)
+      predictedY: null,    // Guest's own paddle, predicted locally in host coordinates (guest)
+      pendingEvents: null, // Host events not yet played (guest, once the match started)
+      resumeState: null,   // State to return to after a hold (playing or paused)
+      waiting: null,       // Waiting modal on screen: { message, room }
+    };
+
+    // Ignore messages from a connection that has since been left
+    const on = (type, handler) => {
+      connection.on(type, (message) => {
+        if (this.online && this.online.connection === connection) handler(message);
+      });
+    };
+    const endSession = (message) => {
+      this.showLobby();
+      UIManager.showNotice(message);
+    };
+
+    on("hosted", (message) => {
+      this.online.role = "host";
+      this.showWaiting(I18n.t("online.share"), message.room);
+    });
+    on("joined", (message) => {
+      this.online.role = "guest";
+      this.showWaiting(I18n.t("online.waitHost"), message.room);
+    });
+    on("peerJoined", () => this.startGame());
+    on("peerLeft", () => this.holdOnline(I18n.t("online.peerLeft")));
+    on("peerReturned", () => this.resumeOnline());
+    on("reconnecting", () => this.holdOnline(I18n.t("online.reconnecting")));
+    on("rejoined", () => this.resumeOnline());
+    // Errors carry a code for the translated text; unknown codes show the server's message
+    on("error", (message) => endSession(I18n.t(`error.${message.code}`, {}, message.message)));
+    on("failed", (message) => endSession(I18n.t(`error.${message.code}`, {}, message.message)));
+    on("roomClosed", () => endSession(I18n.t("online.roomClosed")));
+    on("data", (data) => this.handleOnlineData(data));
+
+    this.showWaiting(I18n.t("online.connecting"), null);
+    if (room) {
+      connection.join(room);
+    } else {
+      connection.host();
+    }
+  }
+
+  /**
+   * Ends the online session, if any. The room closes for the other player too.
+   */
+  leaveOnline() {
+    if (this.online) {
+      this.online.connection.close();
+      this.online = null;
+    }
+  }
+
+  /**
+   * Holds a running online match while a player is disconnected. Outside a
+   * match the message is only shown as a notice.
+   * @param {string} message - Reason shown on the waiting modal.
+   */
+  holdOnline(message) {
+    if (this.states.is("playing", "paused")) {
+      this.online.resumeState = this.states.current;
+      this.showWaiting(message, null);
+    } else if (this.states.is("waiting") && this.online.resumeState) {
+      this.showWaiting(message, null); // Already holding: update the message
+    } else {
+      UIManager.showNotice(message);
+    }
+  }
+
+  /**
+   * Continues a held online match once both players are connected again.
+   */
+  resumeOnline() {
+    if (this.states.is("waiting") && this.online.resumeState) {
+      const resumeState = this.online.resumeState;
+      this.online.resumeState = null;
+      this.changeState(resumeState);
+    }
+  }
+
+  /**
+   * Handles game data from the other player.
+   * Host to guest: start (match config), state (snapshot, events and play
+   * area size every frame). Guest to host: input (paddle position), rematch.
+   * Either way: pause and resume.
+   * @param {object} data - Game data.
+   */
+  handleOnlineData(data) {
+    const online = this.online;
+    switch (data.kind) {
+      case "start":
+        if (online.role === "guest") this.startOnlineGuest(data.config);
+        break;
+      case "state":
+        if (online.role === "guest" && online.pendingEvents) {
+          online.hostField = data.field;
+          this.simulation.state = data.state;
+          online.pendingEvents.push(...data.events);
+        }
+        break;
+      case "input":
+        if (online.role === "host") online.guestInput = data.paddle;
+        break;
+      case "rematch":
+        if (online.role === "host" && this.states.is("gameOver", "paused")) this.startGame();
+        break;
+      case "pause":
+        this.pauseGame(false);
+        break;
+      case "resume":
+        this.resumeGame(false);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Starts the guest's side of an online match from the host's config. The
+   * guest keeps a simulation only to hold the latest snapshot; it never
+   * steps it.
+   * @param {object} config - Simulation config from the host.
+   */
+  startOnlineGuest(config) {
+    this.changeState("playing");
+    this.clearMatch();       // Remove the previous match (rematch)
+    this.nameEntry = null;
+    if (GameModeRegistry.modes.has(config.mode.id)) {
+      this.gameMode = config.mode.id; // Show the host's mode in the header
+    }
+
+    this.simulation = new PongSimulation(config);
+    this.recorder = null;    // Only the host records
+    this.stats = new MatchStats(); // Counted from the host's events
+    this.ai = null;
+    Object.assign(this.online, {
+      hostField: FieldMapping.fromConfig(config),
+      predictedY: null,
+      pendingEvents: [],
+      resumeState: null,
+    });
+    this.countdownSeconds = 0;
+    UIManager.createHeader(this.gameMode, this);
+    this.createGameObjects(this.getGuestView());
+    ScreenTransition.fade();
+  }
+
+  /**
+   * Joins the room whose code was typed in the lobby.
+   */
+  joinRoom() {
+    if (this.joinCode.length < RelayConnection.CODE_LENGTH) {
+      UIManager.showNotice(I18n.t("online.typeCode", { length: I18n.formatNumber(RelayConnection.CODE_LENGTH) }));
+      return;
+    }
+    this.connectOnline(this.joinCode);
+  }
+
+  /**
+   * Asks for another match: the host starts it straight away, a guest asks
+   * the host to.
+   */
+  playAgain() {
+    if (this.online && this.online.role === "guest") {
+      this.online.connection.send({ kind: "rematch" });
+      UIManager.showNotice(I18n.t("online.rematch"));
+      return;
+    }
+    this.startGame();
+  }
+
+  /**
+   * Starts a new game session.
+   */
+  startGame() {
+    if (this.online && this.online.role === "guest") {
+      return; // The host starts online matches
+    }
+    this.changeState("playing");
+    this.clearMatch();       // Remove the previous match (restart)
+    this.gameTime = 0;
+    this.score = 0;
+    this.scores = [0, 0];
+    this.nameEntry = null;
+    this.countdownSeconds = 0;
+
+    this.simulation = this.createSimulation();   // Fresh match state
+    this.recorder = new ReplayRecorder(this.simulation.config); // Record seed and inputs
+    this.stats = new MatchStats();
+    this.ai = this.players === "cpu" ? new AIController("right", this.difficulty) : null;
+    if (this.online) {
+      Object.assign(this.online, { inputQueue: [], guestInput: null, resumeState: null });
+      this.online.connection.send({ kind: "start", config: this.simulation.config }); // The guest builds its view from the same config
+    }
+    UIManager.createHeader(this.gameMode, this); // Show header UI
+    this.createGameObjects(this.simulation.state); // Create paddles, score and the kickoff countdown
+    ScreenTransition.fade();
+  }
+
+  /**
+   * Creates the match simulation sized to the current screen.
+   * @returns {PongSimulation} - The new simulation.
+   */
+  createSimulation() {
+    return new PongSimulation({
+      ...this.getFieldSize(),
+      mode: this.settings.applyToMode(GameModeRegistry.get(this.gameMode)), // Mode tuned by the settings
+      players: this.players === "solo" ? "solo" : "versus", // The CPU plays by versus rules
+      lives: this.lives,
+      level: this.getLevel(),
+    });
+  }
+
+  /**
+   * Returns the play area size for the current screen.
+   * @returns {object} - Simulation size ({ width, height, headerHeight, paddle, ballRadius }).
+   */
+  getFieldSize() {
+    return {
+      width: width(),
+      height: height(),
+      headerHeight: UIManager.headerHeight,
+      paddle: GameUtils.getPaddleConfig(this.settings.get("paddleHeight")),
+      ballRadius: GameUtils.getBallRadius(),
+    };
+  }
+
+  /**
+   * Creates paddles, score display, serve countdown and balls for a match state.
+   * @param {object} state - Simulation state to show.
+   */
+  createGameObjects(state) {
+    this.effects.createLayer(this.palette, this.simulation.config.mode, GameUtils.getResponsiveDimensions().breakpoint === "mobile");
+    this.paddles = GameObjectManager.createPaddles(state.paddles, this.palette);
+    GameObjectManager.createScoreDisplay(this, UIManager.headerHeight);
+    GameObjectManager.createServeCountdown(this, UIManager.headerHeight);
+    this.renderState(state);
+  }
+
+  /**
+   * Shows the game over screen and final stats.
+   */
+  showGameOver() {
+    this.changeState("gameOver");
+  }
+
+  /**
+   * Adds the finished match, with its statistics, to the session history.
+   */
+  recordSession() {
+    const state = this.simulation.state;
+    this.matchSummary = this.stats.getSummary(state);
+    this.history.addSession({
+      mode: this.simulation.config.mode.id,
+      players: this.players,
+      score: state.score,
+      scores: state.scores,
+      winner: state.winner || null,
+      time: state.time,
+      stats: this.matchSummary,
+    });
+  }
+
+  /**
+   * Opens name entry when a finished solo match earns a high score.
+   */
+  checkHighScore() {
+    const state = this.simulation.state;
+    if (this.players === "solo" && this.highScores.qualifies(this.gameMode, state.score, state.time)) {
+      this.nameEntry = { name: this.highScores.getLastName(), rank: 0 };
+    }
+  }
+
+  /**
+   * Saves the finished match to the high score table under the typed name.
+   */
+  saveHighScore() {
+    if (this.states.is("gameOver") && this.nameEntry && !this.nameEntry.rank) {
+      this.nameEntry.rank = this.highScores.addScore(this.gameMode, {
+        name: this.nameEntry.name,
+        score: this.finalScore,
+        time: this.finalTime,
+      });
+      this.showGameOver(); // Show the rank in place of the name entry
+    }
+  }
+
+  /**
+   * Freezes the match and shows the pause modal. The simulation only advances
+   * while playing, so match time, ball movement and scheduled spawns all
+   * stop with it. Online, the other player pauses too.
+   * @param {boolean} [broadcast=true] - Whether to tell the other online player.
+   */
+  pauseGame(broadcast = true) {
+    if (this.states.is("playing")) {
+      this.changeState("paused");
+      if (this.online && broadcast) this.online.connection.send({ kind: "pause" });
+    }
+  }
+
+  /**
+   * Closes the pause modal and continues the match.
+   * @param {boolean} [broadcast=true] - Whether to tell the other online player.
+   */
+  resumeGame(broadcast = true) {
+    if (this.states.is("paused")) {
+      this.changeState("playing");
+      if (this.online && broadcast) this.online.connection.send({ kind: "resume" });
+    }
+  }
 
-    const paddle2 = add([
-      pos(width() - config.offset, headerHeight + config.height / 2 + 20),
-      rect(config.width, config.height),
-      outline(4),
-      anchor("center"),
-      area(),
-      "paddle",
-      "game",
-    ]);
+  /**
+   * Pauses a running match or resumes a paused one.
+   */
+  togglePause() {
+    if (this.states.is("playing")) {
+      this.pauseGame();
+    } else if (this.states.is("paused")) {
+      this.resumeGame();
+    }
+  }
 
-    return [paddle1, paddle2];
+  /**
+   * Returns the header labels for the two sides.
+   * @returns {Array<string>} - Labels for the left and right side.
+   */
+  getPlayerLabels() {
+    if (this.online) {
+      const [you, opponent] = [I18n.t("label.you"), I18n.t("label.opponent")];
+      return this.online.role === "host" ? [you, opponent] : [opponent, you];
+    }
+    return this.players === "cpu" ? [I18n.t("label.you"), I18n.t("label.cpu")] : [I18n.t("label.p1"), I18n.t("label.p2")];
   }
 
   /**
-   * Creates the score display in the center of the play area.
-   * @param {object} gameInstance - The main game instance.
-   * @param {number} headerHeight - Height of the header UI.
-   * @returns {KaboomGameObj} - The score display object.
+   * Returns the game over title for a match result.
+   * @param {string|null} winner - Winning side (left or right), or null in solo and for a draw.
+   * @returns {string} - Title text.
    */
-  static createScoreDisplay(gameInstance, headerHeight) {
-    return add([
-      text(gameInstance.score),
-      pos(center().x, headerHeight + (height() - headerHeight) / 2),
-      anchor("center"),
-      z(50),
-      "game",
-      {
-        update() {
-          this.text = gameInstance.score;
-        },
-      },
-    ]);
+  getResultTitle(winner) {
+    if (!winner) {
+      return I18n.t(this.players === "solo" ? "result.gameOver" : "result.draw"); // A versus match only ends level on a time limit
+    }
+    if (this.players === "cpu") {
+      return I18n.t(winner === "left" ? "result.youWin" : "result.cpuWins");
+    }
+    if (this.online) {
+      return I18n.t(winner === (this.online.role === "host" ? "left" : "right") ? "result.youWin" : "result.youLose");
+    }
+    return I18n.t("result.playerWins", { player: I18n.formatNumber(winner === "left" ? 1 : 2) });
   }
-}
 
-// Main Game Class
-class PongGame {
-  constructor() {
-    // Game state variables
-    this.gameState = "menu";      // Current state: menu, playing, or gameOver
-    this.gameMode = "speed";      // Game mode: speed or agility
-    this.gameTime = 0;            // Elapsed game time (seconds)
-    this.finalTime = 0;           // Time at game over
-    this.score = 0;               // Player score
-    this.lastBallSpawnTime = 0;   // Last time a ball was spawned (agility mode)
-    this.ballManager = new BallManager(); // Handles ball creation and updates
-    this.paddles = [];            // Array of paddle objects
+  /**
+   * Plays back the last match from its recording.
+   */
+  showReplay() {
+    this.changeState("replay");
+  }
 
-    this.initializeGame();        // Set up initial game state
-    this.setupEventHandlers();    // Register all event handlers
+  /**
+   * Leaves the replay and returns to the game over screen.
+   */
+  exitReplay() {
+    this.replayPlayer = null;
+    this.showGameOver();
   }
 
   /**
-   * Initializes the game and shows the main menu.
+   * Advances replay playback, called every frame while in the replay state.
    */
-  initializeGame() {
-    this.showMenu();
+  updateReplay() {
+    if (this.states.is("replay") && this.relayoutTimer <= 0) {
+      const events = this.replayPlayer.update(dt());
+      this.audio.playEvents(events, this.replayPlayer.replay.config.mode);
+      const view = this.replayPlayer.getView(this.getFieldSize()); // Recorded sizes laid out for this screen
+      this.renderState(view);
+      this.effects.playEvents(events, view, this.paddles, this.replayPlayer.replay.config.players);
+    }
   }
 
   /**
-   * Shows the main menu and resets game objects.
+   * Watches the screen size. After a resize or orientation change the match
+   * holds until the size has settled for RELAYOUT_DELAY seconds, then
+   * everything on screen is rebuilt for the new size.
    */
-  showMenu() {
-    this.gameState = "menu";
-    destroyAll("game");    // Remove all game objects
-    destroyAll("header");  // Remove header UI
-    UIManager.createMenu(this.gameMode); // Show menu UI
+  checkViewport() {
+    if (width() !== this.viewport.width || height() !== this.viewport.height) {
+      this.viewport = { width: width(), height: height() };
+      this.relayoutTimer = PongGame.RELAYOUT_DELAY; // Restart the wait while the size keeps changing
+      return;
+    }
+    if (this.relayoutTimer > 0) {
+      this.relayoutTimer -= dt();
+      if (this.relayoutTimer <= 0) {
+        this.relayout();
+      }
+    }
   }
 
   /**
-   * Starts a new game session.
+   * Rebuilds the current screen for the new screen size. A running match is
+   * resized through the simulation, which keeps ball and paddle positions in
+   * proportion; replays are laid out again from the size they were recorded at.
    */
-  startGame() {
-    this.gameState = "playing";
-    this.gameTime = 0;
-    this.lastBallSpawnTime = 0;
-    this.score = 0;
-    this.ballManager.reset(); // Remove all balls
+  relayout() {
+    GameUtils.applyTheme(this.settings.get("theme"));
+    switch (this.states.current) {
+      case "menu":
+        this.showMenu();
+        break;
+      case "highScores":
+        this.showHighScores(this.highScoreMode);
+        break;
+      case "history":
+        this.showHistory();
+        break;
+      case "levels":
+        this.showLevels();
+        break;
+      case "settings":
+        this.showSettings();
+        break;
+      case "audio":
+        this.showAudioSettings();
+        break;
+      case "lobby":
+        this.showLobby();
+        break;
+      case "waiting": {
+        const { message, room } = this.online.waiting;
+        if (this.online.resumeState) {
+          this.resizeMatch(); // A match is on hold behind the modal
+        }
+        this.showWaiting(message, room);
+        break;
+      }
+      case "gameOver":
+        this.showGameOver();
+        break;
+      case "playing":
+      case "paused": {
+        this.resizeMatch();
+        if (this.states.is("paused")) {
+          this.changeState("paused"); // Redraw the modal for the new size
+        }
+        break;
+      }
+      case "replay":
+        this.rebuildPlayField(this.replayPlayer.getView(this.getFieldSize()));
+        destroyAll("replay");
+        UIManager.createReplayControls(this.replayPlayer);
+        break;
+      default:
+        break;
+    }
+  }
 
-    destroyAll("menu");      // Remove menu UI
-    destroyAll("gameOver");  // Remove game over UI
+  /**
+   * Rebuilds the play field of a running match for the new screen size. The
+   * simulation is resized as a recorded zero-length frame, so the replay
+   * resizes at the same point. An online guest only relays out its view; the
+   * host's simulation keeps the host's size.
+   */
+  resizeMatch() {
+    if (this.online && this.online.role === "guest") {
+      this.rebuildPlayField(this.getGuestView());
+      return;
+    }
+    const inputs = { resize: this.getFieldSize() };
+    this.recorder.record(0, inputs);
+    this.simulation.step(0, inputs);
+    this.rebuildPlayField(this.simulation.state);
+  }
 
-    UIManager.createHeader(this.gameMode, this); // Show header UI
-    this.createGameObjects();                    // Create paddles, score, and initial ball
+  /**
+   * Replaces the header and every play field object with fresh ones.
+   * @param {object} state - Simulation state to show.
+   */
+  rebuildPlayField(state) {
+    this.clearMatch();
+    UIManager.createHeader(this.gameMode, this);
+    this.createGameObjects(state);
   }
 
   /**
-   * Creates paddles, score display, and the initial ball.
+   * Selects a game mode on the menu.
+   * @param {string} mode - Game mode id.
    */
-  createGameObjects() {
-    this.paddles = GameObjectManager.createPaddles(UIManager.headerHeight);
-    GameObjectManager.createScoreDisplay(this, UIManager.headerHeight);
-    this.ballManager.createInitialBall(UIManager.headerHeight);
+  selectMode(mode) {
+    if (this.gameMode !== mode) {
+      this.gameMode = mode;
+      this.lives = GameModeRegistry.get(mode).rules.lives; // Start from the new mode's rule
+      this.showMenu();
+    }
   }
 
   /**
-   * Shows the game over screen and final stats.
+   * Selects a player mode on the menu.
+   * @param {string} players - Player mode: solo, versus or cpu.
    */
-  showGameOver() {
-    this.gameState = "gameOver";
-    this.finalTime = this.gameTime;
+  selectPlayers(players) {
+    if (this.players !== players) {
+      this.players = players;
+      this.showMenu();
+    }
+  }
 
-    destroyAll("game");    // Remove game objects
-    destroyAll("header");  // Remove header UI
+  /**
+   * Reacts to gamepads being plugged in or removed, and to their buttons.
+   * Removing a pad mid-match pauses it.
+   * @param {Array<object>} events - Events from GamepadInput.poll.
+   */
+  handleGamepadEvents(events) {
+    events.forEach((event) => {
+      if (event.type === "connected") {
+        UIManager.showNotice(I18n.t("notice.padConnected", { player: I18n.formatNumber(event.player + 1) }));
+      } else if (event.type === "disconnected") {
+        UIManager.showNotice(I18n.t("notice.padDisconnected", { player: I18n.formatNumber(event.player + 1) }));
+        this.pauseGame();
+      } else if (event.type === "buttonPressed") {
+        this.handleGamepadButton(event.button);
+      }
+    });
+  }
+
+  /**
+   * Runs the action of a gamepad button on the current screen. Outside a
+   * match the d-pad moves focus and A presses the focused button, as the
+   * arrow keys and Enter do (see GamepadInput.getMenuCommand); in replays
+   * left/right scrub instead. Without a focused button:
+   * Menu: A or Start starts. Lobby: A or Start hosts a room. Match: Start pauses. Pause: A or Start resumes, Select quits.
+   * Game over: A or Start plays again, Y watches the replay, B returns to the
+   * menu. Replay: A or Start pauses, B exits. B leaves any other screen,
+   * including online waiting.
+   * @param {string} button - Button name (see GamepadInput.BUTTONS).
+   */
+  handleGamepadButton(button) {
+    const confirm = button === "a" || button === "start";
+    const command = this.states.is("playing") ? null : GamepadInput.getMenuCommand(button);
+    if (command && command.type === "move" && !this.states.is("replay")) {
+      this.focus.move(command.direction);
+      return;
+    }
+    if (command && command.type === "activate" && this.focus.activate()) {
+      return; // Pressed the focused button
+    }
 
-    UIManager.createGameOverScreen(this.score, this.finalTime); // Show game over UI
+    switch (this.states.current) {
+      case "menu":
+        if (confirm) {
+          if (this.players === "online") this.showLobby();
+          else this.startGame();
+        }
+        break;
+      case "lobby":
+        if (confirm) this.connectOnline(null);
+        else if (button === "b") this.showMenu();
+        break;
+      case "playing":
+        if (button === "start") this.pauseGame();
+        break;
+      case "paused":
+        if (confirm) this.resumeGame();
+        else if (button === "select") this.showMenu();
+        break;
+      case "gameOver":
+        if (confirm) this.playAgain();
+        else if (button === "y") this.showReplay();
+        else if (button === "b") this.showMenu();
+        break;
+      case "replay":
+        if (confirm) this.replayPlayer.togglePause();
+        else if (button === "left") this.replayPlayer.seek(this.replayPlayer.clock - 5);
+        else if (button === "right") this.replayPlayer.seek(this.replayPlayer.clock + 5);
+        else if (button === "b") this.exitReplay();
+        break;
+      default:
+        if (button === "b") this.showMenu(); // High scores and settings screens
+        break;
+    }
   }
 
   /**
    * Main game update loop, called every frame.
    */
   updateGame() {
-    if (this.gameState === "playing" && this.ballManager.count > 0) {
-      this.gameTime += dt(); // Increment game time
+    if (this.states.is("playing") && this.relayoutTimer <= 0) {
+      if (this.online && this.online.role === "guest") {
+        this.updateOnlineGuest();
+        return;
+      }
 
-      // In agility mode, spawn new balls every 10 seconds (up to 10 balls)
-      if (this.gameMode === "agility" && this.gameTime - this.lastBallSpawnTime >= 10 && this.ballManager.count < 10) {
-        this.ballManager.spawnNewBall(UIManager.headerHeight, height());
-        this.lastBallSpawnTime = this.gameTime;
+      // Record the frame, then advance the simulation and render its new state
+      const inputs = this.readInputs();
+      this.recorder.record(dt(), inputs);
+      const { state, events } = this.simulation.step(dt(), inputs);
+      this.renderState(state);
+      this.stats.record(events, state);
+      this.audio.playEvents(events, this.simulation.config.mode);
+      this.effects.playEvents(events, state, this.paddles, this.simulation.config.players);
+      this.announceEvents(events, state);
+      if (this.online) {
+        this.online.connection.send({ kind: "state", state, events, field: FieldMapping.fromConfig(this.simulation.config) });
       }
 
-      // Update all balls (movement, collisions, game over check)
-      this.ballManager.updateBalls(UIManager.headerHeight, height(), () => {
-        this.showGameOver(); // End game if ball goes off screen
-      });
+      if (events.some((event) => event.type === "gameOver")) {
+        this.checkHighScore();
+        this.recordSession();
+        this.showGameOver(); // End game when the last life is lost or a player wins
+      }
     }
   }
 
   /**
-   * Updates paddle positions based on mouse Y position.
+   * Tells screen reader users about score changes, new balls, lost lives and
+   * the end of the match.
+   * @param {Array<object>} events - Events returned by PongSimulation.step.
+   * @param {object} state - State after the events.
    */
-  updatePaddles() {
-    if (this.gameState === "playing") {
-      this.paddles.forEach((paddle) => {
-        if (paddle && paddle.exists()) {
-          const constrainedY = GameUtils.constrainPaddlePosition(
-            mousePos().y,
-            UIManager.headerHeight,
-            height()
-          );
-          paddle.pos.y = constrainedY; // Move paddle to constrained position
+  announceEvents(events, state) {
+    const labels = this.getPlayerLabels();
+    events.forEach((event) => {
+      switch (event.type) {
+        case "paddleHit":
+          if (this.simulation.config.players === "solo") this.announcer.announce(I18n.t("a11y.score", { score: I18n.formatNumber(state.score) }));
+          break;
+        case "pointScored":
+          this.announcer.announce(I18n.t("a11y.points", {
+            left: labels[0],
+            leftScore: I18n.formatNumber(event.scores[0]),
+            right: labels[1],
+            rightScore: I18n.formatNumber(event.scores[1]),
+          }));
+          break;
+        case "ballSpawned":
+          this.announcer.announce(I18n.t("a11y.newBall", { count: I18n.formatNumber(state.balls.length) }));
+          break;
+        case "lifeLost":
+          this.announcer.announce(I18n.t("a11y.lifeLost", { lives: I18n.formatNumber(event.lives) }));
+          break;
+        case "gameOver": {
+          const score = this.simulation.config.players === "solo"
+            ? I18n.formatNumber(state.score)
+            : I18n.t("a11y.pointsTo", { left: I18n.formatNumber(state.scores[0]), right: I18n.formatNumber(state.scores[1]) });
+          this.announcer.announce(I18n.t("a11y.gameOver", { title: this.getResultTitle(state.winner), score, time: GameUtils.formatTime(state.time) }));
+          break;
         }
-      });
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Guest frame of an online match: moves the guest's own paddle at once
+   * (prediction), sends it to the host, and shows the host's latest snapshot
+   * with the predicted paddle in place of the host's copy.
+   */
+  updateOnlineGuest() {
+    const online = this.online;
+    const field = online.hostField;
+    const paddle = this.simulation.state.paddles[1];
+    const input = this.readLocalInput();
+
+    let targetY = online.predictedY === null ? paddle.y : online.predictedY;
+    if (input && typeof input.y === "number") {
+      targetY = FieldMapping.mapY(input.y, this.getFieldSize(), field); // Pointer: screen to host coordinates
+    } else if (input && input.move) {
+      targetY += Math.max(-1, Math.min(1, input.move)) * PongSimulation.PADDLE_SPEED * dt();
+    }
+    online.predictedY = PongSimulation.constrainPaddlePosition(targetY, field.headerHeight, field.height, paddle.height);
+    online.connection.send({ kind: "input", paddle: { y: online.predictedY } });
+
+    const view = this.getGuestView();
+    this.renderState(view);
+    const events = online.pendingEvents.splice(0);
+    this.stats.record(events, this.simulation.state);
+    this.audio.playEvents(events, this.simulation.config.mode);
+    this.effects.playEvents(events, view, this.paddles, this.simulation.config.players);
+    this.announceEvents(events, this.simulation.state);
+    if (events.some((event) => event.type === "gameOver")) {
+      this.recordSession();
+      this.showGameOver();
     }
   }
 
   /**
-   * Handles collision between a ball and a paddle.
-   * @param {KaboomGameObj} ball - The ball object.
-   * @param {KaboomGameObj} paddle - The paddle object.
+   * Returns the host's latest snapshot laid out for this screen, with the
+   * guest's predicted paddle.
+   * @returns {object} - State to render.
    */
-  handleBallPaddleCollision(ball, paddle) {
-    if (this.gameState === "playing") {
-      this.score++; // Increase score on hit
+  getGuestView() {
+    const online = this.online;
+    const state = structuredClone(this.simulation.state);
+    if (online.predictedY !== null) {
+      state.paddles[1].y = online.predictedY;
+    }
+    return FieldMapping.mapState(state, online.hostField, this.getFieldSize());
+  }
 
-      // Calculate where the ball hit the paddle (normalized between -1 and 1)
-      const paddleCenter = paddle.pos.y;
-      const ballHitPos = ball.pos.y;
-      const paddleHeight = paddle.height || 140; // Use actual paddle height or default
-      const hitOffset = (ballHitPos - paddleCenter) / (paddleHeight / 2);
+  /**
+   * Reads this player's own paddle input in an online match, from the same
+   * controls as a match against the CPU.
+   * @returns {object|null} - Paddle input ({ y } or { move }).
+   */
+  readLocalInput() {
+    const inputs = InputManager.getPaddleInputs("cpu", this.mouseSide, this.settings.get("inputScheme"));
+    InputManager.applyGamepads(inputs, "cpu", this.gamepads);
+    return inputs.paddles[0];
+  }
 
-      // Clamp the hit offset to prevent extreme angles
-      const clampedOffset = Math.max(-0.8, Math.min(0.8, hitOffset));
+  /**
+   * Collects this frame's paddle inputs, letting the AI drive its paddle.
+   * Online, the host's own input is delayed by ONLINE_INPUT_DELAY frames and
+   * the right paddle follows the guest's latest input.
+   * @returns {object} - Simulation inputs.
+   */
+  readInputs() {
+    if (this.online) {
+      const queue = this.online.inputQueue;
+      queue.push(this.readLocalInput());
+      const own = queue.length > PongGame.ONLINE_INPUT_DELAY ? queue.shift() : null;
+      return { paddles: [own, this.online.guestInput] };
+    }
 
-      // Calculate new velocity based on hit position
-      // Ball reflects horizontally and gets vertical component based on hit position
-      const newVelX = ball.pos.x < center().x ? 1 : -1; // Reflect horizontally
-      const newVelY = clampedOffset; // Vertical component based on hit position
+    const inputs = InputManager.getPaddleInputs(this.players, this.mouseSide, this.settings.get("inputScheme"));
+    InputManager.applyGamepads(inputs, this.players, this.gamepads);
+    if (this.ai) {
+      inputs.paddles[1] = this.ai.update(dt(), this.simulation.state, this.simulation.config);
+    }
+    return inputs;
+  }
 
-      // Normalize the velocity vector
-      const newVelocity = vec2(newVelX, newVelY).unit();
-      ball.vel = newVelocity;
+  /**
+   * Copies the simulation state onto the Kaboom objects.
+   * @param {object} state - Current simulation state.
+   */
+  renderState(state) {
+    this.gameTime = state.time;
+    this.score = state.score;
+    this.scores = state.scores;
+    this.livesLeft = state.lives;
+    this.activeEffects = state.effects;
+    this.scoring = state.scoring;
+    if (state.status === "countdown") {
+      this.serveCountdown = state.countdown; // Kickoff
+    } else {
+      this.serveCountdown = state.pendingServes.length > 0
+        ? Math.min(...state.pendingServes.map((serve) => serve.at)) - state.time
+        : 0;
+    }
 
-      // Increase ball speed for added challenge
-      ball.speed += 80;
+    // Tick on every new second of the countdown; screen readers hear when it starts
+    const seconds = Math.ceil(this.serveCountdown);
+    if (seconds !== this.countdownSeconds) {
+      if (seconds > 0) {
+        this.audio.playTone({ frequency: 520, duration: 0.08, wave: "sine" });
+        if (this.countdownSeconds === 0) {
+          this.announcer.announce(I18n.t("game.nextBall", { seconds: I18n.formatNumber(seconds) }));
+        }
+      }
+      this.countdownSeconds = seconds;
     }
+
+    state.paddles.forEach((paddleState, index) => {
+      const paddle = this.paddles[index];
+      if (paddle && paddle.exists()) {
+        paddle.pos.x = paddleState.x;
+        paddle.pos.y = paddleState.y;
+        paddle.width = paddleState.width;
+        paddle.height = paddleState.height; // Follows the big paddle power-up
+      }
+    });
+
+    this.ballManager.syncBalls(state.balls);
+    this.effects.updateTrails(state.balls);
+    this.powerUpManager.syncPowerUps(state.powerUps);
+    this.powerUpManager.syncShields(state.effects, UIManager.headerHeight);
+    this.obstacleManager.syncObstacles(state.obstacles);
   }
 
   /**
    * Registers all event handlers for UI and game logic.
    */
   setupEventHandlers() {
+    InputManager.setupTouch(); // Drag on either half of the screen to move that side's paddle
+
     // Menu button handlers
-    onClick("startButton", () => {
-      this.startGame();
+    this.focus.addButton("startButton", () => {
+      if (this.players === "online") {
+        this.showLobby();
+      } else {
+        this.startGame();
+      }
     });
 
-    onClick("speedModeButton", () => {
-      if (this.gameMode !== "speed") {
-        this.gameMode = "speed";
-        this.showMenu();
+    this.focus.addButton("modeButton", (button) => {
+      this.selectMode(button.modeId);
+    });
+
+    this.focus.addButton("playersButton", (button) => {
+      this.selectPlayers(button.players);
+    });
+
+    this.focus.addButton("livesButton", () => {
+      const options = PongGame.LIVES_OPTIONS;
+      this.lives = options[(options.indexOf(this.lives) + 1) % options.length];
+      this.showMenu();
+    });
+
+    this.focus.addButton("mouseSideButton", () => {
+      const sides = ["none", "left", "right"];
+      this.mouseSide = sides[(sides.indexOf(this.mouseSide) + 1) % sides.length];
+      this.showMenu();
+    });
+
+    this.focus.addButton("difficultyButton", () => {
+      const difficulties = Object.keys(AIController.DIFFICULTIES);
+      this.difficulty = difficulties[(difficulties.indexOf(this.difficulty) + 1) % difficulties.length];
+      this.showMenu();
+    });
+
+    this.focus.addButton("languageButton", () => {
+      const languages = Object.keys(I18n.LANGUAGES);
+      this.settings.set("language", languages[(languages.indexOf(I18n.language) + 1) % languages.length]);
+      this.applySettings();
+      this.showMenu();
+    });
+
+    this.focus.addButton("playAgainButton", () => {
+      this.playAgain();
+    });
+
+    this.focus.addButton("menuButton", () => {
+      this.showMenu();
+    });
+
+    // High score handlers
+    this.focus.addButton("highScoresButton", () => {
+      this.showHighScores(this.gameMode);
+    });
+
+    this.focus.addButton("highScoreModeButton", (button) => {
+      this.showHighScores(button.mode);
+    });
+
+    this.focus.addButton("highScoresBackButton", () => {
+      this.showMenu();
+    });
+
+    // Level select handlers
+    this.focus.addButton("levelsButton", () => {
+      this.showLevels();
+    });
+
+    this.focus.addButton("levelButton", (button) => {
+      this.levelId = button.levelId;
+      this.showLevels();
+    });
+
+    this.focus.addButton("levelsBackButton", () => {
+      this.showMenu();
+    });
+
+    // Session history handlers
+    this.focus.addButton("historyButton", () => {
+      this.showHistory();
+    });
+
+    this.focus.addButton("exportHistoryButton", () => {
+      this.exportHistory();
+    });
+
+    this.focus.addButton("historyBackButton", () => {
+      this.showMenu();
+    });
+
+    // Settings handlers
+    this.focus.addButton("settingsButton", () => {
+      this.showSettings();
+    });
+
+    this.focus.addButton("settingButton", (button) => {
+      this.settings.step(button.key, button.direction);
+      this.applySettings();
+      this.showSettings();
+    });
+
+    this.focus.addButton("settingsResetButton", () => {
+      this.settings.reset();
+      this.applySettings();
+      this.showSettings();
+    });
+
+    this.focus.addButton("settingsBackButton", () => {
+      this.showMenu();
+    });
+
+    // Sound settings handlers
+    this.focus.addButton("soundButton", () => {
+      this.showAudioSettings();
+    });
+
+    this.focus.addButton("volumeButton", (button) => {
+      const { masterVolume, sfxVolume } = this.audio.settings;
+      const volume = button.channel === "master" ? masterVolume : sfxVolume;
+      this.setVolume(button.channel, volume + button.direction * SoundEffects.VOLUME_STEP);
+    });
+
+    this.focus.addButton("volumeTrack", (track) => {
+      this.setVolume(track.channel, track.valueAt(mousePos().x));
+    });
+
+    this.focus.addButton("muteButton", () => {
+      this.audio.toggleMute();
+      this.showAudioSettings();
+    });
+
+    this.focus.addButton("audioBackButton", () => {
+      this.showMenu();
+    });
+
+    // Online lobby handlers
+    this.focus.addButton("hostRoomButton", () => {
+      this.connectOnline(null);
+    });
+
+    this.focus.addButton("joinRoomButton", () => {
+      this.joinRoom();
+    });
+
+    this.focus.addButton("lobbyBackButton", () => {
+      this.showMenu();
+    });
+
+    this.focus.addButton("leaveOnlineButton", () => {
+      this.showLobby();
+    });
+
+    // M toggles mute anywhere except while typing a high score name or room code
+    onKeyPress("m", () => {
+      if (this.states.is("lobby") || (this.states.is("gameOver") && this.nameEntry && !this.nameEntry.rank)) {
+        return;
       }
+      this.audio.toggleMute();
+      if (this.states.is("audio")) this.showAudioSettings();
     });
 
-    onClick("agilityModeButton", () => {
-      if (this.gameMode !== "agility") {
-        this.gameMode = "agility";
-        this.showMenu();
+    // Browsers only allow audio after a user gesture, so unlock it on the first click or key
+    onMousePress(() => {
+      this.audio.unlock();
+      this.focus.setFocus(null); // Hide the focus ring while using the pointer
+    });
+
+    onKeyPress(() => {
+      this.audio.unlock();
+    });
+
+    this.focus.addButton("saveScoreButton", () => {
+      this.saveHighScore();
+    });
+
+    // Name entry typing on the game over screen, room code typing in the lobby
+    onCharInput((ch) => {
+      if (this.states.is("lobby")) {
+        if (/^[a-z]$/i.test(ch) && this.joinCode.length < RelayConnection.CODE_LENGTH) {
+          this.joinCode += ch.toUpperCase();
+        }
+        return;
+      }
+      const entry = this.nameEntry;
+      if (this.states.is("gameOver") && entry && !entry.rank && entry.name.length < HighScoreStore.MAX_NAME_LENGTH) {
+        entry.name += ch;
+      }
+    });
+
+    onKeyPress("backspace", () => {
+      if (this.states.is("lobby")) {
+        this.joinCode = this.joinCode.slice(0, -1);
+        return;
+      }
+      const entry = this.nameEntry;
+      if (this.states.is("gameOver") && entry && !entry.rank) {
+        entry.name = entry.name.slice(0, -1);
+      }
+    });
+
+    onKeyPress("enter", () => {
+      if (!this.states.is("playing") && this.focus.activate()) {
+        return; // Pressed the focused button
+      }
+      if (this.states.is("lobby")) {
+        this.joinRoom();
+        return;
+      }
+      this.saveHighScore();
+    });
+
+    // Replay handlers
+    this.focus.addButton("replayButton", () => {
+      this.showReplay();
+    });
+
+    this.focus.addButton("replayPauseButton", () => {
+      this.replayPlayer.togglePause();
+    });
+
+    this.focus.addButton("replaySpeedButton", (button) => {
+      this.replayPlayer.setSpeed(button.speed);
+      destroyAll("replay"); // Redraw the bar to move the selection
+      UIManager.createReplayControls(this.replayPlayer);
+    });
+
+    this.focus.addButton("replayScrubBar", (bar) => {
+      this.replayPlayer.seek(bar.valueAt(mousePos().x) * this.replayPlayer.duration);
+    });
+
+    this.focus.addButton("replayExitButton", () => {
+      this.exitReplay();
+    });
+
+    // Keyboard focus: Tab/Shift+Tab and the arrow keys move between buttons outside
+    // a running match (arrows scrub in replays instead)
+    onKeyPress("tab", () => {
+      if (!this.states.is("playing")) this.focus.move(isKeyDown("shift") ? -1 : 1);
+    });
+
+    [["up", -1], ["left", -1], ["down", 1], ["right", 1]].forEach(([key, direction]) => {
+      onKeyPress(key, () => {
+        if (!this.states.is("playing", "replay")) this.focus.move(direction);
+      });
+    });
+
+    // Keep Tab inside the game, and let screen readers pass keys through to it
+    window.addEventListener("keydown", (event) => {
+      if (event.key === "Tab") event.preventDefault();
+    });
+    const canvas = document.querySelector("canvas");
+    if (canvas) {
+      canvas.setAttribute("role", "application"); // Labelled in applySettings, in the current language
+    }
+
+    // Replay keyboard controls: space pauses, arrows scrub 5 seconds, escape exits
+    onKeyPress("space", () => {
+      if (this.states.is("replay")) this.replayPlayer.togglePause();
+    });
+
+    onKeyPress("left", () => {
+      if (this.states.is("replay")) this.replayPlayer.seek(this.replayPlayer.clock - 5);
+    });
+
+    onKeyPress("right", () => {
+      if (this.states.is("replay")) this.replayPlayer.seek(this.replayPlayer.clock + 5);
+    });
+
+    onKeyPress("escape", () => {
+      if (this.states.is("replay")) {
+        this.exitReplay();
+      } else {
+        this.togglePause();
       }
     });
 
-    onClick("playAgainButton", () => {
-      this.startGame();
+    // Pause handlers: P/Escape or the header button toggle, the modal offers resume, restart and quit
+    onKeyPress("p", () => {
+      this.togglePause();
     });
 
-    onClick("menuButton", () => {
-      destroyAll("gameOver");
+    this.focus.addButton("pauseButton", () => {
+      this.togglePause();
+    });
+
+    this.focus.addButton("resumeButton", () => {
+      this.resumeGame();
+    });
+
+    this.focus.addButton("restartButton", () => {
+      this.playAgain();
+    });
+
+    this.focus.addButton("quitButton", () => {
       this.showMenu();
     });
 
-    // Paddle update handler (move paddles with mouse)
-    onUpdate("paddle", (p) => {
-      if (this.gameState === "playing") {
-        const constrainedY = GameUtils.constrainPaddlePosition(
-          mousePos().y,
-          UIManager.headerHeight,
-          height()
-        );
-        p.pos.y = constrainedY;
+    // Auto-pause when the tab is hidden or the window loses focus (not online: the other player is still there)
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden && !this.online) this.pauseGame();
+    });
+
+    window.addEventListener("blur", () => {
+      if (!this.online) this.pauseGame();
+    });
+
+    // Follow the browser's colour scheme and contrast preference while the theme is "auto"
+    Themes.watchSystem(() => {
+      if (this.settings.get("theme") === "auto") {
+        this.applySettings();
+        this.relayout();
+      }
+    });
+
+    // Follow the browser's language while the language is "auto"
+    window.addEventListener("languagechange", () => {
+      if (this.settings.get("language") === "auto") {
+        this.applySettings();
+        this.relayout();
       }
     });
 
     // Main game update handler (called every frame)
     onUpdate(() => {
+      this.focus.update();
+      this.handleGamepadEvents(this.gamepads.poll());
+      this.checkViewport();
       this.updateGame();
-    });
-
-    // Ball and paddle collision handler
-    onCollide("ball", "paddle", (b, p) => {
-      this.handleBallPaddleCollision(b, p);
+      this.updateReplay();
     });
   }
 }
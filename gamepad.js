@@ -0,0 +1,164 @@
+// Gamepad input.
+// Polls gamepads once per frame and turns them into paddle movement and
+// button presses. The gamepad list comes from an injectable source (the
+// browser's navigator.getGamepads by default), so tests can feed it plain
+// objects shaped like Gamepad snapshots.
+
+export class GamepadInput {
+  static DEADZONE = 0.25; // Stick deflection ignored around the centre
+  static MAX_PLAYERS = 2; // Pads beyond this are ignored
+
+  // Button indices of the standard gamepad mapping
+  static BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    select: 8,
+    start: 9,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15,
+  };
+
+  /**
+   * Creates the gamepad reader.
+   * @param {Function} [getGamepads] - Returns the current list of gamepads (entries may be null).
+   */
+  constructor(getGamepads = GamepadInput.getDefaultSource()) {
+    this.getGamepads = getGamepads;
+    this.players = [];  // Connected pads in player order: { index, id, pressed: Set<string>, move }
+  }
+
+  /**
+   * Returns a gamepad source reading the browser's Gamepad API, or an empty
+   * list where it is missing or blocked.
+   * @returns {Function} - Gamepad source.
+   */
+  static getDefaultSource() {
+    return () => {
+      try {
+        return globalThis.navigator && navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+      } catch (error) {
+        return []; // getGamepads throws where a permissions policy blocks it
+      }
+    };
+  }
+
+  /**
+   * Reads the vertical movement of a pad: the d-pad, or the left stick
+   * outside the dead zone.
+   * @param {object} pad - Gamepad snapshot.
+   * @returns {number} - -1 (up) to 1 (down), 0 when idle.
+   */
+  static readMove(pad) {
+    const { up, down } = GamepadInput.BUTTONS;
+    const isDown = (index) => Boolean(pad.buttons[index] && pad.buttons[index].pressed);
+    const dpad = (isDown(down) ? 1 : 0) - (isDown(up) ? 1 : 0);
+    if (dpad !== 0) {
+      return dpad;
+    }
+
+    const stick = pad.axes[1] || 0;
+    if (Math.abs(stick) < GamepadInput.DEADZONE) {
+      return 0;
+    }
+    // Rescale so movement starts at 0 just outside the dead zone
+    return Math.sign(stick) * Math.min(1, (Math.abs(stick) - GamepadInput.DEADZONE) / (1 - GamepadInput.DEADZONE));
+  }
+
+  /**
+   * Reads which named buttons a pad is holding.
+   * @param {object} pad - Gamepad snapshot.
+   * @returns {Set<string>} - Held button names (see BUTTONS).
+   */
+  static readButtons(pad) {
+    const held = new Set();
+    Object.entries(GamepadInput.BUTTONS).forEach(([name, index]) => {
+      if (pad.buttons[index] && pad.buttons[index].pressed) {
+        held.add(name);
+      }
+    });
+    return held;
+  }
+
+  /**
+   * Returns what a button press does on the menu screens, the same as the
+   * keyboard: the d-pad moves focus like the arrow keys and A presses the
+   * focused button like Enter.
+   * @param {string} button - Button name (see BUTTONS).
+   * @returns {object|null} - { type: "move", direction: -1 | 1 }, { type: "activate" }, or null for other buttons.
+   */
+  static getMenuCommand(button) {
+    if (button === "up" || button === "left") {
+      return { type: "move", direction: -1 };
+    }
+    if (button === "down" || button === "right") {
+      return { type: "move", direction: 1 };
+    }
+    return button === "a" ? { type: "activate" } : null;
+  }
+
+  /**
+   * Reads every pad once. Call once per frame. Players are assigned in the
+   * order pads connect: the first pad is player 1 (left paddle), the second
+   * player 2 (right paddle). When player 1's pad is removed, player 2's pad
+   * becomes player 1.
+   * @returns {Array<object>} - What happened since the last poll:
+   *   { type: "connected" | "disconnected", player, id } and { type: "buttonPressed", player, button }.
+   */
+  poll() {
+    const events = [];
+    const pads = (this.getGamepads() || []).filter((pad) => pad && pad.connected !== false);
+
+    // Removed pads
+    this.players = this.players.filter((player, index) => {
+      if (pads.some((pad) => pad.index === player.index)) {
+        return true;
+      }
+      events.push({ type: "disconnected", player: index, id: player.id });
+      return false;
+    });
+
+    // New pads
+    pads.forEach((pad) => {
+      if (this.players.length < GamepadInput.MAX_PLAYERS && !this.players.some((player) => player.index === pad.index)) {
+        this.players.push({ index: pad.index, id: pad.id, pressed: GamepadInput.readButtons(pad), move: 0 });
+        events.push({ type: "connected", player: this.players.length - 1, id: pad.id });
+      }
+    });
+
+    // Movement and newly pressed buttons
+    this.players.forEach((player, playerIndex) => {
+      const pad = pads.find((p) => p.index === player.index);
+      const held = GamepadInput.readButtons(pad);
+      held.forEach((button) => {
+        if (!player.pressed.has(button)) {
+          events.push({ type: "buttonPressed", player: playerIndex, button });
+        }
+      });
+      player.pressed = held;
+      player.move = GamepadInput.readMove(pad);
+    });
+
+    return events;
+  }
+
+  /**
+   * Returns a player's paddle movement from the last poll.
+   * @param {number} player - Player index (0 or 1).
+   * @returns {number} - -1 (up) to 1 (down); 0 when idle or not connected.
+   */
+  getMove(player) {
+    return this.players[player] ? this.players[player].move : 0;
+  }
+
+  /**
+   * Returns the number of connected pads in use.
+   * @returns {number} - Connected players.
+   */
+  get count() {
+    return this.players.length;
+  }
+}
@@ -0,0 +1,209 @@
+// Local high score table.
+// Keeps the top scores per game mode in localStorage under a versioned key.
+// Scores from before combo scoring were paddle hits; they stay in legacy
+// tables of their own instead of ranking against points.
+// Anything that fails validation on load is discarded, so a corrupted or
+// hand-edited save never breaks the game.
+
+import { SavedData } from "./storage.js";
+
+export class HighScoreStore {
+  static STORAGE_KEY = "pong.highscores"; // localStorage key
+  static VERSION = 2;                     // Bumped when the saved format changes (2: scores are points, not hits)
+  static MAX_ENTRIES = 10;                // Entries kept per game mode
+  static MAX_NAME_LENGTH = 12;            // Longest accepted player name
+
+  /**
+   * Creates a store and loads the saved table.
+   * @param {Storage|null} [storage] - Storage backend; defaults to localStorage when available.
+   */
+  constructor(storage = SavedData.getDefaultStorage()) {
+    this.storage = storage;
+    this.data = this.load();
+  }
+
+  /**
+   * Returns an empty table.
+   * @returns {object} - Table data.
+   */
+  static createEmpty() {
+    return { version: HighScoreStore.VERSION, lastName: "", modes: {}, legacy: {} };
+  }
+
+  /**
+   * Cleans up a player name: trims it, collapses spaces and limits its length.
+   * @param {string} name - Name as typed.
+   * @returns {string} - Name to store ("PLAYER" when empty).
+   */
+  static sanitizeName(name) {
+    const cleaned = String(name || "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, HighScoreStore.MAX_NAME_LENGTH);
+    return cleaned || "PLAYER";
+  }
+
+  /**
+   * Checks that a saved entry has the expected fields and types.
+   * @param {*} entry - Candidate entry.
+   * @returns {boolean} - True when the entry can be used.
+   */
+  static isValidEntry(entry) {
+    return (
+      entry !== null &&
+      typeof entry === "object" &&
+      typeof entry.name === "string" &&
+      Number.isFinite(entry.score) &&
+      entry.score >= 0 &&
+      Number.isFinite(entry.time) &&
+      entry.time >= 0 &&
+      typeof entry.date === "string" &&
+      !Number.isNaN(Date.parse(entry.date))
+    );
+  }
+
+  /**
+   * Orders entries best first: higher score, then longer survival, then earlier date.
+   * @param {object} a - First entry.
+   * @param {object} b - Second entry.
+   * @returns {number} - Sort order.
+   */
+  static compareEntries(a, b) {
+    return b.score - a.score || b.time - a.time || Date.parse(a.date) - Date.parse(b.date);
+  }
+
+  /**
+   * Brings a save from an older version up to the current format. Version 1
+   * scores were paddle hits, which cannot be turned into combo points, so
+   * they move to the legacy tables and never rank against newer scores.
+   * @param {object} saved - Parsed save.
+   * @returns {object} - The save in the current format (unknown versions are returned as they are).
+   */
+  static migrate(saved) {
+    if (saved.version === 1) {
+      return { version: 2, lastName: saved.lastName, modes: {}, legacy: saved.modes };
+    }
+    return saved;
+  }
+
+  /**
+   * Validates saved tables: drops entries that fail validation, cleans up
+   * names, sorts best first and keeps MAX_ENTRIES per game mode.
+   * @param {*} tables - Saved entry lists by game mode.
+   * @returns {object} - Usable tables by game mode.
+   */
+  static cleanTables(tables) {
+    const cleaned = {};
+    if (!tables || typeof tables !== "object") {
+      return cleaned;
+    }
+    Object.keys(tables).forEach((mode) => {
+      if (Array.isArray(tables[mode])) {
+        cleaned[mode] = tables[mode]
+          .filter((entry) => HighScoreStore.isValidEntry(entry))
+          .map((entry) => ({ ...entry, name: HighScoreStore.sanitizeName(entry.name) }))
+          .sort(HighScoreStore.compareEntries)
+          .slice(0, HighScoreStore.MAX_ENTRIES);
+      }
+    });
+    return cleaned;
+  }
+
+  /**
+   * Loads and validates the saved table, migrating older versions and
+   * falling back to an empty one when the save is missing, unreadable or
+   * from an unknown version.
+   * @returns {object} - Table data.
+   */
+  load() {
+    const stored = SavedData.read(this.storage, HighScoreStore.STORAGE_KEY);
+    const saved = stored ? HighScoreStore.migrate(stored) : null;
+    if (!saved || saved.version !== HighScoreStore.VERSION) {
+      return HighScoreStore.createEmpty();
+    }
+
+    const data = HighScoreStore.createEmpty();
+    data.lastName = typeof saved.lastName === "string" ? HighScoreStore.sanitizeName(saved.lastName) : "";
+    data.modes = HighScoreStore.cleanTables(saved.modes);
+    data.legacy = HighScoreStore.cleanTables(saved.legacy);
+    return data;
+  }
+
+  /**
+   * Writes the table to storage. Storage errors (quota, private mode) are
+   * ignored; the table still works for the rest of the session.
+   */
+  save() {
+    SavedData.write(this.storage, HighScoreStore.STORAGE_KEY, this.data);
+  }
+
+  /**
+   * Returns the entries for a game mode, best first.
+   * @param {string} mode - Game mode.
+   * @returns {Array<object>} - Entries ({ name, score, time, date }).
+   */
+  getScores(mode) {
+    return this.data.modes[mode] || [];
+  }
+
+  /**
+   * Returns the entries a game mode had before combo scoring (paddle hits),
+   * best first. They are kept apart and never change.
+   * @param {string} mode - Game mode.
+   * @returns {Array<object>} - Entries ({ name, score, time, date }; score is paddle hits).
+   */
+  getLegacyScores(mode) {
+    return this.data.legacy[mode] || [];
+  }
+
+  /**
+   * Returns the name used for the last saved score.
+   * @returns {string} - Player name, or "" if none was saved yet.
+   */
+  getLastName() {
+    return this.data.lastName;
+  }
+
+  /**
+   * Checks whether a result would enter the table.
+   * @param {string} mode - Game mode.
+   * @param {number} score - Final score.
+   * @param {number} time - Time played in seconds.
+   * @returns {boolean} - True when the result earns a place.
+   */
+  qualifies(mode, score, time) {
+    const scores = this.getScores(mode);
+    if (scores.length < HighScoreStore.MAX_ENTRIES) {
+      return true;
+    }
+    const candidate = { score, time, date: new Date().toISOString() };
+    return HighScoreStore.compareEntries(candidate, scores[scores.length - 1]) < 0;
+  }
+
+  /**
+   * Adds a result to the table and saves it.
+   * @param {string} mode - Game mode.
+   * @param {object} result - Result to add.
+   * @param {string} result.name - Player name.
+   * @param {number} result.score - Final score.
+   * @param {number} result.time - Time played in seconds.
+   * @param {Date} [result.date=new Date()] - When the match was played.
+   * @returns {number} - Rank of the new entry (1-based), or 0 if it did not make the table.
+   */
+  addScore(mode, { name, score, time, date = new Date() }) {
+    const entry = {
+      name: HighScoreStore.sanitizeName(name),
+      score,
+      time,
+      date: date.toISOString(),
+    };
+    const scores = [...this.getScores(mode), entry]
+      .sort(HighScoreStore.compareEntries)
+      .slice(0, HighScoreStore.MAX_ENTRIES);
+
+    this.data.modes[mode] = scores;
+    this.data.lastName = entry.name;
+    this.save();
+    return scores.indexOf(entry) + 1;
+  }
+}
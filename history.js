@@ -0,0 +1,136 @@
+// Session history.
+// Keeps the most recent finished matches, with their statistics, in
+// localStorage under a versioned key, and exports them as JSON for analysis.
+// On load each session is checked on its own: a bad date, a missing score or
+// a negative statistic drops that session, while the rest are kept for the
+// history screen and its trends.
+
+import { SavedData } from "./storage.js";
+
+export class SessionHistory {
+  static STORAGE_KEY = "pong.sessions"; // localStorage key
+  static VERSION = 1;                   // Bumped when the saved format changes
+  static MAX_SESSIONS = 50;             // Sessions kept, newest first
+  static TREND_WINDOW = 5;              // Sessions averaged on each side of a trend
+
+  /**
+   * Creates a store and loads the saved sessions.
+   * @param {Storage|null} [storage] - Storage backend; defaults to localStorage when available.
+   */
+  constructor(storage = SavedData.getDefaultStorage()) {
+    this.storage = storage;
+    this.sessions = this.load();
+  }
+
+  /**
+   * Checks that a saved session has the expected fields and types.
+   * @param {*} session - Candidate session.
+   * @returns {boolean} - True when the session can be used.
+   */
+  static isValidSession(session) {
+    const isCount = (value) => Number.isFinite(value) && value >= 0;
+    return (
+      session !== null &&
+      typeof session === "object" &&
+      typeof session.date === "string" &&
+      !Number.isNaN(Date.parse(session.date)) &&
+      typeof session.mode === "string" &&
+      typeof session.players === "string" &&
+      isCount(session.score) &&
+      Array.isArray(session.scores) &&
+      session.scores.length === 2 &&
+      session.scores.every(isCount) &&
+      isCount(session.time) &&
+      session.stats !== null &&
+      typeof session.stats === "object" &&
+      isCount(session.stats.longestRally) &&
+      isCount(session.stats.peakSpeed) &&
+      // Sessions saved before survival times were kept have none
+      (session.stats.ballLives === undefined ||
+        (Array.isArray(session.stats.ballLives) && session.stats.ballLives.every(isCount)))
+    );
+  }
+
+  /**
+   * Loads and validates the saved sessions, falling back to none when the
+   * save is missing, unreadable or from an unknown version.
+   * @returns {Array<object>} - Sessions, newest first.
+   */
+  load() {
+    const saved = SavedData.read(this.storage, SessionHistory.STORAGE_KEY);
+
+    if (!saved || saved.version !== SessionHistory.VERSION || !Array.isArray(saved.sessions)) {
+      return [];
+    }
+    return saved.sessions
+      .filter((session) => SessionHistory.isValidSession(session))
+      .slice(0, SessionHistory.MAX_SESSIONS);
+  }
+
+  /**
+   * Writes the sessions to storage. Storage errors (quota, private mode) are
+   * ignored; the history still works for the rest of the session.
+   */
+  save() {
+    SavedData.write(this.storage, SessionHistory.STORAGE_KEY, { version: SessionHistory.VERSION, sessions: this.sessions });
+  }
+
+  /**
+   * Adds a finished match and saves. The oldest session is dropped when the
+   * history is full.
+   * @param {object} session - Match result.
+   * @param {string} session.mode - Game mode id.
+   * @param {string} session.players - Player mode: solo, versus, cpu or online.
+   * @param {number} session.score - Solo score: points from the mode's scoring rules (see ScoringRules).
+   * @param {Array<number>} session.scores - Points per side (left, right).
+   * @param {string|null} session.winner - Winning side, or null in solo and for a draw.
+   * @param {number} session.time - Time played in seconds.
+   * @param {object} session.stats - Match statistics (see MatchStats.getSummary).
+   * @param {Date} [session.date=new Date()] - When the match ended.
+   */
+  addSession({ mode, players, score, scores, winner, time, stats, date = new Date() }) {
+    this.sessions.unshift({ date: date.toISOString(), mode, players, score, scores: [...scores], winner, time, stats });
+    this.sessions = this.sessions.slice(0, SessionHistory.MAX_SESSIONS);
+    this.save();
+  }
+
+  /**
+   * Returns the most recent sessions.
+   * @param {number} [count=SessionHistory.MAX_SESSIONS] - Most sessions to return.
+   * @returns {Array<object>} - Sessions, newest first.
+   */
+  getRecent(count = SessionHistory.MAX_SESSIONS) {
+    return this.sessions.slice(0, count);
+  }
+
+  /**
+   * Compares a measure over the latest sessions with the sessions before
+   * them, e.g. whether rallies are getting longer.
+   * @param {Function} select - Returns the measure of a session, or null to skip the session.
+   * @param {number} [window=SessionHistory.TREND_WINDOW] - Sessions averaged on each side.
+   * @returns {{average: number, change: number|null}|null} - Average of the latest sessions and its change
+   *   from the ones before (null without earlier sessions), or null when no session has the measure.
+   */
+  getTrend(select, window = SessionHistory.TREND_WINDOW) {
+    const values = this.sessions.map(select).filter((value) => Number.isFinite(value));
+    const average = (list) => list.reduce((sum, value) => sum + value, 0) / list.length;
+    const latest = values.slice(0, window);
+    const earlier = values.slice(window, window * 2);
+    if (latest.length === 0) {
+      return null;
+    }
+    return {
+      average: average(latest),
+      change: earlier.length > 0 ? average(latest) - average(earlier) : null,
+    };
+  }
+
+  /**
+   * Returns every session as a JSON document for download.
+   * @returns {string} - JSON text ({ version, exportedAt, sessions }), with each session's full statistics,
+   *   including how long each ball survived.
+   */
+  exportJSON() {
+    return JSON.stringify({ version: SessionHistory.VERSION, exportedAt: new Date().toISOString(), sessions: this.sessions }, null, 2);
+  }
+}
@@ -0,0 +1,111 @@
+// Localisation.
+// User-facing text lives in one string table per language under locales/,
+// looked up by key. English is the reference table: a key missing from
+// another language falls back to English, so a partial translation never
+// shows a blank. Numbers and dates are formatted for the active language
+// with Intl.
+
+import { STRINGS as en } from "./locales/en.js";
+import { STRINGS as es } from "./locales/es.js";
+import { STRINGS as de } from "./locales/de.js";
+
+export class I18n {
+  static TABLES = { en, es, de }; // String tables by language code
+  static FALLBACK = "en";         // Language used for missing keys and unknown locales
+
+  // Language names as shown in the picker, each in its own language
+  static LANGUAGES = {
+    en: "English",
+    es: "Español",
+    de: "Deutsch",
+  };
+
+  static language = I18n.FALLBACK; // Active language code
+
+  /**
+   * Picks the first supported language from the browser's preferred locales
+   * (e.g. "de-AT" selects German).
+   * @param {Array<string>} [locales] - Locale tags in order of preference; defaults to the browser's.
+   * @returns {string} - Language code.
+   */
+  static detect(locales = I18n.getBrowserLocales()) {
+    const match = locales
+      .map((locale) => String(locale).toLowerCase().split("-")[0])
+      .find((code) => I18n.TABLES[code]);
+    return match || I18n.FALLBACK;
+  }
+
+  /**
+   * Returns the browser's preferred locales, or none outside a browser.
+   * @returns {Array<string>} - Locale tags.
+   */
+  static getBrowserLocales() {
+    const nav = globalThis.navigator;
+    if (!nav) {
+      return [];
+    }
+    return nav.languages && nav.languages.length ? nav.languages : [nav.language].filter(Boolean);
+  }
+
+  /**
+   * Resolves a language setting to a supported language code.
+   * @param {string} setting - "auto" or a language code.
+   * @returns {string} - Language code (the browser's for "auto" and unknown codes).
+   */
+  static resolve(setting) {
+    return I18n.TABLES[setting] ? setting : I18n.detect();
+  }
+
+  /**
+   * Makes a language active for all text looked up from now on.
+   * @param {string} setting - "auto" or a language code.
+   * @returns {string} - Language code now active.
+   */
+  static setLanguage(setting) {
+    I18n.language = I18n.resolve(setting);
+    return I18n.language;
+  }
+
+  /**
+   * Returns the text for a key in the active language, with {placeholders}
+   * filled from params. Falls back to English, then to the given fallback,
+   * then to the key itself.
+   * @param {string} key - String key, e.g. "menu.start".
+   * @param {object} [params={}] - Placeholder values by name.
+   * @param {string} [fallback] - Text to use when no table has the key.
+   * @returns {string} - Translated text.
+   */
+  static t(key, params = {}, fallback = key) {
+    const tables = [I18n.TABLES[I18n.language] || {}, I18n.TABLES[I18n.FALLBACK]];
+    const found = tables.find((table) => typeof table[key] === "string");
+    const template = found ? found[key] : fallback;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * Formats a number for the active language (e.g. 1,234 or 1.234).
+   * @param {number} value - Number to format.
+   * @param {object} [options={}] - Intl.NumberFormat options.
+   * @returns {string} - Formatted number.
+   */
+  static formatNumber(value, options = {}) {
+    try {
+      return new Intl.NumberFormat(I18n.language, options).format(value);
+    } catch (error) {
+      return String(value); // No Intl support
+    }
+  }
+
+  /**
+   * Formats a date for the active language (day, month and year).
+   * @param {number|Date} date - Timestamp or date.
+   * @returns {string} - Formatted date.
+   */
+  static formatDate(date) {
+    try {
+      return new Date(date).toLocaleDateString(I18n.language);
+    } catch (error) {
+      return new Date(date).toDateString();
+    }
+  }
+}
@@ -0,0 +1,188 @@
+// Level definitions.
+// A level is a JSON document listing obstacles in the play area: fixed
+// blocks, bumpers that speed balls up, moving bars that patrol a path and
+// blocks that break after a number of hits. Positions and sizes are
+// fractions of the play area (x of its width, y of its height below the
+// header), so a level keeps its layout at every screen size and breakpoint.
+// The bundled levels live under levels/ and are listed in levels/index.json.
+
+/**
+ * @typedef {object} LevelDefinition
+ * @property {string} id - Unique key, e.g. "pillars".
+ * @property {string} name - Short name shown on the level select screen.
+ * @property {string} description - One line shown under the name.
+ * @property {Array<object>} obstacles - Obstacles, each with a `type`:
+ *   block {x, y, width, height}: fixed block;
+ *   bumper {x, y, radius, boost}: round bumper adding `boost` speed (pixels per second) to each ball it deflects;
+ *   mover {path, period, width, height}: bar patrolling the `path` points ([x, y] pairs) in order and back to the
+ *     first, once every `period` seconds;
+ *   breakable {x, y, width, height, hits}: block removed after `hits` hits.
+ *   Centres and sizes are play area fractions; a bumper's radius is a fraction of the play area height.
+ */
+
+export class Levels {
+  static TYPES = ["block", "bumper", "mover", "breakable"]; // Obstacle types
+  static BASE_URL = new URL("./levels/", import.meta.url); // Folder of the bundled level files
+
+  // Values used for any obstacle field a level leaves out
+  static DEFAULTS = {
+    bumper: { radius: 0.05, boost: 100 },
+    mover: { period: 4 },
+    breakable: { hits: 1 },
+  };
+
+  // The empty play field: always available, also when the bundled levels fail to load
+  static OPEN = { id: "open", name: "OPEN FIELD", description: "No obstacles", obstacles: [] };
+
+  /**
+   * Fills in defaults and checks a level definition.
+   * @param {object} definition - Level definition (see LevelDefinition).
+   * @returns {LevelDefinition} - Complete definition.
+   * @throws {Error} - When a field is missing or out of range.
+   */
+  static normalize(definition) {
+    const level = { description: "", obstacles: [], ...definition };
+    const isFraction = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+    const isSize = (value) => Number.isFinite(value) && value > 0 && value <= 1;
+    const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(isFraction);
+    const problems = [];
+    if (typeof level.id !== "string" || level.id === "") problems.push("id");
+    if (typeof level.name !== "string" || level.name === "") problems.push("name");
+    if (typeof level.description !== "string") problems.push("description");
+    if (!Array.isArray(level.obstacles)) {
+      problems.push("obstacles");
+      level.obstacles = [];
+    }
+
+    level.obstacles = level.obstacles.map((definitionObstacle, index) => {
+      const obstacle = { ...Levels.DEFAULTS[definitionObstacle && definitionObstacle.type], ...definitionObstacle };
+      const field = (name) => `obstacles[${index}].${name}`;
+      if (!Levels.TYPES.includes(obstacle.type)) {
+        problems.push(field("type"));
+        return obstacle;
+      }
+
+      if (obstacle.type === "mover") {
+        if (!Array.isArray(obstacle.path) || obstacle.path.length < 2 || !obstacle.path.every(isPoint)) {
+          problems.push(field("path"));
+        } else {
+          [obstacle.x, obstacle.y] = obstacle.path[0]; // Starts at the first point
+        }
+        if (!Number.isFinite(obstacle.period) || obstacle.period <= 0) problems.push(field("period"));
+      } else {
+        if (!isFraction(obstacle.x)) problems.push(field("x"));
+        if (!isFraction(obstacle.y)) problems.push(field("y"));
+      }
+
+      if (obstacle.type === "bumper") {
+        if (!isSize(obstacle.radius)) problems.push(field("radius"));
+        if (!Number.isFinite(obstacle.boost) || obstacle.boost < 0) problems.push(field("boost"));
+      } else {
+        if (!isSize(obstacle.width)) problems.push(field("width"));
+        if (!isSize(obstacle.height)) problems.push(field("height"));
+      }
+      if (obstacle.type === "breakable" && (!Number.isInteger(obstacle.hits) || obstacle.hits < 1)) {
+        problems.push(field("hits"));
+      }
+      return obstacle;
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid level "${level.id}": ${problems.join(", ")}`);
+    }
+    return level;
+  }
+
+  /**
+   * Returns where an obstacle is at a match time, in play area fractions.
+   * Movers travel their path at an even pace and return to the first point
+   * at the end of each period; everything else stays put.
+   * @param {object} obstacle - Normalized obstacle definition.
+   * @param {number} time - Match time in seconds.
+   * @returns {{x: number, y: number}} - Centre as play area fractions.
+   */
+  static getPosition(obstacle, time) {
+    if (obstacle.type !== "mover") {
+      return { x: obstacle.x, y: obstacle.y };
+    }
+
+    // Segments of the closed path: each point to the next, and the last back to the first
+    const points = obstacle.path;
+    const segments = points.map((start, index) => {
+      const end = points[(index + 1) % points.length];
+      return { start, end, length: Math.hypot(end[0] - start[0], end[1] - start[1]) };
+    });
+    const total = segments.reduce((sum, segment) => sum + segment.length, 0);
+    let distance = ((time % obstacle.period) / obstacle.period) * total;
+
+    for (const segment of segments) {
+      if (distance <= segment.length && segment.length > 0) {
+        const t = distance / segment.length;
+        return {
+          x: segment.start[0] + (segment.end[0] - segment.start[0]) * t,
+          y: segment.start[1] + (segment.end[1] - segment.start[1]) * t,
+        };
+      }
+      distance -= segment.length;
+    }
+    return { x: points[0][0], y: points[0][1] };
+  }
+
+  /**
+   * Lays an obstacle out in pixels for a play area at a match time.
+   * @param {object} obstacle - Normalized obstacle definition.
+   * @param {number} time - Match time in seconds.
+   * @param {{width: number, height: number, headerHeight: number}} field - Play area size.
+   * @returns {{x: number, y: number, width: number, height: number, radius: number}} - Centre and size
+   *   (width and height for boxes, radius for bumpers; the other is 0).
+   */
+  static layout(obstacle, time, field) {
+    const playHeight = field.height - field.headerHeight;
+    const position = Levels.getPosition(obstacle, time);
+    const isRound = obstacle.type === "bumper";
+    return {
+      x: position.x * field.width,
+      y: field.headerHeight + position.y * playHeight,
+      width: isRound ? 0 : obstacle.width * field.width,
+      height: isRound ? 0 : obstacle.height * playHeight,
+      radius: isRound ? obstacle.radius * playHeight : 0,
+    };
+  }
+
+  /**
+   * Fetches and parses a JSON file.
+   * @param {string|URL} url - File to fetch.
+   * @returns {Promise<*>} - Parsed JSON.
+   * @throws {Error} - When the request fails.
+   */
+  static async fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load ${url}: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Loads the bundled levels listed in levels/index.json ({ "levels": [file, ...] }).
+   * A file that fails to load or validate is skipped, so one broken level
+   * never hides the others; the skipped files are returned with the reason.
+   * @param {string|URL} [baseUrl=Levels.BASE_URL] - Folder holding index.json and the level files.
+   * @returns {Promise<{levels: Array<LevelDefinition>, skipped: Array<{file: string, error: string}>}>} - Levels in
+   *   index order, and the files skipped.
+   * @throws {Error} - When index.json cannot be loaded.
+   */
+  static async loadBundled(baseUrl = Levels.BASE_URL) {
+    const index = await Levels.fetchJSON(new URL("index.json", baseUrl));
+    const levels = [];
+    const skipped = [];
+    for (const file of index.levels) {
+      try {
+        levels.push(Levels.normalize(await Levels.fetchJSON(new URL(file, baseUrl))));
+      } catch (error) {
+        skipped.push({ file, error: error.message });
+      }
+    }
+    return { levels, skipped };
+  }
+}
@@ -0,0 +1,224 @@
+// German strings. Keys missing here fall back to English.
+
+export const STRINGS = {
+  // Header
+  "header.title": "PONG",
+  "header.mode": "Modus: {mode}",
+  "header.lives": "Leben: {lives}",
+  "header.score": "{label}: {score}",
+  "header.combo": "Kombo {combo}  x{multiplier}",
+  "header.time": "Zeit: {time}",
+  "header.pause": "PAUSE",
+  "game.nextBall": "Nächster Ball in {seconds}",
+
+  // Player labels
+  "label.you": "DU",
+  "label.cpu": "CPU",
+  "label.p1": "S1",
+  "label.p2": "S2",
+  "label.opponent": "GEGNER",
+
+  // Game modes and power-ups
+  "mode.speed.name": "TEMPO",
+  "mode.speed.description": "Der Ball wird schneller",
+  "mode.agility.name": "GESCHICK",
+  "mode.agility.description": "Alle {interval} s ein neuer Ball",
+  "powerUp.enlargePaddles": "GROSSER SCHLÄGER",
+  "powerUp.slowBalls": "LANGSAM",
+  "powerUp.extraBall": "EXTRABALL",
+  "powerUp.shrinkBall": "KLEINER BALL",
+  "powerUp.shield": "SCHILD",
+
+  // Main menu
+  "menu.title": "WILLKOMMEN BEI PONG!",
+  "menu.selectMode": "SPIELMODUS WÄHLEN:",
+  "menu.modeButton": "MODUS {mode}",
+  "menu.lives": "LEBEN: {lives}",
+  "menu.mouse": "MAUS: {side}",
+  "menu.cpu": "CPU: {difficulty}",
+  "menu.start": "SPIEL STARTEN",
+  "menu.highScores": "BESTENLISTE",
+  "menu.history": "VERLAUF",
+  "menu.settings": "EINSTELLUNGEN",
+  "menu.sound": "TON",
+  "menu.language": "Sprache: {language}",
+  "menu.level": "LEVEL: {level}",
+  "players.solo": "1 SPIELER",
+  "players.versus": "2 SPIELER",
+  "players.cpu": "GEGEN CPU",
+  "players.online": "ONLINE",
+  "side.none": "AUS",
+  "side.left": "LINKS",
+  "side.right": "RECHTS",
+  "difficulty.easy": "LEICHT",
+  "difficulty.normal": "NORMAL",
+  "difficulty.hard": "SCHWER",
+  "instructions.soloTouch": "Zum Bewegen der Schläger über den Bildschirm ziehen",
+  "instructions.solo": "Die Schläger mit der Maus steuern",
+  "instructions.versus": "S1: Tasten W/S   S2: Pfeiltasten",
+  "instructions.cpu": "Maus, W/S oder Pfeile bewegen deinen Schläger",
+  "instructions.online": "Raum eröffnen oder mit Code beitreten",
+
+  // Shared buttons
+  "button.back": "ZURÜCK",
+  "button.reset": "ZURÜCKSETZEN",
+  "button.save": "SPEICHERN",
+  "button.leave": "VERLASSEN",
+  "button.mainMenu": "HAUPTMENÜ",
+
+  // Settings
+  "settings.title": "EINSTELLUNGEN",
+  "setting.startSpeed": "STARTTEMPO",
+  "setting.speedIncrement": "BESCHLEUNIGUNG",
+  "setting.maxSpeed": "HÖCHSTTEMPO",
+  "setting.spawnInterval": "NEUER BALL (S)",
+  "setting.ballCap": "MAX. BÄLLE",
+  "setting.paddleHeight": "SCHLÄGERGRÖSSE",
+  "setting.inputScheme": "STEUERUNG",
+  "setting.theme": "DESIGN",
+  "setting.reducedMotion": "WENIGER BEWEGUNG",
+  "setting.language": "SPRACHE",
+  "setting.down": "{label} VERRINGERN",
+  "setting.up": "{label} ERHÖHEN",
+  "option.mode": "MODUS",
+  "option.auto": "AUTO",
+  "option.on": "AN",
+  "option.off": "AUS",
+  "option.mixed": "GEMISCHT",
+  "option.mouse": "MAUS",
+  "option.keyboard": "TASTATUR",
+  "option.light": "HELL",
+  "option.dark": "DUNKEL",
+  "option.high-contrast": "KONTRAST",
+  "option.deuteranopia": "DEUTAN",
+
+  // Sound
+  "sound.title": "TON",
+  "sound.master": "GESAMTLAUTSTÄRKE",
+  "sound.effects": "EFFEKTLAUTSTÄRKE",
+  "sound.mute": "STUMM: {state} (M)",
+  "sound.unsupported": "Dieser Browser unterstützt keinen Ton",
+
+  // High scores
+  "highScores.title": "BESTENLISTE",
+  "highScores.name": "NAME",
+  "highScores.score": "PUNKTE",
+  "highScores.time": "ZEIT",
+  "highScores.date": "DATUM",
+  "highScores.empty": "Noch keine Einträge",
+  "highScores.legacy": "Bestwert vor der Combo-Wertung: {name}, {hits} Treffer",
+
+  // Online play
+  "lobby.title": "ONLINE-SPIEL",
+  "lobby.host": "RAUM ERÖFFNEN",
+  "lobby.code": "RAUMCODE",
+  "lobby.join": "RAUM BEITRETEN",
+  "waiting.room": "RAUM {room}",
+  "online.connecting": "Verbinde...",
+  "online.share": "Gib diesen Code an den anderen Spieler weiter",
+  "online.waitHost": "Warte auf den Start durch den Gastgeber",
+  "online.peerLeft": "Gegner getrennt. Warte auf seine Rückkehr...",
+  "online.reconnecting": "Verbindung verloren. Verbinde neu...",
+  "online.roomClosed": "Der Raum wurde geschlossen",
+  "online.typeCode": "Gib zuerst den {length}-stelligen Raumcode ein",
+  "online.rematch": "Revanche beim Gastgeber angefragt",
+  "error.roomNotFound": "Raum nicht gefunden",
+  "error.roomFull": "Raum ist voll",
+  "error.alreadyInRoom": "Du bist bereits in diesem Raum",
+  "error.invalidMessage": "Ungültige Nachricht",
+  "error.unknownType": "Unbekannter Nachrichtentyp",
+  "error.unreachable": "Relay-Server nicht erreichbar",
+  "error.connectionLost": "Verbindung verloren",
+
+  // Pause
+  "pause.title": "PAUSIERT",
+  "pause.resume": "WEITER",
+  "pause.restart": "NEU STARTEN",
+
+  // Game over
+  "result.gameOver": "SPIEL VORBEI!",
+  "result.draw": "UNENTSCHIEDEN!",
+  "result.youWin": "GEWONNEN!",
+  "result.youLose": "VERLOREN!",
+  "result.cpuWins": "CPU GEWINNT!",
+  "result.playerWins": "SPIELER {player} GEWINNT!",
+  "gameOver.score": "Endstand: {score}",
+  "gameOver.time": "Spielzeit: {time}",
+  "gameOver.saved": "BESTWERT GESPEICHERT - PLATZ {rank}",
+  "gameOver.newHighScore": "NEUER BESTWERT! NAME:",
+  "gameOver.playAgain": "NOCHMAL SPIELEN",
+  "gameOver.replay": "WIEDERHOLUNG ANSEHEN",
+
+  // Score breakdown
+  "scoring.hit": "TREFFER {points}",
+  "scoring.edge": "KANTE {points}",
+  "scoring.speed": "TEMPO {points}",
+  "scoring.combo": "KOMBO {points}",
+  "scoring.multiball": "MEHRBALL {points}",
+  "scoring.bestCombo": "BESTE KOMBO {combo}",
+
+  // Match statistics
+  "stats.longestRally": "LÄNGSTER BALLWECHSEL",
+  "stats.averageRally": "BALLWECHSEL IM SCHNITT",
+  "stats.peakSpeed": "HÖCHSTTEMPO",
+  "stats.wallBounces": "BANDENTREFFER",
+  "stats.hits": "TREFFER",
+  "stats.longestBallLife": "LÄNGSTER BALL",
+  "stats.averageBallLife": "BALL IM SCHNITT",
+  "stats.balls": "NEU / VERLOREN",
+  "stats.left": "L",
+  "stats.right": "R",
+
+  // Session history
+  "history.title": "VERLAUF",
+  "history.date": "DATUM",
+  "history.mode": "MODUS",
+  "history.result": "ERGEBNIS",
+  "history.time": "ZEIT",
+  "history.rally": "WECHSEL",
+  "history.empty": "Noch keine Spiele",
+  "history.trends": "LETZTE {count} GEGENÜBER DEN {count} DAVOR",
+  "history.trendScore": "PUNKTE",
+  "history.trendRally": "WECHSEL",
+  "history.trendSpeed": "TEMPO",
+  "history.trendTime": "ZEIT",
+  "history.export": "JSON EXPORTIEREN",
+
+  // Levels
+  "levels.title": "LEVEL",
+  "levels.skipped": "{file} übersprungen: {error}",
+  "levels.unavailable": "Nur das freie Feld ist verfügbar: {error}",
+  "level.open.name": "FREIES FELD",
+  "level.open.description": "Keine Hindernisse",
+  "level.pillars.name": "SÄULEN",
+  "level.pillars.description": "Feste Blöcke teilen das Feld",
+  "level.pinball.name": "FLIPPER",
+  "level.pinball.description": "Bumper machen den Ball schneller",
+  "level.patrol.name": "PATROUILLE",
+  "level.patrol.description": "Balken fahren auf und ab",
+  "level.bricks.name": "MAUERN",
+  "level.bricks.description": "Brich durch die Wände",
+  "level.gauntlet.name": "SPIESSRUTENLAUF",
+  "level.gauntlet.description": "Von allem etwas",
+
+  // Replay
+  "replay.pause": "PAUSE",
+  "replay.play": "START",
+  "replay.exit": "ENDE",
+
+  // Notices
+  "notice.padConnected": "Controller {player} verbunden",
+  "notice.padDisconnected": "Controller {player} getrennt",
+
+  // Screen reader announcements
+  "a11y.canvas": "Pong-Spiel",
+  "a11y.intro": "Pong. Mit Tab oder den Pfeiltasten zwischen Schaltflächen wechseln, mit Eingabe eine drücken.",
+  "a11y.button": "{label}, Schaltfläche",
+  "a11y.selected": "{label}, Schaltfläche, ausgewählt",
+  "a11y.score": "Punkte {score}",
+  "a11y.points": "{left} {leftScore}, {right} {rightScore}",
+  "a11y.pointsTo": "{left} zu {right}",
+  "a11y.newBall": "Neuer Ball. {count} Bälle im Spiel",
+  "a11y.lifeLost": "Leben verloren. Noch {lives}",
+  "a11y.gameOver": "{title} Punkte {score}, Zeit {time}",
+};
@@ -0,0 +1,225 @@
+// English strings (the reference table: every key must exist here).
+// Placeholders in braces are filled in by I18n.t.
+
+export const STRINGS = {
+  // Header
+  "header.title": "PONG GAME",
+  "header.mode": "Mode: {mode}",
+  "header.lives": "Lives: {lives}",
+  "header.score": "{label}: {score}",
+  "header.combo": "Combo {combo}  x{multiplier}",
+  "header.time": "Time: {time}",
+  "header.pause": "PAUSE",
+  "game.nextBall": "Next ball in {seconds}",
+
+  // Player labels
+  "label.you": "YOU",
+  "label.cpu": "CPU",
+  "label.p1": "P1",
+  "label.p2": "P2",
+  "label.opponent": "OPPONENT",
+
+  // Game modes and power-ups
+  "mode.speed.name": "SPEED",
+  "mode.speed.description": "Ball gets faster",
+  "mode.agility.name": "AGILITY",
+  "mode.agility.description": "New ball every {interval}s",
+  "powerUp.enlargePaddles": "BIG PADDLE",
+  "powerUp.slowBalls": "SLOW",
+  "powerUp.extraBall": "EXTRA BALL",
+  "powerUp.shrinkBall": "SMALL BALL",
+  "powerUp.shield": "SHIELD",
+
+  // Main menu
+  "menu.title": "WELCOME TO PONG!",
+  "menu.selectMode": "SELECT GAME MODE:",
+  "menu.modeButton": "{mode} MODE",
+  "menu.lives": "LIVES: {lives}",
+  "menu.mouse": "MOUSE: {side}",
+  "menu.cpu": "CPU: {difficulty}",
+  "menu.start": "START GAME",
+  "menu.highScores": "HIGH SCORES",
+  "menu.history": "HISTORY",
+  "menu.settings": "SETTINGS",
+  "menu.sound": "SOUND",
+  "menu.language": "Language: {language}",
+  "menu.level": "LEVEL: {level}",
+  "players.solo": "1 PLAYER",
+  "players.versus": "2 PLAYERS",
+  "players.cpu": "VS CPU",
+  "players.online": "ONLINE",
+  "side.none": "OFF",
+  "side.left": "LEFT",
+  "side.right": "RIGHT",
+  "difficulty.easy": "EASY",
+  "difficulty.normal": "NORMAL",
+  "difficulty.hard": "HARD",
+  "instructions.soloTouch": "Drag on the screen to move the paddles",
+  "instructions.solo": "Move your mouse to control the paddles",
+  "instructions.versus": "P1: W/S keys   P2: Arrow keys",
+  "instructions.cpu": "Mouse, W/S or arrows move your paddle",
+  "instructions.online": "Host a room, or join one with its code",
+
+  // Shared buttons
+  "button.back": "BACK",
+  "button.reset": "RESET",
+  "button.save": "SAVE",
+  "button.leave": "LEAVE",
+  "button.mainMenu": "MAIN MENU",
+
+  // Settings
+  "settings.title": "SETTINGS",
+  "setting.startSpeed": "START SPEED",
+  "setting.speedIncrement": "SPEED GAIN",
+  "setting.maxSpeed": "MAX SPEED",
+  "setting.spawnInterval": "SPAWN EVERY (S)",
+  "setting.ballCap": "BALL CAP",
+  "setting.paddleHeight": "PADDLE SIZE",
+  "setting.inputScheme": "CONTROLS",
+  "setting.theme": "THEME",
+  "setting.reducedMotion": "REDUCED MOTION",
+  "setting.language": "LANGUAGE",
+  "setting.down": "{label} DOWN",
+  "setting.up": "{label} UP",
+  "option.mode": "MODE",
+  "option.auto": "AUTO",
+  "option.on": "ON",
+  "option.off": "OFF",
+  "option.mixed": "MIXED",
+  "option.mouse": "MOUSE",
+  "option.keyboard": "KEYBOARD",
+  "option.light": "LIGHT",
+  "option.dark": "DARK",
+  "option.high-contrast": "CONTRAST",
+  "option.deuteranopia": "DEUTAN",
+
+  // Sound
+  "sound.title": "SOUND",
+  "sound.master": "MASTER VOLUME",
+  "sound.effects": "EFFECTS VOLUME",
+  "sound.mute": "MUTE: {state} (M)",
+  "sound.unsupported": "Sound is not supported in this browser",
+
+  // High scores
+  "highScores.title": "HIGH SCORES",
+  "highScores.name": "NAME",
+  "highScores.score": "SCORE",
+  "highScores.time": "TIME",
+  "highScores.date": "DATE",
+  "highScores.empty": "No scores yet",
+  "highScores.legacy": "Best before combo scoring: {name}, {hits} hits",
+
+  // Online play
+  "lobby.title": "ONLINE MATCH",
+  "lobby.host": "HOST A ROOM",
+  "lobby.code": "ROOM CODE",
+  "lobby.join": "JOIN ROOM",
+  "waiting.room": "ROOM {room}",
+  "online.connecting": "Connecting...",
+  "online.share": "Share this code with the other player",
+  "online.waitHost": "Waiting for the host to start",
+  "online.peerLeft": "Opponent disconnected. Waiting for them to return...",
+  "online.reconnecting": "Connection lost. Reconnecting...",
+  "online.roomClosed": "The room was closed",
+  "online.typeCode": "Type the {length}-letter room code first",
+  "online.rematch": "Asked the host for a rematch",
+  "error.roomNotFound": "Room not found",
+  "error.roomFull": "Room is full",
+  "error.alreadyInRoom": "You are already in this room",
+  "error.invalidMessage": "Invalid message",
+  "error.unknownType": "Unknown message type",
+  "error.unreachable": "Cannot reach the relay server",
+  "error.connectionLost": "Connection lost",
+
+  // Pause
+  "pause.title": "PAUSED",
+  "pause.resume": "RESUME",
+  "pause.restart": "RESTART",
+
+  // Game over
+  "result.gameOver": "GAME OVER!",
+  "result.draw": "DRAW!",
+  "result.youWin": "YOU WIN!",
+  "result.youLose": "YOU LOSE!",
+  "result.cpuWins": "CPU WINS!",
+  "result.playerWins": "PLAYER {player} WINS!",
+  "gameOver.score": "Final Score: {score}",
+  "gameOver.time": "Time Played: {time}",
+  "gameOver.saved": "HIGH SCORE SAVED - RANK #{rank}",
+  "gameOver.newHighScore": "NEW HIGH SCORE! NAME:",
+  "gameOver.playAgain": "PLAY AGAIN",
+  "gameOver.replay": "WATCH REPLAY",
+
+  // Score breakdown
+  "scoring.hit": "HITS {points}",
+  "scoring.edge": "EDGE {points}",
+  "scoring.speed": "SPEED {points}",
+  "scoring.combo": "COMBO {points}",
+  "scoring.multiball": "MULTI-BALL {points}",
+  "scoring.bestCombo": "BEST COMBO {combo}",
+
+  // Match statistics
+  "stats.longestRally": "LONGEST RALLY",
+  "stats.averageRally": "AVG RALLY",
+  "stats.peakSpeed": "PEAK SPEED",
+  "stats.wallBounces": "WALL BOUNCES",
+  "stats.hits": "HITS",
+  "stats.longestBallLife": "LONGEST BALL",
+  "stats.averageBallLife": "AVG BALL",
+  "stats.balls": "SPAWNED / LOST",
+  "stats.left": "L",
+  "stats.right": "R",
+
+  // Session history
+  "history.title": "HISTORY",
+  "history.date": "DATE",
+  "history.mode": "MODE",
+  "history.result": "RESULT",
+  "history.time": "TIME",
+  "history.rally": "RALLY",
+  "history.empty": "No sessions yet",
+  "history.trends": "LAST {count} VS PREVIOUS {count}",
+  "history.trendScore": "SCORE",
+  "history.trendRally": "RALLY",
+  "history.trendSpeed": "SPEED",
+  "history.trendTime": "TIME",
+  "history.export": "EXPORT JSON",
+
+  // Levels
+  "levels.title": "LEVELS",
+  "levels.skipped": "Skipped {file}: {error}",
+  "levels.unavailable": "Only the open field is available: {error}",
+  "level.open.name": "OPEN FIELD",
+  "level.open.description": "No obstacles",
+  "level.pillars.name": "PILLARS",
+  "level.pillars.description": "Fixed blocks split the field",
+  "level.pinball.name": "PINBALL",
+  "level.pinball.description": "Bumpers speed the ball up",
+  "level.patrol.name": "PATROL",
+  "level.patrol.description": "Bars sweep up and down",
+  "level.bricks.name": "BRICKS",
+  "level.bricks.description": "Break through the walls",
+  "level.gauntlet.name": "GAUNTLET",
+  "level.gauntlet.description": "A bit of everything",
+
+  // Replay
+  "replay.pause": "PAUSE",
+  "replay.play": "PLAY",
+  "replay.exit": "EXIT",
+
+  // Notices
+  "notice.padConnected": "Controller {player} connected",
+  "notice.padDisconnected": "Controller {player} disconnected",
+
+  // Screen reader announcements
+  "a11y.canvas": "Pong game",
+  "a11y.intro": "Pong. Press Tab or the arrow keys to move between buttons, and Enter to press one.",
+  "a11y.button": "{label}, button",
+  "a11y.selected": "{label}, button, selected",
+  "a11y.score": "Score {score}",
+  "a11y.points": "{left} {leftScore}, {right} {rightScore}",
+  "a11y.pointsTo": "{left} to {right}",
+  "a11y.newBall": "New ball. {count} balls in play",
+  "a11y.lifeLost": "Life lost. {lives} left",
+  "a11y.gameOver": "{title} Score {score}, time {time}",
+};
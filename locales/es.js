@@ -0,0 +1,224 @@
+// Spanish strings. Keys missing here fall back to English.
+
+export const STRINGS = {
+  // Header
+  "header.title": "PONG",
+  "header.mode": "Modo: {mode}",
+  "header.lives": "Vidas: {lives}",
+  "header.score": "{label}: {score}",
+  "header.combo": "Combo {combo}  x{multiplier}",
+  "header.time": "Tiempo: {time}",
+  "header.pause": "PAUSA",
+  "game.nextBall": "Nueva bola en {seconds}",
+
+  // Player labels
+  "label.you": "TÚ",
+  "label.cpu": "CPU",
+  "label.p1": "J1",
+  "label.p2": "J2",
+  "label.opponent": "RIVAL",
+
+  // Game modes and power-ups
+  "mode.speed.name": "VELOCIDAD",
+  "mode.speed.description": "La bola acelera",
+  "mode.agility.name": "AGILIDAD",
+  "mode.agility.description": "Nueva bola cada {interval} s",
+  "powerUp.enlargePaddles": "PALA GRANDE",
+  "powerUp.slowBalls": "LENTO",
+  "powerUp.extraBall": "BOLA EXTRA",
+  "powerUp.shrinkBall": "BOLA PEQUEÑA",
+  "powerUp.shield": "ESCUDO",
+
+  // Main menu
+  "menu.title": "¡BIENVENIDO A PONG!",
+  "menu.selectMode": "ELIGE EL MODO DE JUEGO:",
+  "menu.modeButton": "MODO {mode}",
+  "menu.lives": "VIDAS: {lives}",
+  "menu.mouse": "RATÓN: {side}",
+  "menu.cpu": "CPU: {difficulty}",
+  "menu.start": "EMPEZAR PARTIDA",
+  "menu.highScores": "RÉCORDS",
+  "menu.history": "HISTORIAL",
+  "menu.settings": "AJUSTES",
+  "menu.sound": "SONIDO",
+  "menu.language": "Idioma: {language}",
+  "menu.level": "NIVEL: {level}",
+  "players.solo": "1 JUGADOR",
+  "players.versus": "2 JUGADORES",
+  "players.cpu": "CONTRA CPU",
+  "players.online": "EN LÍNEA",
+  "side.none": "NO",
+  "side.left": "IZQUIERDA",
+  "side.right": "DERECHA",
+  "difficulty.easy": "FÁCIL",
+  "difficulty.normal": "NORMAL",
+  "difficulty.hard": "DIFÍCIL",
+  "instructions.soloTouch": "Arrastra por la pantalla para mover las palas",
+  "instructions.solo": "Mueve el ratón para controlar las palas",
+  "instructions.versus": "J1: teclas W/S   J2: flechas",
+  "instructions.cpu": "Ratón, W/S o flechas mueven tu pala",
+  "instructions.online": "Crea una sala o únete con su código",
+
+  // Shared buttons
+  "button.back": "VOLVER",
+  "button.reset": "RESTABLECER",
+  "button.save": "GUARDAR",
+  "button.leave": "SALIR",
+  "button.mainMenu": "MENÚ PRINCIPAL",
+
+  // Settings
+  "settings.title": "AJUSTES",
+  "setting.startSpeed": "VELOCIDAD INICIAL",
+  "setting.speedIncrement": "ACELERACIÓN",
+  "setting.maxSpeed": "VELOCIDAD MÁX.",
+  "setting.spawnInterval": "BOLA CADA (S)",
+  "setting.ballCap": "MÁX. BOLAS",
+  "setting.paddleHeight": "TAMAÑO DE PALA",
+  "setting.inputScheme": "CONTROLES",
+  "setting.theme": "TEMA",
+  "setting.reducedMotion": "MENOS MOVIMIENTO",
+  "setting.language": "IDIOMA",
+  "setting.down": "BAJAR {label}",
+  "setting.up": "SUBIR {label}",
+  "option.mode": "MODO",
+  "option.auto": "AUTO",
+  "option.on": "SÍ",
+  "option.off": "NO",
+  "option.mixed": "MIXTO",
+  "option.mouse": "RATÓN",
+  "option.keyboard": "TECLADO",
+  "option.light": "CLARO",
+  "option.dark": "OSCURO",
+  "option.high-contrast": "CONTRASTE",
+  "option.deuteranopia": "DEUTAN",
+
+  // Sound
+  "sound.title": "SONIDO",
+  "sound.master": "VOLUMEN GENERAL",
+  "sound.effects": "VOLUMEN EFECTOS",
+  "sound.mute": "SILENCIO: {state} (M)",
+  "sound.unsupported": "Este navegador no admite sonido",
+
+  // High scores
+  "highScores.title": "RÉCORDS",
+  "highScores.name": "NOMBRE",
+  "highScores.score": "PUNTOS",
+  "highScores.time": "TIEMPO",
+  "highScores.date": "FECHA",
+  "highScores.empty": "Aún no hay récords",
+  "highScores.legacy": "Mejor antes de la puntuación por combos: {name}, {hits} golpes",
+
+  // Online play
+  "lobby.title": "PARTIDA EN LÍNEA",
+  "lobby.host": "CREAR SALA",
+  "lobby.code": "CÓDIGO DE SALA",
+  "lobby.join": "UNIRSE A LA SALA",
+  "waiting.room": "SALA {room}",
+  "online.connecting": "Conectando...",
+  "online.share": "Comparte este código con el otro jugador",
+  "online.waitHost": "Esperando a que el anfitrión empiece",
+  "online.peerLeft": "El rival se ha desconectado. Esperando a que vuelva...",
+  "online.reconnecting": "Conexión perdida. Reconectando...",
+  "online.roomClosed": "La sala se ha cerrado",
+  "online.typeCode": "Escribe antes el código de {length} letras",
+  "online.rematch": "Revancha pedida al anfitrión",
+  "error.roomNotFound": "No se encuentra la sala",
+  "error.roomFull": "La sala está llena",
+  "error.alreadyInRoom": "Ya estás en esta sala",
+  "error.invalidMessage": "Mensaje no válido",
+  "error.unknownType": "Tipo de mensaje desconocido",
+  "error.unreachable": "No se puede conectar con el servidor",
+  "error.connectionLost": "Conexión perdida",
+
+  // Pause
+  "pause.title": "EN PAUSA",
+  "pause.resume": "CONTINUAR",
+  "pause.restart": "REINICIAR",
+
+  // Game over
+  "result.gameOver": "¡FIN DE LA PARTIDA!",
+  "result.draw": "¡EMPATE!",
+  "result.youWin": "¡HAS GANADO!",
+  "result.youLose": "¡HAS PERDIDO!",
+  "result.cpuWins": "¡GANA LA CPU!",
+  "result.playerWins": "¡GANA EL JUGADOR {player}!",
+  "gameOver.score": "Puntuación final: {score}",
+  "gameOver.time": "Tiempo de juego: {time}",
+  "gameOver.saved": "RÉCORD GUARDADO - PUESTO N.º {rank}",
+  "gameOver.newHighScore": "¡NUEVO RÉCORD! NOMBRE:",
+  "gameOver.playAgain": "JUGAR DE NUEVO",
+  "gameOver.replay": "VER REPETICIÓN",
+
+  // Score breakdown
+  "scoring.hit": "GOLPES {points}",
+  "scoring.edge": "BORDE {points}",
+  "scoring.speed": "VELOCIDAD {points}",
+  "scoring.combo": "COMBO {points}",
+  "scoring.multiball": "MULTIBOLA {points}",
+  "scoring.bestCombo": "MEJOR COMBO {combo}",
+
+  // Match statistics
+  "stats.longestRally": "MEJOR PELOTEO",
+  "stats.averageRally": "PELOTEO MEDIO",
+  "stats.peakSpeed": "VELOCIDAD MÁX.",
+  "stats.wallBounces": "REBOTES",
+  "stats.hits": "GOLPES",
+  "stats.longestBallLife": "BOLA MÁS LARGA",
+  "stats.averageBallLife": "BOLA MEDIA",
+  "stats.balls": "NUEVAS / PERDIDAS",
+  "stats.left": "I",
+  "stats.right": "D",
+
+  // Session history
+  "history.title": "HISTORIAL",
+  "history.date": "FECHA",
+  "history.mode": "MODO",
+  "history.result": "RESULTADO",
+  "history.time": "TIEMPO",
+  "history.rally": "PELOTEO",
+  "history.empty": "Aún no hay partidas",
+  "history.trends": "ÚLTIMAS {count} FRENTE A LAS {count} ANTERIORES",
+  "history.trendScore": "PUNTOS",
+  "history.trendRally": "PELOTEO",
+  "history.trendSpeed": "VELOCIDAD",
+  "history.trendTime": "TIEMPO",
+  "history.export": "EXPORTAR JSON",
+
+  // Levels
+  "levels.title": "NIVELES",
+  "levels.skipped": "Se omitió {file}: {error}",
+  "levels.unavailable": "Solo está disponible el campo libre: {error}",
+  "level.open.name": "CAMPO LIBRE",
+  "level.open.description": "Sin obstáculos",
+  "level.pillars.name": "PILARES",
+  "level.pillars.description": "Bloques fijos dividen el campo",
+  "level.pinball.name": "PINBALL",
+  "level.pinball.description": "Los rebotadores aceleran la bola",
+  "level.patrol.name": "PATRULLA",
+  "level.patrol.description": "Barras que suben y bajan",
+  "level.bricks.name": "LADRILLOS",
+  "level.bricks.description": "Rompe los muros",
+  "level.gauntlet.name": "DESAFÍO",
+  "level.gauntlet.description": "Un poco de todo",
+
+  // Replay
+  "replay.pause": "PAUSA",
+  "replay.play": "VER",
+  "replay.exit": "SALIR",
+
+  // Notices
+  "notice.padConnected": "Mando {player} conectado",
+  "notice.padDisconnected": "Mando {player} desconectado",
+
+  // Screen reader announcements
+  "a11y.canvas": "Juego de Pong",
+  "a11y.intro": "Pong. Pulsa Tab o las flechas para moverte entre los botones y Intro para pulsar uno.",
+  "a11y.button": "{label}, botón",
+  "a11y.selected": "{label}, botón, seleccionado",
+  "a11y.score": "Puntos {score}",
+  "a11y.points": "{left} {leftScore}, {right} {rightScore}",
+  "a11y.pointsTo": "{left} a {right}",
+  "a11y.newBall": "Nueva bola. {count} bolas en juego",
+  "a11y.lifeLost": "Vida perdida. Quedan {lives}",
+  "a11y.gameOver": "{title} Puntos {score}, tiempo {time}",
+};
@@ -0,0 +1,132 @@
+// Game mode registry.
+// Each game mode is plain data: the simulation reads its numbers and rules,
+// and the menu builds its mode buttons from the registry, so a new mode only
+// needs a register() call here (or from another module).
+
+/**
+ * @typedef {object} GameModeDefinition
+ * @property {string} id - Unique key, e.g. "speed".
+ * @property {string} name - Short name shown on buttons and in the header.
+ * @property {string} description - One line shown under the mode button.
+ * @property {number} startSpeed - Speed of every new ball (pixels per second).
+ * @property {number} speedIncrement - Speed added to a ball on each paddle hit.
+ * @property {number} maxSpeed - Fastest a ball can get from paddle hits.
+ * @property {{interval: number, count: number}|null} spawn - Extra balls: `count` new balls every `interval` seconds, or null for none.
+ * @property {number} ballCap - Most balls in play at once (spawns and power-ups stop at this).
+ * @property {string|object} scoring - Scoring rule set id, or a full rule set (see ScoringRules).
+ * @property {object} rules - Win/lose rules.
+ * @property {number} rules.lives - Balls a solo player may lose before the match ends.
+ * @property {number} rules.winningScore - Points that win a versus match.
+ * @property {number|null} rules.timeLimit - Seconds until the match ends regardless, or null for no limit.
+ */
+
+export class GameModeRegistry {
+  static modes = new Map(); // Registered modes by id, in registration order
+
+  // Values used for any field a definition leaves out
+  static DEFAULTS = {
+    startSpeed: 600,
+    speedIncrement: 80,
+    maxSpeed: 2400,
+    spawn: null,
+    ballCap: 10,
+    scoring: "skill",
+    rules: { lives: 3, winningScore: 7, timeLimit: null },
+  };
+
+  /**
+   * Fills in defaults and checks a mode definition.
+   * @param {object} definition - Mode definition (see GameModeDefinition).
+   * @returns {GameModeDefinition} - Complete definition.
+   * @throws {Error} - When a field is missing or out of range.
+   */
+  static normalize(definition) {
+    const mode = {
+      ...GameModeRegistry.DEFAULTS,
+      ...definition,
+      rules: { ...GameModeRegistry.DEFAULTS.rules, ...(definition.rules || {}) },
+    };
+
+    const isPositive = (value) => Number.isFinite(value) && value > 0;
+    const problems = [];
+    if (typeof mode.id !== "string" || mode.id === "") problems.push("id");
+    if (typeof mode.name !== "string" || mode.name === "") problems.push("name");
+    if (typeof mode.description !== "string") problems.push("description");
+    if (!isPositive(mode.startSpeed)) problems.push("startSpeed");
+    if (!Number.isFinite(mode.speedIncrement) || mode.speedIncrement < 0) problems.push("speedIncrement");
+    if (!isPositive(mode.maxSpeed) || mode.maxSpeed < mode.startSpeed) problems.push("maxSpeed");
+    if (mode.spawn !== null && (!isPositive(mode.spawn.interval) || !Number.isInteger(mode.spawn.count) || mode.spawn.count < 1)) {
+      problems.push("spawn");
+    }
+    if (!Number.isInteger(mode.ballCap) || mode.ballCap < 1) problems.push("ballCap");
+    if (typeof mode.scoring !== "string" && (mode.scoring === null || typeof mode.scoring !== "object")) problems.push("scoring");
+    if (!Number.isInteger(mode.rules.lives) || mode.rules.lives < 1) problems.push("rules.lives");
+    if (!Number.isInteger(mode.rules.winningScore) || mode.rules.winningScore < 1) problems.push("rules.winningScore");
+    if (mode.rules.timeLimit !== null && !isPositive(mode.rules.timeLimit)) problems.push("rules.timeLimit");
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid game mode "${mode.id}": ${problems.join(", ")}`);
+    }
+    return mode;
+  }
+
+  /**
+   * Adds a mode (or replaces one with the same id).
+   * @param {object} definition - Mode definition (see GameModeDefinition).
+   * @returns {GameModeDefinition} - The registered definition.
+   */
+  static register(definition) {
+    const mode = GameModeRegistry.normalize(definition);
+    GameModeRegistry.modes.set(mode.id, mode);
+    return mode;
+  }
+
+  /**
+   * Returns a registered mode.
+   * @param {string} id - Mode id.
+   * @returns {GameModeDefinition} - The definition.
+   * @throws {Error} - When no mode has that id.
+   */
+  static get(id) {
+    const mode = GameModeRegistry.modes.get(id);
+    if (!mode) {
+      throw new Error(`Unknown game mode "${id}"`);
+    }
+    return mode;
+  }
+
+  /**
+   * Returns every registered mode in registration order.
+   * @returns {Array<GameModeDefinition>} - Definitions.
+   */
+  static list() {
+    return [...GameModeRegistry.modes.values()];
+  }
+}
+
+// Built-in modes
+GameModeRegistry.register({
+  id: "speed",
+  name: "SPEED",
+  description: "Ball gets faster",
+  startSpeed: 600,
+  speedIncrement: 80,
+  maxSpeed: 2400,
+  spawn: null,
+  ballCap: 10,
+  scoring: "skill",
+  rules: { lives: 3, winningScore: 7, timeLimit: null },
+});
+
+GameModeRegistry.register({
+  id: "agility",
+  name: "AGILITY",
+  description: "New ball every 10s",
+  startSpeed: 600,
+  speedIncrement: 80,
+  maxSpeed: 2400,
+  spawn: { interval: 10, count: 1 },
+  ballCap: 10,
+  scoring: "multiball",
+  rules: { lives: 3, winningScore: 7, timeLimit: null },
+});
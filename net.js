@@ -0,0 +1,250 @@
+// Online play networking.
+// RelayConnection talks to relay-server.mjs: it hosts or joins a room and
+// reconnects by itself after a dropped connection. FieldMapping converts
+// match states between the host's play area and a guest's differently sized
+// screen. The WebSocket class is injectable so tests can supply a fake.
+
+// Connection to the relay server for one room
+export class RelayConnection {
+  static RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000]; // Milliseconds before each reconnect attempt
+  static CODE_LENGTH = 4; // Letters in a room code (matches the relay server)
+
+  /**
+   * Creates a connection (nothing is opened until host() or join()).
+   * @param {string} url - Relay server WebSocket URL.
+   * @param {Function} [WebSocketClass] - WebSocket constructor; defaults to the browser's.
+   */
+  constructor(url, WebSocketClass = globalThis.WebSocket) {
+    this.url = url;
+    this.WebSocketClass = WebSocketClass;
+    this.socket = null;
+    this.handlers = {};     // Listeners by message type
+    this.room = null;       // Room code once hosted or joined
+    this.token = null;      // Proves our seat in the room when reconnecting
+    this.role = null;       // host or guest
+    this.attempt = 0;       // Reconnect attempts since the connection dropped
+    this.retryTimer = null;
+    this.closed = false;    // Set by close(): stop reconnecting
+  }
+
+  /**
+   * Returns the relay URL for this page: the server it was loaded from (the
+   * relay serves the game), or the one given as ?relay=ws://host:port.
+   * @returns {string} - WebSocket URL.
+   */
+  static getDefaultUrl() {
+    const override = new URLSearchParams(location.search).get("relay");
+    if (override) {
+      return override;
+    }
+    return `${location.protocol === "https:" ? "wss" : "ws"}://${location.host || "localhost:8080"}`;
+  }
+
+  /**
+   * Registers a listener. Types are the relay server's message types plus
+   * "reconnecting" ({ attempt }), "failed" ({ code, message }: could not
+   * connect or reconnect) and "data" (game data from the other player).
+   * @param {string} type - Message type.
+   * @param {Function} handler - Called with the message.
+   */
+  on(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Calls the listener for a message type, if any.
+   * @param {string} type - Message type.
+   * @param {object} [message={}] - Message passed to the listener.
+   */
+  emit(type, message = {}) {
+    if (this.handlers[type]) {
+      this.handlers[type](message);
+    }
+  }
+
+  /**
+   * Opens a new room as its host.
+   */
+  host() {
+    this.open({ type: "host" });
+  }
+
+  /**
+   * Joins a room as its guest.
+   * @param {string} room - Room code.
+   */
+  join(room) {
+    this.open({ type: "join", room: room.toUpperCase() });
+  }
+
+  /**
+   * Sends game data to the other player. Dropped while disconnected; the
+   * match is paused then anyway.
+   * @param {object} data - Game data.
+   */
+  send(data) {
+    if (this.socket && this.socket.readyState === 1) {
+      this.socket.send(JSON.stringify({ type: "relay", data }));
+    }
+  }
+
+  /**
+   * Leaves the room for good. The server closes the room for the other
+   * player too.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    if (this.socket) {
+      if (this.socket.readyState === 1) {
+        this.socket.send(JSON.stringify({ type: "leave" }));
+      }
+      this.socket.close();
+    }
+  }
+
+  /**
+   * Opens the WebSocket and sends a first message once connected.
+   * @param {object} firstMessage - host, join or rejoin request.
+   */
+  open(firstMessage) {
+    try {
+      this.socket = new this.WebSocketClass(this.url);
+    } catch (error) {
+      this.emit("failed", { code: "unreachable", message: "Cannot reach the relay server" });
+      return;
+    }
+
+    const socket = this.socket;
+    socket.onopen = () => {
+      socket.send(JSON.stringify(firstMessage));
+    };
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return; // Ignore anything that is not JSON
+      }
+      this.handleMessage(message);
+    };
+    socket.onclose = () => {
+      if (socket === this.socket) {
+        this.handleDrop();
+      }
+    };
+  }
+
+  /**
+   * Handles a message from the relay server.
+   * @param {object} message - Parsed message.
+   */
+  handleMessage(message) {
+    if (message.type === "hosted" || message.type === "joined" || message.type === "rejoined") {
+      this.room = message.room;
+      this.token = message.token;
+      this.role = message.role;
+      this.attempt = 0;
+    }
+    if (message.type === "roomClosed") {
+      this.close();
+    }
+    if (message.type === "relay") {
+      this.emit("data", message.data);
+      return;
+    }
+    this.emit(message.type, message);
+  }
+
+  /**
+   * Reconnects after the connection dropped, waiting longer after each
+   * failed attempt. Gives up when out of attempts, or straight away if we
+   * never got into a room.
+   */
+  handleDrop() {
+    if (this.closed) {
+      return;
+    }
+    if (!this.room || this.attempt >= RelayConnection.RECONNECT_DELAYS.length) {
+      this.closed = true;
+      this.emit("failed", this.room
+        ? { code: "connectionLost", message: "Connection lost" }
+        : { code: "unreachable", message: "Cannot reach the relay server" });
+      return;
+    }
+
+    const delay = RelayConnection.RECONNECT_DELAYS[this.attempt];
+    this.attempt++;
+    this.emit("reconnecting", { attempt: this.attempt });
+    this.retryTimer = setTimeout(() => {
+      this.open({ type: "rejoin", room: this.room, token: this.token });
+    }, delay);
+  }
+}
+
+// Converts positions between two play area sizes
+export class FieldMapping {
+  /**
+   * Returns the play area size from a simulation config.
+   * @param {object} config - Simulation config.
+   * @returns {object} - Size ({ width, height, headerHeight, paddle, ballRadius }).
+   */
+  static fromConfig(config) {
+    const { width, height, headerHeight, paddle, ballRadius } = config;
+    return { width, height, headerHeight, paddle, ballRadius };
+  }
+
+  /**
+   * Maps a Y position from one play area to another, keeping its place
+   * relative to the area below the header.
+   * @param {number} y - Y position in the source area.
+   * @param {object} from - Source size.
+   * @param {object} to - Target size.
+   * @returns {number} - Y position in the target area.
+   */
+  static mapY(y, from, to) {
+    return to.headerHeight + ((y - from.headerHeight) * (to.height - to.headerHeight)) / (from.height - from.headerHeight);
+  }
+
+  /**
+   * Returns a copy of a match state laid out for another play area size,
+   * for showing the host's match on a guest's screen.
+   * @param {object} state - Simulation state in the source area.
+   * @param {object} from - Source size.
+   * @param {object} to - Target size.
+   * @returns {object} - State for the target area.
+   */
+  static mapState(state, from, to) {
+    const view = structuredClone(state);
+    const scaleX = to.width / from.width;
+    const paddleScale = (to.height - to.headerHeight) / (from.height - from.headerHeight); // Paddles keep their share of the play area
+    const radiusScale = to.ballRadius / from.ballRadius;
+
+    view.paddles.forEach((paddle) => {
+      paddle.x = paddle.side === "left" ? to.paddle.offset : to.width - to.paddle.offset;
+      paddle.y = FieldMapping.mapY(paddle.y, from, to);
+      paddle.width = to.paddle.width;
+      paddle.height *= paddleScale;
+    });
+    view.balls.forEach((ball) => {
+      ball.x *= scaleX;
+      ball.y = FieldMapping.mapY(ball.y, from, to);
+      ball.radius *= radiusScale;
+    });
+    view.powerUps.forEach((powerUp) => {
+      powerUp.x *= scaleX;
+      powerUp.y = FieldMapping.mapY(powerUp.y, from, to);
+    });
+    view.obstacles.forEach((obstacle) => {
+      obstacle.x *= scaleX;
+      obstacle.y = FieldMapping.mapY(obstacle.y, from, to);
+      obstacle.width *= scaleX;
+      obstacle.height *= paddleScale;
+      obstacle.radius *= paddleScale; // Bumpers scale with the play area height, like the level lays them out
+    });
+    return view;
+  }
+}
@@ -0,0 +1,126 @@
+// Power-up definitions and stacking rules.
+// Pickups appear in the play area and are collected when a ball passes
+// through them. The simulation owns the pickups and active effects; this
+// module only describes each power-up and how repeated pickups combine.
+
+export class PowerUps {
+  static SPAWN_INTERVAL = 8;  // Seconds between pickups appearing
+  static LIFETIME = 10;       // Seconds a pickup stays before disappearing
+  static MAX_ON_FIELD = 2;    // Most pickups waiting in the play area at once
+  static RADIUS = 18;         // Pickup size
+  static SHIELD_WIDTH = 8;    // Thickness of the shield wall at the screen edge
+
+  // Power-up types:
+  // duration - seconds the effect lasts (0: applied once, no lasting effect)
+  // stacking - what picking it up again does while active:
+  //   stack: adds a stack (up to maxStacks) and restarts the timer
+  //   refresh: restarts the timer
+  //   extend: adds the duration to the time left (up to maxDuration)
+  //   instant: no lasting effect
+  // perSide - true: applies to the collecting side only; "versus": only in
+  //   versus (in solo both paddles belong to the player); false: applies to all
+  static TYPES = {
+    enlargePaddles: {
+      label: "BIG PADDLE",
+      symbol: "P",
+      duration: 10,
+      stacking: "stack",
+      maxStacks: 3,
+      scalePerStack: 0.3,   // Paddle height grows by 30% per stack
+      perSide: "versus",
+    },
+    slowBalls: {
+      label: "SLOW",
+      symbol: "S",
+      duration: 6,
+      stacking: "refresh",
+      speedFactor: 0.6,     // Balls move at 60% of their speed
+      perSide: false,
+    },
+    extraBall: {
+      label: "EXTRA BALL",
+      symbol: "+",
+      duration: 0,
+      stacking: "instant",
+      perSide: false,
+    },
+    shrinkBall: {
+      label: "SMALL BALL",
+      symbol: "s",
+      duration: 8,
+      stacking: "refresh",
+      radiusFactor: 0.6,    // Balls shrink to 60% of their radius
+      perSide: false,
+    },
+    shield: {
+      label: "SHIELD",
+      symbol: "W",
+      duration: 8,
+      stacking: "extend",
+      maxDuration: 16,
+      perSide: true,        // Wall behind the collecting side's paddle
+    },
+  };
+
+  /**
+   * Returns the ids of every power-up type.
+   * @returns {Array<string>} - Type ids.
+   */
+  static getTypeIds() {
+    return Object.keys(PowerUps.TYPES);
+  }
+
+  /**
+   * Works out which side an effect belongs to.
+   * @param {string} type - Power-up type id.
+   * @param {string} owner - Side that collected it: left or right.
+   * @param {string} players - Simulation player mode: solo or versus.
+   * @returns {string|null} - Side the effect applies to, or null for both.
+   */
+  static getEffectSide(type, owner, players) {
+    const perSide = PowerUps.TYPES[type].perSide;
+    return perSide === true || (perSide === "versus" && players !== "solo") ? owner : null;
+  }
+
+  /**
+   * Applies a pickup to the list of active effects using the type's stacking rule.
+   * @param {Array<object>} effects - Active effects ({ type, side, remaining, stacks }); modified in place.
+   * @param {string} type - Power-up type id.
+   * @param {string|null} side - Side the effect applies to, or null for both.
+   * @returns {object|null} - The new or updated effect, or null for instant power-ups.
+   */
+  static addEffect(effects, type, side) {
+    const definition = PowerUps.TYPES[type];
+    if (definition.stacking === "instant") {
+      return null;
+    }
+
+    const existing = effects.find((effect) => effect.type === type && effect.side === side);
+    if (!existing) {
+      const effect = { type, side, remaining: definition.duration, stacks: 1 };
+      effects.push(effect);
+      return effect;
+    }
+
+    if (definition.stacking === "stack") {
+      existing.stacks = Math.min(definition.maxStacks, existing.stacks + 1);
+      existing.remaining = definition.duration;
+    } else if (definition.stacking === "extend") {
+      existing.remaining = Math.min(definition.maxDuration, existing.remaining + definition.duration);
+    } else {
+      existing.remaining = definition.duration;
+    }
+    return existing;
+  }
+
+  /**
+   * Finds an active effect that applies to a side.
+   * @param {Array<object>} effects - Active effects.
+   * @param {string} type - Power-up type id.
+   * @param {string|null} [side=null] - Side to check; effects for both sides always match.
+   * @returns {object|undefined} - Matching effect.
+   */
+  static findEffect(effects, type, side = null) {
+    return effects.find((effect) => effect.type === type && (effect.side === null || effect.side === side));
+  }
+}
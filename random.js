@@ -0,0 +1,69 @@
+// Seedable random source.
+// Uses the mulberry32 generator: a single 32-bit integer of state, so the
+// generator can be saved with a simulation snapshot and restored exactly.
+
+export class SeededRandom {
+  /**
+   * Creates a generator from a seed.
+   * @param {number} [seed] - 32-bit integer seed; a fresh one is picked when omitted.
+   */
+  constructor(seed = SeededRandom.createSeed()) {
+    this.seed = seed >>> 0;  // Seed the generator started from
+    this.state = this.seed;  // Current generator state
+  }
+
+  /**
+   * Picks a new seed from the unseeded platform random source.
+   * @returns {number} - 32-bit unsigned integer seed.
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Returns the next random number.
+   * @returns {number} - Number in [0, 1).
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Returns a random number between min and max.
+   * @param {number} min - Lower bound.
+   * @param {number} max - Upper bound.
+   * @returns {number} - Random number.
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Returns a random element of a list.
+   * @param {Array} list - Options to choose from.
+   * @returns {*} - Chosen element.
+   */
+  choose(list) {
+    return list[Math.floor(this.next() * list.length)];
+  }
+
+  /**
+   * Returns the generator state so it can be restored later.
+   * @returns {number} - Current state.
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restores a state returned by getState.
+   * @param {number} state - State to restore.
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
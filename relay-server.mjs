@@ -0,0 +1,534 @@
+// Local relay and lobby server for online matches.
+// Serves the game files over HTTP and relays WebSocket messages between the
+// two players of a room. Rooms are joined with a short code; the host runs
+// the match and the server only forwards messages, so it needs no game logic.
+// Uses only Node built-ins (the WebSocket protocol is implemented here).
+//
+// Usage: node relay-server.mjs [port]   (default 8080, or the PORT variable)
+// Then open http://localhost:8080 in two browser windows side by side. Use
+// windows rather than tabs: browsers stop animating hidden tabs, which would
+// freeze the host's match.
+//
+// Protocol (JSON text messages):
+//   client -> server: { type: "host" } | { type: "join", room }
+//                     | { type: "rejoin", room, token } | { type: "relay", data } | { type: "leave" }
+//   server -> client: { type: "hosted" | "joined" | "rejoined", room, token, role }
+//                     | { type: "peerJoined" | "peerLeft" | "peerReturned" }
+//                     | { type: "relay", data } | { type: "roomClosed" } | { type: "error", code, message }
+
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// Minimal WebSocket connection (RFC 6455) over an upgraded HTTP socket
+export class WebSocketConnection {
+  static GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"; // Fixed key suffix from the RFC
+  static MAX_MESSAGE = 64 * 1024;                       // Largest accepted message (bytes)
+
+  /**
+   * Completes the WebSocket handshake for an HTTP upgrade request.
+   * @param {http.IncomingMessage} request - Upgrade request.
+   * @param {import("node:net").Socket} socket - Underlying TCP socket.
+   * @returns {WebSocketConnection|null} - The connection, or null if the request was not a valid WebSocket upgrade.
+   */
+  static accept(request, socket) {
+    const key = request.headers["sec-websocket-key"];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return null;
+    }
+
+    const acceptKey = crypto.createHash("sha1").update(key + WebSocketConnection.GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${acceptKey}\r\n\r\n`
+    );
+    return new WebSocketConnection(socket);
+  }
+
+  /**
+   * Wraps an upgraded socket.
+   * @param {import("node:net").Socket} socket - Socket after the handshake.
+   */
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0); // Received bytes not yet parsed into frames
+    this.fragments = [];           // Payloads of a message split over several frames
+    this.alive = true;             // Cleared on ping, set on pong (dead connection check)
+    this.open = true;
+    this.onMessage = () => {};
+    this.onClose = () => {};
+
+    socket.setNoDelay(true); // Game messages are small and time-critical
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("end", () => socket.end()); // Client hung up without a close frame (upgraded sockets stay half-open)
+    socket.on("close", () => this.handleClose());
+    socket.on("error", () => socket.destroy());
+  }
+
+  /**
+   * Parses every complete frame in the received bytes.
+   * @param {Buffer} chunk - Newly received bytes.
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 2) {
+      const first = this.buffer[0];
+      const second = this.buffer[1];
+      const fin = (first & 0x80) !== 0;
+      const opcode = first & 0x0f;
+      const masked = (second & 0x80) !== 0;
+      let length = second & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      // Clients must mask their frames; oversized messages are refused
+      if (!masked || length > WebSocketConnection.MAX_MESSAGE) {
+        this.close(1002);
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) return; // Wait for the rest of the frame
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  /**
+   * Acts on one unmasked frame.
+   * @param {boolean} fin - Whether this is the last frame of its message.
+   * @param {number} opcode - Frame type.
+   * @param {Buffer} payload - Frame data.
+   */
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case 0x0: // Continuation
+      case 0x1: // Text
+        this.fragments.push(payload);
+        if (this.fragments.reduce((total, part) => total + part.length, 0) > WebSocketConnection.MAX_MESSAGE) {
+          this.close(1009);
+          return;
+        }
+        if (fin) {
+          const text = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.onMessage(text);
+        }
+        break;
+      case 0x8: // Close
+        this.close(1000);
+        break;
+      case 0x9: // Ping
+        this.writeFrame(0xa, payload);
+        break;
+      case 0xa: // Pong
+        this.alive = true;
+        break;
+      default: // Binary and unknown frames are not part of the protocol
+        this.close(1003);
+        break;
+    }
+  }
+
+  /**
+   * Writes one unmasked frame (servers never mask).
+   * @param {number} opcode - Frame type.
+   * @param {Buffer} payload - Frame data.
+   */
+  writeFrame(opcode, payload) {
+    if (!this.open) {
+      return;
+    }
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  /**
+   * Sends a JSON message.
+   * @param {object} message - Message to send.
+   */
+  send(message) {
+    this.writeFrame(0x1, Buffer.from(JSON.stringify(message), "utf8"));
+  }
+
+  /**
+   * Sends a ping. Returns false if the previous ping was never answered.
+   * @returns {boolean} - True while the connection looks alive.
+   */
+  ping() {
+    if (!this.alive) {
+      return false;
+    }
+    this.alive = false;
+    this.writeFrame(0x9, Buffer.alloc(0));
+    return true;
+  }
+
+  /**
+   * Closes the connection with a status code.
+   * @param {number} code - WebSocket close code.
+   */
+  close(code) {
+    if (!this.open) {
+      return;
+    }
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.writeFrame(0x8, payload);
+    this.open = false;
+    this.socket.end();
+  }
+
+  /**
+   * Handles the socket going away, whichever side closed it.
+   */
+  handleClose() {
+    this.open = false;
+    this.onClose();
+  }
+}
+
+// Rooms of two players and the messages between them
+export class RelayServer {
+  static CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // No I or O (look like 1 and 0)
+  static CODE_LENGTH = 4;
+  static RECONNECT_TIMEOUT = 30000;  // Milliseconds a room waits for a dropped player
+  static HEARTBEAT_INTERVAL = 15000; // Milliseconds between pings to detect dead connections
+
+  // Content types of the files the game is made of
+  static CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+  };
+
+  /**
+   * Creates the server.
+   * @param {string} root - Directory of the game files to serve.
+   */
+  constructor(root) {
+    this.root = root;
+    this.rooms = new Map();         // Rooms by code: { code, host, guest, closeTimer }
+    this.connections = new Set();   // Every open WebSocket connection
+    this.server = http.createServer((request, response) => this.serveFile(request, response));
+    this.server.on("upgrade", (request, socket) => this.handleUpgrade(request, socket));
+    this.heartbeat = setInterval(() => this.checkConnections(), RelayServer.HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Starts listening.
+   * @param {number} port - TCP port.
+   */
+  listen(port) {
+    this.server.listen(port, () => {
+      console.log(`Pong relay server running at http://localhost:${port}`);
+    });
+  }
+
+  /**
+   * Serves a game file. Only files inside the root directory are served.
+   * @param {http.IncomingMessage} request - HTTP request.
+   * @param {http.ServerResponse} response - HTTP response.
+   */
+  serveFile(request, response) {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(request.url, "http://localhost").pathname);
+    } catch (error) {
+      response.writeHead(400).end("Bad request"); // Malformed escape in the path
+      return;
+    }
+    const filePath = path.join(this.root, urlPath === "/" ? "index.html" : urlPath);
+    const type = RelayServer.CONTENT_TYPES[path.extname(filePath)];
+
+    if (!filePath.startsWith(this.root + path.sep) || !type) {
+      response.writeHead(404).end("Not found");
+      return;
+    }
+    fs.readFile(filePath, (error, data) => {
+      if (error) {
+        response.writeHead(404).end("Not found");
+        return;
+      }
+      response.writeHead(200, { "Content-Type": type, "Cache-Control": "no-cache" }).end(data);
+    });
+  }
+
+  /**
+   * Accepts a WebSocket connection.
+   * @param {http.IncomingMessage} request - Upgrade request.
+   * @param {import("node:net").Socket} socket - Underlying socket.
+   */
+  handleUpgrade(request, socket) {
+    const connection = WebSocketConnection.accept(request, socket);
+    if (!connection) {
+      return;
+    }
+    this.connections.add(connection);
+    connection.onMessage = (text) => this.handleMessage(connection, text);
+    connection.onClose = () => {
+      this.connections.delete(connection);
+      this.handleDisconnect(connection);
+    };
+  }
+
+  /**
+   * Pings every connection and drops the ones that stopped answering.
+   */
+  checkConnections() {
+    this.connections.forEach((connection) => {
+      if (!connection.ping()) {
+        connection.socket.destroy();
+      }
+    });
+  }
+
+  /**
+   * Returns a room code that is not in use.
+   * @returns {string} - Room code.
+   */
+  createCode() {
+    let code;
+    do {
+      code = Array.from(
+        { length: RelayServer.CODE_LENGTH },
+        () => RelayServer.CODE_LETTERS[crypto.randomInt(RelayServer.CODE_LETTERS.length)]
+      ).join("");
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  /**
+   * Handles one message from a client.
+   * @param {WebSocketConnection} connection - Sender.
+   * @param {string} text - Raw message.
+   */
+  handleMessage(connection, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      connection.send({ type: "error", code: "invalidMessage", message: "Invalid message" });
+      return;
+    }
+    if (!message || typeof message !== "object") {
+      return;
+    }
+
+    switch (message.type) {
+      case "host":
+        this.hostRoom(connection);
+        break;
+      case "join":
+        this.joinRoom(connection, String(message.room || "").toUpperCase());
+        break;
+      case "rejoin":
+        this.rejoinRoom(connection, String(message.room || "").toUpperCase(), message.token);
+        break;
+      case "relay":
+        this.relay(connection, message.data);
+        break;
+      case "leave":
+        this.leaveRoom(connection);
+        break;
+      default:
+        connection.send({ type: "error", code: "unknownType", message: "Unknown message type" });
+        break;
+    }
+  }
+
+  /**
+   * Opens a new room with the sender as host. A room the sender is already in
+   * is closed first, so it does not linger without them.
+   * @param {WebSocketConnection} connection - Host.
+   */
+  hostRoom(connection) {
+    this.leaveRoom(connection);
+    const code = this.createCode();
+    const host = { connection, token: crypto.randomUUID() };
+    this.rooms.set(code, { code, host, guest: null, closeTimer: null });
+    connection.room = code;
+    connection.role = "host";
+    connection.send({ type: "hosted", room: code, token: host.token, role: "host" });
+  }
+
+  /**
+   * Adds the sender to a waiting room as its guest. A player cannot join the
+   * room they are already in; any other room they are in is closed first,
+   * as when hosting.
+   * @param {WebSocketConnection} connection - Guest.
+   * @param {string} code - Room code.
+   */
+  joinRoom(connection, code) {
+    const room = this.rooms.get(code);
+    if (!room) {
+      connection.send({ type: "error", code: "roomNotFound", message: "Room not found" });
+      return;
+    }
+    if (connection.room === code) {
+      connection.send({ type: "error", code: "alreadyInRoom", message: "You are already in this room" });
+      return;
+    }
+    if (room.guest) {
+      connection.send({ type: "error", code: "roomFull", message: "Room is full" });
+      return;
+    }
+
+    this.leaveRoom(connection);
+    room.guest = { connection, token: crypto.randomUUID() };
+    connection.room = code;
+    connection.role = "guest";
+    connection.send({ type: "joined", room: code, token: room.guest.token, role: "guest" });
+    this.sendToPeer(room, "guest", { type: "peerJoined" });
+  }
+
+  /**
+   * Puts a dropped player back into their room.
+   * @param {WebSocketConnection} connection - Returning player.
+   * @param {string} code - Room code.
+   * @param {string} token - Token handed out when they first entered the room.
+   */
+  rejoinRoom(connection, code, token) {
+    const room = this.rooms.get(code);
+    const role = room && ["host", "guest"].find((r) => room[r] && room[r].token === token);
+    if (!role) {
+      connection.send({ type: "roomClosed" });
+      return;
+    }
+
+    const previous = room[role].connection;
+    if (previous !== connection && previous.open) {
+      previous.onClose = () => this.connections.delete(previous); // Replaced: its close is not a disconnect
+      previous.close(1000);
+    }
+    room[role].connection = connection;
+    connection.room = code;
+    connection.role = role;
+    if (room.closeTimer && this.isConnected(room, "host") && this.isConnected(room, "guest")) {
+      clearTimeout(room.closeTimer);
+      room.closeTimer = null;
+    }
+    connection.send({ type: "rejoined", room: code, token, role });
+    this.sendToPeer(room, role, { type: "peerReturned" });
+  }
+
+  /**
+   * Forwards game data to the other player in the sender's room.
+   * @param {WebSocketConnection} connection - Sender.
+   * @param {*} data - Game data.
+   */
+  relay(connection, data) {
+    const room = this.rooms.get(connection.room);
+    if (room) {
+      this.sendToPeer(room, connection.role, { type: "relay", data });
+    }
+  }
+
+  /**
+   * Closes the sender's room when they leave on purpose, so the other player
+   * does not wait for them to come back.
+   * @param {WebSocketConnection} connection - Leaving player.
+   */
+  leaveRoom(connection) {
+    const room = this.rooms.get(connection.room);
+    if (room && room[connection.role] && room[connection.role].connection === connection) {
+      this.closeRoom(room);
+    }
+  }
+
+  /**
+   * Returns whether a player of a room is connected.
+   * @param {object} room - Room.
+   * @param {string} role - host or guest.
+   * @returns {boolean} - True when connected.
+   */
+  isConnected(room, role) {
+    return Boolean(room[role] && room[role].connection.open);
+  }
+
+  /**
+   * Sends a message to the other player of a room, if connected.
+   * @param {object} room - Room.
+   * @param {string} role - Sender's role: host or guest.
+   * @param {object} message - Message to send.
+   */
+  sendToPeer(room, role, message) {
+    const peer = role === "host" ? "guest" : "host";
+    if (this.isConnected(room, peer)) {
+      room[peer].connection.send(message);
+    }
+  }
+
+  /**
+   * Handles a player's connection dropping: tells the other player and
+   * keeps the room open for RECONNECT_TIMEOUT so they can come back.
+   * @param {WebSocketConnection} connection - Connection that closed.
+   */
+  handleDisconnect(connection) {
+    const room = this.rooms.get(connection.room);
+    if (!room || !room[connection.role] || room[connection.role].connection !== connection) {
+      return;
+    }
+
+    this.sendToPeer(room, connection.role, { type: "peerLeft" });
+    if (!room.closeTimer) {
+      room.closeTimer = setTimeout(() => this.closeRoom(room), RelayServer.RECONNECT_TIMEOUT);
+    }
+  }
+
+  /**
+   * Closes a room whose player left or did not come back in time.
+   * @param {object} room - Room to close.
+   */
+  closeRoom(room) {
+    clearTimeout(room.closeTimer);
+    ["host", "guest"].forEach((role) => {
+      if (this.isConnected(room, role)) {
+        room[role].connection.send({ type: "roomClosed" });
+      }
+    });
+    this.rooms.delete(room.code);
+  }
+}
+
+// Start when run directly (tests import the classes instead)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const root = path.dirname(fileURLToPath(import.meta.url));
+  const port = Number(process.argv[2] || process.env.PORT || 8080);
+  new RelayServer(root).listen(port);
+}
@@ -0,0 +1,211 @@
+// Match recording and replay playback.
+// A replay is the simulation config (including its seed) plus the dt and
+// paddle inputs of every frame. Feeding those back into a fresh simulation
+// reproduces the match exactly, so no positions need to be stored.
+
+import { PongSimulation } from "./simulation.js";
+import { FieldMapping } from "./net.js";
+
+// Records the seed and per-frame inputs of a match
+export class ReplayRecorder {
+  static VERSION = 1; // Bumped when the replay format changes
+
+  /**
+   * Starts recording a match.
+   * @param {object} config - The simulation's config (must include its seed).
+   */
+  constructor(config) {
+    this.replay = {
+      version: ReplayRecorder.VERSION,
+      config: { ...config },
+      frames: [], // One { dt, inputs } entry per simulated frame
+    };
+  }
+
+  /**
+   * Records one frame. Call with the same values passed to PongSimulation.step.
+   * @param {number} dt - Frame duration in seconds.
+   * @param {object} inputs - Frame inputs.
+   */
+  record(dt, inputs) {
+    this.replay.frames.push({ dt, inputs: structuredClone(inputs) });
+  }
+
+  /**
+   * Returns the recorded replay.
+   * @returns {object} - Replay data ({ version, config, frames }).
+   */
+  getReplay() {
+    return this.replay;
+  }
+}
+
+// Plays a recorded match back with pause, scrub and speed control
+export class ReplayPlayer {
+  static SPEEDS = [0.5, 1, 2];      // Supported playback speeds
+  static KEYFRAME_INTERVAL = 120;   // Frames between stored snapshots (used for scrubbing)
+
+  /**
+   * Prepares a replay for playback. The whole match is simulated once up
+   * front to record frame times and snapshots, so seeking is cheap.
+   * @param {object} replay - Replay data from ReplayRecorder.getReplay.
+   */
+  constructor(replay) {
+    if (!replay || replay.version !== ReplayRecorder.VERSION) {
+      throw new Error("Unsupported replay format");
+    }
+
+    this.replay = replay;
+    this.simulation = new PongSimulation(replay.config);
+    this.frameTimes = [];   // Match time at the end of each frame
+    this.keyframes = [];    // Snapshots: { frame, state, config } (before that frame; the config changes on resize)
+    this.buildIndex();
+
+    this.frame = 0;         // Index of the next frame to play
+    this.clock = 0;         // Playback position (match seconds)
+    this.paused = false;
+    this.speed = 1;
+    this.restore(0);
+  }
+
+  /**
+   * Simulates the replay once, storing frame times and keyframes.
+   */
+  buildIndex() {
+    let time = 0;
+    this.replay.frames.forEach((frame, index) => {
+      if (index % ReplayPlayer.KEYFRAME_INTERVAL === 0) {
+        this.keyframes.push({ frame: index, state: this.simulation.state, config: this.simulation.config });
+      }
+      this.simulation.step(frame.dt, frame.inputs);
+      time += frame.dt;
+      this.frameTimes.push(time);
+    });
+    if (this.keyframes.length === 0) {
+      this.keyframes.push({ frame: 0, state: this.simulation.state, config: this.simulation.config });
+    }
+  }
+
+  /**
+   * Jumps to the start of a frame by resuming from the nearest earlier keyframe.
+   * @param {number} frame - Frame index to jump to.
+   */
+  restore(frame) {
+    const keyframeIndex = Math.min(
+      Math.floor(frame / ReplayPlayer.KEYFRAME_INTERVAL),
+      this.keyframes.length - 1
+    );
+    const keyframe = this.keyframes[keyframeIndex];
+    this.simulation.state = keyframe.state;
+    this.simulation.config = keyframe.config;
+    this.frame = keyframe.frame;
+    while (this.frame < frame) {
+      this.stepFrame();
+    }
+  }
+
+  /**
+   * Plays the next recorded frame.
+   * @returns {Array<object>} - Simulation events from that frame.
+   */
+  stepFrame() {
+    const { dt, inputs } = this.replay.frames[this.frame];
+    const { events } = this.simulation.step(dt, inputs);
+    this.frame++;
+    return events;
+  }
+
+  /**
+   * Advances playback by real time, scaled by the playback speed.
+   * @param {number} realDt - Real seconds since the last update.
+   * @returns {Array<object>} - Simulation events from the frames played.
+   */
+  update(realDt) {
+    const events = [];
+    if (this.paused || this.finished) {
+      return events;
+    }
+
+    this.clock = Math.min(this.duration, this.clock + realDt * this.speed);
+    while (this.frame < this.frameCount && this.frameTimes[this.frame] <= this.clock) {
+      events.push(...this.stepFrame());
+    }
+    if (this.finished) {
+      this.paused = true; // Hold the last frame
+    }
+    return events;
+  }
+
+  /**
+   * Moves playback to a match time.
+   * @param {number} time - Target time in seconds (clamped to the replay).
+   */
+  seek(time) {
+    this.clock = Math.max(0, Math.min(this.duration, time));
+    // Number of frames that end at or before the target time
+    let frame = 0;
+    while (frame < this.frameCount && this.frameTimes[frame] <= this.clock) {
+      frame++;
+    }
+    this.restore(frame);
+  }
+
+  /**
+   * Pauses or resumes playback. Resuming a finished replay restarts it.
+   */
+  togglePause() {
+    if (this.paused && this.finished) {
+      this.seek(0);
+    }
+    this.paused = !this.paused;
+  }
+
+  /**
+   * Sets the playback speed.
+   * @param {number} speed - One of ReplayPlayer.SPEEDS.
+   */
+  setSpeed(speed) {
+    if (ReplayPlayer.SPEEDS.includes(speed)) {
+      this.speed = speed;
+    }
+  }
+
+  /**
+   * Returns the simulation state at the current playback position.
+   */
+  get state() {
+    return this.simulation.state;
+  }
+
+  /**
+   * Returns the state at the current playback position laid out for another
+   * play area size. Recorded resizes change the replay's own size as it
+   * plays, so the state is mapped from the size the match had at this point.
+   * @param {object} field - Play area size to show the replay in (see FieldMapping.fromConfig).
+   * @returns {object} - State for that size.
+   */
+  getView(field) {
+    return FieldMapping.mapState(this.state, FieldMapping.fromConfig(this.simulation.config), field);
+  }
+
+  /**
+   * Returns the number of recorded frames.
+   */
+  get frameCount() {
+    return this.replay.frames.length;
+  }
+
+  /**
+   * Returns the replay length in match seconds.
+   */
+  get duration() {
+    return this.frameCount > 0 ? this.frameTimes[this.frameCount - 1] : 0;
+  }
+
+  /**
+   * Returns true once every frame has been played.
+   */
+  get finished() {
+    return this.frame >= this.frameCount;
+  }
+}
@@ -0,0 +1,195 @@
+// Scoring rules.
+// A rule set decides what a paddle hit is worth: a base value plus bonuses
+// for edge hits and fast balls, multiplied by the combo (hits in a row
+// without losing a ball) and by the number of balls kept in play. Each game
+// mode names its rule set, so modes can score differently. Like game modes,
+// rule sets are plain data in a registry.
+
+/**
+ * @typedef {object} ScoringRulesDefinition
+ * @property {string} id - Unique key, e.g. "skill".
+ * @property {number} hit - Points for every paddle hit.
+ * @property {object} edge - Bonus for risky hits near the paddle's ends.
+ * @property {number} edge.threshold - Distance from the paddle centre that counts as an edge hit (0 centre, 1 end).
+ * @property {number} edge.points - Points added for an edge hit.
+ * @property {object} speed - Bonus for fast balls.
+ * @property {number} speed.points - Points added at the mode's top speed, scaled from none at its start speed.
+ * @property {object} combo - Multiplier for hits in a row.
+ * @property {number} combo.every - Hits in a row per combo step.
+ * @property {number} combo.step - Multiplier added per combo step.
+ * @property {number} combo.max - Most the combo adds to the multiplier.
+ * @property {object} multiball - Multiplier for balls in play.
+ * @property {number} multiball.step - Multiplier added per ball in play beyond the first.
+ * @property {number} multiball.max - Most the balls add to the multiplier.
+ */
+
+export class ScoringRules {
+  static rules = new Map(); // Registered rule sets by id
+
+  // Values used for any field a definition leaves out: one point per hit, no bonuses
+  static DEFAULTS = {
+    hit: 1,
+    edge: { threshold: 0.6, points: 0 },
+    speed: { points: 0 },
+    combo: { every: 5, step: 0, max: 0 },
+    multiball: { step: 0, max: 0 },
+  };
+
+  // Parts of a hit's points, in the order the breakdown lists them
+  static PARTS = ["hit", "edge", "speed", "combo", "multiball"];
+
+  /**
+   * Fills in defaults and checks a rule set.
+   * @param {object} definition - Rule set (see ScoringRulesDefinition).
+   * @returns {ScoringRulesDefinition} - Complete rule set.
+   * @throws {Error} - When a field is missing or out of range.
+   */
+  static normalize(definition) {
+    const defaults = ScoringRules.DEFAULTS;
+    const rules = {
+      ...defaults,
+      ...definition,
+      edge: { ...defaults.edge, ...(definition.edge || {}) },
+      speed: { ...defaults.speed, ...(definition.speed || {}) },
+      combo: { ...defaults.combo, ...(definition.combo || {}) },
+      multiball: { ...defaults.multiball, ...(definition.multiball || {}) },
+    };
+
+    const isCount = (value) => Number.isFinite(value) && value >= 0;
+    const problems = [];
+    if (typeof rules.id !== "string" || rules.id === "") problems.push("id");
+    if (!isCount(rules.hit)) problems.push("hit");
+    if (!isCount(rules.edge.threshold) || rules.edge.threshold > 1) problems.push("edge.threshold");
+    if (!isCount(rules.edge.points)) problems.push("edge.points");
+    if (!isCount(rules.speed.points)) problems.push("speed.points");
+    if (!Number.isInteger(rules.combo.every) || rules.combo.every < 1) problems.push("combo.every");
+    if (!isCount(rules.combo.step)) problems.push("combo.step");
+    if (!isCount(rules.combo.max)) problems.push("combo.max");
+    if (!isCount(rules.multiball.step)) problems.push("multiball.step");
+    if (!isCount(rules.multiball.max)) problems.push("multiball.max");
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid scoring rules "${rules.id}": ${problems.join(", ")}`);
+    }
+    return rules;
+  }
+
+  /**
+   * Adds a rule set (or replaces one with the same id).
+   * @param {object} definition - Rule set (see ScoringRulesDefinition).
+   * @returns {ScoringRulesDefinition} - The registered rule set.
+   */
+  static register(definition) {
+    const rules = ScoringRules.normalize(definition);
+    ScoringRules.rules.set(rules.id, rules);
+    return rules;
+  }
+
+  /**
+   * Returns a registered rule set.
+   * @param {string} id - Rule set id.
+   * @returns {ScoringRulesDefinition} - The rule set.
+   * @throws {Error} - When no rule set has that id.
+   */
+  static get(id) {
+    const rules = ScoringRules.rules.get(id);
+    if (!rules) {
+      throw new Error(`Unknown scoring rules "${id}"`);
+    }
+    return rules;
+  }
+
+  /**
+   * Returns the rule set for a registered id or a full definition.
+   * @param {string|object} rules - Rule set id, or a definition (see ScoringRulesDefinition).
+   * @returns {ScoringRulesDefinition} - Complete rule set.
+   */
+  static resolve(rules) {
+    return typeof rules === "string" ? ScoringRules.get(rules) : ScoringRules.normalize(rules);
+  }
+
+  /**
+   * Returns the running score state of a new match.
+   * @returns {object} - Tally: { combo, bestCombo, multiplier, breakdown } (breakdown: points per part).
+   */
+  static createTally() {
+    const breakdown = {};
+    ScoringRules.PARTS.forEach((part) => {
+      breakdown[part] = 0;
+    });
+    return {
+      combo: 0,          // Paddle hits in a row without losing a ball
+      bestCombo: 0,      // Longest combo of the match
+      multiplier: 1,     // Multiplier at the current combo and ball count
+      breakdown,         // Points earned from each part (see PARTS)
+    };
+  }
+
+  /**
+   * Returns the multiplier for a combo and a number of balls in play.
+   * @param {ScoringRulesDefinition} rules - Rule set.
+   * @param {number} combo - Hits in a row.
+   * @param {number} balls - Balls in play.
+   * @returns {{combo: number, multiball: number, total: number}} - What the combo and the balls add, and the
+   *   whole multiplier (1 plus both).
+   */
+  static getMultiplier(rules, combo, balls) {
+    const comboBonus = Math.min(rules.combo.max, Math.floor(combo / rules.combo.every) * rules.combo.step);
+    const multiballBonus = Math.min(rules.multiball.max, Math.max(0, balls - 1) * rules.multiball.step);
+    return { combo: comboBonus, multiball: multiballBonus, total: 1 + comboBonus + multiballBonus };
+  }
+
+  /**
+   * Scores a paddle hit. The base and bonuses are added up first, then the
+   * combo and ball multipliers apply to that sum; each part of the total is
+   * reported separately for the breakdown.
+   * @param {ScoringRulesDefinition} rules - Rule set.
+   * @param {object} hit - The hit.
+   * @param {number} hit.offset - Where the ball met the paddle: 0 at the centre, 1 at either end.
+   * @param {number} hit.speed - Ball speed before the hit (pixels per second).
+   * @param {number} hit.combo - Hits in a row, counting this one.
+   * @param {number} hit.balls - Balls in play.
+   * @param {{startSpeed: number, maxSpeed: number}} mode - Game mode (speed range).
+   * @returns {{points: number, multiplier: number, parts: object}} - Total points, the multiplier applied and
+   *   points per part (see PARTS).
+   */
+  static scoreHit(rules, hit, mode) {
+    const range = mode.maxSpeed - mode.startSpeed;
+    const speedProgress = range > 0 ? Math.max(0, Math.min(1, (hit.speed - mode.startSpeed) / range)) : 0;
+    const multiplier = ScoringRules.getMultiplier(rules, hit.combo, hit.balls);
+
+    const parts = {
+      hit: rules.hit,
+      edge: Math.min(1, Math.abs(hit.offset)) >= rules.edge.threshold ? rules.edge.points : 0,
+      speed: Math.round(rules.speed.points * speedProgress),
+    };
+    const base = parts.hit + parts.edge + parts.speed;
+    parts.combo = Math.round(base * multiplier.combo);
+    parts.multiball = Math.round(base * multiplier.total) - base - parts.combo; // Rounding lands here, so the parts add up
+
+    return { points: base + parts.combo + parts.multiball, multiplier: multiplier.total, parts };
+  }
+}
+
+// Built-in rule sets
+// One point per hit, as in classic Pong
+ScoringRules.register({ id: "hits" });
+
+// Rewards edge hits, fast balls and long combos
+ScoringRules.register({
+  id: "skill",
+  hit: 1,
+  edge: { threshold: 0.6, points: 2 },
+  speed: { points: 3 },
+  combo: { every: 5, step: 0.5, max: 2 },
+});
+
+// Skill scoring, plus a multiplier for every extra ball kept in play
+ScoringRules.register({
+  id: "multiball",
+  hit: 1,
+  edge: { threshold: 0.6, points: 2 },
+  speed: { points: 3 },
+  combo: { every: 5, step: 0.5, max: 2 },
+  multiball: { step: 0.25, max: 1.5 },
+});
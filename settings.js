@@ -0,0 +1,198 @@
+// Player settings.
+// Gameplay tuning, controls, colour theme, motion and language, saved in localStorage under a
+// versioned key. Every value is checked against its field's range on load
+// and on change, so a hand-edited save can never produce an unplayable match.
+
+import { SavedData } from "./storage.js";
+
+export class SettingsStore {
+  static STORAGE_KEY = "pong.settings"; // localStorage key
+  static VERSION = 1;                   // Bumped when the saved format changes
+
+  // Setting fields, in the order the settings screen lists them.
+  // number - stepped between min and max; null (shown as nullLabel) keeps the
+  //   value of the game mode or screen size, and stepping from it starts at `start`
+  // choice - cycles through options, shown uppercased or by their short label
+  static FIELDS = {
+    startSpeed: { label: "START SPEED", type: "number", min: 300, max: 1500, step: 50, start: 600, nullLabel: "MODE", default: null },
+    speedIncrement: { label: "SPEED GAIN", type: "number", min: 0, max: 200, step: 10, start: 80, nullLabel: "MODE", default: null },
+    maxSpeed: { label: "MAX SPEED", type: "number", min: 800, max: 3000, step: 100, start: 2400, nullLabel: "MODE", default: null },
+    spawnInterval: { label: "SPAWN EVERY (S)", type: "number", min: 3, max: 30, step: 1, start: 10, nullLabel: "MODE", default: null },
+    ballCap: { label: "BALL CAP", type: "number", min: 1, max: 20, step: 1, start: 10, nullLabel: "MODE", default: null },
+    paddleHeight: { label: "PADDLE SIZE", type: "number", min: 60, max: 300, step: 20, start: 140, nullLabel: "AUTO", default: null },
+    inputScheme: { label: "CONTROLS", type: "choice", options: ["mixed", "mouse", "keyboard"], default: "mixed" },
+    theme: {
+      label: "THEME",
+      type: "choice",
+      options: ["auto", "light", "dark", "high-contrast", "deuteranopia"],
+      labels: { "high-contrast": "CONTRAST", deuteranopia: "DEUTAN" }, // Fit between the arrows on small screens
+      default: "auto",
+    },
+    reducedMotion: { label: "REDUCED MOTION", type: "choice", options: ["auto", "on", "off"], default: "auto" },
+    language: {
+      label: "LANGUAGE",
+      type: "choice",
+      options: ["auto", "en", "es", "de"],
+      labels: { en: "ENGLISH", es: "ESPAÑOL", de: "DEUTSCH" }, // Each language by its own name
+      default: "auto",
+    },
+  };
+
+  /**
+   * Creates a store and loads the saved settings.
+   * @param {Storage|null} [storage] - Storage backend; defaults to localStorage when available.
+   */
+  constructor(storage = SavedData.getDefaultStorage()) {
+    this.storage = storage;
+    this.values = this.load();
+  }
+
+  /**
+   * Returns the default value of every field.
+   * @returns {object} - Settings by field name.
+   */
+  static getDefaults() {
+    const values = {};
+    Object.entries(SettingsStore.FIELDS).forEach(([key, field]) => {
+      values[key] = field.default;
+    });
+    return values;
+  }
+
+  /**
+   * Checks a value against its field's type and range.
+   * @param {string} key - Field name.
+   * @param {*} value - Candidate value.
+   * @returns {boolean} - True when the value can be used.
+   */
+  static isValid(key, value) {
+    const field = SettingsStore.FIELDS[key];
+    if (!field) {
+      return false;
+    }
+    if (field.type === "choice") {
+      return field.options.includes(value);
+    }
+    if (value === null) {
+      return field.default === null;
+    }
+    return Number.isFinite(value) && value >= field.min && value <= field.max && (value - field.min) % field.step === 0;
+  }
+
+  /**
+   * Loads the saved settings. Fields that are missing or fail validation get
+   * their default; a corrupted or unknown save falls back to all defaults.
+   * @returns {object} - Settings by field name.
+   */
+  load() {
+    const saved = SavedData.read(this.storage, SettingsStore.STORAGE_KEY);
+
+    const values = SettingsStore.getDefaults();
+    if (!saved || saved.version !== SettingsStore.VERSION || !saved.values) {
+      return values;
+    }
+    Object.keys(values).forEach((key) => {
+      if (SettingsStore.isValid(key, saved.values[key])) {
+        values[key] = saved.values[key];
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Writes the settings to storage. Storage errors are ignored; the settings
+   * still apply for the rest of the session.
+   */
+  save() {
+    SavedData.write(this.storage, SettingsStore.STORAGE_KEY, { version: SettingsStore.VERSION, values: this.values });
+  }
+
+  /**
+   * Returns a setting.
+   * @param {string} key - Field name.
+   * @returns {*} - Current value.
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Changes a setting and saves it.
+   * @param {string} key - Field name.
+   * @param {*} value - New value.
+   * @returns {boolean} - False (and no change) when the value is out of range.
+   */
+  set(key, value) {
+    if (!SettingsStore.isValid(key, value)) {
+      return false;
+    }
+    this.values[key] = value;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Moves a setting one step: numbers by their step within their range,
+   * choices to the next or previous option.
+   * @param {string} key - Field name.
+   * @param {number} direction - 1 for up/next, -1 for down/previous.
+   */
+  step(key, direction) {
+    const field = SettingsStore.FIELDS[key];
+    const value = this.values[key];
+    if (field.type === "choice") {
+      const count = field.options.length;
+      this.set(key, field.options[(field.options.indexOf(value) + direction + count) % count]);
+    } else if (value === null) {
+      this.set(key, field.start);
+    } else {
+      this.set(key, Math.max(field.min, Math.min(field.max, value + direction * field.step)));
+    }
+  }
+
+  /**
+   * Puts every setting back to its default and saves.
+   */
+  reset() {
+    this.values = SettingsStore.getDefaults();
+    this.save();
+  }
+
+  /**
+   * Returns a setting as shown on the settings screen.
+   * @param {string} key - Field name.
+   * @returns {string} - Display text.
+   */
+  formatValue(key) {
+    const field = SettingsStore.FIELDS[key];
+    const value = this.values[key];
+    if (value === null) {
+      return field.nullLabel;
+    }
+    if (field.labels && field.labels[value]) {
+      return field.labels[value];
+    }
+    return String(value).toUpperCase();
+  }
+
+  /**
+   * Returns a copy of a game mode definition with the gameplay settings
+   * applied. Settings left at MODE keep the mode's own values. The spawn
+   * interval only applies to modes that spawn balls, and the top speed is
+   * never below the starting speed.
+   * @param {object} mode - Game mode definition.
+   * @returns {object} - Tuned definition.
+   */
+  applyToMode(mode) {
+    const pick = (key, modeValue) => (this.values[key] === null ? modeValue : this.values[key]);
+    const startSpeed = pick("startSpeed", mode.startSpeed);
+    return {
+      ...mode,
+      startSpeed,
+      speedIncrement: pick("speedIncrement", mode.speedIncrement),
+      maxSpeed: Math.max(startSpeed, pick("maxSpeed", mode.maxSpeed)),
+      spawn: mode.spawn && { ...mode.spawn, interval: pick("spawnInterval", mode.spawn.interval) },
+      ballCap: pick("ballCap", mode.ballCap),
+    };
+  }
+}
@@ -0,0 +1,910 @@
+// Engine-independent simulation core for Pong.
+// Every gameplay rule (paddle movement, ball movement, bounces, scoring and
+// game over) lives here as plain data, with no Kaboom globals, so matches can
+// run and be unit tested under Node. The Kaboom layer in game.js feeds inputs
+// in and only renders the state that comes out.
+
+import { SeededRandom } from "./random.js";
+import { PowerUps } from "./powerups.js";
+import { Collision } from "./collision.js";
+import { GameModeRegistry } from "./modes.js";
+import { Levels } from "./levels.js";
+import { ScoringRules } from "./scoring.js";
+
+export class PongSimulation {
+  static MAX_CONTACTS = 8;      // Most contacts resolved for one ball in one frame
+  static PADDLE_MARGIN = 20;    // Gap between the header and the paddles at kick-off
+  static PADDLE_SPEED = 900;    // Keyboard paddle speed (pixels per second)
+  static COUNTDOWN = 3;         // Seconds counted down at kick-off before the first serve
+  static SERVE_DELAY = 1;       // Seconds before a new serve after a point in versus
+  static RESPAWN_DELAY = 3;     // Seconds before a lost ball respawns in solo
+
+  /**
+   * Creates a simulation for a single match.
+   * @param {object} options - Match configuration.
+   * @param {number} options.width - Width of the play area.
+   * @param {number} options.height - Height of the play area (bottom wall).
+   * @param {number} options.headerHeight - Height of the header UI (top wall).
+   * @param {{width: number, height: number, offset: number}} options.paddle - Paddle dimensions.
+   * @param {number} options.ballRadius - Radius of every ball.
+   * @param {string|object} [options.mode="speed"] - Registered game mode id, or a full mode definition
+   *   (see GameModeRegistry). The config keeps the whole definition, so replays do not depend on the registry.
+   * @param {object} [options.level] - Level definition with the obstacles (see Levels); defaults to the open field.
+   *   Like the mode, the config keeps the whole definition.
+   * @param {string|object} [options.scoring] - Scoring rule set id or definition (see ScoringRules); defaults to
+   *   the mode's. The config keeps the whole rule set.
+   * @param {string} [options.players="solo"] - solo (one player, both paddles) or versus (one player per paddle).
+   * @param {number} [options.lives] - Balls a solo player may lose before the match ends; defaults to the mode's rule.
+   * @param {boolean} [options.powerUps=true] - Whether power-up pickups appear.
+   * @param {number} [options.seed] - Random seed; the same seed and inputs replay the same match.
+   */
+  constructor(options) {
+    const mode = options.mode === undefined || typeof options.mode === "string"
+      ? GameModeRegistry.get(options.mode || "speed")
+      : GameModeRegistry.normalize(options.mode);
+    this.config = {
+      players: "solo",
+      lives: mode.rules.lives,
+      powerUps: true,
+      seed: SeededRandom.createSeed(),
+      ...options,
+      mode,
+      level: Levels.normalize(options.level || Levels.OPEN),
+      scoring: ScoringRules.resolve(options.scoring || mode.scoring),
+    };
+    this.random = new SeededRandom(this.config.seed);
+    this.state = this.createInitialState();
+  }
+
+  /**
+   * Restricts a paddle's centre within the vertical play area.
+   * @param {number} y - Requested paddle centre.
+   * @param {number} headerHeight - Height of header UI.
+   * @param {number} screenHeight - Height of the screen.
+   * @param {number} paddleHeight - Height of the paddle.
+   * @returns {number} - Constrained Y position.
+   */
+  static constrainPaddlePosition(y, headerHeight, screenHeight, paddleHeight) {
+    const minY = headerHeight + paddleHeight / 2;
+    const maxY = screenHeight - paddleHeight / 2;
+    return Math.max(minY, Math.min(maxY, y));
+  }
+
+  /**
+   * Normalizes a direction vector.
+   * @param {number} x - X component.
+   * @param {number} y - Y component.
+   * @returns {{x: number, y: number}} - Unit vector (zero vector stays zero).
+   */
+  static unit(x, y) {
+    const length = Math.hypot(x, y);
+    return length === 0 ? { x: 0, y: 0 } : { x: x / length, y: y / length };
+  }
+
+  /**
+   * Returns a random number between min and max.
+   * @param {number} min - Lower bound.
+   * @param {number} max - Upper bound.
+   * @returns {number} - Random number.
+   */
+  randomRange(min, max) {
+    return this.random.range(min, max);
+  }
+
+  /**
+   * Returns a random element of a list.
+   * @param {Array} list - Options to choose from.
+   * @returns {*} - Chosen element.
+   */
+  randomChoice(list) {
+    return this.random.choose(list);
+  }
+
+  /**
+   * Returns a random spawn position and direction for a new ball.
+   * Spawns on left or right side of the screen, heading inwards.
+   * @returns {{x: number, y: number, vx: number, vy: number}} - Position and direction.
+   */
+  getRandomSpawnPosition() {
+    const { width, height, headerHeight } = this.config;
+    const spawnSide = this.randomChoice([0, 1]); // 0: left, 1: right
+    const spawnX = spawnSide === 0 ? 100 : width - 100;
+    const spawnY = headerHeight + 100 + this.randomRange(0, height - headerHeight - 200);
+    const direction = spawnSide === 0 ? 1 : -1;
+    const velocity = PongSimulation.unit(direction, this.randomRange(-0.5, 0.5));
+    return { x: spawnX, y: spawnY, vx: velocity.x, vy: velocity.y };
+  }
+
+  /**
+   * Builds the state at kick-off: both paddles, and the countdown to the
+   * first serve.
+   * @returns {object} - Initial simulation state.
+   */
+  createInitialState() {
+    const { width, headerHeight, paddle } = this.config;
+    const paddleY = headerHeight + paddle.height / 2 + PongSimulation.PADDLE_MARGIN;
+    const state = {
+      status: "countdown",    // countdown (before the first serve), playing or gameOver
+      countdown: PongSimulation.COUNTDOWN, // Seconds until the first serve
+      time: 0,                // Elapsed match time (seconds); stands still during the countdown
+      score: 0,               // Points from paddle hits so far (see ScoringRules)
+      scoring: ScoringRules.createTally(), // Combo, multiplier and where the points came from
+      scores: [0, 0],         // Points per side (left, right) in versus
+      lives: this.config.lives, // Lives left in solo
+      winner: null,           // Winning side once a versus match ends
+      pendingServes: [],      // Serves waiting to happen: { at, direction } (null direction: random)
+      powerUps: [],           // Pickups in the play area: { id, type, x, y, radius, expiresAt }
+      effects: [],            // Active power-up effects: { type, side, remaining, stacks }
+      nextPowerUpId: 1,       // Id handed to the next pickup
+      nextPowerUpTime: PowerUps.SPAWN_INTERVAL, // Match time the next pickup appears
+      lastBallSpawnTime: 0,   // Match time of the last scheduled spawn
+      nextBallId: 1,          // Id handed to the next ball
+      rngState: 0,            // Random generator state after the last frame
+      obstacles: this.config.level.obstacles.map((obstacle, index) => ({
+        id: index,            // Index of the obstacle in the level definition
+        type: obstacle.type,
+        hits: obstacle.type === "breakable" ? obstacle.hits : null, // Hits a breakable block takes
+        hitsLeft: obstacle.type === "breakable" ? obstacle.hits : null, // Hits until it goes
+      })),                    // Obstacles still in play, laid out in pixels by placeObstacles
+      paddles: ["left", "right"].map((side) => ({
+        side,
+        x: side === "left" ? paddle.offset : width - paddle.offset,
+        y: paddleY,
+        width: paddle.width,
+        height: paddle.height,
+      })),
+      balls: [],
+    };
+    this.placeObstacles(state);
+    state.rngState = this.random.getState();
+    return state;
+  }
+
+  /**
+   * Adds a ball to the state.
+   * @param {object} state - Simulation state to modify.
+   * @param {number} x - X position.
+   * @param {number} y - Y position.
+   * @param {number} vx - X component of the unit direction.
+   * @param {number} vy - Y component of the unit direction.
+   * @returns {object} - The created ball.
+   */
+  addBall(state, x, y, vx, vy) {
+    const ball = {
+      id: state.nextBallId++,
+      x,
+      y,
+      vx,
+      vy,
+      speed: this.config.mode.startSpeed,
+      radius: this.getBallRadius(state),
+      lastHitSide: null,  // Side of the paddle that last hit the ball (owns its pickups)
+      bonus: false,       // Extra ball from a power-up: never respawned or re-served
+    };
+    state.balls.push(ball);
+    return ball;
+  }
+
+  /**
+   * Adds the first ball at the centre of the play area, heading left or right at random.
+   * @param {object} state - Simulation state to modify.
+   * @returns {object} - The created ball.
+   */
+  addInitialBall(state) {
+    return this.addServeBall(state, null);
+  }
+
+  /**
+   * Serves a ball from the centre of the play area.
+   * @param {object} state - Simulation state to modify.
+   * @param {number|null} direction - -1 to serve left, 1 to serve right, null for either.
+   * @returns {object} - The created ball.
+   */
+  addServeBall(state, direction) {
+    const { width, height, headerHeight } = this.config;
+    if (direction === null) {
+      direction = this.randomChoice([-1, 1]);
+    }
+    // Angle between -30 and 30 degrees
+    const startAngle = this.randomRange(-30, 30) * (Math.PI / 180);
+    return this.addBall(
+      state,
+      width / 2,
+      headerHeight + (height - headerHeight) / 2,
+      Math.cos(startAngle) * direction,
+      Math.sin(startAngle)
+    );
+  }
+
+  /**
+   * Advances the match by one frame.
+   * @param {number} dt - Frame duration in seconds.
+   * @param {object} [inputs] - Frame inputs.
+   * @param {Array<{y?: number, move?: number}>} [inputs.paddles] - Per paddle (left, right):
+   *   a target centre `y`, or a `move` direction from -1 (up) to 1 (down).
+   * @param {object} [inputs.resize] - New play area size, applied before anything moves (see resize).
+   * @returns {{state: object, events: Array<object>}} - New state and what happened this frame.
+   */
+  step(dt, inputs = {}) {
+    const state = structuredClone(this.state);
+    const events = [];
+    // The generator state travels with the match state, so any snapshot can be resumed exactly
+    this.random.setState(state.rngState);
+
+    if (inputs.resize) {
+      // Part of the inputs rather than a separate call, so replays resize at the same frame
+      this.resize(state, inputs.resize);
+    }
+
+    if (state.status === "countdown") {
+      // Paddles can line up before the serve; nothing else moves and the clock stands still
+      this.updatePaddles(state, inputs.paddles || [], dt);
+      this.updateCountdown(state, dt, events);
+    } else if (state.status === "playing") {
+      this.updateEffects(state, dt, events);
+      this.updatePaddles(state, inputs.paddles || [], dt);
+      state.time += dt;
+      this.updateServes(state, events);
+      this.updateSpawning(state, events);
+      this.updatePowerUpSpawning(state, events);
+      this.placeObstacles(state);
+      this.separateBalls(state);
+      this.updateBalls(state, dt, events);
+      this.updateMultiplier(state);
+      this.updateTimeLimit(state, events);
+    }
+
+    state.rngState = this.random.getState();
+    this.state = state;
+    return { state, events };
+  }
+
+  /**
+   * Fits the match to a new play area size. Positions keep their place
+   * relative to the play area (below the header), paddles move to their new
+   * edge offset and take the new sizes, and obstacles follow the level's
+   * layout. Ball speeds stay in pixels per second.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} field - New size.
+   * @param {number} field.width - Width of the play area.
+   * @param {number} field.height - Height of the play area (bottom wall).
+   * @param {number} field.headerHeight - Height of the header UI (top wall).
+   * @param {{width: number, height: number, offset: number}} field.paddle - Paddle dimensions.
+   * @param {number} field.ballRadius - Radius of every ball.
+   */
+  resize(state, field) {
+    const previous = this.config;
+    // The config is replaced, never changed in place, so earlier snapshots of it stay valid
+    this.config = {
+      ...previous,
+      width: field.width,
+      height: field.height,
+      headerHeight: field.headerHeight,
+      paddle: { ...field.paddle },
+      ballRadius: field.ballRadius,
+    };
+
+    const scaleX = field.width / previous.width;
+    const scaleY = (field.height - field.headerHeight) / (previous.height - previous.headerHeight);
+    const mapY = (y) => field.headerHeight + (y - previous.headerHeight) * scaleY;
+
+    state.paddles.forEach((paddle) => {
+      paddle.x = paddle.side === "left" ? field.paddle.offset : field.width - field.paddle.offset;
+      paddle.y = mapY(paddle.y);
+      paddle.width = field.paddle.width;
+    });
+    state.powerUps.forEach((powerUp) => {
+      powerUp.x *= scaleX;
+      powerUp.y = mapY(powerUp.y);
+    });
+    this.applySizes(state);
+
+    // Keep balls inside the walls at their new radius
+    state.balls.forEach((ball) => {
+      ball.x *= scaleX;
+      ball.y = Math.max(field.headerHeight + ball.radius, Math.min(field.height - ball.radius, mapY(ball.y)));
+    });
+    this.placeObstacles(state);
+    this.separateBalls(state);
+  }
+
+  /**
+   * Returns the current ball radius, shrunk while a small ball effect is active.
+   * @param {object} state - Simulation state.
+   * @returns {number} - Ball radius.
+   */
+  getBallRadius(state) {
+    const shrink = PowerUps.findEffect(state.effects, "shrinkBall");
+    return this.config.ballRadius * (shrink ? PowerUps.TYPES.shrinkBall.radiusFactor : 1);
+  }
+
+  /**
+   * Returns the factor applied to ball speeds while moving (slowed balls).
+   * The balls' own speed is untouched, so hits keep speeding them up.
+   * @param {object} state - Simulation state.
+   * @returns {number} - Speed factor.
+   */
+  getBallSpeedFactor(state) {
+    const slow = PowerUps.findEffect(state.effects, "slowBalls");
+    return slow ? PowerUps.TYPES.slowBalls.speedFactor : 1;
+  }
+
+  /**
+   * Counts down active effects, removes expired ones and applies the rest to
+   * paddle heights and ball sizes. Sizes are always derived from the base
+   * config, so effects never compound.
+   * @param {object} state - Simulation state to modify.
+   * @param {number} dt - Frame duration in seconds.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  updateEffects(state, dt, events) {
+    state.effects = state.effects.filter((effect) => {
+      effect.remaining -= dt;
+      if (effect.remaining <= 0) {
+        events.push({ type: "effectEnded", effect: effect.type, side: effect.side });
+        return false;
+      }
+      return true;
+    });
+
+    this.applySizes(state);
+  }
+
+  /**
+   * Sets paddle heights and ball sizes from the base config and the active
+   * effects, keeping grown paddles inside the play area.
+   * @param {object} state - Simulation state to modify.
+   */
+  applySizes(state) {
+    state.paddles.forEach((paddle) => {
+      const enlarge = PowerUps.findEffect(state.effects, "enlargePaddles", paddle.side);
+      const scale = enlarge ? 1 + enlarge.stacks * PowerUps.TYPES.enlargePaddles.scalePerStack : 1;
+      paddle.height = this.config.paddle.height * scale;
+      // Keep a grown paddle inside the play area even without new input
+      paddle.y = PongSimulation.constrainPaddlePosition(
+        paddle.y,
+        this.config.headerHeight,
+        this.config.height,
+        paddle.height
+      );
+    });
+
+    const radius = this.getBallRadius(state);
+    state.balls.forEach((ball) => {
+      ball.radius = radius;
+    });
+  }
+
+  /**
+   * Lays the obstacles still in play out in pixels for the current play area
+   * and match time, which moves the patrolling bars along their paths.
+   * @param {object} state - Simulation state to modify.
+   */
+  placeObstacles(state) {
+    state.obstacles.forEach((obstacle) => {
+      Object.assign(obstacle, Levels.layout(this.config.level.obstacles[obstacle.id], state.time, this.config));
+    });
+  }
+
+  /**
+   * Pushes balls out of obstacles they overlap: a ball a moving bar ran
+   * into, one served or spawned inside an obstacle, or one a resize moved.
+   * A ball heading into the obstacle is turned back.
+   * @param {object} state - Simulation state to modify.
+   */
+  separateBalls(state) {
+    const { height, headerHeight } = this.config;
+    state.balls.forEach((ball) => {
+      state.obstacles.forEach((obstacle) => {
+        const push = obstacle.type === "bumper"
+          ? Collision.separateCircle(ball, obstacle.x, obstacle.y, obstacle.radius)
+          : Collision.separateBox(ball, obstacle);
+        if (!push) {
+          return;
+        }
+        ball.x = push.x;
+        ball.y = Math.max(headerHeight + ball.radius, Math.min(height - ball.radius, push.y));
+        PongSimulation.reflect(ball, push.normal);
+      });
+    });
+  }
+
+  /**
+   * Reflects a ball's direction off a surface it is moving into. A ball
+   * already moving away is left alone.
+   * @param {object} ball - Ball to turn.
+   * @param {{x: number, y: number}} normal - Outward unit normal of the surface.
+   */
+  static reflect(ball, normal) {
+    const along = ball.vx * normal.x + ball.vy * normal.y;
+    if (along >= 0) {
+      return;
+    }
+    const direction = PongSimulation.unit(ball.vx - 2 * along * normal.x, ball.vy - 2 * along * normal.y);
+    ball.vx = direction.x;
+    ball.vy = direction.y;
+  }
+
+  /**
+   * Places a random pickup in the middle of the play area every
+   * PowerUps.SPAWN_INTERVAL seconds, and removes pickups nobody collected.
+   * @param {object} state - Simulation state to modify.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  updatePowerUpSpawning(state, events) {
+    if (!this.config.powerUps) {
+      return;
+    }
+
+    state.powerUps = state.powerUps.filter((powerUp) => {
+      if (state.time >= powerUp.expiresAt) {
+        events.push({ type: "powerUpExpired", powerUpId: powerUp.id });
+        return false;
+      }
+      return true;
+    });
+
+    if (state.time < state.nextPowerUpTime) {
+      return;
+    }
+    state.nextPowerUpTime = state.time + PowerUps.SPAWN_INTERVAL;
+    if (state.powerUps.length >= PowerUps.MAX_ON_FIELD) {
+      return;
+    }
+
+    const { width, height, headerHeight } = this.config;
+    const radius = PowerUps.RADIUS;
+    const powerUp = {
+      id: state.nextPowerUpId++,
+      type: this.randomChoice(PowerUps.getTypeIds()),
+      x: this.randomRange(width * 0.3, width * 0.7),
+      y: this.randomRange(headerHeight + radius * 2, height - radius * 2),
+      radius,
+      expiresAt: state.time + PowerUps.LIFETIME,
+    };
+    state.powerUps.push(powerUp);
+    events.push({ type: "powerUpSpawned", powerUpId: powerUp.id, powerUp: powerUp.type });
+  }
+
+  /**
+   * Collects every pickup a ball passes through while moving. The pickup
+   * belongs to the side that last hit the ball, or the side it was served from.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} ball - Ball to check (at the start of the movement).
+   * @param {number} dx - X distance the ball moves.
+   * @param {number} dy - Y distance the ball moves.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  collectPowerUps(state, ball, dx, dy, events) {
+    const collected = state.powerUps.filter((powerUp) =>
+      Collision.sweepCircle(ball.x, ball.y, dx, dy, powerUp.x, powerUp.y, ball.radius + powerUp.radius)
+    );
+    if (collected.length === 0) {
+      return;
+    }
+
+    const owner = ball.lastHitSide || (ball.vx > 0 ? "left" : "right");
+    state.powerUps = state.powerUps.filter((powerUp) => !collected.includes(powerUp));
+    collected.forEach((powerUp) => {
+      this.applyPowerUp(state, powerUp, ball, owner);
+      events.push({ type: "powerUpCollected", powerUpId: powerUp.id, powerUp: powerUp.type, side: owner });
+    });
+  }
+
+  /**
+   * Applies a collected pickup.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} powerUp - Collected pickup.
+   * @param {object} ball - Ball that collected it.
+   * @param {string} owner - Side the pickup belongs to: left or right.
+   */
+  applyPowerUp(state, powerUp, ball, owner) {
+    if (powerUp.type === "extraBall") {
+      // Split off a ball mirrored vertically, within the ball cap
+      if (state.balls.length < this.config.mode.ballCap) {
+        this.addBall(state, powerUp.x, powerUp.y, ball.vx, -ball.vy).bonus = true;
+      }
+      return;
+    }
+
+    const side = PowerUps.getEffectSide(powerUp.type, owner, this.config.players);
+    PowerUps.addEffect(state.effects, powerUp.type, side);
+    // Apply size changes straight away rather than next frame
+    if (powerUp.type === "shrinkBall") {
+      const radius = this.getBallRadius(state);
+      state.balls.forEach((b) => {
+        b.radius = radius;
+      });
+    }
+  }
+
+  /**
+   * Moves paddles from their inputs, keeping them within the play area.
+   * @param {object} state - Simulation state to modify.
+   * @param {Array<{y?: number, move?: number}>} paddleInputs - Input for each paddle.
+   * @param {number} dt - Frame duration in seconds.
+   */
+  updatePaddles(state, paddleInputs, dt) {
+    state.paddles.forEach((paddle, index) => {
+      const input = paddleInputs[index];
+      if (!input) {
+        return;
+      }
+
+      let targetY = paddle.y;
+      if (typeof input.y === "number") {
+        targetY = input.y; // Pointer: jump to the requested position
+      } else if (input.move) {
+        const move = Math.max(-1, Math.min(1, input.move));
+        targetY = paddle.y + move * PongSimulation.PADDLE_SPEED * dt; // Keys: move at paddle speed
+      }
+
+      paddle.y = PongSimulation.constrainPaddlePosition(
+        targetY,
+        this.config.headerHeight,
+        this.config.height,
+        paddle.height
+      );
+    });
+  }
+
+  /**
+   * Counts down to kick-off, then serves the first ball and starts the match.
+   * @param {object} state - Simulation state to modify.
+   * @param {number} dt - Frame duration in seconds.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  updateCountdown(state, dt, events) {
+    state.countdown = Math.max(0, state.countdown - dt);
+    if (state.countdown > 0) {
+      return;
+    }
+    state.status = "playing";
+    const ball = this.addInitialBall(state);
+    this.separateBalls(state);
+    events.push({ type: "ballServed", ballId: ball.id });
+  }
+
+  /**
+   * Serves the balls whose serve delay has run out.
+   * @param {object} state - Simulation state to modify.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  updateServes(state, events) {
+    state.pendingServes = state.pendingServes.filter((serve) => {
+      if (state.time < serve.at) {
+        return true;
+      }
+      const ball = this.addServeBall(state, serve.direction);
+      events.push({ type: "ballServed", ballId: ball.id });
+      return false;
+    });
+  }
+
+  /**
+   * Spawns new balls on the mode's spawn schedule, up to its ball cap.
+   * @param {object} state - Simulation state to modify.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  updateSpawning(state, events) {
+    const { spawn, ballCap } = this.config.mode;
+    if (!spawn || state.time - state.lastBallSpawnTime < spawn.interval || state.balls.length >= ballCap) {
+      return;
+    }
+
+    state.lastBallSpawnTime = state.time;
+    for (let i = 0; i < spawn.count && state.balls.length < ballCap; i++) {
+      const position = this.getRandomSpawnPosition();
+      const ball = this.addBall(state, position.x, position.y, position.vx, position.vy);
+      events.push({ type: "ballSpawned", ballId: ball.id });
+    }
+  }
+
+  /**
+   * Ends the match when the mode's time limit runs out. In versus the side
+   * with more points wins; level scores are a draw (no winner).
+   * @param {object} state - Simulation state to modify.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  updateTimeLimit(state, events) {
+    const { timeLimit } = this.config.mode.rules;
+    if (timeLimit === null || state.status !== "playing" || state.time < timeLimit) {
+      return;
+    }
+
+    state.status = "gameOver";
+    if (this.config.players !== "solo" && state.scores[0] !== state.scores[1]) {
+      state.winner = state.scores[0] > state.scores[1] ? "left" : "right";
+    }
+    events.push({ type: "gameOver", winner: state.winner, reason: "timeLimit" });
+  }
+
+  /**
+   * Moves all balls, bounces them off the walls and paddles, and handles
+   * balls that leave the screen.
+   * @param {object} state - Simulation state to modify.
+   * @param {number} dt - Frame duration in seconds.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  updateBalls(state, dt, events) {
+    const { width } = this.config;
+
+    for (const ball of [...state.balls]) {
+      this.moveBall(state, ball, dt, events);
+
+      // Ball goes off screen horizontally
+      if (ball.x < 0 || ball.x > width) {
+        this.handleBallOut(state, ball, ball.x < 0 ? "left" : "right", events);
+        if (state.status !== "playing") {
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Moves a ball through one frame with swept collisions: it travels to its
+   * first contact in the frame, bounces, and spends the rest of the frame
+   * moving on from the contact point.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} ball - Ball to move.
+   * @param {number} dt - Frame duration in seconds.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  moveBall(state, ball, dt, events) {
+    const speedFactor = this.getBallSpeedFactor(state);
+    let remaining = dt;
+
+    for (let i = 0; i < PongSimulation.MAX_CONTACTS && remaining > 0; i++) {
+      const vx = ball.vx * ball.speed * speedFactor;
+      const vy = ball.vy * ball.speed * speedFactor;
+      const contact = this.findFirstContact(state, ball, vx, vy, remaining);
+      const travel = contact ? contact.time : remaining;
+
+      this.collectPowerUps(state, ball, vx * travel, vy * travel, events);
+      ball.x += vx * travel;
+      ball.y += vy * travel;
+      remaining -= travel;
+
+      if (!contact) {
+        return;
+      }
+      this.resolveContact(state, ball, contact, events);
+    }
+  }
+
+  /**
+   * Finds the first thing a moving ball touches: the top or bottom wall, a
+   * paddle's front face, an obstacle or an active shield.
+   * @param {object} state - Simulation state.
+   * @param {object} ball - Ball to sweep.
+   * @param {number} vx - Ball X velocity (pixels per second).
+   * @param {number} vy - Ball Y velocity (pixels per second).
+   * @param {number} maxTime - Time left in the frame.
+   * @returns {object|null} - Earliest contact ({ time, kind, ... }) within maxTime, or null.
+   */
+  findFirstContact(state, ball, vx, vy, maxTime) {
+    const { width, height, headerHeight } = this.config;
+    const contacts = [];
+
+    // Top and bottom walls: the ball's edge touches the wall
+    if (vy < 0) {
+      const y = headerHeight + ball.radius;
+      contacts.push({ kind: "wall", wall: "top", y, time: Collision.timeToPlane(ball.y, vy, y) });
+    } else if (vy > 0) {
+      const y = height - ball.radius;
+      contacts.push({ kind: "wall", wall: "bottom", y, time: Collision.timeToPlane(ball.y, vy, y) });
+    }
+
+    state.paddles.forEach((paddle) => {
+      const hit = Collision.sweepPaddle(ball, vx, vy, paddle, maxTime);
+      if (hit) {
+        contacts.push({ kind: "paddle", paddle, x: hit.x, time: hit.time });
+      }
+    });
+
+    state.obstacles.forEach((obstacle) => {
+      if (obstacle.type === "bumper") {
+        const time = Collision.timeToCircle(ball.x, ball.y, vx, vy, obstacle.x, obstacle.y, obstacle.radius + ball.radius);
+        if (time <= maxTime) {
+          const normal = PongSimulation.unit(ball.x + vx * time - obstacle.x, ball.y + vy * time - obstacle.y);
+          contacts.push({ kind: "obstacle", obstacle, normal, time });
+        }
+        return;
+      }
+      const hit = Collision.sweepBox(ball, vx, vy, obstacle, maxTime);
+      if (hit) {
+        contacts.push({ kind: "obstacle", obstacle, normal: hit.normal, time: hit.time });
+      }
+    });
+
+    // Shield walls at the screen edges
+    const side = vx < 0 ? "left" : "right";
+    if (vx !== 0 && PowerUps.findEffect(state.effects, "shield", side)) {
+      const reach = PowerUps.SHIELD_WIDTH + ball.radius;
+      const x = side === "left" ? reach : width - reach;
+      contacts.push({ kind: "shield", side, x, time: Collision.timeToPlane(ball.x, vx, x) });
+    }
+
+    return contacts
+      .filter((contact) => contact.time <= maxTime)
+      .reduce((first, contact) => (!first || contact.time < first.time ? contact : first), null);
+  }
+
+  /**
+   * Bounces a ball off the contact found by findFirstContact, placing it
+   * exactly at the contact point.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} ball - Ball at the contact point.
+   * @param {object} contact - Contact to resolve.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  resolveContact(state, ball, contact, events) {
+    if (contact.kind === "wall") {
+      // Reflect Y, keep X
+      ball.y = contact.y;
+      ball.vy = -ball.vy;
+      events.push({ type: "wallBounce", ballId: ball.id, wall: contact.wall, speed: ball.speed });
+    } else if (contact.kind === "paddle") {
+      ball.x = contact.x;
+      const points = this.bounceOffPaddle(state, ball, contact.paddle);
+      events.push({ type: "paddleHit", ballId: ball.id, side: contact.paddle.side, speed: ball.speed, points });
+    } else if (contact.kind === "shield") {
+      ball.x = contact.x;
+      ball.vx = -ball.vx;
+      events.push({ type: "shieldBlock", ballId: ball.id, side: contact.side, speed: ball.speed });
+    } else if (contact.kind === "obstacle") {
+      this.bounceOffObstacle(state, ball, contact.obstacle, contact.normal, events);
+    }
+  }
+
+  /**
+   * Reflects a ball off an obstacle. Bumpers speed the ball up (within the
+   * mode's top speed) and breakable blocks lose a hit, going when none are
+   * left.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} ball - Ball at the contact point.
+   * @param {object} obstacle - Obstacle that was hit.
+   * @param {{x: number, y: number}} normal - Outward unit normal at the contact.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  bounceOffObstacle(state, ball, obstacle, normal, events) {
+    PongSimulation.reflect(ball, normal);
+    if (obstacle.type === "bumper") {
+      const { boost } = this.config.level.obstacles[obstacle.id];
+      ball.speed = Math.min(this.config.mode.maxSpeed, ball.speed + boost);
+    }
+    events.push({ type: "obstacleHit", ballId: ball.id, obstacleId: obstacle.id, obstacle: obstacle.type, speed: ball.speed });
+
+    if (obstacle.type === "breakable") {
+      obstacle.hitsLeft--;
+      if (obstacle.hitsLeft <= 0) {
+        state.obstacles = state.obstacles.filter((o) => o.id !== obstacle.id);
+        events.push({ type: "obstacleBroken", ballId: ball.id, obstacleId: obstacle.id });
+      }
+    }
+  }
+
+  /**
+   * Handles a ball leaving the screen. The ball is removed; in solo it costs a
+   * life and respawns after a countdown, and the match ends when no lives are
+   * left. In versus the other side scores and a new ball is served towards
+   * the side that missed. Bonus balls from power-ups are not replaced, and in
+   * solo losing one is free.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} ball - Ball that left the screen.
+   * @param {string} side - Side it left through: left or right.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  handleBallOut(state, ball, side, events) {
+    events.push({ type: "ballOut", ballId: ball.id, side });
+    state.balls = state.balls.filter((b) => b.id !== ball.id);
+    state.scoring.combo = 0; // A miss ends the combo
+
+    if (this.config.players === "solo") {
+      if (!ball.bonus) {
+        this.loseLife(state, events);
+      }
+      return;
+    }
+
+    const scorer = side === "left" ? 1 : 0;
+    state.scores[scorer]++;
+    events.push({ type: "pointScored", side: scorer === 0 ? "left" : "right", scores: [...state.scores] });
+
+    if (state.scores[scorer] >= this.config.mode.rules.winningScore) {
+      state.status = "gameOver";
+      state.winner = scorer === 0 ? "left" : "right";
+      events.push({ type: "gameOver", winner: state.winner });
+      return;
+    }
+
+    if (!ball.bonus) {
+      state.pendingServes.push({
+        at: state.time + PongSimulation.SERVE_DELAY,
+        direction: side === "left" ? -1 : 1,
+      });
+    }
+  }
+
+  /**
+   * Takes a life after a lost ball in solo, then ends the match or schedules a respawn.
+   * @param {object} state - Simulation state to modify.
+   * @param {Array<object>} events - Event list to append to.
+   */
+  loseLife(state, events) {
+    state.lives = Math.max(0, state.lives - 1);
+    events.push({ type: "lifeLost", lives: state.lives });
+
+    if (state.lives === 0) {
+      state.status = "gameOver";
+      events.push({ type: "gameOver" });
+      return;
+    }
+
+    state.pendingServes.push({ at: state.time + PongSimulation.RESPAWN_DELAY, direction: null });
+  }
+
+  /**
+   * Reflects a ball off a paddle and scores the hit. The outgoing angle
+   * depends on where the ball hit the paddle, and the ball speeds up.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} ball - Ball that hit the paddle.
+   * @param {object} paddle - Paddle that was hit.
+   * @returns {number} - Points the hit scored.
+   */
+  bounceOffPaddle(state, ball, paddle) {
+    ball.lastHitSide = paddle.side;
+
+    // Where the ball hit the paddle, normalized between -1 and 1
+    const hitOffset = (ball.y - paddle.y) / (paddle.height / 2);
+    const points = this.scoreHit(state, ball, hitOffset);
+
+    // Clamp the hit offset to prevent extreme angles
+    const clampedOffset = Math.max(-0.8, Math.min(0.8, hitOffset));
+
+    // Reflect horizontally, with a vertical component based on hit position
+    const newVelX = paddle.side === "left" ? 1 : -1;
+    const velocity = PongSimulation.unit(newVelX, clampedOffset);
+    ball.vx = velocity.x;
+    ball.vy = velocity.y;
+
+    // Increase ball speed for added challenge, up to the cap
+    const { maxSpeed, speedIncrement } = this.config.mode;
+    ball.speed = Math.min(maxSpeed, ball.speed + speedIncrement);
+    return points;
+  }
+
+  /**
+   * Scores a paddle hit with the match's scoring rules, before the ball
+   * speeds up, and extends the combo.
+   * @param {object} state - Simulation state to modify.
+   * @param {object} ball - Ball that hit the paddle.
+   * @param {number} hitOffset - Where it hit, from -1 (top end) to 1 (bottom end).
+   * @returns {number} - Points scored.
+   */
+  scoreHit(state, ball, hitOffset) {
+    const tally = state.scoring;
+    tally.combo++;
+    tally.bestCombo = Math.max(tally.bestCombo, tally.combo);
+    const hit = ScoringRules.scoreHit(
+      this.config.scoring,
+      { offset: hitOffset, speed: ball.speed, combo: tally.combo, balls: state.balls.length },
+      this.config.mode
+    );
+    ScoringRules.PARTS.forEach((part) => {
+      tally.breakdown[part] += hit.parts[part];
+    });
+    state.score += hit.points;
+    return hit.points;
+  }
+
+  /**
+   * Updates the multiplier shown to the player for the current combo and
+   * the balls in play.
+   * @param {object} state - Simulation state to modify.
+   */
+  updateMultiplier(state) {
+    state.scoring.multiplier = ScoringRules.getMultiplier(this.config.scoring, state.scoring.combo, state.balls.length).total;
+  }
+}
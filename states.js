@@ -0,0 +1,82 @@
+// Screen state machine.
+// The game is always in exactly one named state (menu, playing, paused, ...).
+// Each state lists the states it may move to and has enter and exit hooks,
+// so a screen builds its objects on the way in and removes them on the way
+// out, and a move the game never expects fails loudly instead of leaving
+// stray objects behind.
+
+/**
+ * @typedef {object} StateDefinition
+ * @property {Array<string>} to - States this one may move to. Moving to the same state (a redraw) is always allowed.
+ * @property {Function} [enter] - Called with (from, ...args) after the state becomes current; `from` is null for the
+ *   first state.
+ * @property {Function} [exit] - Called with (to) before the next state becomes current, also for a redraw.
+ */
+
+export class StateMachine {
+  /**
+   * Creates a machine with no current state; the first transition may go to any state.
+   * @param {Object<string, StateDefinition>} states - State definitions by name.
+   * @throws {Error} - When a state lists a move to a state that does not exist.
+   */
+  constructor(states) {
+    Object.entries(states).forEach(([name, definition]) => {
+      const unknown = definition.to.filter((to) => !(to in states));
+      if (unknown.length > 0) {
+        throw new Error(`Invalid state "${name}": unknown targets ${unknown.join(", ")}`);
+      }
+    });
+    this.states = states;
+    this.current = null;  // Name of the current state
+    this.previous = null; // Name of the state before it
+  }
+
+  /**
+   * Returns whether the current state is one of the given states.
+   * @param {...string} names - State names.
+   * @returns {boolean} - True when the current state is among them.
+   */
+  is(...names) {
+    return names.includes(this.current);
+  }
+
+  /**
+   * Returns whether the machine may move to a state from the current one.
+   * @param {string} to - State name.
+   * @returns {boolean} - True when the move is allowed.
+   */
+  can(to) {
+    if (!(to in this.states)) {
+      return false;
+    }
+    return this.current === null || this.current === to || this.states[this.current].to.includes(to);
+  }
+
+  /**
+   * Moves to a state: runs the current state's exit hook, then the new
+   * state's enter hook with the extra arguments.
+   * @param {string} to - State name.
+   * @param {...*} args - Passed on to the enter hook.
+   * @returns {string|null} - The state that was left.
+   * @throws {Error} - When the state does not exist or the move is not allowed.
+   */
+  transition(to, ...args) {
+    if (!(to in this.states)) {
+      throw new Error(`Unknown state "${to}"`);
+    }
+    if (!this.can(to)) {
+      throw new Error(`Invalid transition "${this.current}" -> "${to}"`);
+    }
+
+    const from = this.current;
+    if (from !== null && this.states[from].exit) {
+      this.states[from].exit(to);
+    }
+    this.previous = from;
+    this.current = to;
+    if (this.states[to].enter) {
+      this.states[to].enter(from, ...args);
+    }
+    return from;
+  }
+}
@@ -0,0 +1,98 @@
+// Per-match statistics.
+// Built up frame by frame from the events the simulation returns, so live
+// matches and online guests (which only see the host's events) count the
+// same things. A rally is the run of paddle hits one ball gets between
+// entering play and leaving it.
+
+export class MatchStats {
+  constructor() {
+    this.balls = new Map();   // Balls in play by id: { born, hits }
+    this.finished = [];       // Balls that left play: Array<{ hits, life }>
+    this.hits = [0, 0];       // Paddle hits per side (left, right)
+    this.wallBounces = 0;     // Top and bottom wall bounces
+    this.ballsSpawned = 0;    // Balls added on the mode's spawn schedule
+    this.ballsLost = 0;       // Balls that left the screen
+    this.peakSpeed = 0;       // Fastest any ball moved (pixels per second)
+  }
+
+  /**
+   * Returns the record of a ball, starting one for a ball seen for the
+   * first time (served, spawned or split off by a power-up).
+   * @param {number} ballId - Ball id.
+   * @param {number} time - Match time the ball was first seen.
+   * @returns {{born: number, hits: number}} - Ball record.
+   */
+  track(ballId, time) {
+    if (!this.balls.has(ballId)) {
+      this.balls.set(ballId, { born: time, hits: 0 });
+    }
+    return this.balls.get(ballId);
+  }
+
+  /**
+   * Counts one frame of simulation events.
+   * @param {Array<object>} events - Events returned by PongSimulation.step.
+   * @param {object} state - State after the events.
+   */
+  record(events, state) {
+    state.balls.forEach((ball) => {
+      this.track(ball.id, state.time);
+      this.peakSpeed = Math.max(this.peakSpeed, ball.speed);
+    });
+
+    events.forEach((event) => {
+      switch (event.type) {
+        case "paddleHit":
+          this.track(event.ballId, state.time).hits++;
+          this.hits[event.side === "left" ? 0 : 1]++;
+          this.peakSpeed = Math.max(this.peakSpeed, event.speed);
+          break;
+        case "wallBounce":
+          this.wallBounces++;
+          break;
+        case "ballSpawned":
+          this.ballsSpawned++;
+          break;
+        case "ballOut": {
+          const ball = this.track(event.ballId, state.time);
+          this.finished.push({ hits: ball.hits, life: state.time - ball.born });
+          this.balls.delete(event.ballId);
+          this.ballsLost++;
+          break;
+        }
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Returns the statistics of the match so far. Balls still in play when
+   * the match ends count as rallies cut short.
+   * @param {object} state - Current (usually final) state, for the match time.
+   * @returns {object} - Summary: { rallies, longestRally, averageRally, peakSpeed, hits, wallBounces,
+   *   ballsSpawned, ballsLost, averageBallLife, longestBallLife, ballLives }. ballLives lists the seconds
+   *   each ball survived, in the order the balls left play, then the balls still in play.
+   */
+  getSummary(state) {
+    const inPlay = [...this.balls.values()].map((ball) => ({ hits: ball.hits, life: state.time - ball.born }));
+    const balls = this.finished.concat(inPlay);
+    const total = (key) => balls.reduce((sum, ball) => sum + ball[key], 0);
+    const longest = (key) => balls.reduce((max, ball) => Math.max(max, ball[key]), 0);
+    const average = (key) => (balls.length > 0 ? total(key) / balls.length : 0);
+
+    return {
+      rallies: balls.length,
+      longestRally: longest("hits"),
+      averageRally: average("hits"),
+      peakSpeed: Math.round(this.peakSpeed),
+      hits: [...this.hits],
+      wallBounces: this.wallBounces,
+      ballsSpawned: this.ballsSpawned,
+      ballsLost: this.ballsLost,
+      averageBallLife: average("life"),
+      longestBallLife: longest("life"),
+      ballLives: balls.map((ball) => ball.life),
+    };
+  }
+}
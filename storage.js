@@ -0,0 +1,53 @@
+// Saved data.
+// Reads and writes the JSON saves of the high score, settings, sound and
+// history stores. Storage can be missing, blocked or full, and a save can be
+// corrupted or hand-edited; none of that ever throws, so the stores keep
+// working in memory and validate whatever they read.
+
+export class SavedData {
+  /**
+   * Returns localStorage, or null where it is missing or blocked.
+   * @returns {Storage|null} - Storage backend.
+   */
+  static getDefaultStorage() {
+    try {
+      return globalThis.localStorage || null;
+    } catch (error) {
+      return null; // Accessing localStorage throws when storage is disabled
+    }
+  }
+
+  /**
+   * Reads a save.
+   * @param {Storage|null} storage - Storage backend, or null for none.
+   * @param {string} key - Storage key.
+   * @returns {object|null} - The parsed save, or null when it is missing, not JSON or not an object.
+   */
+  static read(storage, key) {
+    let saved = null;
+    try {
+      const raw = storage ? storage.getItem(key) : null;
+      saved = raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      saved = null; // Corrupted JSON: the caller starts over
+    }
+    return saved && typeof saved === "object" ? saved : null;
+  }
+
+  /**
+   * Writes a save. Storage errors (quota, private mode) are ignored; the
+   * caller's in-memory data still works for the rest of the session.
+   * @param {Storage|null} storage - Storage backend, or null for none.
+   * @param {string} key - Storage key.
+   * @param {object} data - Data to save as JSON.
+   */
+  static write(storage, key, data) {
+    try {
+      if (storage) {
+        storage.setItem(key, JSON.stringify(data));
+      }
+    } catch (error) {
+      // Keep the in-memory data
+    }
+  }
+}
@@ -0,0 +1,113 @@
+// Computer paddle: ball prediction, reaction delay and paddle speed.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { AIController } from "../ai.js";
+
+const CONFIG = { width: 800, height: 600, headerHeight: 60 };
+
+/**
+ * Random source that always aims the given distance off.
+ * @param {number} [offset=0] - Aim error to return.
+ * @returns {object} - Stand-in for SeededRandom.
+ */
+function fixedRandom(offset = 0) {
+  return { range: () => offset };
+}
+
+/**
+ * Builds a state with a right paddle and balls.
+ * @param {Array<object>} balls - Balls in play.
+ * @param {number} [paddleY=330] - Paddle centre.
+ * @returns {object} - Simulation state.
+ */
+function createState(balls, paddleY = 330) {
+  return { paddles: [{ side: "right", x: 770, y: paddleY, width: 20, height: 100 }], balls };
+}
+
+/**
+ * Builds a ball moving at 500 pixels per second.
+ * @param {object} fields - Id, position and direction.
+ * @returns {object} - Simulation ball.
+ */
+function createBall(fields) {
+  return { radius: 10, speed: 500, ...fields };
+}
+
+describe("AIController", () => {
+  describe("predictBallY", () => {
+    it("follows a straight path to the line", () => {
+      const prediction = AIController.predictBallY({ x: 100, y: 200, vx: 1, vy: 0, speed: 500 }, 600, 60, 600);
+      assert.deepEqual(prediction, { y: 200, time: 1 });
+    });
+
+    it("folds the path back at the walls", () => {
+      const ball = { x: 0, y: 500, vx: Math.SQRT1_2, vy: Math.SQRT1_2, speed: 100 * Math.SQRT2 };
+      const prediction = AIController.predictBallY(ball, 300, 0, 600); // Would reach y 800: 200 past the bottom
+      assert.ok(Math.abs(prediction.y - 400) < 1e-9);
+      assert.ok(Math.abs(prediction.time - 3) < 1e-9);
+
+      const twice = AIController.predictBallY({ ...ball, y: 100 }, 1500, 0, 600); // Bottom, then top
+      assert.ok(Math.abs(twice.y - 400) < 1e-9);
+    });
+
+    it("returns null for a ball moving away or straight up and down", () => {
+      assert.equal(AIController.predictBallY({ x: 400, y: 200, vx: -1, vy: 0, speed: 500 }, 600, 60, 600), null);
+      assert.equal(AIController.predictBallY({ x: 400, y: 200, vx: 0, vy: 1, speed: 500 }, 600, 60, 600), null);
+    });
+  });
+
+  it("defends against the ball that arrives first", () => {
+    const ai = new AIController("right", "normal", fixedRandom());
+    const near = createBall({ id: 1, x: 600, y: 100, vx: 1, vy: 0 });
+    const far = createBall({ id: 2, x: 100, y: 500, vx: 1, vy: 0 });
+    const leaving = createBall({ id: 3, x: 700, y: 300, vx: -1, vy: 0 });
+    const incoming = ai.chooseIncomingBall(createState([far, leaving, near]), CONFIG);
+    assert.equal(incoming.ball, near);
+    assert.equal(incoming.y, 100);
+  });
+
+  it("only changes its target after the reaction delay", () => {
+    const ai = new AIController("right", "hard", fixedRandom());
+    const { reactionDelay } = AIController.DIFFICULTIES.hard;
+    const ball = createBall({ id: 1, x: 400, y: 320, vx: 1, vy: 0 });
+    ai.update(0.01, createState([ball], 320), CONFIG);
+    assert.equal(ai.targetY, 320);
+
+    const moved = { ...ball, y: 340 };
+    ai.update(reactionDelay / 2, createState([moved], 320), CONFIG);
+    assert.equal(ai.targetY, 320); // Has not noticed yet
+    ai.update(reactionDelay / 2, createState([moved], 320), CONFIG);
+    assert.equal(ai.targetY, 340);
+  });
+
+  it("never moves the paddle faster than its difficulty allows", () => {
+    const ai = new AIController("right", "easy", fixedRandom());
+    const { maxSpeed } = AIController.DIFFICULTIES.easy;
+    const state = createState([createBall({ id: 1, x: 400, y: 100, vx: 1, vy: 0 })], 500);
+    assert.deepEqual(ai.update(0.1, state, CONFIG), { y: 500 - maxSpeed * 0.1 });
+
+    const close = createState([createBall({ id: 1, x: 400, y: 495, vx: 1, vy: 0 })], 500);
+    ai.decisionTimer = 0;
+    assert.deepEqual(ai.update(0.1, close, CONFIG), { y: 495 }); // Stops on the target
+  });
+
+  it("keeps one aim error per ball and drifts to the middle with nothing incoming", () => {
+    const ai = new AIController("right", "normal", fixedRandom(25));
+    const ball = createBall({ id: 1, x: 400, y: 200, vx: 1, vy: 0 });
+    ai.update(0.5, createState([ball]), CONFIG);
+    assert.equal(ai.targetY, 225);
+
+    ai.random = fixedRandom(-25); // Same ball: the aim error stays
+    ai.update(0.5, createState([{ ...ball, y: 300 }]), CONFIG);
+    assert.equal(ai.targetY, 325);
+
+    ai.update(0.5, createState([{ ...ball, vx: -1 }]), CONFIG);
+    assert.equal(ai.targetY, 330);
+    assert.equal(ai.trackedBallId, null);
+  });
+
+  it("falls back to normal for an unknown difficulty", () => {
+    assert.equal(new AIController("left", "impossible").settings, AIController.DIFFICULTIES.normal);
+  });
+});
@@ -0,0 +1,70 @@
+// Live region announcements against a fake document.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { LiveAnnouncer } from "../announcer.js";
+
+/**
+ * Creates a document with just enough DOM for the live region.
+ * @returns {object} - Fake document; `body.children` holds the added elements.
+ */
+function createDocument() {
+  const createElement = (tagName) => ({
+    tagName,
+    attributes: {},
+    textContent: "",
+    setAttribute(name, value) {
+      this.attributes[name] = value;
+    },
+  });
+  const body = {
+    children: [],
+    appendChild(element) {
+      this.children.push(element);
+    },
+  };
+  return { body, createElement };
+}
+
+describe("LiveAnnouncer", () => {
+  it("adds a hidden polite live region to the page", () => {
+    const doc = createDocument();
+    const announcer = new LiveAnnouncer(doc);
+    assert.deepEqual(doc.body.children, [announcer.element]);
+    assert.deepEqual(announcer.element.attributes, {
+      role: "status",
+      "aria-live": "polite",
+      "aria-atomic": "true",
+      style: LiveAnnouncer.HIDDEN_STYLE,
+    });
+  });
+
+  it("replaces the text with each new message", () => {
+    const announcer = new LiveAnnouncer(createDocument());
+    announcer.announce("Play");
+    announcer.announce("Settings");
+    assert.equal(announcer.element.textContent, "Settings");
+  });
+
+  it("changes the text when the same message comes twice in a row", () => {
+    const announcer = new LiveAnnouncer(createDocument());
+    const texts = ["Goal", "Goal", "Goal"].map((message) => {
+      announcer.announce(message);
+      return announcer.element.textContent;
+    });
+    assert.deepEqual(texts, ["Goal", "Goal\u00a0", "Goal"]);
+  });
+
+  it("ignores empty messages", () => {
+    const announcer = new LiveAnnouncer(createDocument());
+    announcer.announce("Play");
+    announcer.announce("");
+    assert.equal(announcer.element.textContent, "Play");
+  });
+
+  it("announces nothing without a document", () => {
+    const announcer = new LiveAnnouncer(null);
+    assert.equal(announcer.element, null);
+    assert.doesNotThrow(() => announcer.announce("Play"));
+  });
+});
@@ -0,0 +1,139 @@
+// Swept collisions, on their own and through the simulation at extreme speeds.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Collision } from "../collision.js";
+import { PongSimulation } from "../simulation.js";
+
+const SPEEDS = [1e4, 1e5, 1e6]; // Pixels per second, far beyond any mode's top speed
+
+const FIELD = {
+  width: 800,
+  height: 600,
+  headerHeight: 60,
+  paddle: { width: 20, height: 100, offset: 30 },
+  ballRadius: 10,
+};
+
+/**
+ * Creates a served match without power-ups, with its ball placed.
+ * @param {object} ball - Ball fields to set (position, direction, speed).
+ * @param {object} [options] - Simulation options on top of the test field.
+ * @returns {PongSimulation} - The simulation, playing.
+ */
+function createServedMatch(ball, options = {}) {
+  const simulation = new PongSimulation({ ...FIELD, powerUps: false, seed: 1, scoring: "hits", ...options });
+  simulation.step(PongSimulation.COUNTDOWN);
+  Object.assign(simulation.state.balls[0], ball);
+  return simulation;
+}
+
+describe("Collision.sweepPaddle", () => {
+  const paddle = { side: "left", x: 30, y: 300, width: 20, height: 100 };
+
+  SPEEDS.forEach((speed) => {
+    it(`finds the contact with the paddle's face at ${speed} px/s`, () => {
+      const ball = { x: 400, y: 300, radius: 10 };
+      const hit = Collision.sweepPaddle(ball, -speed, 0, paddle, 1);
+      assert.equal(hit.x, 50); // Face (x + width / 2) plus the radius
+      assert.equal(hit.time, 350 / speed);
+    });
+  });
+
+  it("ignores a ball moving away from the paddle", () => {
+    assert.equal(Collision.sweepPaddle({ x: 60, y: 300, radius: 10 }, 1e6, 0, paddle, 1), null);
+  });
+
+  it("ignores a ball already behind the paddle", () => {
+    assert.equal(Collision.sweepPaddle({ x: 5, y: 300, radius: 10 }, -1e6, 0, paddle, 1), null);
+  });
+
+  it("misses a ball that passes above the paddle", () => {
+    assert.equal(Collision.sweepPaddle({ x: 400, y: 150, radius: 10 }, -1e6, 0, paddle, 1), null);
+  });
+
+  it("finds no contact beyond the end of the sweep", () => {
+    assert.equal(Collision.sweepPaddle({ x: 400, y: 300, radius: 10 }, -1e4, 0, paddle, 0.01), null);
+  });
+
+  it("touches at once when the paddle has moved onto the ball", () => {
+    const hit = Collision.sweepPaddle({ x: 45, y: 300, radius: 10 }, -1e5, 0, paddle, 1);
+    assert.equal(hit.time, 0);
+  });
+});
+
+describe("Collision.sweepBox", () => {
+  const box = { x: 400, y: 300, width: 40, height: 100 };
+
+  SPEEDS.forEach((speed) => {
+    it(`finds the face a ball meets at ${speed} px/s`, () => {
+      const hit = Collision.sweepBox({ x: 100, y: 300, radius: 10 }, speed, 0, box, 1);
+      assert.deepEqual(hit.normal, { x: -1, y: 0 });
+      assert.equal(hit.time, 270 / speed); // To the left face (380) less the radius
+    });
+  });
+
+  it("finds the top face for a ball coming from above", () => {
+    const hit = Collision.sweepBox({ x: 400, y: 100, radius: 10 }, 0, 1e5, box, 1);
+    assert.deepEqual(hit.normal, { x: 0, y: -1 });
+    assert.equal(hit.time, 140 / 1e5);
+  });
+
+  it("finds a corner for a ball that only clips it", () => {
+    // Heading right just above the top face: only the top left corner is in reach
+    const hit = Collision.sweepBox({ x: 100, y: 245, radius: 10 }, 1e5, 0, box, 1);
+    assert.ok(hit.normal.x < 0 && hit.normal.y < 0);
+    assert.ok(Math.abs(Math.hypot(hit.normal.x, hit.normal.y) - 1) < 1e-9);
+  });
+
+  it("ignores a ball moving away from the box", () => {
+    assert.equal(Collision.sweepBox({ x: 370, y: 300, radius: 10 }, -1e6, 0, box, 1), null);
+  });
+
+  it("misses a ball that passes beside the box", () => {
+    assert.equal(Collision.sweepBox({ x: 100, y: 150, radius: 10 }, 1e6, 0, box, 1), null);
+  });
+});
+
+describe("PongSimulation at extreme speeds", () => {
+  SPEEDS.forEach((speed) => {
+    it(`keeps a ${speed} px/s ball between the walls`, () => {
+      const simulation = createServedMatch({ x: 400, y: 300, vx: 0, vy: 1, speed });
+      const { headerHeight, height, ballRadius } = FIELD;
+      for (let frame = 0; frame < 60; frame++) {
+        const { state } = simulation.step(1 / 60);
+        const ball = state.balls[0];
+        assert.ok(ball.y >= headerHeight + ballRadius && ball.y <= height - ballRadius, `y ${ball.y} in frame ${frame}`);
+      }
+    });
+
+    it(`scores a ${speed} px/s ball once per paddle contact`, () => {
+      const paddleY = 300;
+      const inputs = { paddles: [{ y: paddleY }, { y: paddleY }] };
+      const simulation = createServedMatch({ x: 150, y: paddleY, vx: -1, vy: 0, speed });
+      simulation.step(0, inputs); // Line the paddles up first
+
+      // One frame long enough for the ball to reach the left paddle and come back off it
+      let { state, events } = simulation.step(150 / speed, inputs);
+      assert.equal(events.filter((event) => event.type === "paddleHit").length, 1);
+      assert.equal(state.score, 1);
+      assert.ok(state.balls[0].vx > 0);
+      assert.ok(state.balls[0].x >= 50);
+
+      // Moving away, the same paddle cannot count it again
+      ({ state, events } = simulation.step(1e-6, inputs));
+      assert.equal(events.filter((event) => event.type === "paddleHit").length, 0);
+      assert.equal(state.score, 1);
+    });
+  });
+
+  it("scores once when the paddle moves along with the ball", () => {
+    const simulation = createServedMatch({ x: 80, y: 300, vx: -1, vy: 0, speed: 600 });
+    let hits = 0;
+    for (let frame = 0; frame < 30; frame++) {
+      const { events } = simulation.step(1 / 60, { paddles: [{ y: 300 + frame * 3 }, { y: 300 }] });
+      hits += events.filter((event) => event.type === "paddleHit").length;
+    }
+    assert.equal(hits, 1);
+  });
+});
@@ -0,0 +1,211 @@
+// Gamepad polling fed with plain objects shaped like Gamepad snapshots.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { GamepadInput } from "../gamepad.js";
+
+/**
+ * Creates a gamepad snapshot.
+ * @param {number} index - Slot in the gamepad list.
+ * @param {object} [state] - Held buttons and stick.
+ * @param {Array<string>} [state.held=[]] - Held button names (see GamepadInput.BUTTONS).
+ * @param {number} [state.stick=0] - Left stick vertical axis.
+ * @returns {object} - Gamepad snapshot.
+ */
+function createPad(index, { held = [], stick = 0 } = {}) {
+  const buttons = Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }));
+  held.forEach((name) => {
+    buttons[GamepadInput.BUTTONS[name]] = { pressed: true, value: 1 };
+  });
+  return { index, id: `Pad ${index}`, connected: true, buttons, axes: [0, stick, 0, 0] };
+}
+
+/**
+ * Creates a reader whose gamepad list the test sets directly.
+ * @returns {{input: GamepadInput, pads: Array<object|null>}} - Reader and its (mutable) gamepad list.
+ */
+function createInput() {
+  const pads = [];
+  return { input: new GamepadInput(() => pads), pads };
+}
+
+/**
+ * Returns the events of a type.
+ * @param {Array<object>} events - Events from poll.
+ * @param {string} type - Event type.
+ * @returns {Array<object>} - Matching events.
+ */
+function ofType(events, type) {
+  return events.filter((event) => event.type === type);
+}
+
+describe("plugging in", () => {
+  it("reports a connected pad once", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0);
+    assert.deepEqual(input.poll(), [{ type: "connected", player: 0, id: "Pad 0" }]);
+    assert.deepEqual(input.poll(), []);
+    assert.equal(input.count, 1);
+  });
+
+  it("reports an unplugged pad, whether removed or marked disconnected", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0);
+    pads[1] = createPad(1);
+    input.poll();
+
+    pads[1] = null;
+    assert.deepEqual(input.poll(), [{ type: "disconnected", player: 1, id: "Pad 1" }]);
+    pads[0] = { ...pads[0], connected: false };
+    assert.deepEqual(input.poll(), [{ type: "disconnected", player: 0, id: "Pad 0" }]);
+    assert.equal(input.count, 0);
+  });
+
+  it("reads nothing where the gamepad source returns no list", () => {
+    const input = new GamepadInput(() => null);
+    assert.deepEqual(input.poll(), []);
+    assert.equal(input.getMove(0), 0);
+  });
+});
+
+describe("movement", () => {
+  it("ignores the stick inside the dead zone", () => {
+    assert.equal(GamepadInput.readMove(createPad(0, { stick: GamepadInput.DEADZONE * 0.9 })), 0);
+    assert.equal(GamepadInput.readMove(createPad(0, { stick: -GamepadInput.DEADZONE * 0.9 })), 0);
+  });
+
+  it("scales the stick from zero at the dead zone to full deflection", () => {
+    assert.equal(GamepadInput.readMove(createPad(0, { stick: GamepadInput.DEADZONE })), 0);
+    assert.equal(GamepadInput.readMove(createPad(0, { stick: 1 })), 1);
+    assert.equal(GamepadInput.readMove(createPad(0, { stick: -1 })), -1);
+    const halfway = (1 + GamepadInput.DEADZONE) / 2;
+    assert.ok(Math.abs(GamepadInput.readMove(createPad(0, { stick: halfway })) - 0.5) < 1e-9);
+  });
+
+  it("moves at full speed with the d-pad, which wins over the stick", () => {
+    assert.equal(GamepadInput.readMove(createPad(0, { held: ["up"] })), -1);
+    assert.equal(GamepadInput.readMove(createPad(0, { held: ["down"], stick: -1 })), 1);
+  });
+
+  it("falls back to the stick when up and down are both held", () => {
+    assert.equal(GamepadInput.readMove(createPad(0, { held: ["up", "down"], stick: 1 })), 1);
+  });
+
+  it("keeps the last polled movement per player", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0, { held: ["down"] });
+    input.poll();
+    assert.equal(input.getMove(0), 1);
+    assert.equal(input.getMove(1), 0);
+  });
+});
+
+describe("players", () => {
+  it("assigns players in the order pads connect", () => {
+    const { input, pads } = createInput();
+    pads[3] = createPad(3);
+    input.poll();
+    pads[1] = createPad(1, { held: ["up"] });
+    assert.deepEqual(ofType(input.poll(), "connected"), [{ type: "connected", player: 1, id: "Pad 1" }]);
+
+    pads[3] = createPad(3, { held: ["down"] });
+    input.poll();
+    assert.equal(input.getMove(0), 1);
+    assert.equal(input.getMove(1), -1);
+  });
+
+  it("moves player 2's pad to player 1 when player 1 unplugs", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0);
+    pads[1] = createPad(1);
+    input.poll();
+
+    pads[0] = null;
+    pads[1] = createPad(1, { held: ["up"] });
+    assert.deepEqual(ofType(input.poll(), "disconnected"), [{ type: "disconnected", player: 0, id: "Pad 0" }]);
+    assert.equal(input.getMove(0), -1);
+    assert.equal(input.count, 1);
+  });
+
+  it("ignores pads beyond the second", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0);
+    pads[1] = createPad(1);
+    pads[2] = createPad(2, { held: ["start"] });
+    assert.equal(ofType(input.poll(), "connected").length, GamepadInput.MAX_PLAYERS);
+    pads[2] = createPad(2);
+    assert.deepEqual(input.poll(), []);
+  });
+});
+
+describe("menu buttons", () => {
+  it("reports a press once while the button is held", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0);
+    input.poll();
+
+    pads[0] = createPad(0, { held: ["start"] });
+    assert.deepEqual(input.poll(), [{ type: "buttonPressed", player: 0, button: "start" }]);
+    assert.deepEqual(input.poll(), []);
+
+    pads[0] = createPad(0);
+    input.poll();
+    pads[0] = createPad(0, { held: ["start"] });
+    assert.equal(ofType(input.poll(), "buttonPressed").length, 1);
+  });
+
+  it("does not report buttons already held when the pad connects", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0, { held: ["a"] });
+    assert.deepEqual(ofType(input.poll(), "buttonPressed"), []);
+  });
+
+  it("tells the players' presses apart", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0);
+    pads[1] = createPad(1);
+    input.poll();
+
+    pads[0] = createPad(0, { held: ["a"] });
+    pads[1] = createPad(1, { held: ["b", "select"] });
+    assert.deepEqual(ofType(input.poll(), "buttonPressed"), [
+      { type: "buttonPressed", player: 0, button: "a" },
+      { type: "buttonPressed", player: 1, button: "b" },
+      { type: "buttonPressed", player: 1, button: "select" },
+    ]);
+  });
+});
+
+describe("menu navigation", () => {
+  it("moves focus with the d-pad and presses the focused button with A", () => {
+    assert.deepEqual(GamepadInput.getMenuCommand("up"), { type: "move", direction: -1 });
+    assert.deepEqual(GamepadInput.getMenuCommand("left"), { type: "move", direction: -1 });
+    assert.deepEqual(GamepadInput.getMenuCommand("down"), { type: "move", direction: 1 });
+    assert.deepEqual(GamepadInput.getMenuCommand("right"), { type: "move", direction: 1 });
+    assert.deepEqual(GamepadInput.getMenuCommand("a"), { type: "activate" });
+    ["b", "x", "y", "start", "select"].forEach((button) => {
+      assert.equal(GamepadInput.getMenuCommand(button), null);
+    });
+  });
+
+  it("turns polled pad states into one command per press", () => {
+    const { input, pads } = createInput();
+    pads[0] = createPad(0);
+    input.poll();
+
+    // What a player does on the settings screen: down, down, hold down, up, stick down, A
+    const frames = [["down"], [], ["down"], ["down"], [], ["up"], [], { stick: 1 }, ["a"]];
+    const commands = frames.flatMap((frame) => {
+      pads[0] = createPad(0, Array.isArray(frame) ? { held: frame } : frame);
+      return ofType(input.poll(), "buttonPressed")
+        .map((event) => GamepadInput.getMenuCommand(event.button))
+        .filter(Boolean);
+    });
+    assert.deepEqual(commands, [
+      { type: "move", direction: 1 },
+      { type: "move", direction: 1 },
+      { type: "move", direction: -1 },
+      { type: "activate" },
+    ]);
+  });
+});
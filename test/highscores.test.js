@@ -0,0 +1,55 @@
+// Loading and migrating saved high score tables.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { HighScoreStore } from "../highscores.js";
+
+/**
+ * Creates an in-memory storage holding a saved table.
+ * @param {*} saved - Value to save under the high score key (undefined for none).
+ * @returns {object} - Storage with getItem and setItem.
+ */
+function createStorage(saved) {
+  const items = new Map();
+  if (saved !== undefined) {
+    items.set(HighScoreStore.STORAGE_KEY, JSON.stringify(saved));
+  }
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+const ENTRY = { name: "ADA", score: 12, time: 30, date: "2026-01-02T03:04:05.000Z" };
+
+describe("HighScoreStore", () => {
+  it("moves version 1 hit counts to the legacy table", () => {
+    const store = new HighScoreStore(createStorage({ version: 1, lastName: "ADA", modes: { classic: [ENTRY] } }));
+    assert.equal(store.data.version, HighScoreStore.VERSION);
+    assert.deepEqual(store.getScores("classic"), []);
+    assert.deepEqual(store.getLegacyScores("classic"), [ENTRY]);
+    assert.equal(store.getLastName(), "ADA");
+  });
+
+  it("never ranks version 1 scores against newer points", () => {
+    const storage = createStorage({ version: 1, lastName: "", modes: { classic: [{ ...ENTRY, score: 500 }] } });
+    const store = new HighScoreStore(storage);
+    assert.equal(store.qualifies("classic", 1, 1), true);
+    assert.equal(store.addScore("classic", { name: "BOB", score: 40, time: 20 }), 1); // Tops the table despite 500 old hits
+
+    const saved = JSON.parse(storage.getItem(HighScoreStore.STORAGE_KEY));
+    assert.equal(saved.version, HighScoreStore.VERSION);
+    assert.deepEqual(saved.modes.classic.map((entry) => entry.name), ["BOB"]);
+    assert.deepEqual(saved.legacy.classic.map((entry) => entry.score), [500]);
+
+    const reloaded = new HighScoreStore(storage); // Saved legacy tables stay apart
+    assert.deepEqual(reloaded.getScores("classic").map((entry) => entry.name), ["BOB"]);
+    assert.deepEqual(reloaded.getLegacyScores("classic").map((entry) => entry.score), [500]);
+  });
+
+  it("starts empty for unknown versions and corrupted saves", () => {
+    assert.deepEqual(new HighScoreStore(createStorage({ version: 99, modes: { classic: [ENTRY] } })).getScores("classic"), []);
+    assert.deepEqual(new HighScoreStore(createStorage(42)).getScores("classic"), []);
+    assert.deepEqual(new HighScoreStore(createStorage()).getScores("classic"), []);
+  });
+});
@@ -0,0 +1,102 @@
+// Saving, validating, trending and exporting the session history.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SessionHistory } from "../history.js";
+
+/**
+ * Creates an in-memory storage holding a saved history.
+ * @param {*} saved - Value to save under the history key (undefined for none).
+ * @returns {object} - Storage with getItem and setItem.
+ */
+function createStorage(saved) {
+  const items = new Map();
+  if (saved !== undefined) {
+    items.set(SessionHistory.STORAGE_KEY, JSON.stringify(saved));
+  }
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+/**
+ * Builds a finished match as the game passes it to addSession.
+ * @param {object} [overrides] - Fields to replace.
+ * @returns {object} - Match result.
+ */
+function createMatch(overrides = {}) {
+  return {
+    mode: "speed",
+    players: "solo",
+    score: 10,
+    scores: [10, 0],
+    winner: null,
+    time: 60,
+    stats: { longestRally: 4, peakSpeed: 500, ballLives: [12.5, 30] },
+    date: new Date("2026-03-04T05:06:07.000Z"),
+    ...overrides,
+  };
+}
+
+describe("SessionHistory", () => {
+  it("saves sessions newest first and loads them back", () => {
+    const storage = createStorage();
+    const history = new SessionHistory(storage);
+    history.addSession(createMatch({ score: 1 }));
+    history.addSession(createMatch({ score: 2 }));
+
+    const reloaded = new SessionHistory(storage);
+    assert.deepEqual(reloaded.getRecent().map((session) => session.score), [2, 1]);
+    assert.equal(reloaded.getRecent()[0].date, "2026-03-04T05:06:07.000Z");
+    assert.equal(reloaded.getRecent(1).length, 1);
+  });
+
+  it("keeps only the most recent sessions", () => {
+    const history = new SessionHistory(createStorage());
+    for (let score = 0; score < SessionHistory.MAX_SESSIONS + 3; score++) {
+      history.addSession(createMatch({ score }));
+    }
+    assert.equal(history.getRecent().length, SessionHistory.MAX_SESSIONS);
+    assert.equal(history.getRecent()[0].score, SessionHistory.MAX_SESSIONS + 2);
+  });
+
+  it("drops invalid sessions and unknown saves on load", () => {
+    const valid = { ...createMatch(), date: "2026-03-04T05:06:07.000Z" };
+    const { ballLives, ...olderStats } = valid.stats;
+    const sessions = [
+      valid,
+      { ...valid, stats: olderStats }, // Saved before survival times were kept
+      { ...valid, date: "yesterday" },
+      { ...valid, scores: [1] },
+      { ...valid, stats: { ...valid.stats, peakSpeed: -1 } },
+      { ...valid, stats: { ...valid.stats, ballLives: [3, "long"] } },
+      null,
+    ];
+    const history = new SessionHistory(createStorage({ version: SessionHistory.VERSION, sessions }));
+    assert.deepEqual(history.getRecent(), [valid, { ...valid, stats: olderStats }]);
+
+    assert.deepEqual(new SessionHistory(createStorage({ version: 99, sessions })).getRecent(), []);
+    assert.deepEqual(new SessionHistory(createStorage("broken")).getRecent(), []);
+  });
+
+  it("compares the latest sessions with the ones before", () => {
+    const history = new SessionHistory(createStorage());
+    [1, 1, 1, 2, 2, 2].forEach((longestRally) => {
+      history.addSession(createMatch({ stats: { longestRally, peakSpeed: 500 } }));
+    });
+    assert.deepEqual(history.getTrend((session) => session.stats.longestRally, 3), { average: 2, change: 1 });
+    assert.deepEqual(history.getTrend((session) => session.stats.longestRally, 6), { average: 1.5, change: null });
+    assert.equal(history.getTrend(() => null), null);
+  });
+
+  it("exports every session with each ball's survival time", () => {
+    const history = new SessionHistory(createStorage());
+    history.addSession(createMatch());
+    const exported = JSON.parse(history.exportJSON());
+    assert.equal(exported.version, SessionHistory.VERSION);
+    assert.ok(!Number.isNaN(Date.parse(exported.exportedAt)));
+    assert.deepEqual(exported.sessions, history.getRecent());
+    assert.deepEqual(exported.sessions[0].stats.ballLives, [12.5, 30]);
+  });
+});
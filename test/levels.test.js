@@ -0,0 +1,60 @@
+// Loading the bundled levels, with fetch served from the levels folder.
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { Levels } from "../levels.js";
+
+const realFetch = globalThis.fetch;
+
+/**
+ * Serves files from disk the way fetch would, with some paths replaced.
+ * @param {object} [overrides={}] - Response bodies by file name; null answers 404.
+ * @returns {Function} - fetch stand-in.
+ */
+function createFetch(overrides = {}) {
+  return async (url) => {
+    const name = url.pathname.split("/").pop();
+    const body = name in overrides ? overrides[name] : await readFile(url, "utf8").catch(() => null);
+    return {
+      ok: body !== null,
+      status: body === null ? 404 : 200,
+      json: async () => JSON.parse(body),
+    };
+  };
+}
+
+describe("Levels.loadBundled", () => {
+  beforeEach(() => {
+    globalThis.fetch = createFetch();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it("loads every bundled level in index order", async () => {
+    const index = JSON.parse(await readFile(new URL("index.json", Levels.BASE_URL), "utf8"));
+    const { levels, skipped } = await Levels.loadBundled();
+    assert.deepEqual(skipped, []);
+    assert.equal(levels.length, index.levels.length);
+  });
+
+  it("skips broken files and returns them with the reason", async () => {
+    globalThis.fetch = createFetch({
+      "index.json": JSON.stringify({ levels: ["pillars.json", "missing.json", "broken.json"] }),
+      "missing.json": null,
+      "broken.json": JSON.stringify({ id: "broken" }),
+    });
+    const { levels, skipped } = await Levels.loadBundled();
+    assert.deepEqual(levels.map((level) => level.id), ["pillars"]);
+    assert.deepEqual(skipped.map((problem) => problem.file), ["missing.json", "broken.json"]);
+    assert.match(skipped[0].error, /HTTP 404/);
+    assert.equal(typeof skipped[1].error, "string");
+  });
+
+  it("fails when the index cannot be loaded", async () => {
+    globalThis.fetch = createFetch({ "index.json": null });
+    await assert.rejects(Levels.loadBundled(), /HTTP 404/);
+  });
+});
@@ -0,0 +1,60 @@
+// Game mode registry: lookup, defaults and definition checks.
+
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { GameModeRegistry } from "../modes.js";
+
+const CUSTOM = { id: "test-custom", name: "CUSTOM", description: "Test mode" };
+
+describe("GameModeRegistry", () => {
+  afterEach(() => {
+    GameModeRegistry.modes.delete(CUSTOM.id); // Keep the shared registry to the built-in modes
+  });
+
+  it("lists the built-in modes in registration order", () => {
+    assert.deepEqual(GameModeRegistry.list().map((mode) => mode.id), ["speed", "agility"]);
+    assert.equal(GameModeRegistry.get("agility").spawn.interval, 10);
+  });
+
+  it("throws for an unknown id", () => {
+    assert.throws(() => GameModeRegistry.get("chaos"), /Unknown game mode "chaos"/);
+  });
+
+  it("registers a mode with defaults for the fields it leaves out", () => {
+    const mode = GameModeRegistry.register({ ...CUSTOM, startSpeed: 900, maxSpeed: 900, rules: { lives: 1 } });
+    assert.equal(GameModeRegistry.get(CUSTOM.id), mode);
+    assert.equal(mode.speedIncrement, GameModeRegistry.DEFAULTS.speedIncrement);
+    assert.equal(mode.scoring, GameModeRegistry.DEFAULTS.scoring);
+    assert.deepEqual(mode.rules, { ...GameModeRegistry.DEFAULTS.rules, lives: 1 });
+    assert.equal(GameModeRegistry.list().at(-1), mode);
+  });
+
+  it("replaces a mode registered again under the same id", () => {
+    GameModeRegistry.register(CUSTOM);
+    GameModeRegistry.register({ ...CUSTOM, name: "RENAMED" });
+    assert.equal(GameModeRegistry.get(CUSTOM.id).name, "RENAMED");
+    assert.equal(GameModeRegistry.list().filter((mode) => mode.id === CUSTOM.id).length, 1);
+  });
+
+  it("names every invalid field and registers nothing", () => {
+    const definition = {
+      ...CUSTOM,
+      name: "",
+      startSpeed: 800,
+      maxSpeed: 600,
+      spawn: { interval: 5, count: 0 },
+      ballCap: 1.5,
+      rules: { lives: 0, timeLimit: -10 },
+    };
+    assert.throws(
+      () => GameModeRegistry.register(definition),
+      { message: 'Invalid game mode "test-custom": name, maxSpeed, spawn, ballCap, rules.lives, rules.timeLimit' }
+    );
+    assert.equal(GameModeRegistry.modes.has(CUSTOM.id), false);
+  });
+
+  it("accepts a full scoring rule set in place of an id", () => {
+    assert.throws(() => GameModeRegistry.normalize({ ...CUSTOM, scoring: null }), /scoring/);
+    assert.deepEqual(GameModeRegistry.normalize({ ...CUSTOM, scoring: { id: "own" } }).scoring, { id: "own" });
+  });
+});
@@ -0,0 +1,225 @@
+// Relay connection message handling against a fake WebSocket.
+
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { RelayConnection } from "../net.js";
+
+// Stands in for the browser WebSocket: records what is sent and lets the
+// test open, message and drop it.
+class FakeSocket {
+  static instances = []; // Every socket created, oldest first
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    this.closed = false;
+    FakeSocket.instances.push(this);
+  }
+
+  send(text) {
+    this.sent.push(JSON.parse(text));
+  }
+
+  close() {
+    this.closed = true;
+    this.readyState = 3;
+  }
+
+  /**
+   * Finishes connecting.
+   */
+  open() {
+    this.readyState = 1;
+    this.onopen();
+  }
+
+  /**
+   * Delivers a message from the server.
+   * @param {object|string} message - Message (strings are sent as they are).
+   */
+  receive(message) {
+    this.onmessage({ data: typeof message === "string" ? message : JSON.stringify(message) });
+  }
+
+  /**
+   * Drops the connection from the server side.
+   */
+  drop() {
+    this.readyState = 3;
+    this.onclose();
+  }
+}
+
+/**
+ * Creates a connection that records every event it emits.
+ * @returns {{connection: RelayConnection, events: Array<Array>}} - Connection and [type, message] pairs.
+ */
+function createConnection() {
+  const connection = new RelayConnection("ws://relay.test", FakeSocket);
+  const events = [];
+  ["hosted", "joined", "rejoined", "peerJoined", "roomClosed", "error", "data", "reconnecting", "failed"].forEach((type) => {
+    connection.on(type, (message) => events.push([type, message]));
+  });
+  return { connection, events };
+}
+
+/**
+ * Returns the newest fake socket.
+ * @returns {FakeSocket} - Socket.
+ */
+function lastSocket() {
+  return FakeSocket.instances[FakeSocket.instances.length - 1];
+}
+
+beforeEach(() => {
+  FakeSocket.instances = [];
+});
+
+describe("hosting and joining", () => {
+  it("sends the request once connected and keeps the room and seat", () => {
+    const { connection, events } = createConnection();
+    connection.host();
+    const socket = lastSocket();
+    assert.equal(socket.url, "ws://relay.test");
+    assert.deepEqual(socket.sent, []);
+
+    socket.open();
+    assert.deepEqual(socket.sent, [{ type: "host" }]);
+    socket.receive({ type: "hosted", room: "ABCD", token: "t1", role: "host" });
+    assert.equal(connection.room, "ABCD");
+    assert.equal(connection.token, "t1");
+    assert.equal(connection.role, "host");
+    assert.deepEqual(events.map(([type]) => type), ["hosted"]);
+  });
+
+  it("joins with the room code in capitals", () => {
+    const { connection } = createConnection();
+    connection.join("abcd");
+    lastSocket().open();
+    assert.deepEqual(lastSocket().sent, [{ type: "join", room: "ABCD" }]);
+  });
+
+  it("reports a relay server that cannot be reached", () => {
+    const connection = new RelayConnection("ws://relay.test", class {
+      constructor() {
+        throw new Error("blocked");
+      }
+    });
+    const failures = [];
+    connection.on("failed", (message) => failures.push(message.code));
+    connection.host();
+    assert.deepEqual(failures, ["unreachable"]);
+  });
+});
+
+describe("messages", () => {
+  it("passes relayed game data to the data listener", () => {
+    const { connection, events } = createConnection();
+    connection.host();
+    lastSocket().open();
+    lastSocket().receive({ type: "relay", data: { inputs: [1] } });
+    assert.deepEqual(events, [["data", { inputs: [1] }]]);
+  });
+
+  it("passes other messages to their listeners and ignores anything that is not JSON", () => {
+    const { connection, events } = createConnection();
+    connection.host();
+    lastSocket().open();
+    lastSocket().receive("not json");
+    lastSocket().receive({ type: "peerJoined" });
+    assert.deepEqual(events, [["peerJoined", { type: "peerJoined" }]]);
+  });
+
+  it("wraps sent game data, and drops it while disconnected", () => {
+    const { connection } = createConnection();
+    connection.host();
+    connection.send({ frame: 1 });
+    lastSocket().open();
+    connection.send({ frame: 2 });
+    assert.deepEqual(lastSocket().sent, [{ type: "host" }, { type: "relay", data: { frame: 2 } }]);
+  });
+
+  it("closes for good when the room closes", () => {
+    const { connection, events } = createConnection();
+    connection.host();
+    const socket = lastSocket();
+    socket.open();
+    socket.receive({ type: "hosted", room: "ABCD", token: "t1", role: "host" });
+    socket.receive({ type: "roomClosed" });
+    assert.equal(connection.closed, true);
+    assert.equal(socket.closed, true);
+    assert.deepEqual(socket.sent.at(-1), { type: "leave" });
+    assert.deepEqual(events.map(([type]) => type), ["hosted", "roomClosed"]);
+  });
+});
+
+describe("reconnecting", () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ["setTimeout"] });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  /**
+   * Hosts a room and drops the connection.
+   * @returns {{connection: RelayConnection, events: Array<Array>}} - Connection and its events.
+   */
+  function hostAndDrop() {
+    const created = createConnection();
+    created.connection.host();
+    lastSocket().open();
+    lastSocket().receive({ type: "hosted", room: "ABCD", token: "t1", role: "host" });
+    lastSocket().drop();
+    return created;
+  }
+
+  it("rejoins the room with its token after the first delay", () => {
+    const { events } = hostAndDrop();
+    assert.deepEqual(events.at(-1), ["reconnecting", { attempt: 1 }]);
+    assert.equal(FakeSocket.instances.length, 1);
+
+    mock.timers.tick(RelayConnection.RECONNECT_DELAYS[0]);
+    assert.equal(FakeSocket.instances.length, 2);
+    lastSocket().open();
+    assert.deepEqual(lastSocket().sent, [{ type: "rejoin", room: "ABCD", token: "t1" }]);
+  });
+
+  it("starts counting attempts again once rejoined", () => {
+    const { connection } = hostAndDrop();
+    mock.timers.tick(RelayConnection.RECONNECT_DELAYS[0]);
+    lastSocket().drop();
+    assert.equal(connection.attempt, 2);
+
+    mock.timers.tick(RelayConnection.RECONNECT_DELAYS[1]);
+    lastSocket().open();
+    lastSocket().receive({ type: "rejoined", room: "ABCD", token: "t2", role: "host" });
+    assert.equal(connection.attempt, 0);
+    assert.equal(connection.token, "t2");
+  });
+
+  it("gives up after the last attempt", () => {
+    const { connection, events } = hostAndDrop();
+    RelayConnection.RECONNECT_DELAYS.forEach((delay) => {
+      mock.timers.tick(delay);
+      lastSocket().drop();
+    });
+    assert.equal(connection.closed, true);
+    assert.deepEqual(events.at(-1), ["failed", { code: "connectionLost", message: "Connection lost" }]);
+    assert.equal(FakeSocket.instances.length, RelayConnection.RECONNECT_DELAYS.length + 1);
+  });
+
+  it("does not reconnect without a room, or after close()", () => {
+    const { connection, events } = createConnection();
+    connection.host();
+    lastSocket().drop();
+    assert.deepEqual(events.map(([type, message]) => [type, message.code]), [["failed", "unreachable"]]);
+
+    const closing = hostAndDrop().connection;
+    closing.close();
+    mock.timers.tick(RelayConnection.RECONNECT_DELAYS[0]);
+    assert.equal(FakeSocket.instances.length, 2);
+  });
+});
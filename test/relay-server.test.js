@@ -0,0 +1,318 @@
+// Relay server: WebSocket handshake and framing, and room handling, over
+// real sockets with a minimal client.
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import crypto from "node:crypto";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { RelayServer } from "../relay-server.mjs";
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const TIMEOUT = 2000; // Milliseconds to wait for a message before failing
+
+// WebSocket client speaking just enough of RFC 6455 for the tests
+class TestClient {
+  /**
+   * Wraps an upgraded socket.
+   * @param {import("node:net").Socket} socket - Socket after the handshake.
+   * @param {http.IncomingMessage} response - The 101 response.
+   */
+  constructor(socket, response) {
+    this.socket = socket;
+    this.response = response;
+    this.buffer = Buffer.alloc(0);
+    this.queue = [];   // Received frames nobody waited for yet
+    this.waiting = []; // Pending next() calls
+    socket.on("data", (chunk) => this.receive(chunk));
+  }
+
+  /**
+   * Parses server frames (never masked): text frames become parsed
+   * messages, other frames { opcode, payload }.
+   * @param {Buffer} chunk - Received bytes.
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 2) {
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      }
+      if (this.buffer.length < offset + length) return;
+      const opcode = this.buffer[0] & 0x0f;
+      const payload = this.buffer.subarray(offset, offset + length);
+      this.buffer = this.buffer.subarray(offset + length);
+      this.push(opcode === 0x1 ? JSON.parse(payload.toString("utf8")) : { opcode, payload: Buffer.from(payload) });
+    }
+  }
+
+  /**
+   * Hands a frame to the oldest waiting next() call, or queues it.
+   * @param {object} frame - Received frame.
+   */
+  push(frame) {
+    const waiter = this.waiting.shift();
+    if (waiter) waiter(frame);
+    else this.queue.push(frame);
+  }
+
+  /**
+   * Resolves with the next frame.
+   * @returns {Promise<object>} - Message or control frame.
+   */
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve(this.queue.shift());
+    }
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("No message from the server")), TIMEOUT);
+      this.waiting.push((frame) => {
+        clearTimeout(timer);
+        resolve(frame);
+      });
+    });
+  }
+
+  /**
+   * Sends one frame.
+   * @param {number} opcode - Frame type.
+   * @param {Buffer|string} data - Payload.
+   * @param {object} [options] - Frame flags.
+   * @param {boolean} [options.fin=true] - Last frame of its message.
+   * @param {boolean} [options.masked=true] - Mask the payload, as clients must.
+   */
+  sendFrame(opcode, data, { fin = true, masked = true } = {}) {
+    const payload = Buffer.from(data);
+    const header = Buffer.from([(fin ? 0x80 : 0) | opcode, (masked ? 0x80 : 0) | payload.length]);
+    if (!masked) {
+      this.socket.write(Buffer.concat([header, payload]));
+      return;
+    }
+    const mask = crypto.randomBytes(4);
+    const body = payload.map((byte, index) => byte ^ mask[index % 4]);
+    this.socket.write(Buffer.concat([header, mask, body]));
+  }
+
+  /**
+   * Sends a JSON message.
+   * @param {object} message - Message.
+   */
+  send(message) {
+    this.sendFrame(0x1, JSON.stringify(message));
+  }
+}
+
+describe("RelayServer", () => {
+  let relay;
+  let port;
+  const clients = [];
+
+  before(async () => {
+    relay = new RelayServer(ROOT);
+    await new Promise((resolve) => relay.server.listen(0, "127.0.0.1", resolve));
+    port = relay.server.address().port;
+  });
+
+  after(async () => {
+    clients.forEach((client) => client.socket.destroy());
+    relay.rooms.forEach((room) => relay.closeRoom(room)); // Stop reconnect timers
+    clearInterval(relay.heartbeat);
+    await new Promise((resolve) => relay.server.close(resolve));
+  });
+
+  /**
+   * Sends an upgrade request.
+   * @param {object} [headers] - Request headers (a valid WebSocket upgrade by default).
+   * @returns {Promise<object>} - { client } once upgraded, or { response } when refused.
+   */
+  function upgrade(headers = { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"), "Sec-WebSocket-Version": "13" }) {
+    return new Promise((resolve, reject) => {
+      const request = http.request({ host: "127.0.0.1", port, headers });
+      request.on("upgrade", (response, socket) => {
+        const client = new TestClient(socket, response);
+        clients.push(client);
+        resolve({ client });
+      });
+      request.on("response", (response) => resolve({ response }));
+      request.on("error", reject);
+      request.end();
+    });
+  }
+
+  /**
+   * Opens a WebSocket connection.
+   * @returns {Promise<TestClient>} - Connected client.
+   */
+  async function connect() {
+    return (await upgrade()).client;
+  }
+
+  /**
+   * Opens a room and a guest in it.
+   * @returns {Promise<object>} - { host, guest, room, hostToken, guestToken }.
+   */
+  async function openRoom() {
+    const host = await connect();
+    host.send({ type: "host" });
+    const hosted = await host.next();
+    const guest = await connect();
+    guest.send({ type: "join", room: hosted.room.toLowerCase() });
+    const joined = await guest.next();
+    assert.deepEqual(await host.next(), { type: "peerJoined" });
+    return { host, guest, room: hosted.room, hostToken: hosted.token, guestToken: joined.token };
+  }
+
+  describe("handshake", () => {
+    it("answers the upgrade with the accept key from the RFC", async () => {
+      const { client } = await upgrade({ Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": "dGhlIHNhbXBsZSBub25jZQ==" });
+      assert.equal(client.response.statusCode, 101);
+      assert.equal(client.response.headers["sec-websocket-accept"], "s3pPLMBiTxaQ9kYGzzhZRbK+xOo=");
+    });
+
+    it("refuses an upgrade without a key", async () => {
+      const socket = await new Promise((resolve) => {
+        const request = http.request({ host: "127.0.0.1", port, headers: { Connection: "Upgrade", Upgrade: "websocket" } });
+        request.on("socket", resolve);
+        request.end();
+      });
+      const reply = await new Promise((resolve) => {
+        let text = "";
+        socket.on("data", (chunk) => { text += chunk; });
+        socket.on("close", () => resolve(text));
+      });
+      assert.match(reply, /^HTTP\/1\.1 400/);
+    });
+
+    it("still serves the game files over plain HTTP", async () => {
+      const { response } = await upgrade({});
+      assert.equal(response.statusCode, 200);
+      response.resume();
+    });
+  });
+
+  describe("framing", () => {
+    it("joins a message split over continuation frames", async () => {
+      const client = await connect();
+      client.sendFrame(0x1, '{"type":', { fin: false });
+      client.sendFrame(0x0, '"host"}');
+      assert.equal((await client.next()).type, "hosted");
+    });
+
+    it("answers a ping with a pong carrying the same data", async () => {
+      const client = await connect();
+      client.sendFrame(0x9, "beat");
+      const pong = await client.next();
+      assert.equal(pong.opcode, 0xa);
+      assert.equal(pong.payload.toString(), "beat");
+    });
+
+    it("closes with 1002 on an unmasked frame and 1003 on a binary one", async () => {
+      const unmasked = await connect();
+      unmasked.sendFrame(0x1, "{}", { masked: false });
+      assert.equal((await unmasked.next()).payload.readUInt16BE(0), 1002);
+
+      const binary = await connect();
+      binary.sendFrame(0x2, "data");
+      assert.equal((await binary.next()).payload.readUInt16BE(0), 1003);
+    });
+
+    it("reports messages that are not JSON or of an unknown type", async () => {
+      const client = await connect();
+      client.sendFrame(0x1, "not json");
+      assert.equal((await client.next()).code, "invalidMessage");
+      client.send({ type: "dance" });
+      assert.equal((await client.next()).code, "unknownType");
+    });
+  });
+
+  describe("rooms", () => {
+    it("hosts a room, lets a guest join by code and relays between them", async () => {
+      const { host, guest, room } = await openRoom();
+      assert.match(room, new RegExp(`^[${RelayServer.CODE_LETTERS}]{${RelayServer.CODE_LENGTH}}$`));
+
+      host.send({ type: "relay", data: { frame: 1 } });
+      assert.deepEqual(await guest.next(), { type: "relay", data: { frame: 1 } });
+      guest.send({ type: "relay", data: { paddle: 0.5 } });
+      assert.deepEqual(await host.next(), { type: "relay", data: { paddle: 0.5 } });
+    });
+
+    it("refuses unknown and full rooms", async () => {
+      const { room } = await openRoom();
+      const client = await connect();
+      client.send({ type: "join", room: "ZZZZZ" });
+      assert.equal((await client.next()).code, "roomNotFound");
+      client.send({ type: "join", room });
+      assert.equal((await client.next()).code, "roomFull");
+    });
+
+    it("does not let a host join its own room", async () => {
+      const host = await connect();
+      host.send({ type: "host" });
+      const { room } = await host.next();
+      host.send({ type: "join", room });
+      assert.equal((await host.next()).code, "alreadyInRoom");
+
+      const guest = await connect(); // The room is still open for a real guest
+      guest.send({ type: "join", room });
+      assert.equal((await guest.next()).type, "joined");
+      assert.deepEqual(await host.next(), { type: "peerJoined" });
+    });
+
+    it("closes a guest's room when the guest joins another", async () => {
+      const first = await openRoom();
+      const otherHost = await connect();
+      otherHost.send({ type: "host" });
+      const { room } = await otherHost.next();
+
+      first.guest.send({ type: "join", room });
+      assert.deepEqual(await first.guest.next(), { type: "roomClosed" });
+      assert.equal((await first.guest.next()).type, "joined");
+      assert.deepEqual(await first.host.next(), { type: "roomClosed" });
+      assert.equal(relay.rooms.has(first.room), false);
+    });
+
+    it("closes a host's previous room when it hosts again", async () => {
+      const { host, guest, room } = await openRoom();
+      host.send({ type: "host" });
+      assert.deepEqual(await guest.next(), { type: "roomClosed" });
+      assert.deepEqual(await host.next(), { type: "roomClosed" });
+      assert.equal((await host.next()).type, "hosted");
+      assert.equal(relay.rooms.has(room), false);
+    });
+
+    it("keeps the room for a dropped player who rejoins with their token", async () => {
+      const { host, guest, room, guestToken } = await openRoom();
+      guest.socket.destroy();
+      assert.deepEqual(await host.next(), { type: "peerLeft" });
+      assert.notEqual(relay.rooms.get(room).closeTimer, null);
+
+      const returning = await connect();
+      returning.send({ type: "rejoin", room, token: guestToken });
+      assert.deepEqual(await returning.next(), { type: "rejoined", room, token: guestToken, role: "guest" });
+      assert.deepEqual(await host.next(), { type: "peerReturned" });
+      assert.equal(relay.rooms.get(room).closeTimer, null);
+
+      host.send({ type: "relay", data: "hello" });
+      assert.deepEqual(await returning.next(), { type: "relay", data: "hello" });
+    });
+
+    it("turns away a rejoin with the wrong token", async () => {
+      const { room } = await openRoom();
+      const stranger = await connect();
+      stranger.send({ type: "rejoin", room, token: "guess" });
+      assert.deepEqual(await stranger.next(), { type: "roomClosed" });
+    });
+
+    it("closes the room for both players when one leaves", async () => {
+      const { host, guest, room } = await openRoom();
+      guest.send({ type: "leave" });
+      assert.deepEqual(await host.next(), { type: "roomClosed" });
+      assert.deepEqual(await guest.next(), { type: "roomClosed" });
+      assert.equal(relay.rooms.has(room), false);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// Replay playback: deterministic, seekable, and laid out for the screen it is
+// watched on.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PongSimulation } from "../simulation.js";
+import { ReplayRecorder, ReplayPlayer } from "../replay.js";
+
+const FIELD = {
+  width: 800,
+  height: 600,
+  headerHeight: 60,
+  paddle: { width: 20, height: 100, offset: 30 },
+  ballRadius: 10,
+};
+
+// A portrait phone: the field a match may be resized to mid-recording
+const SMALL_FIELD = {
+  width: 400,
+  height: 900,
+  headerHeight: 40,
+  paddle: { width: 12, height: 80, offset: 16 },
+  ballRadius: 6,
+};
+
+/**
+ * Records a match, moving both paddles up and down, and resizing the field
+ * at the frames given.
+ * @param {object} [options] - Recording options.
+ * @param {number} [options.frames=600] - Frames to record.
+ * @param {object} [options.resizes={}] - Play area sizes by the frame they apply at.
+ * @returns {{replay: object, simulation: PongSimulation, events: Array<object>}} - The replay, the recorded
+ *   simulation at its end and every event it produced.
+ */
+function recordMatch({ frames = 600, resizes = {} } = {}) {
+  const simulation = new PongSimulation({ ...FIELD, seed: 42, players: "versus" });
+  const recorder = new ReplayRecorder(simulation.config);
+  const events = [];
+  for (let frame = 0; frame < frames; frame++) {
+    const dt = frame % 3 === 0 ? 1 / 50 : 1 / 60; // Uneven frames, like a real browser
+    const inputs = { paddles: [{ move: Math.sin(frame / 20) }, { move: Math.cos(frame / 25) }] };
+    if (resizes[frame]) {
+      inputs.resize = resizes[frame];
+    }
+    recorder.record(dt, inputs);
+    events.push(...simulation.step(dt, inputs).events);
+  }
+  return { replay: recorder.getReplay(), simulation, events };
+}
+
+/**
+ * Asserts that every paddle and ball of a state lies inside a play area.
+ * @param {object} state - Simulation state.
+ * @param {object} field - Play area size.
+ */
+function assertInside(state, field) {
+  state.paddles.forEach((paddle) => {
+    assert.equal(paddle.x, paddle.side === "left" ? field.paddle.offset : field.width - field.paddle.offset);
+    assert.ok(paddle.y >= field.headerHeight && paddle.y <= field.height, `paddle y ${paddle.y}`);
+  });
+  state.balls.forEach((ball) => {
+    assert.ok(ball.x >= 0 && ball.x <= field.width, `ball x ${ball.x}`);
+    assert.ok(ball.y >= field.headerHeight && ball.y <= field.height, `ball y ${ball.y}`);
+  });
+}
+
+describe("ReplayPlayer views", () => {
+  it("shows the recorded state as it is on a screen of the recorded size", () => {
+    const player = new ReplayPlayer(recordMatch({ frames: 300 }).replay);
+    player.seek(player.duration / 2);
+    assert.deepEqual(player.getView(FIELD), player.state);
+  });
+
+  it("lays out a match recorded on a resized screen for the current one", () => {
+    const player = new ReplayPlayer(recordMatch({ resizes: { 200: SMALL_FIELD } }).replay);
+    player.seek(player.duration);
+    assert.equal(player.simulation.config.width, SMALL_FIELD.width); // The recorded resize was played
+
+    const view = player.getView(FIELD);
+    assertInside(view, FIELD);
+    view.paddles.forEach((paddle, index) => {
+      const recorded = player.state.paddles[index];
+      const share = (recorded.height / (SMALL_FIELD.height - SMALL_FIELD.headerHeight));
+      assert.ok(Math.abs(paddle.height / (FIELD.height - FIELD.headerHeight) - share) < 1e-9); // Same share of the field
+    });
+  });
+
+  it("lays out a match for a screen resized after the recording", () => {
+    const player = new ReplayPlayer(recordMatch({ frames: 300 }).replay);
+    player.seek(player.duration / 3);
+    assertInside(player.getView(SMALL_FIELD), SMALL_FIELD);
+  });
+});
+
+describe("ReplayPlayer playback", () => {
+  it("plays a recorded match back to the same final state and events", () => {
+    const { replay, simulation, events } = recordMatch({ frames: 1200 });
+    assert.ok(events.length > 0); // The match got far enough to score
+
+    const player = new ReplayPlayer(JSON.parse(JSON.stringify(replay))); // As saved and loaded
+    const played = player.update(player.duration);
+    assert.equal(player.finished, true);
+    assert.deepEqual(player.state, simulation.state);
+    assert.deepEqual(played, events);
+  });
+
+  it("reaches the same frame by seeking through keyframes as by stepping there", () => {
+    const { replay } = recordMatch({ resizes: { 200: SMALL_FIELD } });
+    const interval = ReplayPlayer.KEYFRAME_INTERVAL;
+    const targets = [1, interval - 1, interval, interval + 1, 250, 3 * interval + 7, replay.frames.length];
+
+    // Step a fresh simulation through every frame, keeping the targets
+    const simulation = new PongSimulation(replay.config);
+    const expected = new Map();
+    replay.frames.forEach((frame, index) => {
+      simulation.step(frame.dt, frame.inputs);
+      if (targets.includes(index + 1)) {
+        expected.set(index + 1, structuredClone({ state: simulation.state, config: simulation.config }));
+      }
+    });
+
+    const player = new ReplayPlayer(replay);
+    [...targets, ...targets.slice().reverse()].forEach((target) => { // Forwards, then back over played frames
+      player.seek(player.frameTimes[target - 1]);
+      assert.equal(player.frame, target);
+      assert.deepEqual({ state: player.state, config: player.simulation.config }, expected.get(target), `frame ${target}`);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// Validating, stepping and loading player settings.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SettingsStore } from "../settings.js";
+
+/**
+ * Creates an in-memory storage holding saved settings.
+ * @param {*} saved - Value to save under the settings key (undefined for none).
+ * @returns {object} - Storage with getItem and setItem.
+ */
+function createStorage(saved) {
+  const items = new Map();
+  if (saved !== undefined) {
+    items.set(SettingsStore.STORAGE_KEY, JSON.stringify(saved));
+  }
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+describe("SettingsStore", () => {
+  it("accepts only values inside a field's range and on its steps", () => {
+    assert.equal(SettingsStore.isValid("startSpeed", 300), true);
+    assert.equal(SettingsStore.isValid("startSpeed", 1500), true);
+    assert.equal(SettingsStore.isValid("startSpeed", null), true); // Keeps the mode's value
+    assert.equal(SettingsStore.isValid("startSpeed", 250), false);
+    assert.equal(SettingsStore.isValid("startSpeed", 1550), false);
+    assert.equal(SettingsStore.isValid("startSpeed", 325), false);
+    assert.equal(SettingsStore.isValid("startSpeed", "600"), false);
+    assert.equal(SettingsStore.isValid("startSpeed", Infinity), false);
+
+    assert.equal(SettingsStore.isValid("theme", "dark"), true);
+    assert.equal(SettingsStore.isValid("theme", "neon"), false);
+    assert.equal(SettingsStore.isValid("theme", null), false); // Only number fields may follow the mode
+    assert.equal(SettingsStore.isValid("volume", 1), false);
+  });
+
+  it("loads valid saved values and defaults the bad or out-of-range ones", () => {
+    const store = new SettingsStore(createStorage({
+      version: SettingsStore.VERSION,
+      values: { startSpeed: 900, maxSpeed: 5000, ballCap: 2.5, paddleHeight: "big", theme: "dark", language: "fr", extra: 1 },
+    }));
+    assert.deepEqual(store.values, { ...SettingsStore.getDefaults(), startSpeed: 900, theme: "dark" });
+  });
+
+  it("starts from the defaults for missing, corrupted and unknown saves", () => {
+    [undefined, "broken", { version: 99, values: { startSpeed: 900 } }, { version: SettingsStore.VERSION }].forEach((saved) => {
+      assert.deepEqual(new SettingsStore(createStorage(saved)).values, SettingsStore.getDefaults());
+    });
+  });
+
+  it("refuses out-of-range changes and saves the others", () => {
+    const storage = createStorage();
+    const store = new SettingsStore(storage);
+    assert.equal(store.set("ballCap", 21), false);
+    assert.equal(store.set("inputScheme", "joystick"), false);
+    assert.equal(store.get("ballCap"), null);
+    assert.equal(store.set("ballCap", 5), true);
+    assert.equal(new SettingsStore(storage).get("ballCap"), 5);
+  });
+
+  it("steps numbers within their range and cycles choices", () => {
+    const store = new SettingsStore(createStorage());
+    store.step("ballCap", 1);
+    assert.equal(store.get("ballCap"), SettingsStore.FIELDS.ballCap.start);
+
+    store.set("ballCap", 20);
+    store.step("ballCap", 1);
+    assert.equal(store.get("ballCap"), 20);
+    store.set("ballCap", 1);
+    store.step("ballCap", -1);
+    assert.equal(store.get("ballCap"), 1);
+
+    store.step("inputScheme", -1);
+    assert.equal(store.get("inputScheme"), "keyboard");
+    store.step("inputScheme", 1);
+    assert.equal(store.get("inputScheme"), "mixed");
+  });
+
+  it("applies gameplay settings to a mode, never below the starting speed", () => {
+    const store = new SettingsStore(createStorage());
+    const mode = { id: "test", startSpeed: 600, speedIncrement: 50, maxSpeed: 1200, ballCap: 1, spawn: null };
+    assert.deepEqual(store.applyToMode(mode), mode);
+
+    store.set("startSpeed", 1500);
+    store.set("maxSpeed", 800);
+    const tuned = store.applyToMode(mode);
+    assert.equal(tuned.startSpeed, 1500);
+    assert.equal(tuned.maxSpeed, 1500);
+  });
+});
@@ -0,0 +1,203 @@
+// Match rules of the headless simulation, driven through step(dt, inputs).
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PongSimulation } from "../simulation.js";
+
+const FIELD = {
+  width: 800,
+  height: 600,
+  headerHeight: 60,
+  paddle: { width: 20, height: 100, offset: 30 },
+  ballRadius: 10,
+};
+
+/**
+ * Creates a match without power-ups, so nothing random gets in the way.
+ * @param {object} [options] - Simulation options on top of the test field.
+ * @returns {PongSimulation} - The simulation, still counting down.
+ */
+function createMatch(options = {}) {
+  return new PongSimulation({ ...FIELD, powerUps: false, seed: 1, scoring: "hits", ...options });
+}
+
+/**
+ * Runs the kickoff countdown and places the served ball.
+ * @param {PongSimulation} simulation - Match still counting down.
+ * @param {object} ball - Ball fields to set (position, direction, speed).
+ * @returns {object} - The ball in the simulation state.
+ */
+function serve(simulation, ball) {
+  simulation.step(PongSimulation.COUNTDOWN);
+  return Object.assign(simulation.state.balls[0], ball);
+}
+
+/**
+ * Returns the events of a type.
+ * @param {Array<object>} events - Events from step.
+ * @param {string} type - Event type.
+ * @returns {Array<object>} - Matching events.
+ */
+function ofType(events, type) {
+  return events.filter((event) => event.type === type);
+}
+
+describe("PongSimulation kickoff", () => {
+  it("counts down before serving the first ball, with the clock stopped", () => {
+    const simulation = createMatch();
+    assert.equal(simulation.state.status, "countdown");
+    assert.equal(simulation.state.balls.length, 0);
+
+    let { events } = simulation.step(PongSimulation.COUNTDOWN - 0.5);
+    assert.equal(ofType(events, "ballServed").length, 0);
+    ({ events } = simulation.step(0.5));
+
+    assert.equal(ofType(events, "ballServed").length, 1);
+    assert.equal(simulation.state.status, "playing");
+    assert.equal(simulation.state.balls.length, 1);
+    assert.equal(simulation.state.time, 0);
+  });
+
+  it("moves the paddles during the countdown", () => {
+    const simulation = createMatch();
+    simulation.step(0.5, { paddles: [{ y: 300 }, null] });
+    assert.equal(simulation.state.paddles[0].y, 300);
+  });
+});
+
+describe("PongSimulation bounces", () => {
+  it("bounces a ball off the top wall", () => {
+    const simulation = createMatch();
+    serve(simulation, { x: 400, y: 100, vx: 0, vy: -1, speed: 600 });
+    const { state, events } = simulation.step(0.1);
+
+    // 30 pixels up to the wall (header plus radius), then 30 back down
+    assert.equal(ofType(events, "wallBounce")[0].wall, "top");
+    assert.ok(Math.abs(state.balls[0].y - 100) < 1e-9);
+    assert.equal(state.balls[0].vy, 1);
+  });
+
+  it("bounces a ball off the bottom wall", () => {
+    const simulation = createMatch();
+    serve(simulation, { x: 400, y: 560, vx: 0, vy: 1, speed: 600 });
+    const { state, events } = simulation.step(0.1);
+
+    assert.equal(ofType(events, "wallBounce")[0].wall, "bottom");
+    assert.ok(Math.abs(state.balls[0].y - 560) < 1e-9);
+    assert.equal(state.balls[0].vy, -1);
+  });
+
+  it("bounces a ball off a paddle and speeds it up", () => {
+    const simulation = createMatch();
+    const paddleY = simulation.state.paddles[0].y;
+    serve(simulation, { x: 100, y: paddleY, vx: -1, vy: 0, speed: 600 });
+    const { state, events } = simulation.step(0.1, { paddles: [{ y: paddleY }, null] });
+
+    const hits = ofType(events, "paddleHit");
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].side, "left");
+    const ball = state.balls[0];
+    assert.ok(ball.vx > 0);
+    assert.equal(ball.speed, 600 + simulation.config.mode.speedIncrement);
+    assert.ok(ball.x > 50 && ball.x < 100); // Back out from the paddle's face at x = 50
+  });
+
+  it("angles the bounce by where the ball meets the paddle", () => {
+    const simulation = createMatch();
+    const paddleY = simulation.state.paddles[0].y;
+    serve(simulation, { x: 100, y: paddleY + 40, vx: -1, vy: 0, speed: 600 });
+    const { state } = simulation.step(0.1, { paddles: [{ y: paddleY }, null] });
+    assert.ok(state.balls[0].vy > 0); // Low hits go down
+  });
+});
+
+describe("PongSimulation solo scoring", () => {
+  it("scores paddle hits with the match's rules", () => {
+    const simulation = createMatch();
+    const paddleY = simulation.state.paddles[0].y;
+    serve(simulation, { x: 100, y: paddleY, vx: -1, vy: 0, speed: 600 });
+    const { state, events } = simulation.step(0.1, { paddles: [{ y: paddleY }, null] });
+
+    assert.equal(ofType(events, "paddleHit")[0].points, 1);
+    assert.equal(state.score, 1);
+    assert.equal(state.scoring.combo, 1);
+  });
+
+  it("takes a life for a lost ball and serves again after the respawn delay", () => {
+    const simulation = createMatch({ lives: 3 });
+    serve(simulation, { x: 5, y: 400, vx: -1, vy: 0, speed: 600 });
+    let { state, events } = simulation.step(0.1);
+
+    assert.deepEqual(ofType(events, "lifeLost"), [{ type: "lifeLost", lives: 2 }]);
+    assert.equal(state.balls.length, 0);
+    assert.equal(state.scoring.combo, 0);
+
+    ({ events } = simulation.step(PongSimulation.RESPAWN_DELAY - 0.05));
+    assert.equal(ofType(events, "ballServed").length, 0);
+    ({ state, events } = simulation.step(0.1));
+    assert.equal(ofType(events, "ballServed").length, 1);
+    assert.equal(state.balls.length, 1);
+  });
+
+  it("ends the match when the last life is lost", () => {
+    const simulation = createMatch({ lives: 1 });
+    serve(simulation, { x: 5, y: 400, vx: -1, vy: 0, speed: 600 });
+    const { state, events } = simulation.step(0.1);
+
+    assert.equal(ofType(events, "gameOver").length, 1);
+    assert.equal(state.status, "gameOver");
+    assert.equal(state.pendingServes.length, 0);
+  });
+});
+
+describe("PongSimulation versus scoring", () => {
+  it("gives the point to the other side and serves towards the side that missed", () => {
+    const simulation = createMatch({ players: "versus" });
+    serve(simulation, { x: 5, y: 400, vx: -1, vy: 0, speed: 600 });
+    let { state, events } = simulation.step(0.1);
+
+    assert.deepEqual(ofType(events, "pointScored"), [{ type: "pointScored", side: "right", scores: [0, 1] }]);
+    assert.equal(state.lives, simulation.config.lives); // Versus has no lives
+
+    simulation.step(PongSimulation.SERVE_DELAY - 0.05);
+    ({ state, events } = simulation.step(0.1));
+    assert.equal(ofType(events, "ballServed").length, 1);
+    assert.ok(state.balls[0].vx < 0);
+  });
+
+  it("ends the match when a side reaches the winning score", () => {
+    const simulation = createMatch({ players: "versus" });
+    const { winningScore } = simulation.config.mode.rules;
+    serve(simulation, { x: 795, y: 400, vx: 1, vy: 0, speed: 600 });
+    simulation.state.scores = [winningScore - 1, 0];
+    const { state, events } = simulation.step(0.1);
+
+    assert.deepEqual(ofType(events, "gameOver"), [{ type: "gameOver", winner: "left" }]);
+    assert.equal(state.status, "gameOver");
+    assert.equal(state.winner, "left");
+  });
+
+  it("ends a timed match as a draw on level scores", () => {
+    const mode = { id: "timed", name: "TIMED", description: "", rules: { timeLimit: 1 } };
+    const simulation = createMatch({ players: "versus", mode });
+    serve(simulation, { x: 400, y: 300, vx: 0, vy: 1, speed: 100 });
+    const { state, events } = simulation.step(1);
+
+    assert.deepEqual(ofType(events, "gameOver"), [{ type: "gameOver", winner: null, reason: "timeLimit" }]);
+    assert.equal(state.winner, null);
+  });
+});
+
+describe("PongSimulation game over", () => {
+  it("stops the match once it is over", () => {
+    const simulation = createMatch({ lives: 1 });
+    serve(simulation, { x: 5, y: 400, vx: -1, vy: 0, speed: 600 });
+    simulation.step(0.1);
+    const time = simulation.state.time;
+    const { state, events } = simulation.step(1, { paddles: [{ y: 300 }, { y: 300 }] });
+
+    assert.deepEqual(events, []);
+    assert.equal(state.time, time);
+    assert.notEqual(state.paddles[0].y, 300);
+  });
+});
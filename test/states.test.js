@@ -0,0 +1,90 @@
+// Screen state machine: allowed moves and the order of enter and exit hooks.
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { StateMachine } from "../states.js";
+
+describe("StateMachine", () => {
+  let calls;
+  let machine;
+
+  /**
+   * Builds a state definition that logs its hooks.
+   * @param {string} name - State name.
+   * @param {Array<string>} to - States it may move to.
+   * @returns {object} - State definition.
+   */
+  function logged(name, to) {
+    return {
+      to,
+      enter: (...args) => calls.push([`enter ${name}`, ...args]),
+      exit: (next) => calls.push([`exit ${name}`, next]),
+    };
+  }
+
+  beforeEach(() => {
+    calls = [];
+    machine = new StateMachine({
+      menu: logged("menu", ["playing"]),
+      playing: logged("playing", ["paused", "gameOver"]),
+      paused: logged("paused", ["playing", "menu"]),
+      gameOver: { to: ["menu"] }, // No hooks
+    });
+  });
+
+  it("enters any state first, with no state to come from", () => {
+    assert.equal(machine.can("paused"), true);
+    assert.equal(machine.transition("paused"), null);
+    assert.deepEqual(calls, [["enter paused", null]]);
+    assert.equal(machine.is("paused"), true);
+    assert.equal(machine.previous, null);
+  });
+
+  it("exits the old state before entering the new one", () => {
+    machine.transition("menu");
+    calls = [];
+    assert.equal(machine.transition("playing"), "menu");
+    assert.deepEqual(calls, [["exit menu", "playing"], ["enter playing", "menu"]]);
+    assert.equal(machine.previous, "menu");
+    assert.equal(machine.is("paused", "playing"), true);
+  });
+
+  it("passes extra arguments on to the enter hook", () => {
+    machine.transition("menu");
+    machine.transition("playing", "speed", { players: "versus" });
+    assert.deepEqual(calls.at(-1), ["enter playing", "menu", "speed", { players: "versus" }]);
+  });
+
+  it("redraws the current state by exiting and entering it again", () => {
+    machine.transition("menu");
+    calls = [];
+    assert.equal(machine.can("menu"), true);
+    machine.transition("menu", "relayout");
+    assert.deepEqual(calls, [["exit menu", "menu"], ["enter menu", "menu", "relayout"]]);
+    assert.equal(machine.previous, "menu");
+  });
+
+  it("refuses moves that are not allowed and stays put", () => {
+    machine.transition("menu");
+    calls = [];
+    assert.equal(machine.can("paused"), false);
+    assert.throws(() => machine.transition("paused"), /Invalid transition "menu" -> "paused"/);
+    assert.equal(machine.can("credits"), false);
+    assert.throws(() => machine.transition("credits"), /Unknown state "credits"/);
+    assert.deepEqual(calls, []);
+    assert.equal(machine.is("menu"), true);
+  });
+
+  it("runs states without hooks", () => {
+    machine.transition("menu");
+    machine.transition("playing");
+    calls = [];
+    machine.transition("gameOver");
+    machine.transition("menu");
+    assert.deepEqual(calls, [["exit playing", "gameOver"], ["enter menu", "gameOver"]]);
+  });
+
+  it("rejects definitions that move to unknown states", () => {
+    assert.throws(() => new StateMachine({ menu: { to: ["playing", "credits"] } }), /Invalid state "menu": unknown targets playing, credits/);
+  });
+});
@@ -0,0 +1,60 @@
+// Match statistics counted from simulation events.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MatchStats } from "../stats.js";
+
+/**
+ * Builds a state with balls in play.
+ * @param {number} time - Match time.
+ * @param {Array<number>} [ballIds=[]] - Ids of the balls in play.
+ * @param {number} [speed=300] - Speed of every ball.
+ * @returns {object} - State with time and balls.
+ */
+function createState(time, ballIds = [], speed = 300) {
+  return { time, balls: ballIds.map((id) => ({ id, speed })) };
+}
+
+describe("MatchStats", () => {
+  it("counts rallies, hits, bounces and balls from the events", () => {
+    const stats = new MatchStats();
+    stats.record([], createState(0, [1]));
+    stats.record([{ type: "paddleHit", ballId: 1, side: "left", speed: 420 }], createState(1, [1]));
+    stats.record([{ type: "wallBounce" }, { type: "paddleHit", ballId: 1, side: "right", speed: 380 }], createState(2, [1]));
+    stats.record([{ type: "ballSpawned" }], createState(3, [1, 2]));
+    stats.record([{ type: "paddleHit", ballId: 1, side: "left", speed: 400 }], createState(4, [1, 2]));
+    stats.record([{ type: "ballOut", ballId: 1 }], createState(5, [2]));
+
+    const summary = stats.getSummary(createState(5, [2]));
+    assert.equal(summary.rallies, 2);
+    assert.equal(summary.longestRally, 3);
+    assert.equal(summary.averageRally, 1.5);
+    assert.deepEqual(summary.hits, [2, 1]);
+    assert.equal(summary.wallBounces, 1);
+    assert.equal(summary.ballsSpawned, 1);
+    assert.equal(summary.ballsLost, 1);
+    assert.equal(summary.peakSpeed, 420);
+  });
+
+  it("keeps how long each ball survived, balls still in play last", () => {
+    const stats = new MatchStats();
+    stats.record([], createState(0, [1]));
+    stats.record([], createState(2, [1, 2]));
+    stats.record([{ type: "ballOut", ballId: 2 }], createState(3, [1]));
+    stats.record([{ type: "ballOut", ballId: 1 }], createState(7, []));
+    stats.record([], createState(8, [3]));
+
+    const summary = stats.getSummary(createState(10, [3]));
+    assert.deepEqual(summary.ballLives, [1, 7, 2]);
+    assert.equal(summary.longestBallLife, 7);
+    assert.equal(summary.averageBallLife, 10 / 3);
+  });
+
+  it("summarizes a match without balls as zeros", () => {
+    const summary = new MatchStats().getSummary(createState(0));
+    assert.equal(summary.rallies, 0);
+    assert.equal(summary.averageRally, 0);
+    assert.equal(summary.averageBallLife, 0);
+    assert.deepEqual(summary.ballLives, []);
+  });
+});
@@ -0,0 +1,51 @@
+// Reading and writing saves through storage that may be missing, full or corrupted.
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { SavedData } from "../storage.js";
+
+/**
+ * Creates an in-memory storage.
+ * @param {object} [items={}] - Raw saved strings by key.
+ * @returns {object} - Storage with getItem and setItem.
+ */
+function createStorage(items = {}) {
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+}
+
+describe("SavedData", () => {
+  it("writes JSON and reads it back", () => {
+    const storage = createStorage();
+    SavedData.write(storage, "pong.test", { version: 1, values: [1, 2] });
+    assert.equal(storage.items["pong.test"], '{"version":1,"values":[1,2]}');
+    assert.deepEqual(SavedData.read(storage, "pong.test"), { version: 1, values: [1, 2] });
+  });
+
+  it("reads null for missing, corrupted and non-object saves", () => {
+    const storage = createStorage({ broken: "{not json", number: "42", empty: "null" });
+    ["missing", "broken", "number", "empty"].forEach((key) => {
+      assert.equal(SavedData.read(storage, key), null);
+    });
+    assert.equal(SavedData.read(null, "missing"), null);
+  });
+
+  it("ignores storage that throws", () => {
+    const storage = {
+      getItem: () => {
+        throw new Error("SecurityError");
+      },
+      setItem: () => {
+        throw new Error("QuotaExceededError");
+      },
+    };
+    assert.equal(SavedData.read(storage, "pong.test"), null);
+    assert.doesNotThrow(() => SavedData.write(storage, "pong.test", {}));
+    assert.doesNotThrow(() => SavedData.write(null, "pong.test", {}));
+  });
+});
@@ -0,0 +1,172 @@
+// Colour themes.
+// Every colour on screen comes from a named token of the active theme, so a
+// theme is just a table of RGB values. The "auto" setting follows the
+// browser's prefers-contrast and prefers-color-scheme preferences.
+
+export class Themes {
+  // Token tables. Play field: background, paddle, outline (paddles and balls),
+  // ball, powerUp, powerUpSymbol, shield, obstacle (blocks and moving bars),
+  // bumper, breakable. Panels: panel, panelOutline, text, textMuted,
+  // textStrong (buttons and values), accent (links and typed text), positive
+  // (start buttons and the selected option), danger (warnings), control
+  // (small < > steppers). Header and replay bar: headerBackground,
+  // headerText, headerHighlight, headerInfo, track.
+  static THEMES = {
+    light: {
+      name: "Light",
+      background: [255, 255, 255],
+      paddle: [255, 255, 255],
+      outline: [0, 0, 0],
+      ball: [255, 100, 100],
+      powerUp: [80, 160, 255],
+      powerUpSymbol: [255, 255, 255],
+      shield: [80, 160, 255],
+      obstacle: [90, 90, 110],
+      bumper: [255, 170, 0],
+      breakable: [150, 100, 220],
+      panel: [240, 240, 240],
+      panelOutline: [0, 0, 0],
+      text: [50, 50, 50],
+      textMuted: [100, 100, 100],
+      textStrong: [0, 0, 0],
+      accent: [0, 100, 200],
+      positive: [0, 150, 0],
+      danger: [200, 50, 50],
+      control: [0, 0, 150],
+      headerBackground: [50, 50, 50],
+      headerText: [255, 255, 255],
+      headerHighlight: [255, 255, 0],
+      headerInfo: [150, 220, 255],
+      track: [120, 120, 120],
+    },
+    dark: {
+      name: "Dark",
+      background: [25, 25, 35],
+      paddle: [230, 230, 230],
+      outline: [120, 120, 140],
+      ball: [255, 120, 90],
+      powerUp: [80, 160, 255],
+      powerUpSymbol: [255, 255, 255],
+      shield: [80, 160, 255],
+      obstacle: [120, 120, 140],
+      bumper: [255, 190, 70],
+      breakable: [180, 130, 255],
+      panel: [45, 45, 60],
+      panelOutline: [140, 140, 160],
+      text: [225, 225, 235],
+      textMuted: [160, 160, 175],
+      textStrong: [255, 255, 255],
+      accent: [110, 180, 255],
+      positive: [100, 210, 120],
+      danger: [255, 110, 110],
+      control: [150, 170, 255],
+      headerBackground: [15, 15, 22],
+      headerText: [240, 240, 240],
+      headerHighlight: [255, 220, 90],
+      headerInfo: [150, 220, 255],
+      track: [90, 90, 105],
+    },
+    // Pure colours on black for the strongest contrast
+    "high-contrast": {
+      name: "High contrast",
+      background: [0, 0, 0],
+      paddle: [255, 255, 255],
+      outline: [255, 255, 255],
+      ball: [255, 255, 0],
+      powerUp: [0, 255, 255],
+      powerUpSymbol: [0, 0, 0],
+      shield: [0, 255, 255],
+      obstacle: [200, 200, 200],
+      bumper: [255, 0, 255],
+      breakable: [0, 255, 0],
+      panel: [0, 0, 0],
+      panelOutline: [255, 255, 255],
+      text: [255, 255, 255],
+      textMuted: [220, 220, 220],
+      textStrong: [255, 255, 255],
+      accent: [0, 255, 255],
+      positive: [255, 255, 0],
+      danger: [255, 120, 120],
+      control: [0, 255, 255],
+      headerBackground: [0, 0, 0],
+      headerText: [255, 255, 255],
+      headerHighlight: [255, 255, 0],
+      headerInfo: [0, 255, 255],
+      track: [160, 160, 160],
+    },
+    // Okabe-Ito colours: no red/green pairs, which deuteranopes cannot tell apart
+    deuteranopia: {
+      name: "Deuteranopia",
+      background: [255, 255, 255],
+      paddle: [255, 255, 255],
+      outline: [0, 0, 0],
+      ball: [230, 159, 0],
+      powerUp: [0, 114, 178],
+      powerUpSymbol: [255, 255, 255],
+      shield: [0, 114, 178],
+      obstacle: [100, 100, 100],
+      bumper: [204, 121, 167],
+      breakable: [86, 180, 233],
+      panel: [240, 240, 240],
+      panelOutline: [0, 0, 0],
+      text: [40, 40, 40],
+      textMuted: [100, 100, 100],
+      textStrong: [0, 0, 0],
+      accent: [0, 114, 178],
+      positive: [0, 114, 178],
+      danger: [213, 94, 0],
+      control: [0, 114, 178],
+      headerBackground: [40, 40, 40],
+      headerText: [255, 255, 255],
+      headerHighlight: [240, 228, 66],
+      headerInfo: [86, 180, 233],
+      track: [120, 120, 120],
+    },
+  };
+
+  /**
+   * Returns the theme the browser asks for: high contrast, dark or light.
+   * @returns {string} - Theme name.
+   */
+  static getSystemTheme() {
+    const matches = (query) => Boolean(globalThis.matchMedia && matchMedia(query).matches);
+    if (matches("(prefers-contrast: more)")) {
+      return "high-contrast";
+    }
+    return matches("(prefers-color-scheme: dark)") ? "dark" : "light";
+  }
+
+  /**
+   * Resolves a theme setting to a theme name.
+   * @param {string} setting - "auto" or a theme name.
+   * @returns {string} - Theme name (light for unknown names).
+   */
+  static resolve(setting) {
+    const name = setting === "auto" ? Themes.getSystemTheme() : setting;
+    return Themes.THEMES[name] ? name : "light";
+  }
+
+  /**
+   * Returns the colour tokens of a theme setting.
+   * @param {string} setting - "auto" or a theme name.
+   * @returns {object} - Tokens (RGB arrays by token name).
+   */
+  static get(setting) {
+    return Themes.THEMES[Themes.resolve(setting)];
+  }
+
+  /**
+   * Calls back when the browser's colour scheme or contrast preference
+   * changes (for the "auto" setting).
+   * @param {Function} callback - Called with no arguments.
+   */
+  static watchSystem(callback) {
+    if (!globalThis.matchMedia) {
+      return;
+    }
+    ["(prefers-color-scheme: dark)", "(prefers-contrast: more)"].forEach((query) => {
+      const list = matchMedia(query);
+      if (list.addEventListener) list.addEventListener("change", callback);
+    });
+  }
+}